@@ -0,0 +1,225 @@
+/**
+ * Calculation Service
+ * 
+ * Runs the calculation tasks (calcTasks.js) off the main thread in a Web Worker
+ * (calcWorker.js) so editing a deep or repetitive profile doesn't block the UI.
+ * Where workers aren't available (Node tests, old browsers) or the worker fails
+ * to load, tasks run on the main thread instead — still asynchronously, so
+ * callers don't need to know which.
+ * 
+ * Requests are grouped by channel (typically the chart or editor asking):
+ * a newer request on a channel cancels the one still pending there, whose
+ * promise rejects with CalcCancelledError. At most one request per channel
+ * runs at a time and only the newest waits behind it.
+ */
+
+import { runCalcTask } from './calcTasks.js';
+
+/**
+ * Error a request's promise rejects with when a newer request on its channel
+ * (or cancel()) superseded it
+ */
+export class CalcCancelledError extends Error {
+    constructor(task) {
+        super(`Calculation cancelled: ${task}`);
+        this.name = 'CalcCancelledError';
+    }
+}
+
+/**
+ * Worker-backed calculation service
+ */
+export class CalcService {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.useWorker=true] - Use a Web Worker when available
+     * @param {string|URL} [options.workerUrl] - Worker script (default: calcWorker.js)
+     */
+    constructor(options = {}) {
+        const { useWorker = true, workerUrl = new URL('./calcWorker.js', import.meta.url) } = options;
+        
+        this.worker = null;
+        this.nextId = 1;
+        this.requests = new Map();  // id → request, while running
+        this.channels = new Map();  // channel → { running, waiting }
+        
+        if (useWorker && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(workerUrl, { type: 'module' });
+                this.worker.addEventListener('message', (event) => this._onMessage(event.data));
+                this.worker.addEventListener('error', (event) => this._onWorkerError(event));
+            } catch (error) {
+                console.warn('Calculation worker unavailable, calculating on the main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+    
+    /**
+     * Whether tasks run in a Web Worker (false: main-thread fallback)
+     * @returns {boolean}
+     */
+    get usesWorker() {
+        return this.worker !== null;
+    }
+    
+    /**
+     * Run a calculation task
+     * @param {string} task - Task name (see CALC_TASKS)
+     * @param {Array} [args] - Task arguments (structured-clone safe)
+     * @param {Object} [options]
+     * @param {*} [options.channel] - Channel key; a newer request on the same channel
+     *        cancels this one (default: a channel of its own)
+     * @returns {Promise<*>} Task result; rejects with CalcCancelledError when superseded
+     */
+    run(task, args = [], options = {}) {
+        const channelKey = options.channel ?? Symbol(task);
+        
+        return new Promise((resolve, reject) => {
+            const request = {
+                id: this.nextId++,
+                task,
+                args,
+                channelKey,
+                cancelled: false,
+                resolve,
+                reject
+            };
+            
+            let channel = this.channels.get(channelKey);
+            if (!channel) {
+                channel = { running: null, waiting: null };
+                this.channels.set(channelKey, channel);
+            }
+            this._cancelRequest(channel.waiting);
+            this._cancelRequest(channel.running);
+            
+            if (channel.running) {
+                channel.waiting = request;
+            } else {
+                channel.running = request;
+                this._start(request);
+            }
+        });
+    }
+    
+    /**
+     * Cancel the pending requests of a channel
+     * @param {*} channelKey - Channel key passed to run()
+     */
+    cancel(channelKey) {
+        const channel = this.channels.get(channelKey);
+        if (!channel) return;
+        this._cancelRequest(channel.waiting);
+        this._cancelRequest(channel.running);
+        channel.waiting = null;
+    }
+    
+    /**
+     * Cancel all requests and stop the worker
+     */
+    terminate() {
+        for (const channelKey of [...this.channels.keys()]) {
+            this.cancel(channelKey);
+        }
+        this.channels.clear();
+        this.requests.clear();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    // ========================================================================
+    // PRIVATE
+    // ========================================================================
+    
+    _cancelRequest(request) {
+        if (!request || request.cancelled) return;
+        request.cancelled = true;
+        request.reject(new CalcCancelledError(request.task));
+    }
+    
+    _start(request) {
+        this.requests.set(request.id, request);
+        if (this.worker) {
+            const { id, task, args } = request;
+            this.worker.postMessage({ id, task, args });
+        } else {
+            setTimeout(() => this._runLocally(request), 0);
+        }
+    }
+    
+    _runLocally(request) {
+        if (!this.requests.has(request.id)) return;
+        if (request.cancelled) {
+            this._finish(request);
+            return;
+        }
+        try {
+            this._finish(request, { result: runCalcTask(request.task, request.args) });
+        } catch (error) {
+            this._finish(request, { error: error?.message || String(error) });
+        }
+    }
+    
+    _onMessage(message) {
+        const request = this.requests.get(message.id);
+        if (request) {
+            this._finish(request, message);
+        }
+    }
+    
+    /**
+     * Settle a request (unless cancelled) and start the request waiting on its channel
+     */
+    _finish(request, outcome = null) {
+        this.requests.delete(request.id);
+        
+        if (outcome && !request.cancelled) {
+            if ('error' in outcome) {
+                request.reject(new Error(outcome.error));
+            } else {
+                request.resolve(outcome.result);
+            }
+        }
+        
+        const channel = this.channels.get(request.channelKey);
+        if (!channel || channel.running !== request) return;
+        channel.running = channel.waiting;
+        channel.waiting = null;
+        if (channel.running) {
+            this._start(channel.running);
+        } else {
+            this.channels.delete(request.channelKey);
+        }
+    }
+    
+    /**
+     * The worker failed (e.g. module workers unsupported): fall back to the
+     * main thread and rerun the requests it had in flight
+     */
+    _onWorkerError(event) {
+        console.warn('Calculation worker failed, calculating on the main thread:', event?.message || event);
+        event?.preventDefault?.();
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        for (const request of [...this.requests.values()]) {
+            setTimeout(() => this._runLocally(request), 0);
+        }
+    }
+}
+
+let sharedService = null;
+
+/**
+ * Get the calculation service shared by the charts and editors
+ * @returns {CalcService}
+ */
+export function getCalcService() {
+    if (!sharedService) {
+        sharedService = new CalcService();
+    }
+    return sharedService;
+}
@@ -0,0 +1,62 @@
+/**
+ * Calculation Tasks
+ * 
+ * The named calculations the calculation service (calcService.js) runs, in
+ * its Web Worker (calcWorker.js) or on the main thread where workers aren't
+ * available. Arguments and results are structured-clone safe; model
+ * parameters travel inside the arguments (the dive setup), so the worker
+ * holds no model state of its own.
+ */
+
+import { calculateTissueLoading } from './decoModel.js';
+import { generateDecoProfile, getResidualTissueState, getPostDiveTimes } from './diveSetup.js';
+import { sweepGradientFactors } from './decoAlgorithms.js';
+import { generateTableBook } from './tableBook.js';
+import { calculateProfileChartData, calculateMValueChartData, calculatePlanComparison } from './charts/chartData.js';
+
+/**
+ * Generate a quick-setup profile (DiveSetupEditor), continuing from the residual
+ * loading of the dives before diveIndex when planning a repetitive dive
+ * @param {number} maxDepth - Maximum depth in meters
+ * @param {number} bottomTime - Bottom time in minutes
+ * @param {Array} gases - Available gases
+ * @param {number} gfLow - GF Low as percentage (0-100)
+ * @param {number} gfHigh - GF High as percentage (0-100)
+ * @param {Object} [options] - generateDecoProfile() options (without tissues)
+ * @param {Object} [residualSetup] - Setup holding the earlier dives (null: first dive)
+ * @param {number} [diveIndex=1] - Index of the planned dive in residualSetup.dives
+ * @returns {Object} generateDecoProfile() result
+ */
+function generateQuickSetupProfile(maxDepth, bottomTime, gases, gfLow, gfHigh, options = {}, residualSetup = null, diveIndex = 1) {
+    const tissues = residualSetup ? getResidualTissueState(residualSetup, diveIndex) : null;
+    return generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh, { ...options, tissues });
+}
+
+/**
+ * Calculation tasks by name
+ */
+export const CALC_TASKS = Object.freeze({
+    tissueLoading: calculateTissueLoading,
+    profileChartData: calculateProfileChartData,
+    mValueChartData: calculateMValueChartData,
+    planComparison: calculatePlanComparison,
+    gfSweep: sweepGradientFactors,
+    tableBook: generateTableBook,
+    quickSetupProfile: generateQuickSetupProfile,
+    residualTissueState: getResidualTissueState,
+    postDiveTimes: getPostDiveTimes
+});
+
+/**
+ * Run a calculation task
+ * @param {string} task - Task name (key of CALC_TASKS)
+ * @param {Array} [args] - Task arguments
+ * @returns {*} Task result
+ */
+export function runCalcTask(task, args = []) {
+    const calculate = CALC_TASKS[task];
+    if (!calculate) {
+        throw new Error(`Unknown calculation task: ${task}`);
+    }
+    return calculate(...args);
+}
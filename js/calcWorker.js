@@ -0,0 +1,20 @@
+/**
+ * Calculation Worker
+ * 
+ * Module worker behind calcService.js: runs one calculation task per message
+ * and posts back its result, or the error message if it failed.
+ * 
+ *   in:  { id, task, args }
+ *   out: { id, result } | { id, error }
+ */
+
+import { runCalcTask } from './calcTasks.js';
+
+self.addEventListener('message', (event) => {
+    const { id, task, args } = event.data;
+    try {
+        self.postMessage({ id, result: runCalcTask(task, args) });
+    } catch (error) {
+        self.postMessage({ id, error: error?.message || String(error) });
+    }
+});
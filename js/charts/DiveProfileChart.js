@@ -9,7 +9,11 @@
  * - Optional pressure overlays (ambient, partial pressures)
  * - Gas switch markers
  * - Deco stop annotations
+ * - Repetitive dives on one timeline (dive separators, shaded surface intervals)
+ * - Post-dive altitude exposures and a no-fly marker
  * - NDL/ceiling lines
+ * - Bühlmann GF vs VPM-B ascent comparison
+ * - Pinned plan overlay (depth profile and ceiling of a second setup)
  * - Built-in fullscreen toggle
  * 
  * Usage:
@@ -23,20 +27,18 @@
  *   // Update with new data
  *   chart.update(newDiveSetup);
  *   
+ *   // Overlay a pinned plan for comparison (null removes it)
+ *   chart.setPinnedSetup(pinnedSetup);
+ *   
  *   // Destroy when done
  *   chart.destroy();
  */
 
 import { COMPARTMENTS } from '../tissueCompartments.js';
-import {
-    calculateTissueLoading,
-    calculateCeilingTimeSeries,
-    calculateCeilingTimeSeriesDetailed,
-    calculateNDL,
-    getAmbientPressure,
-    getAlveolarN2Pressure,
-    SURFACE_PRESSURE
-} from '../decoModel.js';
+import { getAlveolarN2Pressure, formatStopTime, resolveModel } from '../decoModel.js';
+import { getModelSettings } from '../diveSetup.js';
+import { getCalcService, CalcCancelledError } from '../calcService.js';
+import { calculateProfileChartData } from './chartData.js';
 import {
     DEFAULT_DIVE_PROFILE_OPTIONS,
     DEFAULT_ENVIRONMENT,
@@ -45,6 +47,34 @@ import {
     normalizeDiveSetup
 } from './chartTypes.js';
 
+/** Tank pressure line colors, in the order the cylinders are first breathed */
+const GAS_LINE_COLORS = ['#e74c3c', '#3498db', '#27ae60', '#9b59b6', '#f39c12'];
+
+/**
+ * Get the line color of each cylinder that is breathed
+ * @param {Object} gasConsumption - Result of calculateGasConsumption()
+ * @returns {Object<string, string>} Color per gas ID
+ */
+function getGasLineColors(gasConsumption) {
+    const colors = {};
+    Object.entries(gasConsumption)
+        .filter(([, gasData]) => gasData.isActive)
+        .forEach(([gasId], i) => { colors[gasId] = GAS_LINE_COLORS[i % GAS_LINE_COLORS.length]; });
+    return colors;
+}
+
+/**
+ * Format a duration in minutes for annotation labels ("45 min", "2h05")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatDuration(minutes) {
+    const rounded = Math.round(minutes);
+    return rounded >= 60
+        ? `${Math.floor(rounded / 60)}h${String(rounded % 60).padStart(2, '0')}`
+        : `${rounded} min`;
+}
+
 /**
  * DiveProfileChart - Embeddable dive profile visualization
  */
@@ -69,10 +99,20 @@ export class DiveProfileChart {
         // Visible compartments for tissue loading mode - default to fastest only
         this.visibleCompartments = new Set([1]);
         
+        // Compartments of the setup's model and the layout the controls were built for
+        this.compartments = COMPARTMENTS;
+        this._compartmentKey = null;
+        
         // Zoom state preservation
         this.savedZoomState = null;
         this.hasUserZoomed = false;
         
+        // Last calculated chart data and the inputs it was calculated from
+        this._dataCache = null;
+        
+        // Normalized setup of a pinned plan drawn behind the current one
+        this.pinnedSetup = null;
+        
         // Merge options with defaults
         this.options = mergeOptions(DEFAULT_DIVE_PROFILE_OPTIONS, config.options);
         this.environment = mergeOptions(DEFAULT_ENVIRONMENT, config.environment);
@@ -333,7 +373,7 @@ export class DiveProfileChart {
         const checkboxContainer = document.createElement('div');
         checkboxContainer.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px;';
         
-        COMPARTMENTS.forEach(comp => {
+        this.compartments.forEach(comp => {
             const label = document.createElement('label');
             label.style.cssText = `
                 display: inline-flex; align-items: center; gap: 2px;
@@ -380,8 +420,30 @@ export class DiveProfileChart {
         }
     }
     
+    /**
+     * Follow the setup's model: custom models have their own compartment count,
+     * half-times and colors, so the selectors are rebuilt when those change
+     * @private
+     */
+    _syncCompartments() {
+        const compartments = this.diveSetup ? getModelSettings(this.diveSetup).compartments : COMPARTMENTS;
+        const key = compartments.map(c => `${c.id}:${c.halfTime}:${c.color}`).join(',');
+        if (key === this._compartmentKey) return;
+        
+        this._compartmentKey = key;
+        this.compartments = compartments;
+        const ids = new Set(compartments.map(c => c.id));
+        this.visibleCompartments.forEach(id => {
+            if (!ids.has(id)) this.visibleCompartments.delete(id);
+        });
+        if (this.visibleCompartments.size === 0) {
+            this.visibleCompartments.add(compartments[0].id);
+        }
+        this._buildTissueControls();
+    }
+    
     _selectAllCompartments() {
-        COMPARTMENTS.forEach(c => this.visibleCompartments.add(c.id));
+        this.compartments.forEach(c => this.visibleCompartments.add(c.id));
         this._updateCompartmentCheckboxes();
         this._render();
     }
@@ -394,14 +456,14 @@ export class DiveProfileChart {
     
     _selectFastCompartments() {
         this.visibleCompartments.clear();
-        COMPARTMENTS.filter(c => c.halfTime <= 12.5).forEach(c => this.visibleCompartments.add(c.id));
+        this.compartments.filter(c => c.halfTime <= 12.5).forEach(c => this.visibleCompartments.add(c.id));
         this._updateCompartmentCheckboxes();
         this._render();
     }
     
     _selectSlowCompartments() {
         this.visibleCompartments.clear();
-        COMPARTMENTS.filter(c => c.halfTime >= 109).forEach(c => this.visibleCompartments.add(c.id));
+        this.compartments.filter(c => c.halfTime >= 109).forEach(c => this.visibleCompartments.add(c.id));
         this._updateCompartmentCheckboxes();
         this._render();
     }
@@ -411,7 +473,7 @@ export class DiveProfileChart {
         if (currentIds.length === 0) return;
         
         const slowestId = currentIds[currentIds.length - 1];
-        if (slowestId >= 16) return;
+        if (slowestId >= this.compartments.length) return;
         
         this.visibleCompartments.clear();
         currentIds.forEach(id => this.visibleCompartments.add(id + 1));
@@ -438,7 +500,7 @@ export class DiveProfileChart {
             this.visibleCompartments.add(1);
         } else {
             const slowestId = currentIds[currentIds.length - 1];
-            if (slowestId < 16) {
+            if (slowestId < this.compartments.length) {
                 this.visibleCompartments.add(slowestId + 1);
             }
         }
@@ -610,28 +672,36 @@ export class DiveProfileChart {
     
     /**
      * Add stop labels (deco stops) - always shown regardless of showLabels option
+     * On a multi-dive timeline each dive's stops are found against its own max depth.
      * @private
      */
-    _addStopLabels(annotations, waypoints) {
+    _addStopLabels(annotations, waypoints, dives = null) {
         if (!waypoints || waypoints.length < 2) return;
         
-        const maxDepth = Math.max(...waypoints.map(wp => wp.depth));
+        const ranges = dives && dives.length > 0
+            ? dives.map(dive => waypoints.filter(wp => wp.time >= dive.startTime && wp.time <= dive.endTime))
+            : [waypoints];
         
         // Find stops (horizontal segments not at max depth and not at surface)
         const stops = [];
-        for (let i = 0; i < waypoints.length - 1; i++) {
-            const curr = waypoints[i];
-            const next = waypoints[i + 1];
+        for (const diveWaypoints of ranges) {
+            if (diveWaypoints.length < 2) continue;
+            const maxDepth = Math.max(...diveWaypoints.map(wp => wp.depth));
             
-            // Detect horizontal segments at non-surface, non-max depths
-            if (curr.depth > 0 && curr.depth < maxDepth && 
-                Math.abs(next.depth - curr.depth) < 0.1 && next.time > curr.time) {
-                // Check if this extends an existing stop at the same depth
-                const existing = stops.find(s => s.depth === curr.depth && s.end.time === curr.time);
-                if (existing) {
-                    existing.end = next;
-                } else {
-                    stops.push({ start: curr, end: next, depth: curr.depth });
+            for (let i = 0; i < diveWaypoints.length - 1; i++) {
+                const curr = diveWaypoints[i];
+                const next = diveWaypoints[i + 1];
+                
+                // Detect horizontal segments at non-surface, non-max depths
+                if (curr.depth > 0 && curr.depth < maxDepth && 
+                    Math.abs(next.depth - curr.depth) < 0.1 && next.time > curr.time) {
+                    // Check if this extends an existing stop at the same depth
+                    const existing = stops.find(s => s.depth === curr.depth && s.end.time === curr.time);
+                    if (existing) {
+                        existing.end = next;
+                    } else {
+                        stops.push({ start: curr, end: next, depth: curr.depth });
+                    }
                 }
             }
         }
@@ -639,7 +709,7 @@ export class DiveProfileChart {
         // Stop annotations - just labels, no boxes (boxes can obscure the profile)
         stops.forEach((stop, i) => {
             const isDeepStop = stop.depth > 5;
-            const stopDuration = Math.round(stop.end.time - stop.start.time);
+            const stopDuration = formatStopTime(stop.end.time - stop.start.time);
             const color = isDeepStop ? 'rgba(230, 126, 34, 0.9)' : 'rgba(52, 152, 219, 0.9)';
             
             // Label positioned to the right of the stop with depth and time
@@ -648,7 +718,7 @@ export class DiveProfileChart {
                 xValue: stop.end.time + 1,
                 yValue: stop.depth,
                 yAdjust: 20,
-                content: [`DECO ${stop.depth}m · ${stopDuration}min`],
+                content: [`DECO ${stop.depth}m · ${stopDuration}`],
                 backgroundColor: color,
                 color: 'white',
                 font: { size: 9, weight: 'bold' },
@@ -658,181 +728,294 @@ export class DiveProfileChart {
     }
     
     /**
-     * Calculate gas consumption over the dive profile
+     * Add multi-dive annotations: a separator and a label per dive, and a
+     * shaded band over each surface interval - shown whenever the setup has
+     * more than one dive
      * @private
-     * @param {Object} results - Tissue loading results with timePoints and depthPoints
-     * @param {Object[]} gases - Gas configurations
-     * @param {number} sacRate - Surface Air Consumption rate in L/min
-     * @param {number} reservePressure - Reserve pressure in bar
-     * @returns {Object} Gas consumption data per cylinder
+     * @param {Object} annotations - Annotation map to add to
+     * @param {Object} timeline - Timeline from getDiveSetupTimeline()
      */
-    _calculateGasConsumption(results, gases, sacRate, reservePressure) {
-        const gasData = {};
-        
-        // Initialize each gas cylinder
-        gases.forEach(gas => {
-            const cylinderVolume = gas.cylinderVolume || 12; // Default 12L cylinder
-            const startPressure = gas.startPressure || 200; // Default 200 bar
-            const totalGas = cylinderVolume * startPressure; // Total gas in liters
-            const reserveGas = cylinderVolume * reservePressure;
-            
-            gasData[gas.id] = {
-                name: gas.name,
-                cylinderVolume,
-                startPressure,
-                totalGas,
-                reserveGas,
-                reservePressure,
-                pressures: [],      // Pressure at each time point
-                consumption: [],    // Cumulative consumption at each time point
-                isActive: false     // Whether this gas has been used
+    _addDiveAnnotations(annotations, timeline) {
+        timeline.surfaceIntervals.forEach((si, i) => {
+            if (si.duration <= 0) return;
+            annotations[`surfaceInterval${i}`] = {
+                type: 'box',
+                xMin: si.startTime,
+                xMax: si.endTime,
+                backgroundColor: 'rgba(46, 204, 113, 0.08)',
+                borderWidth: 0,
+                label: {
+                    display: true,
+                    content: `SURFACE INTERVAL ${formatDuration(si.duration)}`,
+                    position: { x: 'center', y: 'start' },
+                    color: 'rgba(39, 174, 96, 0.9)',
+                    font: { size: 10, weight: 'bold' }
+                }
             };
         });
         
-        // Track current gas (first gas by default, or use gas switches from results)
-        let currentGasId = gases[0]?.id;
-        let cumulativeConsumption = {}; // Per-gas cumulative consumption
-        gases.forEach(gas => { cumulativeConsumption[gas.id] = 0; });
-        
-        // Build gas switch timeline from results
-        const gasSwitchTimes = {};
-        if (results.gasSwitches) {
-            results.gasSwitches.forEach(sw => {
-                gasSwitchTimes[sw.time] = sw.gasId;
-            });
-        }
-        
-        // Calculate consumption at each time point
-        for (let i = 0; i < results.timePoints.length; i++) {
-            const time = results.timePoints[i];
-            const depth = results.depthPoints[i];
-            
-            // Check for gas switch
-            if (gasSwitchTimes[time]) {
-                currentGasId = gasSwitchTimes[time];
-            }
-            
-            // Mark gas as active once used
-            if (gasData[currentGasId]) {
-                gasData[currentGasId].isActive = true;
-            }
-            
-            // Calculate consumption for this time step
+        timeline.dives.forEach((dive, i) => {
             if (i > 0) {
-                const prevTime = results.timePoints[i - 1];
-                const prevDepth = results.depthPoints[i - 1];
-                const deltaTime = time - prevTime; // minutes
-                
-                // Average depth for this segment
-                const avgDepth = (depth + prevDepth) / 2;
-                const ambientPressure = 1 + avgDepth / 10; // bar
-                
-                // Gas consumed in this segment (liters at surface)
-                const segmentConsumption = sacRate * ambientPressure * deltaTime;
-                
-                // Add to cumulative consumption for current gas
-                if (gasData[currentGasId]) {
-                    cumulativeConsumption[currentGasId] += segmentConsumption;
-                }
+                annotations[`diveSeparator${i}`] = {
+                    type: 'line',
+                    xMin: dive.startTime,
+                    xMax: dive.startTime,
+                    borderColor: 'rgba(52, 73, 94, 0.6)',
+                    borderWidth: 2,
+                    borderDash: [6, 4]
+                };
             }
-            
-            // Record pressure for each gas at this time point
-            gases.forEach(gas => {
-                const data = gasData[gas.id];
-                const consumed = cumulativeConsumption[gas.id];
-                const remainingGas = data.totalGas - consumed;
-                const remainingPressure = Math.max(0, remainingGas / data.cylinderVolume);
-                
-                data.consumption.push(consumed);
-                data.pressures.push(remainingPressure);
-            });
-        }
-        
-        return gasData;
+            annotations[`diveLabel${i}`] = {
+                type: 'label',
+                xValue: (dive.startTime + dive.endTime) / 2,
+                yValue: -3,
+                content: [`${dive.label.toUpperCase()} · ${dive.maxDepth}m · ${formatDuration(dive.endTime - dive.startTime)}`],
+                backgroundColor: 'rgba(52, 73, 94, 0.9)',
+                color: 'white',
+                font: { size: 10, weight: 'bold' },
+                padding: { top: 3, bottom: 3, left: 6, right: 6 }
+            };
+        });
     }
     
     /**
-     * Calculate all data needed for the chart
+     * Add post-dive annotations: a shaded band per altitude exposure and, when
+     * the no-fly time is known, a marker where the wait ends (or a label at
+     * surfacing when that is past the end of the chart)
      * @private
-     * @returns {Object} Calculated data
+     * @param {Object} annotations - Annotation map to add to
+     * @param {Object} results - Tissue loading results (altitudeExposures, timePoints)
+     * @param {number} surfacingTime - Time the last dive surfaces (minutes)
+     * @param {Object|null} postDiveTimes - Result of getPostDiveTimes()
      */
-    _calculateData() {
-        if (!this.diveSetup || !this.diveSetup.dives || this.diveSetup.dives.length === 0) {
-            return null;
-        }
-        
-        // Get first dive's waypoints
-        const waypoints = this.diveSetup.dives[0].waypoints;
-        const gases = this.diveSetup.gases;
-        const gfLow = (this.diveSetup.gfLow || 100) / 100;
-        const gfHigh = (this.diveSetup.gfHigh || 100) / 100;
-        const surfaceInterval = this.diveSetup.surfaceInterval || 0;
-        
-        // Calculate tissue loading
-        const results = calculateTissueLoading(waypoints, surfaceInterval, { gases });
-        
-        // Calculate ceiling if needed - use detailed version in tissue mode
-        let ceilingDepths = null;
-        let compartmentCeilings = null;
-        if (this.options.showCeiling) {
-            if (this.options.showTissueLoading) {
-                const detailed = calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh);
-                ceilingDepths = detailed.ceilingDepths;
-                compartmentCeilings = detailed.compartmentCeilings;
-            } else {
-                ceilingDepths = calculateCeilingTimeSeries(results, gfLow, gfHigh);
-            }
-        }
+    _addPostDiveAnnotations(annotations, results, surfacingTime, postDiveTimes) {
+        (results.altitudeExposures || []).forEach((exposure, i) => {
+            annotations[`altitudeExposure${i}`] = {
+                type: 'box',
+                xMin: surfacingTime + exposure.start,
+                xMax: surfacingTime + exposure.start + exposure.duration,
+                backgroundColor: 'rgba(149, 165, 166, 0.15)',
+                borderWidth: 0,
+                label: {
+                    display: true,
+                    content: `⛰ ${exposure.altitude} m`,
+                    position: { x: 'center', y: 'start' },
+                    color: 'rgba(127, 140, 141, 0.9)',
+                    font: { size: 10, weight: 'bold' }
+                }
+            };
+        });
         
-        // Calculate NDL if needed
-        let ndlData = null;
-        if (this.options.showNDL) {
-            const maxDepth = Math.max(...waypoints.map(wp => wp.depth));
-            const bottomGas = gases[0];
-            ndlData = calculateNDL(maxDepth, bottomGas.n2, gfLow);
+        if (!postDiveTimes) return;
+        const { noFly } = postDiveTimes;
+        const color = this.options.colors.noFly;
+        const content = noFly.time === null
+            ? `✈ NO-FLY > ${formatDuration(72 * 60)} (${noFly.altitude} m)`
+            : `✈ NO-FLY ${formatDuration(noFly.time)} (${noFly.altitude} m)`;
+        const endTime = noFly.time === null ? Infinity : surfacingTime + noFly.time;
+        const lastTime = results.timePoints[results.timePoints.length - 1];
+        
+        if (endTime <= lastTime) {
+            annotations.noFlyLine = {
+                type: 'line',
+                xMin: endTime,
+                xMax: endTime,
+                borderColor: color,
+                borderWidth: 2,
+                borderDash: [4, 4],
+                label: {
+                    display: true,
+                    content,
+                    position: 'start',
+                    backgroundColor: color,
+                    color: 'white',
+                    font: { size: 10, weight: 'bold' },
+                    padding: { top: 3, bottom: 3, left: 6, right: 6 }
+                }
+            };
+        } else {
+            annotations.noFlyLabel = {
+                type: 'label',
+                xValue: surfacingTime,
+                yValue: 0,
+                yAdjust: -14,
+                content: [content],
+                backgroundColor: color,
+                color: 'white',
+                font: { size: 10, weight: 'bold' },
+                padding: { top: 3, bottom: 3, left: 6, right: 6 }
+            };
         }
+    }
+    
+    /**
+     * Add the gas plan on the tank pressure axis: a minimum-gas line per
+     * cylinder breathed (rock bottom for the bottom gas, the deco reserve for
+     * deco gases) and the bottom gas turn pressure, with a marker where the
+     * plan reaches it
+     * @private
+     * @param {Object} annotations - Annotation map to add to
+     * @param {Object} gasPlan - Result of planGas()
+     * @param {Object} gasConsumption - Result of calculateGasConsumption() (line colors)
+     */
+    _addGasPlanAnnotations(annotations, gasPlan, gasConsumption) {
+        const gasColors = getGasLineColors(gasConsumption);
+        gasPlan.cylinders.forEach(cylinder => {
+            const color = gasColors[cylinder.gasId];
+            if (!color || cylinder.role === 'unused') return;
+            const minimum = Math.round(cylinder.minimumPressure);
+            annotations[`minimumGas_${cylinder.gasId}`] = {
+                type: 'line',
+                yMin: cylinder.minimumPressure,
+                yMax: cylinder.minimumPressure,
+                yScaleID: 'yGas',
+                borderColor: color,
+                borderWidth: 1.5,
+                borderDash: [8, 4],
+                label: {
+                    display: true,
+                    content: cylinder.role === 'deco'
+                        ? `${cylinder.name} DECO RESERVE: ${minimum} bar`
+                        : cylinder.turnPressure > cylinder.minimumPressure
+                            ? `${cylinder.name} MIN GAS: ${minimum} bar`
+                            : `${cylinder.name} MIN GAS / TURN: ${minimum} bar`,
+                    position: 'start',
+                    backgroundColor: color,
+                    color: 'white',
+                    font: { size: 10, weight: 'bold' },
+                    padding: { top: 3, bottom: 3, left: 6, right: 6 }
+                }
+            };
+            
+            if (cylinder.role !== 'bottom' || cylinder.turnPressure <= cylinder.minimumPressure) return;
+            annotations.turnPressureLine = {
+                type: 'line',
+                yMin: cylinder.turnPressure,
+                yMax: cylinder.turnPressure,
+                yScaleID: 'yGas',
+                borderColor: color,
+                borderWidth: 1.5,
+                borderDash: [2, 3],
+                label: {
+                    display: true,
+                    content: `TURN: ${Math.round(cylinder.turnPressure)} bar`,
+                    position: 'end',
+                    backgroundColor: color,
+                    color: 'white',
+                    font: { size: 10, weight: 'bold' },
+                    padding: { top: 3, bottom: 3, left: 6, right: 6 }
+                }
+            };
+        });
         
-        // Calculate gas consumption if needed
-        let gasConsumption = null;
-        if (this.options.showGasConsumption) {
-            const sacRate = this.diveSetup.sacRate || 20; // Default 20 L/min
-            const reservePressure = this.diveSetup.reservePressure || 50;
-            gasConsumption = this._calculateGasConsumption(results, gases, sacRate, reservePressure);
+        // Where the bottom gas reaches its turn pressure (past the worst point: turn too late)
+        const bottom = gasPlan.cylinders.find(cylinder => cylinder.role === 'bottom');
+        if (bottom?.turnTime !== null && bottom?.turnTime !== undefined) {
+            const late = bottom.turnTime < gasPlan.worstPoint.time;
+            annotations.turnPoint = {
+                type: 'point',
+                xValue: bottom.turnTime,
+                yValue: bottom.turnPressure,
+                yScaleID: 'yGas',
+                radius: 6,
+                backgroundColor: late ? 'rgba(231, 76, 60, 0.9)' : 'white',
+                borderColor: gasColors[bottom.gasId] || 'rgba(231, 76, 60, 0.9)',
+                borderWidth: 2
+            };
+            annotations.turnPointLabel = {
+                type: 'label',
+                xValue: bottom.turnTime,
+                yValue: bottom.turnPressure,
+                yScaleID: 'yGas',
+                yAdjust: -16,
+                content: [late ? '⚠ TURN POINT' : 'TURN POINT'],
+                backgroundColor: 'rgba(52, 73, 94, 0.9)',
+                color: 'white',
+                font: { size: 9, weight: 'bold' },
+                padding: { top: 2, bottom: 2, left: 4, right: 4 }
+            };
         }
-        
-        return {
-            results,
-            ceilingDepths,
-            compartmentCeilings,
-            ndlData,
-            gasConsumption,
-            waypoints,
-            gases
-        };
+    }
+    
+    /**
+     * Get the environment for calculations
+     * The dive setup's own environment wins over the chart config.
+     * @private
+     * @returns {Object} Environment config {altitude, waterDensity, surfacePressure?}
+     */
+    _getEnvironment() {
+        return this.diveSetup?.environment || this.environment;
+    }
+    
+    /**
+     * Key identifying the inputs of the chart data (setup with its model, options,
+     * environment, pinned plan)
+     * @private
+     * @returns {string}
+     */
+    _getDataKey() {
+        return JSON.stringify([this.diveSetup, this.options, this._getEnvironment(), this.pinnedSetup]);
     }
     
     /**
      * Render the chart
+     * The chart data is calculated by the calculation service (in its worker when
+     * available); a newer render supersedes one still calculating.
      * @private
      */
     _render() {
         // Update tissue controls visibility
         this._updateTissueControlsVisibility();
         
-        const data = this._calculateData();
-        if (!data) return;
+        if (!this.diveSetup) return;
+        this._syncCompartments();
         
-        const { results, ceilingDepths, compartmentCeilings, gasConsumption, waypoints, gases } = data;
+        // Option changes that don't affect the data (e.g. visible compartments) redraw at once
+        const key = this._getDataKey();
+        if (this._dataCache?.key === key) {
+            this._draw(this._dataCache.data);
+            return;
+        }
         
-        // Calculate axis bounds
-        const maxDepth = Math.max(...waypoints.map(wp => wp.depth));
+        getCalcService()
+            .run('profileChartData', [this.diveSetup, this.options, this._getEnvironment(), this.pinnedSetup], { channel: this })
+            .then(data => {
+                this._dataCache = { key, data };
+                this._draw(data);
+            })
+            .catch(error => {
+                if (!(error instanceof CalcCancelledError)) {
+                    console.error('DiveProfileChart: calculation failed', error);
+                }
+            });
+    }
+    
+    /**
+     * Draw the chart from calculated data
+     * @private
+     * @param {Object|null} data - Result of calculateProfileChartData()
+     */
+    _draw(data) {
+        if (!data || !this.chartContainer) return;
+        
+        const { results, ceilingDepths, compartmentCeilings, gfSeries, ttsSeries, gasConsumption, gasPlan, comparison, bailout, postDiveTimes, pinned, waypoints, timeline, gases } = data;
+        
+        // Calculate axis bounds (the pinned plan may go deeper)
+        const maxDepth = Math.max(...waypoints.map(wp => wp.depth), ...(pinned ? pinned.waypoints.map(wp => wp.depth) : []));
         const maxPressure = Math.max(...results.ambientPressures);
         
+        // Total inert gas (N2 + He) tissue pressure for a compartment
+        const inertPressures = (comp) => comp.hePressures
+            ? comp.pressures.map((p, i) => p + comp.hePressures[i])
+            : comp.pressures;
+        const hasHelium = results.heFractions ? results.heFractions.some(f => f > 0) : false;
+        const compartments = resolveModel(results.model).compartments;
+        
         // For tissue loading, also consider tissue pressures
         let maxTissuePressure = maxPressure;
         if (this.options.showTissueLoading) {
             Object.values(results.compartments).forEach(comp => {
-                const compMax = Math.max(...comp.pressures);
+                const compMax = Math.max(...inertPressures(comp));
                 if (compMax > maxTissuePressure) {
                     maxTissuePressure = compMax;
                 }
@@ -861,10 +1044,10 @@ export class DiveProfileChart {
         
         // Tissue loading curves (if enabled)
         if (this.options.showTissueLoading) {
-            COMPARTMENTS.forEach(comp => {
+            compartments.forEach(comp => {
                 if (!this.visibleCompartments.has(comp.id)) return;
                 
-                const pressureData = results.compartments[comp.id].pressures;
+                const pressureData = inertPressures(results.compartments[comp.id]);
                 datasets.push({
                     label: `TC${comp.id} (${comp.halfTime}min)`,
                     data: results.timePoints.map((t, i) => ({
@@ -884,7 +1067,7 @@ export class DiveProfileChart {
             
             // Per-compartment ceiling lines (dashed, same color as tissue)
             if (this.options.showCeiling && compartmentCeilings) {
-                COMPARTMENTS.forEach(comp => {
+                compartments.forEach(comp => {
                     if (!this.visibleCompartments.has(comp.id)) return;
                     
                     const ceilingData = compartmentCeilings[comp.id];
@@ -930,6 +1113,123 @@ export class DiveProfileChart {
             });
         }
         
+        // GF99 / Surface GF lines (percent of the raw M-value gradient)
+        if (gfSeries) {
+            const gfLines = [
+                { show: this.options.showGF99, label: 'GF99 (%)', values: gfSeries.gf99,
+                  compartments: gfSeries.gf99Compartments, color: this.options.colors.gf99, dash: [] },
+                { show: this.options.showSurfaceGF, label: 'Surface GF (%)', values: gfSeries.surfaceGF,
+                  compartments: gfSeries.surfaceGFCompartments, color: this.options.colors.surfaceGF, dash: [4, 2] }
+            ];
+            gfLines.filter(line => line.show).forEach(line => {
+                datasets.push({
+                    label: line.label,
+                    data: results.timePoints.map((t, i) => ({ x: t, y: line.values[i] })),
+                    leadingCompartments: line.compartments,
+                    borderColor: line.color,
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    yAxisID: 'yGF',
+                    tension: 0,
+                    pointRadius: 0,
+                    borderWidth: 1.5,
+                    borderDash: line.dash,
+                    order: 6
+                });
+            });
+        }
+        
+        // TTS lines (minutes to surface if the ascent started now / after the extra stay)
+        if (ttsSeries) {
+            [
+                { label: 'TTS (min)', values: ttsSeries.tts, dash: [] },
+                { label: `TTS @+${ttsSeries.extraTime} (min)`, values: ttsSeries.ttsPlus, dash: [6, 3] }
+            ].forEach(line => {
+                datasets.push({
+                    label: line.label,
+                    data: results.timePoints.map((t, i) => ({ x: t, y: line.values[i] })),
+                    borderColor: this.options.colors.tts,
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    yAxisID: 'yTTS',
+                    stepped: true,
+                    pointRadius: 0,
+                    borderWidth: 1.5,
+                    borderDash: line.dash,
+                    order: 6
+                });
+            });
+        }
+        
+        // Algorithm comparison ascents (dashed, from the end of the bottom phase)
+        if (comparison) {
+            comparison.schedules.forEach((entry, i) => {
+                const color = this.options.colors.comparison[i % this.options.colors.comparison.length];
+                datasets.push({
+                    label: `${entry.label} ascent (${Math.round(entry.schedule.totalTime)} min)`,
+                    data: entry.points.map(p => ({ x: p.time, y: p.depth })),
+                    borderColor: color,
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    yAxisID: 'yDepth',
+                    tension: 0,
+                    pointRadius: 2,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    order: 8
+                });
+            });
+        }
+        
+        // Pinned plan (grey, behind the current profile)
+        if (pinned) {
+            datasets.push({
+                label: `📌 ${pinned.name} (m)`,
+                data: pinned.waypoints.map(wp => ({ x: wp.time, y: wp.depth })),
+                borderColor: this.options.colors.pinned,
+                backgroundColor: 'transparent',
+                fill: false,
+                yAxisID: 'yDepth',
+                tension: 0,
+                pointRadius: 0,
+                borderWidth: 2,
+                borderDash: [8, 4],
+                order: 11
+            });
+            if (this.options.showCeiling) {
+                datasets.push({
+                    label: `📌 ${pinned.name} ceiling (m)`,
+                    data: pinned.timePoints.map((t, i) => ({ x: t, y: pinned.ceilingDepths[i] })),
+                    borderColor: this.options.colors.pinned,
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    yAxisID: 'yDepth',
+                    tension: 0.1,
+                    pointRadius: 0,
+                    borderWidth: 1.5,
+                    borderDash: [2, 2],
+                    order: 11
+                });
+            }
+        }
+        
+        // Bailout ascent (dashed, from the bailout point)
+        if (bailout) {
+            datasets.push({
+                label: `${bailout.label} (${Math.round(bailout.schedule.totalTime)} min)`,
+                data: bailout.points.map(p => ({ x: p.time, y: p.depth })),
+                borderColor: this.options.colors.bailout,
+                backgroundColor: 'transparent',
+                fill: false,
+                yAxisID: 'yDepth',
+                tension: 0,
+                pointRadius: 2,
+                borderWidth: 2,
+                borderDash: [2, 3],
+                order: 8
+            });
+        }
+        
         // Ambient pressure (if enabled)
         if (this.options.showAmbientPressure) {
             datasets.push({
@@ -954,14 +1254,10 @@ export class DiveProfileChart {
             // ppO2
             datasets.push({
                 label: 'ppO₂ (bar)',
-                data: results.timePoints.map((t, i) => {
-                    const n2 = results.n2Fractions[i];
-                    const o2 = 1 - n2; // Simplified - assumes no helium
-                    return {
-                        x: t,
-                        y: results.ambientPressures[i] * o2
-                    };
-                }),
+                data: results.timePoints.map((t, i) => ({
+                    x: t,
+                    y: results.ppO2Pressures[i]
+                })),
                 borderColor: this.options.colors.ppO2,
                 fill: false,
                 yAxisID: 'yPressure',
@@ -1005,19 +1301,36 @@ export class DiveProfileChart {
                 borderWidth: 2,
                 order: 3
             });
+            
+            // Alveolar He (only when a helium mix is breathed)
+            if (hasHelium) {
+                datasets.push({
+                    label: 'Alveolar ppHe (bar)',
+                    data: results.timePoints.map((t, i) => ({
+                        x: t,
+                        y: results.alveolarHePressures[i]
+                    })),
+                    borderColor: this.options.colors.ppHe,
+                    borderDash: [2, 3],
+                    fill: false,
+                    yAxisID: 'yPressure',
+                    tension: 0,
+                    pointRadius: 0,
+                    borderWidth: 2,
+                    order: 3
+                });
+            }
         }
         
         // Gas consumption (if enabled)
         if (this.options.showGasConsumption && gasConsumption) {
-            const gasColors = ['#e74c3c', '#3498db', '#27ae60', '#9b59b6', '#f39c12'];
-            let colorIndex = 0;
+            const gasColors = getGasLineColors(gasConsumption);
             
             Object.entries(gasConsumption).forEach(([gasId, gasData]) => {
                 // Only show gases that are actually used
                 if (!gasData.isActive) return;
                 
-                const color = gasColors[colorIndex % gasColors.length];
-                colorIndex++;
+                const color = gasColors[gasId];
                 
                 // Tank pressure line
                 datasets.push({
@@ -1087,6 +1400,44 @@ export class DiveProfileChart {
             };
         }
         
+        // Add GF axis if needed (percent of M-value, at least up to 100%)
+        if (gfSeries) {
+            const shown = [
+                ...(this.options.showGF99 ? gfSeries.gf99 : []),
+                ...(this.options.showSurfaceGF ? gfSeries.surfaceGF : [])
+            ];
+            scales.yGF = {
+                type: 'linear',
+                position: 'right',
+                title: {
+                    display: true,
+                    text: 'GF (% of M-value)'
+                },
+                min: 0,
+                max: Math.max(100, Math.ceil(Math.max(...shown) / 10) * 10 + 10),
+                grid: {
+                    drawOnChartArea: false
+                }
+            };
+        }
+        
+        // Add TTS axis if needed
+        if (ttsSeries) {
+            scales.yTTS = {
+                type: 'linear',
+                position: 'right',
+                title: {
+                    display: true,
+                    text: 'TTS (min)'
+                },
+                min: 0,
+                suggestedMax: 10,
+                grid: {
+                    drawOnChartArea: false
+                }
+            };
+        }
+        
         // Add gas consumption axis if needed
         if (this.options.showGasConsumption && gasConsumption) {
             // Find max starting pressure across all gases
@@ -1111,35 +1462,47 @@ export class DiveProfileChart {
         // Build annotations
         const annotations = {};
         
-        // Profile labels (descent, bottom time, max depth, ascent) - only in depth mode
-        if (this.options.showLabels) {
+        // Repetitive dives: per-dive labels and surface intervals replace the single-dive labels
+        const isMultiDive = timeline.dives.length > 1;
+        if (isMultiDive) {
+            this._addDiveAnnotations(annotations, timeline);
+        } else if (this.options.showLabels) {
+            // Profile labels (descent, bottom time, max depth, ascent) - only in depth mode
             this._addProfileLabels(annotations, waypoints, results);
         }
         
         // Stop labels (deco stops) - always shown
-        this._addStopLabels(annotations, waypoints);
+        this._addStopLabels(annotations, waypoints, isMultiDive ? timeline.dives : null);
+        
+        // Altitude exposures after the last dive and the no-fly marker
+        const surfacingTime = waypoints[waypoints.length - 1].time;
+        this._addPostDiveAnnotations(annotations, results, surfacingTime, postDiveTimes);
         
-        // Reserve pressure line (if showing gas consumption)
+        // Minimum gas and turn pressure per cylinder, or the fixed reserve line without a gas plan
         if (this.options.showGasConsumption && gasConsumption) {
-            const reservePressure = Object.values(gasConsumption)[0]?.reservePressure || 50;
-            annotations.reserveLine = {
-                type: 'line',
-                yMin: reservePressure,
-                yMax: reservePressure,
-                yScaleID: 'yGas',
-                borderColor: 'rgba(231, 76, 60, 0.8)',
-                borderWidth: 2,
-                borderDash: [8, 4],
-                label: {
-                    display: true,
-                    content: `RESERVE: ${reservePressure} bar`,
-                    position: 'start',
-                    backgroundColor: 'rgba(231, 76, 60, 0.9)',
-                    color: 'white',
-                    font: { size: 10, weight: 'bold' },
-                    padding: { top: 3, bottom: 3, left: 6, right: 6 }
-                }
-            };
+            if (gasPlan) {
+                this._addGasPlanAnnotations(annotations, gasPlan, gasConsumption);
+            } else {
+                const reservePressure = Object.values(gasConsumption)[0]?.reservePressure || 50;
+                annotations.reserveLine = {
+                    type: 'line',
+                    yMin: reservePressure,
+                    yMax: reservePressure,
+                    yScaleID: 'yGas',
+                    borderColor: 'rgba(231, 76, 60, 0.8)',
+                    borderWidth: 2,
+                    borderDash: [8, 4],
+                    label: {
+                        display: true,
+                        content: `RESERVE: ${reservePressure} bar`,
+                        position: 'start',
+                        backgroundColor: 'rgba(231, 76, 60, 0.9)',
+                        color: 'white',
+                        font: { size: 10, weight: 'bold' },
+                        padding: { top: 3, bottom: 3, left: 6, right: 6 }
+                    }
+                };
+            }
         }
         
         // Gas switch markers
@@ -1229,6 +1592,13 @@ export class DiveProfileChart {
                             label: (context) => {
                                 const label = context.dataset.label || '';
                                 const value = context.parsed.y;
+                                if (context.dataset.leadingCompartments) {
+                                    const comp = context.dataset.leadingCompartments[context.dataIndex];
+                                    return `${label}: ${value.toFixed(0)}%${comp ? ` (C${comp})` : ''}`;
+                                }
+                                if (label.includes('TTS')) {
+                                    return `${label.replace(' (min)', '')}: ${Math.ceil(value)} min`;
+                                }
                                 if (label.includes('Depth') || label.includes('Ceiling')) {
                                     return `${label}: ${value.toFixed(1)} m`;
                                 } else if (label.includes('Pressure') || label.includes('pp')) {
@@ -1323,6 +1693,25 @@ export class DiveProfileChart {
         this._render();
     }
     
+    /**
+     * Pin a plan to draw behind the current one (its depth profile, and its
+     * ceiling when ceilings are shown)
+     * @param {Object|null} diveSetup - Dive setup of the pinned plan, or null to remove it
+     */
+    setPinnedSetup(diveSetup) {
+        if (diveSetup) {
+            const validation = validateDiveSetup(diveSetup);
+            if (!validation.valid) {
+                console.error('DiveProfileChart: Invalid pinned dive setup', validation.errors);
+                return;
+            }
+        }
+        this.pinnedSetup = diveSetup ? normalizeDiveSetup(diveSetup) : null;
+        if (this.diveSetup) {
+            this._render();
+        }
+    }
+    
     /**
      * Update chart options without changing data
      * @param {Object} options - New chart options
@@ -1339,13 +1728,18 @@ export class DiveProfileChart {
      * @returns {Object|null} Calculation results or null if no data
      */
     getResults() {
-        return this._calculateData();
+        if (!this.diveSetup) return null;
+        const key = this._getDataKey();
+        if (this._dataCache?.key === key) return this._dataCache.data;
+        return calculateProfileChartData(this.diveSetup, this.options, this._getEnvironment(), this.pinnedSetup);
     }
     
     /**
      * Destroy the chart and clean up resources
      */
     destroy() {
+        getCalcService().cancel(this);
+        
         if (this.chart) {
             this.chart.destroy();
             this.chart = null;
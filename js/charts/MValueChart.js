@@ -9,11 +9,13 @@
  * - M-value lines: Maximum tolerable tissue pressure (Bühlmann limits)
  * - GF lines: Gradient factor adjusted limits
  * - Tissue points: Current state of each compartment
- * - Trail: Path through the dive
+ * - Trail: Path through the dive (all dives of a repetitive series, surface
+ *   intervals included)
  * 
  * Keyboard Shortcuts (when chart is focused):
  *   Left/Right: Step time by 1 frame
  *   Shift+Left/Right: Jump to prev/next waypoint
+ *   PageUp/PageDown: Jump to start of prev/next dive (repetitive dives)
  *   Ctrl+Left/Home: Jump to start
  *   Ctrl+Right/End: Jump to end
  *   Space: Play/Pause animation
@@ -28,16 +30,24 @@
  *     diveSetup: { gases: [...], dives: [{ waypoints: [...] }], gfLow: 70, gfHigh: 85 },
  *     options: { compartments: [1, 2, 3, 4], showGFLines: true }
  *   });
+ *   
+ *   // Keep a second chart at the same dive time (e.g. a pinned plan)
+ *   const pinned = new MValueChart(otherElement, {
+ *     diveSetup: pinnedSetup,
+ *     options: { onTimeChange: (time) => chart.setTime(time) }
+ *   });
  */
 
 import { COMPARTMENTS } from '../tissueCompartments.js';
 import {
-    calculateTissueLoading,
     getMValue,
     getAdjustedMValue,
     getFirstStopDepth,
-    SURFACE_PRESSURE
+    getCombinedCoefficients,
+    resolveModel,
+    resolvePlanner
 } from '../decoModel.js';
+import { getCalcService, CalcCancelledError } from '../calcService.js';
 import {
     DEFAULT_ENVIRONMENT,
     mergeOptions,
@@ -55,6 +65,7 @@ const DEFAULT_MVALUE_OPTIONS = {
     showAmbientLine: true,
     showSurfaceLine: true,
     showTrail: true,
+    showGFReadout: true,  // GF99 / Surface GF next to the timeline
     interactive: true,
     fullscreenButton: true,
     compartmentSelector: true,
@@ -76,6 +87,8 @@ export class MValueChart {
      * @param {Object} config.diveSetup - Dive setup configuration
      * @param {Object} [config.environment] - Environmental settings
      * @param {Object} [config.options] - Chart display options
+     * @param {function(number): void} [config.options.onTimeChange] - Called with the time in
+     *        minutes whenever the time position changes, except through setTime()
      */
     constructor(container, config) {
         this.container = container;
@@ -88,14 +101,22 @@ export class MValueChart {
         this.timelineContainer = null;
         this.timeSlider = null;
         this.timeDisplay = null;
+        this.gfDisplay = null;
         this.playBtn = null;
+        this.prevDiveBtn = null;
+        this.nextDiveBtn = null;
         
         // State
         this.calculationResults = null;
+        this.gfSeries = null;
+        this.timeline = null;
         this.currentTimeIndex = 0;
         this.visibleCompartments = new Set();
+        this.compartments = COMPARTMENTS;
+        this._compartmentKey = null;
         this.isPlaying = false;
         this.playInterval = null;
+        this._settingTime = false;  // setTime() in progress (onTimeChange not called)
         this.savedZoomState = null;
         this.hasUserZoomed = false;
         
@@ -125,8 +146,9 @@ export class MValueChart {
         
         // Calculate and render if we have data
         if (this.diveSetup) {
-            this._calculate();
-            this._render();
+            this._calculate().then(applied => {
+                if (applied) this._render();
+            });
         }
     }
     
@@ -304,7 +326,7 @@ export class MValueChart {
         this.controlsContainer.appendChild(btnGroup);
         
         // Compartment checkboxes
-        COMPARTMENTS.forEach(comp => {
+        this.compartments.forEach(comp => {
             const label = document.createElement('label');
             label.style.cssText = `
                 display: inline-flex; align-items: center; gap: 2px;
@@ -358,6 +380,12 @@ export class MValueChart {
         // Fast forward button
         const ffwdBtn = this._createButton('⏭', 'Jump to end (End)', () => this._jumpToEnd());
         
+        // Dive jump buttons (only shown for repetitive dives)
+        this.prevDiveBtn = this._createButton('⏪', 'Previous dive (PageUp)', () => this._jumpToPrevDive());
+        this.nextDiveBtn = this._createButton('⏩', 'Next dive (PageDown)', () => this._jumpToNextDive());
+        this.prevDiveBtn.style.display = 'none';
+        this.nextDiveBtn.style.display = 'none';
+        
         // Time slider
         this.timeSlider = document.createElement('input');
         this.timeSlider.type = 'range';
@@ -379,13 +407,26 @@ export class MValueChart {
         this.timeDisplay.style.cssText = 'font-family: monospace; min-width: 120px; text-align: right;';
         this.timeDisplay.textContent = '0.0 min @ 0m';
         
+        // GF99 / Surface GF readout
+        if (this.options.showGFReadout) {
+            this.gfDisplay = document.createElement('span');
+            this.gfDisplay.className = 'mvc-gf-readout';
+            this.gfDisplay.style.cssText = 'font-family: monospace; min-width: 220px; text-align: right;';
+            this.gfDisplay.title = 'Leading compartment supersaturation as % of its M-value, here and if surfaced now';
+        }
+        
         this.timelineContainer.appendChild(rewindBtn);
+        this.timelineContainer.appendChild(this.prevDiveBtn);
         this.timelineContainer.appendChild(stepBackBtn);
         this.timelineContainer.appendChild(this.playBtn);
         this.timelineContainer.appendChild(stepFwdBtn);
+        this.timelineContainer.appendChild(this.nextDiveBtn);
         this.timelineContainer.appendChild(ffwdBtn);
         this.timelineContainer.appendChild(this.timeSlider);
         this.timelineContainer.appendChild(this.timeDisplay);
+        if (this.gfDisplay) {
+            this.timelineContainer.appendChild(this.gfDisplay);
+        }
     }
     
     /**
@@ -450,6 +491,16 @@ export class MValueChart {
                     }
                     break;
                     
+                case 'PageDown':
+                    e.preventDefault();
+                    this._jumpToNextDive();
+                    break;
+                    
+                case 'PageUp':
+                    e.preventDefault();
+                    this._jumpToPrevDive();
+                    break;
+                    
                 case 'Home':
                     e.preventDefault();
                     this._jumpToStart();
@@ -579,6 +630,47 @@ export class MValueChart {
         this._jumpToStart();
     }
     
+    /**
+     * Time indices where each dive of the timeline starts
+     * @private
+     * @returns {number[]} Ascending indices (just [0] for a single dive)
+     */
+    _findDiveStartIndices() {
+        if (!this.calculationResults || !this.timeline) return [0];
+        const times = this.calculationResults.timePoints;
+        return this.timeline.dives.map(dive => {
+            const index = times.findIndex(t => t >= dive.startTime - 1e-9);
+            return index === -1 ? times.length - 1 : index;
+        });
+    }
+    
+    _jumpToNextDive() {
+        this._stopPlayback();
+        const starts = this._findDiveStartIndices();
+        const next = starts.find(index => index > this.currentTimeIndex);
+        if (next === undefined) {
+            this._jumpToEnd();
+            return;
+        }
+        this.currentTimeIndex = next;
+        this._updateSliderPosition();
+        this._updateTimeDisplay();
+        this._render();
+    }
+    
+    _jumpToPrevDive() {
+        this._stopPlayback();
+        const starts = this._findDiveStartIndices().filter(index => index < this.currentTimeIndex);
+        if (starts.length === 0) {
+            this._jumpToStart();
+            return;
+        }
+        this.currentTimeIndex = starts[starts.length - 1];
+        this._updateSliderPosition();
+        this._updateTimeDisplay();
+        this._render();
+    }
+    
     _togglePlayback() {
         if (this.isPlaying) {
             this._stopPlayback();
@@ -627,14 +719,59 @@ export class MValueChart {
         const time = this.calculationResults.timePoints[this.currentTimeIndex] || 0;
         const depth = this.calculationResults.depthPoints[this.currentTimeIndex] || 0;
         this.timeDisplay.textContent = `${time.toFixed(1)} min @ ${depth.toFixed(1)}m`;
+        
+        // Which dive (or surface interval) the time falls in
+        if (this.timeline && this.timeline.dives.length > 1) {
+            const dive = this.timeline.dives.find(d => time >= d.startTime - 1e-9 && time <= d.endTime + 1e-9);
+            this.timeDisplay.textContent += dive ? ` · ${dive.label}` : ' · Surface';
+        }
+        
+        if (this.gfDisplay && this.gfSeries) {
+            const i = this.currentTimeIndex;
+            const format = (gf, comp) => `${Math.round(gf)}%${comp ? ` (C${comp})` : ''}`;
+            const gf99 = this.gfSeries.gf99[i];
+            const surfaceGF = this.gfSeries.surfaceGF[i];
+            this.gfDisplay.textContent =
+                `GF99 ${format(gf99, this.gfSeries.gf99Compartments[i])} · ` +
+                `Surf GF ${format(surfaceGF, this.gfSeries.surfaceGFCompartments[i])}`;
+            this.gfDisplay.style.color = gf99 > 100 ? '#e74c3c' : surfaceGF > 100 ? '#e67e22' : '';
+        }
+        
+        // Charts kept in sync get the new time (setTime() doesn't echo it back)
+        if (this.options.onTimeChange && !this._settingTime) {
+            this.options.onTimeChange(time);
+        }
     }
     
     // ============================================================================
     // Compartment Selection
     // ============================================================================
     
+    /**
+     * Follow the model of the calculated results: custom models have their own
+     * compartment count, half-times and colors, so the selector is rebuilt when
+     * those change
+     * @private
+     */
+    _syncCompartments() {
+        const compartments = resolveModel(this.calculationResults.model).compartments;
+        const key = compartments.map(c => `${c.id}:${c.halfTime}:${c.color}`).join(',');
+        if (key === this._compartmentKey) return;
+        
+        this._compartmentKey = key;
+        this.compartments = compartments;
+        const ids = new Set(compartments.map(c => c.id));
+        this.visibleCompartments.forEach(id => {
+            if (!ids.has(id)) this.visibleCompartments.delete(id);
+        });
+        if (this.visibleCompartments.size === 0) {
+            this.visibleCompartments.add(compartments[0].id);
+        }
+        this._buildCompartmentSelector();
+    }
+    
     _selectAllCompartments() {
-        COMPARTMENTS.forEach(c => this.visibleCompartments.add(c.id));
+        this.compartments.forEach(c => this.visibleCompartments.add(c.id));
         this._updateCompartmentCheckboxes();
         this._render();
     }
@@ -647,14 +784,14 @@ export class MValueChart {
     
     _selectFastCompartments() {
         this.visibleCompartments.clear();
-        COMPARTMENTS.filter(c => c.halfTime <= 12.5).forEach(c => this.visibleCompartments.add(c.id));
+        this.compartments.filter(c => c.halfTime <= 12.5).forEach(c => this.visibleCompartments.add(c.id));
         this._updateCompartmentCheckboxes();
         this._render();
     }
     
     _selectSlowCompartments() {
         this.visibleCompartments.clear();
-        COMPARTMENTS.filter(c => c.halfTime >= 109).forEach(c => this.visibleCompartments.add(c.id));
+        this.compartments.filter(c => c.halfTime >= 109).forEach(c => this.visibleCompartments.add(c.id));
         this._updateCompartmentCheckboxes();
         this._render();
     }
@@ -664,7 +801,7 @@ export class MValueChart {
         if (currentIds.length === 0) return;
         
         const slowestId = currentIds[currentIds.length - 1];
-        if (slowestId >= 16) return;
+        if (slowestId >= this.compartments.length) return;
         
         this.visibleCompartments.clear();
         currentIds.forEach(id => this.visibleCompartments.add(id + 1));
@@ -691,7 +828,7 @@ export class MValueChart {
             this.visibleCompartments.add(1);
         } else {
             const slowestId = currentIds[currentIds.length - 1];
-            if (slowestId < 16) {
+            if (slowestId < this.compartments.length) {
                 this.visibleCompartments.add(slowestId + 1);
             }
         }
@@ -746,18 +883,69 @@ export class MValueChart {
     // Calculation & Rendering
     // ============================================================================
     
+    /**
+     * Calculate the tissue loading timeline through the calculation service
+     * (in its worker when available); a newer calculation supersedes one in progress
+     * @returns {Promise<boolean>} Whether the results were applied (false when superseded)
+     */
     _calculate() {
         if (!this.diveSetup || !this.diveSetup.dives || this.diveSetup.dives.length === 0) {
             this.calculationResults = null;
-            return;
+            return Promise.resolve(true);
         }
         
-        const waypoints = this.diveSetup.dives[0].waypoints;
-        const gases = this.diveSetup.gases;
-        const surfaceInterval = this.diveSetup.surfaceInterval || 0;
+        // The dive setup's own environment wins over the chart config
+        const environment = this.diveSetup.environment || this.environment;
+        const options = { showGFReadout: this.options.showGFReadout };
         
-        this.calculationResults = calculateTissueLoading(waypoints, surfaceInterval, { gases });
-        this._updateTimeDisplay();
+        return getCalcService()
+            .run('mValueChartData', [this.diveSetup, environment, options], { channel: this })
+            .then(({ results, gfSeries, timeline }) => {
+                this.calculationResults = results;
+                this._syncCompartments();
+                this.gfSeries = gfSeries;
+                this.timeline = timeline;
+                this.currentTimeIndex = Math.min(this.currentTimeIndex, results.timePoints.length - 1);
+                
+                const isMultiDive = timeline.dives.length > 1;
+                if (this.prevDiveBtn) {
+                    this.prevDiveBtn.style.display = isMultiDive ? '' : 'none';
+                    this.nextDiveBtn.style.display = isMultiDive ? '' : 'none';
+                }
+                
+                this._updateTimeDisplay();
+                return true;
+            })
+            .catch(error => {
+                if (!(error instanceof CalcCancelledError)) {
+                    console.error('MValueChart: calculation failed', error);
+                }
+                return false;
+            });
+    }
+    
+    /**
+     * Get total inert gas (N2 + He) tissue pressure for a compartment
+     * @param {number} compId - Compartment ID
+     * @param {number} index - Time index
+     * @returns {number} Tissue inert gas pressure in bar
+     */
+    _getInertPressure(compId, index) {
+        const comp = this.calculationResults.compartments[compId];
+        return comp.pressures[index] + (comp.hePressures ? comp.hePressures[index] : 0);
+    }
+    
+    /**
+     * Get a/b coefficients for a compartment at a time index
+     * Uses He-weighted coefficients when the tissue holds helium.
+     * @param {Object} comp - Compartment definition
+     * @param {number} index - Time index
+     * @returns {{a: number, b: number}}
+     */
+    _getCoefficients(comp, index) {
+        const data = this.calculationResults.compartments[comp.id];
+        const pHe = data.hePressures ? data.hePressures[index] : 0;
+        return getCombinedCoefficients(comp, data.pressures[index], pHe);
     }
     
     _render() {
@@ -767,14 +955,20 @@ export class MValueChart {
         const gfLow = (this.diveSetup.gfLow || 100) / 100;
         const gfHigh = (this.diveSetup.gfHigh || 100) / 100;
         const timeIndex = this.currentTimeIndex;
+        const surfacePressure = results.environment.surfacePressure;
         
         // Get current ambient pressure
         const currentAmbient = results.ambientPressures[timeIndex];
         
         // Determine chart bounds
         const maxAmbient = Math.max(...results.ambientPressures);
-        const allPressures = Object.values(results.compartments).flatMap(c => c.pressures);
+        const allPressures = Object.values(results.compartments).flatMap(c => 
+            c.pressures.map((p, i) => p + (c.hePressures ? c.hePressures[i] : 0))
+        );
         const maxTissue = Math.max(...allPressures);
+        const hasHelium = Object.values(results.compartments).some(c => 
+            c.hePressures && c.hePressures.some(p => p > 0.001)
+        );
         const maxPressure = Math.max(maxAmbient, maxTissue, 5) * 1.1;
         
         const datasets = [];
@@ -793,11 +987,11 @@ export class MValueChart {
             });
         }
         
-        // Surface line (x = 1 bar)
+        // Surface line (x = surface pressure, 1 bar at sea level)
         if (this.options.showSurfaceLine) {
             datasets.push({
-                label: 'Surface (1 bar)',
-                data: [{ x: SURFACE_PRESSURE, y: 0 }, { x: SURFACE_PRESSURE, y: maxPressure }],
+                label: `Surface (${+surfacePressure.toFixed(2)} bar)`,
+                data: [{ x: surfacePressure, y: 0 }, { x: surfacePressure, y: maxPressure }],
                 borderColor: this.options.colors.surface,
                 borderWidth: 1,
                 borderDash: [5, 5],
@@ -811,7 +1005,7 @@ export class MValueChart {
         // Calculate first stop depth for GF corridor line
         // GF Low applies at first stop, GF High at surface, linear interpolation between
         const hasGF = gfLow < 1 || gfHigh < 1;
-        let firstStopAmbient = SURFACE_PRESSURE;
+        let firstStopAmbient = surfacePressure;
         let maxDepthAmbient = maxAmbient;  // Starting point of ascent (max depth)
         
         if (hasGF && results.depthPoints) {
@@ -830,13 +1024,16 @@ export class MValueChart {
             maxDepthAmbient = results.ambientPressures[ascentStartIndex];
             
             // Get tissue pressures at ascent start
-            const tissuePressures = {};
+            const tissuePressures = { n2: {}, he: {} };
             for (const compId of Object.keys(results.compartments)) {
-                tissuePressures[compId] = results.compartments[compId].pressures[ascentStartIndex];
+                const data = results.compartments[compId];
+                tissuePressures.n2[compId] = data.pressures[ascentStartIndex];
+                tissuePressures.he[compId] = data.hePressures ? data.hePressures[ascentStartIndex] : 0;
             }
             
             // Calculate first stop from tissue loading at ascent start
-            const { ambient } = getFirstStopDepth(tissuePressures, gfLow);
+            const { stopIncrement } = resolvePlanner(results.planner);
+            const { ambient } = getFirstStopDepth(tissuePressures, gfLow, stopIncrement, null, results.environment, results.model);
             firstStopAmbient = ambient;
             
             // Draw vertical line at first stop depth
@@ -856,15 +1053,18 @@ export class MValueChart {
             });
         }
         
-        // For each visible compartment
-        COMPARTMENTS.forEach(comp => {
+        // For each visible compartment (coefficients of the setup's model)
+        resolveModel(results.model).compartments.forEach(comp => {
             if (!this.visibleCompartments.has(comp.id)) return;
             
+            // Coefficients for the current tissue mix (N2 only unless helium is loaded)
+            const { a, b } = this._getCoefficients(comp, timeIndex);
+            
             // M-value line
             if (this.options.showMValueLines) {
                 const mValueData = [];
                 for (let p = 0; p <= maxPressure; p += 0.5) {
-                    mValueData.push({ x: p, y: getMValue(p, comp.aN2, comp.bN2) });
+                    mValueData.push({ x: p, y: getMValue(p, a, b) });
                 }
                 
                 datasets.push({
@@ -885,7 +1085,7 @@ export class MValueChart {
                 // GF Low line
                 const gfLowData = [];
                 for (let p = 0; p <= maxPressure; p += 0.5) {
-                    gfLowData.push({ x: p, y: getAdjustedMValue(p, comp.aN2, comp.bN2, gfLow) });
+                    gfLowData.push({ x: p, y: getAdjustedMValue(p, a, b, gfLow) });
                 }
                 datasets.push({
                     label: `GF Low (${Math.round(gfLow * 100)}%) TC${comp.id}`,
@@ -902,7 +1102,7 @@ export class MValueChart {
                 // GF High line
                 const gfHighData = [];
                 for (let p = 0; p <= maxPressure; p += 0.5) {
-                    gfHighData.push({ x: p, y: getAdjustedMValue(p, comp.aN2, comp.bN2, gfHigh) });
+                    gfHighData.push({ x: p, y: getAdjustedMValue(p, a, b, gfHigh) });
                 }
                 datasets.push({
                     label: `GF High (${Math.round(gfHigh * 100)}%) TC${comp.id}`,
@@ -919,14 +1119,14 @@ export class MValueChart {
                 // GF Corridor line - the ACTUAL critical limit during ascent
                 // Goes from (maxDepthAmbient, M_gfLow) to (surfacePressure, M_gfHigh)
                 // This shows the limit from when you leave bottom to when you reach surface
-                const mAtMaxDepthGfLow = getAdjustedMValue(maxDepthAmbient, comp.aN2, comp.bN2, gfLow);
-                const mAtSurfaceGfHigh = getAdjustedMValue(SURFACE_PRESSURE, comp.aN2, comp.bN2, gfHigh);
+                const mAtMaxDepthGfLow = getAdjustedMValue(maxDepthAmbient, a, b, gfLow);
+                const mAtSurfaceGfHigh = getAdjustedMValue(surfacePressure, a, b, gfHigh);
                 
                 datasets.push({
                     label: `GF Corridor TC${comp.id}`,
                     data: [
                         { x: maxDepthAmbient, y: mAtMaxDepthGfLow },
-                        { x: SURFACE_PRESSURE, y: mAtSurfaceGfHigh }
+                        { x: surfacePressure, y: mAtSurfaceGfHigh }
                     ],
                     borderColor: comp.color,
                     borderWidth: 3,
@@ -944,7 +1144,7 @@ export class MValueChart {
                 for (let i = 0; i <= timeIndex; i++) {
                     trailData.push({
                         x: results.ambientPressures[i],
-                        y: results.compartments[comp.id].pressures[i]
+                        y: this._getInertPressure(comp.id, i)
                     });
                 }
                 datasets.push({
@@ -960,7 +1160,7 @@ export class MValueChart {
             }
             
             // Current tissue point
-            const currentTissue = results.compartments[comp.id].pressures[timeIndex];
+            const currentTissue = this._getInertPressure(comp.id, timeIndex);
             datasets.push({
                 label: `TC${comp.id} (${comp.halfTime}min)`,
                 data: [{ x: currentAmbient, y: currentTissue }],
@@ -1041,7 +1241,7 @@ export class MValueChart {
                     },
                     y: {
                         type: 'linear',
-                        title: { display: true, text: 'Tissue N₂ Pressure (bar)' },
+                        title: { display: true, text: hasHelium ? 'Tissue N₂ + He Pressure (bar)' : 'Tissue N₂ Pressure (bar)' },
                         min: 0,
                         max: maxPressure
                     }
@@ -1092,6 +1292,26 @@ export class MValueChart {
         this._render();
     }
     
+    /**
+     * Move to the last time point at or before a time (in minutes), e.g. to
+     * follow another chart; doesn't call onTimeChange
+     * @param {number} minutes - Time in minutes
+     */
+    setTime(minutes) {
+        if (!this.calculationResults) return;
+        const { timePoints } = this.calculationResults;
+        let index = 0;
+        while (index < timePoints.length - 1 && timePoints[index + 1] <= minutes + 1e-9) {
+            index++;
+        }
+        this._settingTime = true;
+        try {
+            this.setTimeIndex(index);
+        } finally {
+            this._settingTime = false;
+        }
+    }
+    
     /**
      * Get total time points
      * @returns {number}
@@ -1136,14 +1356,17 @@ export class MValueChart {
         
         this.diveSetup = normalizeDiveSetup(diveSetup);
         this.currentTimeIndex = 0;
-        this._calculate();
-        this._updateSliderPosition();
-        this._render();
+        this._calculate().then(applied => {
+            if (applied) {
+                this._updateSliderPosition();
+                this._render();
+            }
+        });
     }
     
     /**
      * Toggle compartment visibility
-     * @param {number} compartmentId - Compartment ID (1-16)
+     * @param {number} compartmentId - Compartment ID (1-16 for ZH-L16, row order for custom models)
      * @param {boolean} [visible] - Set visibility
      */
     toggleCompartment(compartmentId, visible) {
@@ -1167,6 +1390,7 @@ export class MValueChart {
      */
     destroy() {
         this._stopPlayback();
+        getCalcService().cancel(this);
         
         if (this.chart) {
             this.chart.destroy();
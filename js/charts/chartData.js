@@ -0,0 +1,444 @@
+/**
+ * Chart Data Calculations
+ * 
+ * The calculations behind DiveProfileChart and MValueChart as pure functions
+ * of a dive setup. Results are plain objects and arrays (structured-clone safe),
+ * so the charts can have them computed in the calculation worker.
+ */
+
+import {
+    calculateTissueLoading,
+    calculateCeilingTimeSeries,
+    calculateCeilingTimeSeriesDetailed,
+    calculateGF99TimeSeries,
+    calculateNDL,
+    resolveCCR,
+    DecoStopError
+} from '../decoModel.js';
+import { compareAscentSchedules, getAlgorithmParams, getBottomPhase, planBailout, calculateTTSTimeSeries } from '../decoAlgorithms.js';
+import {
+    getDiveSetupTimeline,
+    getModelSettings,
+    getPlannerSettings,
+    getPostDiveSettings,
+    getPostDiveTimes,
+    calculateOxygenExposure,
+    createSacRateLookup
+} from '../diveSetup.js';
+import { planGas } from '../gasPlanning.js';
+import { getCylinderContents, getCylinderPressure } from '../gasCompressibility.js';
+
+// ============================================================================
+// Dive Profile Chart
+// ============================================================================
+
+/**
+ * Run an ascent plan, or give null when one of its stops never clears
+ * (the chart then leaves that overlay out instead of failing)
+ * @param {function(): Object} plan - Planning call
+ * @returns {Object|null} Plan result
+ */
+function planOrNull(plan) {
+    try {
+        return plan();
+    } catch (error) {
+        if (error instanceof DecoStopError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Calculate all data DiveProfileChart draws for a dive setup
+ * Pure and structured-clone safe, so it can run in the calculation worker.
+ * @param {Object} diveSetup - Normalized dive setup
+ * @param {Object} options - Chart options (the show* flags select what is calculated)
+ * @param {Object} [environment] - Altitude/water density for the calculations
+ * @param {Object} [pinnedSetup] - Normalized setup of a pinned plan to overlay (see calculatePinnedOverlay)
+ * @returns {Object|null} Calculated data, or null without dives
+ */
+export function calculateProfileChartData(diveSetup, options, environment = null, pinnedSetup = null) {
+    if (!diveSetup || !diveSetup.dives || diveSetup.dives.length === 0) {
+        return null;
+    }
+    
+    // All dives on one timeline, surface intervals included
+    const timeline = getDiveSetupTimeline(diveSetup);
+    const waypoints = timeline.waypoints;
+    const gases = diveSetup.gases;
+    const gfLow = (diveSetup.gfLow || 100) / 100;
+    const gfHigh = (diveSetup.gfHigh || 100) / 100;
+    const surfaceInterval = diveSetup.surfaceInterval || 0;
+    
+    const params = getAlgorithmParams(diveSetup);
+    const { ccr, planner, model } = params;
+    const { exposures: altitudeExposures } = getPostDiveSettings(diveSetup);
+    
+    // Calculate tissue loading
+    const results = calculateTissueLoading(waypoints, surfaceInterval, { gases, environment, model, ccr, planner, altitudeExposures });
+    
+    // Calculate ceiling if needed - use detailed version in tissue mode
+    let ceilingDepths = null;
+    let compartmentCeilings = null;
+    if (options.showCeiling) {
+        if (options.showTissueLoading) {
+            const detailed = calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh);
+            ceilingDepths = detailed.ceilingDepths;
+            compartmentCeilings = detailed.compartmentCeilings;
+        } else {
+            ceilingDepths = calculateCeilingTimeSeries(results, gfLow, gfHigh);
+        }
+    }
+    
+    // GF99 / Surface GF (supersaturation of the leading compartment)
+    let gfSeries = null;
+    if (options.showGF99 || options.showSurfaceGF) {
+        gfSeries = calculateGF99TimeSeries(results);
+    }
+    
+    // Time-to-surface now and after 5 more minutes at each sample
+    let ttsSeries = null;
+    if (options.showTTS) {
+        ttsSeries = calculateTTSTimeSeries(results, gases, { ...params, gfLow, gfHigh, environment });
+    }
+    
+    // No-fly wait after the last dive
+    let postDiveTimes = null;
+    if (options.showNoFly) {
+        postDiveTimes = getPostDiveTimes({ ...diveSetup, environment });
+    }
+    
+    // Calculate NDL if needed
+    let ndlData = null;
+    if (options.showNDL) {
+        const maxDepth = Math.max(...waypoints.map(wp => wp.depth));
+        const bottomGas = ccr ? (gases.find(g => g.id === ccr.diluentId) || gases[0]) : gases[0];
+        const setpoint = ccr ? (maxDepth >= ccr.setpointSwitchDepth ? ccr.setpointHigh : ccr.setpointLow) : null;
+        ndlData = calculateNDL(maxDepth, bottomGas.n2, gfLow, bottomGas.he || 0, { environment, model, setpoint, planner });
+    }
+    
+    // Calculate gas consumption if needed, with the minimum gas and turn pressure per cylinder
+    let gasConsumption = null;
+    let gasPlan = null;
+    if (options.showGasConsumption) {
+        const sacRate = createSacRateLookup(waypoints, diveSetup); // Per dive phase
+        const reservePressure = diveSetup.reservePressure || 50;
+        gasConsumption = calculateGasConsumption(results, gases, sacRate, reservePressure, diveSetup.gasModel, waypoints);
+        gasPlan = planGas({ ...diveSetup, environment });
+    }
+    
+    // Ascent schedules of each algorithm from the same bottom phase
+    let comparison = null;
+    if (options.showAlgorithmComparison) {
+        comparison = planOrNull(() => compareAscentSchedules({ ...diveSetup, environment }));
+    }
+    
+    // Open-circuit bailout ascent from the planned bailout time (CCR only)
+    let bailout = null;
+    if (options.showBailout && ccr && ccr.bailoutTime !== null) {
+        bailout = planOrNull(() => planBailout({ ...diveSetup, environment }, ccr.bailoutTime));
+    }
+    
+    // Depth profile and ceiling of a pinned plan
+    const pinned = pinnedSetup ? calculatePinnedOverlay(pinnedSetup, environment) : null;
+    
+    return {
+        results,
+        ceilingDepths,
+        compartmentCeilings,
+        gfSeries,
+        ttsSeries,
+        ndlData,
+        gasConsumption,
+        gasPlan,
+        comparison,
+        bailout,
+        postDiveTimes,
+        pinned,
+        waypoints,
+        timeline,
+        gases
+    };
+}
+
+/**
+ * Calculate the overlay of a pinned plan: its depth profile and ceiling,
+ * drawn behind the current plan
+ * @param {Object} pinnedSetup - Normalized dive setup of the pinned plan
+ * @param {Object} [environment] - Altitude/water density (the pinned setup's own wins)
+ * @returns {{name: string, waypoints: Array, timePoints: number[], ceilingDepths: number[]}|null}
+ *          Overlay data, or null without dives
+ */
+export function calculatePinnedOverlay(pinnedSetup, environment = null) {
+    if (!pinnedSetup?.dives?.length) {
+        return null;
+    }
+    const timeline = getDiveSetupTimeline(pinnedSetup);
+    const params = getAlgorithmParams(pinnedSetup);
+    const results = calculateTissueLoading(timeline.waypoints, pinnedSetup.surfaceInterval || 0, {
+        gases: pinnedSetup.gases,
+        environment: pinnedSetup.environment || environment,
+        model: params.model,
+        ccr: params.ccr,
+        planner: params.planner
+    });
+    return {
+        name: pinnedSetup.name || 'Pinned plan',
+        waypoints: timeline.waypoints,
+        timePoints: results.timePoints,
+        ceilingDepths: calculateCeilingTimeSeries(results, params.gfLow, params.gfHigh)
+    };
+}
+
+
+/**
+ * Calculate gas consumption over the dive profile
+ * @param {Object} results - Tissue loading results with timePoints and depthPoints
+ * @param {Object[]} gases - Gas configurations
+ * @param {number|function(number, number): number} sacRate - Surface Air Consumption rate in L/min,
+ *        or a lookup of the rate between two times (see createSacRateLookup)
+ * @param {number} reservePressure - Reserve pressure in bar
+ * @param {'ideal'|'real'} [gasModel='ideal'] - Cylinder contents model (see gasCompressibility.js)
+ * @param {Array<{time: number, gasId?: string}>} [waypoints] - Waypoints the results follow: a
+ *        waypoint's gasId switches gas from that point on, as in calculateGasUsage (this also
+ *        catches a repetitive dive starting on its own gas, which results.gasSwitches leaves out)
+ * @returns {Object} Gas consumption data per cylinder
+ */
+export function calculateGasConsumption(results, gases, sacRate, reservePressure, gasModel = 'ideal', waypoints = null) {
+    const gasData = {};
+    
+    // Initialize each gas cylinder
+    gases.forEach(gas => {
+        const cylinderVolume = gas.cylinderVolume || 12; // Default 12L cylinder
+        const startPressure = gas.startPressure || 200; // Default 200 bar
+        const totalGas = getCylinderContents(gas, cylinderVolume, startPressure, gasModel); // Total gas in liters
+        const reserveGas = getCylinderContents(gas, cylinderVolume, reservePressure, gasModel);
+        
+        gasData[gas.id] = {
+            name: gas.name,
+            cylinderVolume,
+            startPressure,
+            totalGas,
+            reserveGas,
+            reservePressure,
+            pressures: [],      // Pressure at each time point
+            consumption: [],    // Cumulative consumption at each time point
+            isActive: false     // Whether this gas has been used
+        };
+    });
+    
+    // Track current gas (first gas by default, or use gas switches from results)
+    let currentGasId = gases[0]?.id;
+    let cumulativeConsumption = {}; // Per-gas cumulative consumption
+    gases.forEach(gas => { cumulativeConsumption[gas.id] = 0; });
+    
+    // Build gas switch timeline from the waypoints, else from results
+    const gasSwitchTimes = {};
+    if (waypoints) {
+        waypoints.filter(wp => wp.gasId).forEach(wp => {
+            gasSwitchTimes[wp.time] = wp.gasId;
+        });
+    } else if (results.gasSwitches) {
+        results.gasSwitches.forEach(sw => {
+            gasSwitchTimes[sw.time] = sw.gasId;
+        });
+    }
+    
+    // Calculate consumption at each time point
+    for (let i = 0; i < results.timePoints.length; i++) {
+        const time = results.timePoints[i];
+        
+        // Check for gas switch
+        if (gasSwitchTimes[time]) {
+            currentGasId = gasSwitchTimes[time];
+        }
+        
+        // Mark gas as active once used
+        if (gasData[currentGasId]) {
+            gasData[currentGasId].isActive = true;
+        }
+        
+        // Calculate consumption for this time step
+        if (i > 0) {
+            const prevTime = results.timePoints[i - 1];
+            const deltaTime = time - prevTime; // minutes
+            
+            // Average ambient pressure for this segment (honors altitude/water density)
+            const ambientPressure = (results.ambientPressures[i] + results.ambientPressures[i - 1]) / 2; // bar
+            
+            // Gas consumed in this segment (liters at surface)
+            const rate = typeof sacRate === 'function' ? sacRate(prevTime, time) : sacRate;
+            const segmentConsumption = rate * ambientPressure * deltaTime;
+            
+            // Add to cumulative consumption for current gas
+            if (gasData[currentGasId]) {
+                cumulativeConsumption[currentGasId] += segmentConsumption;
+            }
+        }
+        
+        // Record pressure for each gas at this time point
+        gases.forEach(gas => {
+            const data = gasData[gas.id];
+            const consumed = cumulativeConsumption[gas.id];
+            const remainingGas = data.totalGas - consumed;
+            const remainingPressure = Math.max(0, getCylinderPressure(gas, data.cylinderVolume, remainingGas, gasModel));
+            
+            data.consumption.push(consumed);
+            data.pressures.push(remainingPressure);
+        });
+    }
+    
+    return gasData;
+}
+
+// ============================================================================
+// Plan Comparison
+// ============================================================================
+
+/**
+ * Summarize a plan for side-by-side comparison
+ * Ascent time runs from leaving the deepest point of each dive to the surface;
+ * deco time is the part of it spent holding a depth (stops). Gas usage follows
+ * calculateGasConsumption() at the setup's SAC rates.
+ * 
+ * @param {Object} diveSetup - Normalized dive setup
+ * @param {Object} [environment] - Altitude/water density (the setup's own wins)
+ * @returns {{name: string, runtime: number, ascentTime: number, decoTime: number, maxDepth: number,
+ *            maxPpO2: number, cns: number, otu: number, totalGas: number,
+ *            gases: Array<{id: string, name: string, used: number, endPressure: number}>}|null}
+ *          Summary, or null without dives
+ */
+export function calculatePlanSummary(diveSetup, environment = null) {
+    if (!diveSetup?.dives?.length) {
+        return null;
+    }
+    const timeline = getDiveSetupTimeline(diveSetup);
+    const gases = diveSetup.gases;
+    const params = getAlgorithmParams(diveSetup);
+    const results = calculateTissueLoading(timeline.waypoints, diveSetup.surfaceInterval || 0, {
+        gases,
+        environment: diveSetup.environment || environment,
+        model: params.model,
+        ccr: params.ccr,
+        planner: params.planner
+    });
+    
+    let ascentTime = 0;
+    let decoTime = 0;
+    diveSetup.dives.forEach(dive => {
+        const waypoints = dive.waypoints || [];
+        if (waypoints.length < 2) return;
+        const bottomEnd = getBottomPhase(waypoints).endTime;
+        ascentTime += waypoints[waypoints.length - 1].time - bottomEnd;
+        for (let i = 1; i < waypoints.length; i++) {
+            const [from, to] = [waypoints[i - 1], waypoints[i]];
+            if (from.time >= bottomEnd && from.depth === to.depth && to.depth > 0) {
+                decoTime += to.time - from.time;
+            }
+        }
+    });
+    
+    const oxygen = calculateOxygenExposure(results);
+    const consumption = calculateGasConsumption(
+        results, gases, createSacRateLookup(timeline.waypoints, diveSetup), diveSetup.reservePressure || 50,
+        diveSetup.gasModel, timeline.waypoints
+    );
+    const gasUsage = gases
+        .filter(gas => consumption[gas.id].isActive)
+        .map(gas => {
+            const data = consumption[gas.id];
+            return {
+                id: gas.id,
+                name: gas.name,
+                used: data.consumption[data.consumption.length - 1] || 0,
+                endPressure: data.pressures[data.pressures.length - 1] ?? data.startPressure
+            };
+        });
+    
+    return {
+        name: diveSetup.name || 'Plan',
+        runtime: timeline.waypoints[timeline.waypoints.length - 1].time,
+        ascentTime,
+        decoTime,
+        maxDepth: Math.max(...timeline.waypoints.map(wp => wp.depth)),
+        maxPpO2: oxygen.maxPpO2,
+        cns: oxygen.cns,
+        otu: oxygen.otu,
+        totalGas: gasUsage.reduce((sum, gas) => sum + gas.used, 0),
+        gases: gasUsage
+    };
+}
+
+/**
+ * Compare a pinned plan with the current one
+ * Gases are matched by name, so the same gas in both plans shares a row.
+ * 
+ * @param {Object} pinnedSetup - Normalized dive setup of the pinned plan
+ * @param {Object} currentSetup - Normalized dive setup of the current plan
+ * @param {Object} [environment] - Altitude/water density for setups without their own
+ * @returns {{pinned: Object, current: Object,
+ *            rows: Array<{key: string, label: string, unit: string, pinned: number|null, current: number|null, delta: number|null}>}|null}
+ *          Both summaries and the diff rows (delta = current − pinned), or null if either plan has no dives
+ */
+export function calculatePlanComparison(pinnedSetup, currentSetup, environment = null) {
+    const pinned = calculatePlanSummary(pinnedSetup, environment);
+    const current = calculatePlanSummary(currentSetup, environment);
+    if (!pinned || !current) {
+        return null;
+    }
+    
+    const row = (key, label, unit, a, b) => ({
+        key, label, unit,
+        pinned: a,
+        current: b,
+        delta: a !== null && b !== null ? b - a : null
+    });
+    const rows = [
+        row('runtime', 'Runtime', 'min', pinned.runtime, current.runtime),
+        row('ascentTime', 'Ascent time', 'min', pinned.ascentTime, current.ascentTime),
+        row('decoTime', 'Deco stops', 'min', pinned.decoTime, current.decoTime),
+        row('maxDepth', 'Max depth', 'm', pinned.maxDepth, current.maxDepth),
+        row('maxPpO2', 'Max ppO₂', 'bar', pinned.maxPpO2, current.maxPpO2),
+        row('cns', 'CNS', '%', pinned.cns, current.cns),
+        row('otu', 'OTU', 'OTU', pinned.otu, current.otu),
+        row('totalGas', 'Gas used', 'L', pinned.totalGas, current.totalGas)
+    ];
+    const gasNames = [...new Set([...pinned.gases, ...current.gases].map(gas => gas.name))];
+    gasNames.forEach(name => {
+        const used = summary => summary.gases.find(gas => gas.name === name)?.used ?? null;
+        rows.push(row(`gas:${name}`, `  ${name}`, 'L', used(pinned), used(current)));
+    });
+    
+    return { pinned, current, rows };
+}
+
+// ============================================================================
+// M-Value Chart
+// ============================================================================
+
+/**
+ * Calculate the tissue loading MValueChart plays back for a dive setup
+ * @param {Object} diveSetup - Normalized dive setup
+ * @param {Object} [environment] - Altitude/water density for the calculations
+ * @param {Object} [options]
+ * @param {boolean} [options.showGFReadout=true] - Also calculate the GF99 / Surface GF series
+ * @returns {{results: Object, gfSeries: Object|null, timeline: Object}|null} Data, or null without dives
+ */
+export function calculateMValueChartData(diveSetup, environment = null, options = {}) {
+    if (!diveSetup || !diveSetup.dives || diveSetup.dives.length === 0) {
+        return null;
+    }
+    
+    // All dives on one timeline, surface intervals included
+    const timeline = getDiveSetupTimeline(diveSetup);
+    const gases = diveSetup.gases;
+    const surfaceInterval = diveSetup.surfaceInterval || 0;
+    const ccr = diveSetup.breathingMode === 'ccr' ? resolveCCR(diveSetup.ccr) : null;
+    const model = getModelSettings(diveSetup);
+    const planner = getPlannerSettings(diveSetup);
+    const { exposures: altitudeExposures } = getPostDiveSettings(diveSetup);
+    
+    const results = calculateTissueLoading(timeline.waypoints, surfaceInterval, { gases, environment, model, ccr, planner, altitudeExposures });
+    const gfSeries = options.showGFReadout !== false ? calculateGF99TimeSeries(results) : null;
+    
+    return { results, gfSeries, timeline };
+}
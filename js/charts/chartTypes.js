@@ -7,6 +7,8 @@
  * external presentations, etc.)
  */
 
+import { validateCompartmentTable } from '../tissueCompartments.js';
+
 /**
  * @typedef {Object} Gas
  * @property {string} id - Unique gas identifier
@@ -23,12 +25,16 @@
  * @property {number} time - Time in minutes from dive start
  * @property {number} depth - Depth in meters
  * @property {string} [gasId] - Gas ID if gas switch occurs at this waypoint
+ * @property {number} [sacRate] - SAC rate for the segment ending at this waypoint (L/min; overrides the phase rate)
  * @property {string} [note] - Optional note for this waypoint
  */
 
 /**
  * @typedef {Object} Dive
  * @property {Waypoint[]} waypoints - Array of waypoints defining the dive profile
+ * @property {number} [surfaceIntervalBefore] - Minutes at the surface since the previous dive
+ *           (repetitive dives; ignored on the first dive)
+ * @property {string} [name] - Label for the dive on charts (default: "Dive N")
  */
 
 /**
@@ -45,9 +51,21 @@
  * @property {Gas[]} gases - Available gases for the dive
  * @property {number} [reservePressure=50] - Reserve pressure in bar
  * @property {number} [sacRate=20] - Surface Air Consumption rate in liters/min
+ * @property {SacRatesConfig} [sacRates] - SAC rates per dive phase (phases left out use sacRate)
  * @property {number} [gfLow=100] - Gradient Factor Low (0-100 percentage)
  * @property {number} [gfHigh=100] - Gradient Factor High (0-100 percentage)
+ * @property {'buhlmann-gf'|'vpm-b'} [decoAlgorithm='buhlmann-gf'] - Decompression algorithm for planned ascents
+ * @property {number} [vpmConservatism=2] - VPM-B conservatism level (0-4)
+ * @property {ModelConfig} [model] - Decompression model parameters (ZH-L16 variant or custom model)
+ * @property {CustomModel[]} [customModels] - Named custom compartment tables the model can refer to
  * @property {number} [surfaceInterval=60] - Post-dive surface interval in minutes
+ * @property {EnvironmentConfig} [environment] - Altitude and water density of the dive site
+ * @property {'oc'|'ccr'} [breathingMode='oc'] - Open circuit, or closed-circuit rebreather
+ * @property {CCRConfig} [ccr] - Rebreather settings (used when breathingMode is 'ccr')
+ * @property {PlannerConfig} [planner] - Descent/ascent rates and stop layout for planned ascents
+ * @property {PostDiveConfig} [postDive] - Altitude exposures after the last dive and the no-fly altitude
+ * @property {GasPlanningConfig} [gasPlanning] - Rock-bottom, deco gas reserve and turn pressure rules
+ * @property {'ideal'|'real'} [gasModel='ideal'] - Cylinder contents as an ideal gas (volume × pressure) or a real gas (with compressibility)
  * @property {Units} [units] - Unit preferences
  * @property {Dive[]} dives - Array of dives (supports repetitive diving)
  */
@@ -56,7 +74,89 @@
  * @typedef {Object} EnvironmentConfig
  * @property {number} [altitude=0] - Altitude in meters above sea level
  * @property {number} [waterDensity=1.025] - Water density (1.0 for fresh, 1.025 for salt)
- * @property {number} [surfacePressure=1.0] - Surface atmospheric pressure in bar
+ * @property {number} [surfacePressure] - Surface atmospheric pressure in bar
+ *           (overrides the value derived from altitude; 1.0 at sea level)
+ */
+
+/**
+ * @typedef {Object} ModelConfig
+ * @property {'ZH-L16A'|'ZH-L16B'|'ZH-L16C'} [variant='ZH-L16C'] - ZH-L16 coefficient set; each
+ *           setup is calculated with its own, so charts of different variants can share a page
+ * @property {string} [customModelId] - ID of one of the setup's customModels (replaces variant)
+ */
+
+/**
+ * @typedef {Object} CustomModel
+ * @property {string} id - Unique model identifier
+ * @property {string} name - Display name
+ * @property {CompartmentRow[]} compartments - Compartment table (IDs follow row order)
+ */
+
+/**
+ * @typedef {Object} CompartmentRow
+ * @property {number} halfTime - N2 half-time in minutes
+ * @property {number} [aN2] - N2 'a' coefficient in bar (default: 2 × halfTime^(-1/3))
+ * @property {number} [bN2] - N2 'b' coefficient (default: 1.005 − halfTime^(-1/2))
+ * @property {number} [halfTimeHe] - He half-time in minutes (default: halfTime / 2.65)
+ * @property {number} [aHe] - He 'a' coefficient in bar (default: from the He half-time)
+ * @property {number} [bHe] - He 'b' coefficient (default: the N2 b)
+ * @property {string} [label] - Legend label
+ * @property {string} [color] - Chart color
+ */
+
+/**
+ * @typedef {Object} CCRConfig
+ * @property {string} [diluentId] - Gas used as diluent (default: first gas); every other
+ *           gas is open-circuit bailout
+ * @property {number} [setpointLow=0.7] - Setpoint from the surface to the switch depth (bar)
+ * @property {number} [setpointHigh=1.3] - Setpoint once the switch depth is reached (bar)
+ * @property {number} [setpointSwitchDepth=20] - Depth where the loop switches low → high (m)
+ * @property {number|null} [bailoutTime=null] - Minutes into the dive to plan an open-circuit bailout from
+ */
+
+/**
+ * @typedef {Object} PlannerConfig
+ * @property {number} [descentRate=20] - Descent rate (m/min)
+ * @property {number} [ascentRate=10] - Ascent rate up to the first stop (m/min)
+ * @property {number} [decoAscentRate=10] - Ascent rate between stops and from the last stop (m/min)
+ * @property {number} [stopIncrement=3] - Distance between deco stops (m)
+ * @property {number} [lastStopDepth=3] - Shallowest deco stop, e.g. 6 m (m)
+ * @property {number} [stopRounding=1] - Stop times are rounded up to this many minutes (e.g. 1, 0.5;
+ *           0 = unrounded)
+ */
+
+/**
+ * @typedef {Object} SacRatesConfig
+ * @property {number} [descent] - While descending to the deepest point (L/min)
+ * @property {number} [bottom] - Working at depth, up to leaving the deepest point (L/min)
+ * @property {number} [ascent] - Ascending after the bottom (L/min)
+ * @property {number} [deco] - Holding a depth after the bottom: deco and safety stops (L/min)
+ * @property {number} [stressed] - Emergencies: rock-bottom gas sharing (L/min; default: bottom × stressFactor)
+ */
+
+/**
+ * @typedef {Object} GasPlanningConfig
+ * @property {number} [stressFactor=1.5] - Stressed SAC as a multiple of the bottom SAC (without sacRates.stressed)
+ * @property {number} [divers=2] - Divers sharing gas on the rock-bottom ascent
+ * @property {number} [problemSolvingTime=1] - Minutes at the worst point before the ascent (min)
+ * @property {'factor'|'buddy'} [decoReserve='factor'] - Deco gas reserve: planned use × decoReserveFactor,
+ *           or enough for each diver
+ * @property {number} [decoReserveFactor=1.5] - Planned deco gas use multiplier
+ * @property {number} [turnFraction=1] - Share of the bottom gas above rock bottom usable before
+ *           turning (1, 1/2 or 1/3)
+ */
+
+/**
+ * @typedef {Object} AltitudeExposure
+ * @property {number} start - Minutes after surfacing from the last dive
+ * @property {number} duration - Minutes spent at the altitude
+ * @property {number} altitude - Altitude in meters (e.g. a mountain pass, or ~2400 m cabin altitude)
+ */
+
+/**
+ * @typedef {Object} PostDiveConfig
+ * @property {AltitudeExposure[]} [exposures=[]] - Altitude segments after the last dive
+ * @property {number} [noFlyAltitude=2400] - Altitude the no-fly time is computed for (m)
  */
 
 // ============================================================================
@@ -80,8 +180,16 @@
  * @property {boolean} [showDecoStops=true] - Annotate deco stops
  * @property {boolean} [showNDL=false] - Show NDL limit line
  * @property {boolean} [showCeiling=false] - Show deco ceiling line
+ * @property {boolean} [showGF99=false] - Show GF99 (supersaturation at the current depth, % of M-value)
+ * @property {boolean} [showSurfaceGF=false] - Show Surface GF (supersaturation if surfaced now, % of M-value)
+ * @property {boolean} [showTTS=false] - Show time-to-surface if the ascent started now, and after 5 more minutes
+ * @property {boolean} [showNoFly=false] - Mark when the no-fly wait after the last dive ends
  * @property {boolean} [showAmbientPressure=false] - Show ambient pressure axis
  * @property {boolean} [showPartialPressures=false] - Show ppO2/ppN2 traces
+ * @property {boolean} [showAlgorithmComparison=false] - Overlay the Bühlmann GF and VPM-B ascents
+ *           computed from the same bottom phase
+ * @property {boolean} [showBailout=true] - Overlay the open-circuit bailout ascent when a CCR
+ *           setup has a bailout time
  * @property {boolean} [interactive=true] - Enable tooltips and hover
  * @property {boolean} [fullscreenButton=true] - Show fullscreen toggle
  * @property {number} [animationDuration=500] - Chart animation duration in ms
@@ -90,6 +198,14 @@
  * @property {string} [colors.ceiling='#e74c3c'] - Ceiling line color
  * @property {string} [colors.ppO2='#27ae60'] - ppO2 line color
  * @property {string} [colors.ppN2='#9b59b6'] - ppN2 line color
+ * @property {string} [colors.ppHe='#1abc9c'] - Alveolar ppHe line color (trimix)
+ * @property {string[]} [colors.comparison] - Ascent line colors for the algorithm comparison
+ * @property {string} [colors.bailout='#c0392b'] - Bailout ascent line color
+ * @property {string} [colors.gf99='#e67e22'] - GF99 line color
+ * @property {string} [colors.surfaceGF='#16a085'] - Surface GF line color
+ * @property {string} [colors.tts='#2c3e50'] - TTS line color (the @+5 line is dashed)
+ * @property {string} [colors.noFly='#2980b9'] - No-fly marker color
+ * @property {string} [colors.pinned='#7f8c8d'] - Pinned plan profile and ceiling color
  */
 
 // ============================================================================
@@ -138,14 +254,67 @@
 // Default Values
 // ============================================================================
 
+/**
+ * Default model parameters
+ * @type {ModelConfig}
+ */
+export const DEFAULT_MODEL = {
+    variant: 'ZH-L16C'
+};
+
+/**
+ * Default rebreather settings
+ * @type {CCRConfig}
+ */
+export const DEFAULT_CCR = {
+    setpointLow: 0.7,
+    setpointHigh: 1.3,
+    setpointSwitchDepth: 20,
+    bailoutTime: null
+};
+
+/**
+ * Default planner settings
+ * @type {PlannerConfig}
+ */
+export const DEFAULT_PLANNER = {
+    descentRate: 20,
+    ascentRate: 10,
+    decoAscentRate: 10,
+    stopIncrement: 3,
+    lastStopDepth: 3,
+    stopRounding: 1
+};
+
+/**
+ * Default post-dive settings
+ * @type {PostDiveConfig}
+ */
+export const DEFAULT_POST_DIVE = {
+    exposures: [],
+    noFlyAltitude: 2400
+};
+
+/**
+ * Default gas planning settings
+ * @type {GasPlanningConfig}
+ */
+export const DEFAULT_GAS_PLANNING = {
+    stressFactor: 1.5,
+    divers: 2,
+    problemSolvingTime: 1,
+    decoReserve: 'factor',
+    decoReserveFactor: 1.5,
+    turnFraction: 1
+};
+
 /**
  * Default environment configuration
  * @type {EnvironmentConfig}
  */
 export const DEFAULT_ENVIRONMENT = {
     altitude: 0,
-    waterDensity: 1.025,
-    surfacePressure: 1.0
+    waterDensity: 1.025
 };
 
 /**
@@ -158,10 +327,16 @@ export const DEFAULT_DIVE_PROFILE_OPTIONS = {
     showDecoStops: true,
     showNDL: false,
     showCeiling: false,
+    showGF99: false,
+    showSurfaceGF: false,
+    showTTS: false,
+    showNoFly: false,
     showAmbientPressure: false,
     showPartialPressures: false,
     showTissueLoading: false,
     showGasConsumption: false,
+    showAlgorithmComparison: false,
+    showBailout: true,
     showLabels: true,
     tissueCompartments: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
     interactive: true,
@@ -172,7 +347,15 @@ export const DEFAULT_DIVE_PROFILE_OPTIONS = {
         ceiling: '#e74c3c',
         ppO2: '#27ae60',
         ppN2: '#9b59b6',
-        ambient: '#f39c12'
+        ppHe: '#1abc9c',
+        ambient: '#f39c12',
+        comparison: ['#8e44ad', '#d35400'],
+        bailout: '#c0392b',
+        gf99: '#e67e22',
+        surfaceGF: '#16a085',
+        tts: '#2c3e50',
+        noFly: '#2980b9',
+        pinned: '#7f8c8d'
     }
 };
 
@@ -264,6 +447,9 @@ export function validateDiveSetup(setup) {
                     if (typeof wp.depth !== 'number' || wp.depth < 0) {
                         errors.push(`Dive ${i + 1}, waypoint ${j + 1}: depth must be a non-negative number`);
                     }
+                    if (wp.sacRate !== undefined && (typeof wp.sacRate !== 'number' || wp.sacRate <= 0)) {
+                        errors.push(`Dive ${i + 1}, waypoint ${j + 1}: sacRate must be a positive number`);
+                    }
                 });
                 
                 // Check waypoints are in time order
@@ -285,6 +471,142 @@ export function validateDiveSetup(setup) {
         errors.push('gfHigh must be between 0 and 100');
     }
     
+    if (setup.decoAlgorithm !== undefined && !['buhlmann-gf', 'vpm-b'].includes(setup.decoAlgorithm)) {
+        errors.push('decoAlgorithm must be "buhlmann-gf" or "vpm-b"');
+    }
+    
+    if (setup.vpmConservatism !== undefined && 
+        (!Number.isInteger(setup.vpmConservatism) || setup.vpmConservatism < 0 || setup.vpmConservatism > 4)) {
+        errors.push('vpmConservatism must be an integer between 0 and 4');
+    }
+    
+    if (setup.model?.variant !== undefined && !['ZH-L16A', 'ZH-L16B', 'ZH-L16C'].includes(setup.model.variant)) {
+        errors.push('model.variant must be "ZH-L16A", "ZH-L16B" or "ZH-L16C"');
+    }
+    
+    if (setup.customModels !== undefined) {
+        if (!Array.isArray(setup.customModels)) {
+            errors.push('customModels must be an array');
+        } else {
+            const ids = new Set();
+            setup.customModels.forEach((model, i) => {
+                const name = `Custom model ${model?.name ? `"${model.name}"` : i + 1}`;
+                if (typeof model?.id !== 'string' || !model.id) {
+                    errors.push(`${name}: id must be a non-empty string`);
+                } else if (ids.has(model.id)) {
+                    errors.push(`${name}: id "${model.id}" is used twice`);
+                }
+                ids.add(model?.id);
+                validateCompartmentTable(model?.compartments).errors.forEach(e => errors.push(`${name}: ${e}`));
+            });
+        }
+    }
+    
+    if (setup.model?.customModelId !== undefined &&
+        !(Array.isArray(setup.customModels) && setup.customModels.some(m => m?.id === setup.model.customModelId))) {
+        errors.push(`model.customModelId "${setup.model.customModelId}" does not match any custom model`);
+    }
+    
+    if (setup.environment) {
+        const { altitude, waterDensity } = setup.environment;
+        if (altitude !== undefined && (typeof altitude !== 'number' || altitude < 0 || altitude > 6000)) {
+            errors.push('environment.altitude must be between 0 and 6000 m');
+        }
+        if (waterDensity !== undefined && (typeof waterDensity !== 'number' || waterDensity < 0.99 || waterDensity > 1.05)) {
+            errors.push('environment.waterDensity must be between 0.99 and 1.05 kg/L');
+        }
+    }
+    
+    if (setup.breathingMode !== undefined && !['oc', 'ccr'].includes(setup.breathingMode)) {
+        errors.push('breathingMode must be "oc" or "ccr"');
+    }
+    
+    if (setup.ccr) {
+        const { diluentId, setpointLow, setpointHigh, setpointSwitchDepth, bailoutTime } = setup.ccr;
+        if (diluentId !== undefined && setup.gases && !setup.gases.some(g => g.id === diluentId)) {
+            errors.push(`ccr.diluentId "${diluentId}" does not match any gas`);
+        }
+        [['setpointLow', setpointLow], ['setpointHigh', setpointHigh]].forEach(([key, value]) => {
+            if (value !== undefined && (typeof value !== 'number' || value < 0.4 || value > 1.6)) {
+                errors.push(`ccr.${key} must be between 0.4 and 1.6 bar`);
+            }
+        });
+        if (setpointSwitchDepth !== undefined && (typeof setpointSwitchDepth !== 'number' || setpointSwitchDepth < 0)) {
+            errors.push('ccr.setpointSwitchDepth must be a non-negative number');
+        }
+        if (bailoutTime !== undefined && bailoutTime !== null && (typeof bailoutTime !== 'number' || bailoutTime < 0)) {
+            errors.push('ccr.bailoutTime must be a non-negative number');
+        }
+    }
+    
+    if (setup.planner) {
+        ['descentRate', 'ascentRate', 'decoAscentRate', 'stopIncrement', 'lastStopDepth'].forEach(key => {
+            const value = setup.planner[key];
+            if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+                errors.push(`planner.${key} must be a positive number`);
+            }
+        });
+        const { stopRounding } = setup.planner;
+        if (stopRounding !== undefined && (typeof stopRounding !== 'number' || !(stopRounding >= 0))) {
+            errors.push('planner.stopRounding must be a non-negative number of minutes (0 = unrounded)');
+        }
+    }
+    
+    if (setup.postDive) {
+        const { exposures, noFlyAltitude } = setup.postDive;
+        if (exposures !== undefined && !Array.isArray(exposures)) {
+            errors.push('postDive.exposures must be an array');
+        } else {
+            (exposures || []).forEach((exposure, i) => {
+                if (typeof exposure.start !== 'number' || exposure.start < 0) {
+                    errors.push(`postDive exposure ${i + 1}: start must be a non-negative number`);
+                }
+                if (typeof exposure.duration !== 'number' || exposure.duration <= 0) {
+                    errors.push(`postDive exposure ${i + 1}: duration must be a positive number`);
+                }
+                if (typeof exposure.altitude !== 'number' || exposure.altitude < 0 || exposure.altitude > 6000) {
+                    errors.push(`postDive exposure ${i + 1}: altitude must be between 0 and 6000 m`);
+                }
+            });
+        }
+        if (noFlyAltitude !== undefined && (typeof noFlyAltitude !== 'number' || noFlyAltitude < 0 || noFlyAltitude > 6000)) {
+            errors.push('postDive.noFlyAltitude must be between 0 and 6000 m');
+        }
+    }
+    
+    if (setup.sacRates) {
+        Object.entries(setup.sacRates).forEach(([phase, value]) => {
+            if (!['descent', 'bottom', 'ascent', 'deco', 'stressed'].includes(phase)) {
+                errors.push(`sacRates.${phase} is not a dive phase (descent, bottom, ascent, deco, stressed)`);
+            } else if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+                errors.push(`sacRates.${phase} must be a positive number`);
+            }
+        });
+    }
+    
+    if (setup.gasPlanning) {
+        const { decoReserve, divers, turnFraction } = setup.gasPlanning;
+        ['stressFactor', 'problemSolvingTime', 'decoReserveFactor'].forEach(key => {
+            const value = setup.gasPlanning[key];
+            if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+                errors.push(`gasPlanning.${key} must be a non-negative number`);
+            }
+        });
+        if (decoReserve !== undefined && !['factor', 'buddy'].includes(decoReserve)) {
+            errors.push('gasPlanning.decoReserve must be "factor" or "buddy"');
+        }
+        if (divers !== undefined && (!Number.isInteger(divers) || divers < 1)) {
+            errors.push('gasPlanning.divers must be a positive whole number');
+        }
+        if (turnFraction !== undefined && (typeof turnFraction !== 'number' || turnFraction <= 0 || turnFraction > 1)) {
+            errors.push('gasPlanning.turnFraction must be greater than 0 and at most 1');
+        }
+    }
+    
+    if (setup.gasModel !== undefined && !['ideal', 'real'].includes(setup.gasModel)) {
+        errors.push('gasModel must be "ideal" or "real"');
+    }
+    
     return { valid: errors.length === 0, errors };
 }
 
@@ -307,9 +629,28 @@ export function normalizeDiveSetup(setup) {
             startPressure: gas.startPressure || 200
         })),
         reservePressure: setup.reservePressure ?? 50,
+        sacRate: setup.sacRate ?? 20,
+        sacRates: { ...setup.sacRates },
         gfLow: setup.gfLow ?? 100,
         gfHigh: setup.gfHigh ?? 100,
+        decoAlgorithm: setup.decoAlgorithm || 'buhlmann-gf',
+        vpmConservatism: setup.vpmConservatism ?? 2,
+        model: setup.model?.customModelId !== undefined
+            ? { customModelId: setup.model.customModelId }
+            : { ...DEFAULT_MODEL, ...setup.model },
+        customModels: (setup.customModels || []).map(model => ({
+            id: model.id,
+            name: model.name || model.id,
+            compartments: model.compartments.map(row => ({ ...row }))
+        })),
         surfaceInterval: setup.surfaceInterval ?? 60,
+        environment: setup.environment ? mergeOptions(DEFAULT_ENVIRONMENT, setup.environment) : null,
+        breathingMode: setup.breathingMode || 'oc',
+        ccr: setup.ccr ? { ...DEFAULT_CCR, ...setup.ccr } : null,
+        planner: { ...DEFAULT_PLANNER, ...setup.planner },
+        postDive: { ...DEFAULT_POST_DIVE, ...setup.postDive },
+        gasPlanning: { ...DEFAULT_GAS_PLANNING, ...setup.gasPlanning },
+        gasModel: setup.gasModel || 'ideal',
         units: {
             depth: setup.units?.depth || 'meters',
             time: setup.units?.time || 'minutes',
@@ -12,6 +12,8 @@
  * - Profile presets dropdown
  * - Import/Export JSON
  * - Multi-dive support (repetitive diving)
+ * - Post-dive altitude exposures and no-fly altitude
+ * - Custom models (named compartment tables with hand-edited a/b values)
  * - Emits 'change' events with updated DiveSetup
  * 
  * Usage:
@@ -49,35 +51,82 @@ import {
     getDecoGas,
     getPredefinedGas,
     calculateMOD,
-    generateDecoProfile,
-    getNDLForDepth,
     getGases,
     insertGasSwitchWaypoints,
     getGasSwitchEvents,
-    GAS_SWITCH_TIME
+    getEnvironment,
+    GAS_SWITCH_TIME,
+    WATER_TYPES,
+    BREATHING_MODES,
+    GAS_DENSITY_LIMITS,
+    solveBestMix
 } from '../diveSetup.js';
 
+import { getMixName } from '../gasBlending.js';
+
 import {
     validateDiveSetup,
     normalizeDiveSetup
 } from '../charts/chartTypes.js';
 
+import {
+    DECO_ALGORITHMS,
+    DEFAULT_DECO_ALGORITHM
+} from '../decoAlgorithms.js';
+
+import { DEFAULT_VPM_CONSERVATISM, VPM_CONSERVATISM_LEVELS } from '../vpmModel.js';
+
+import {
+    DEFAULT_SETPOINT_LOW,
+    DEFAULT_SETPOINT_HIGH,
+    DEFAULT_SETPOINT_SWITCH_DEPTH,
+    DEFAULT_PLANNER,
+    DEFAULT_POST_DIVE,
+    DEFAULT_MODEL,
+    STOP_ROUNDING_OPTIONS
+} from '../decoModel.js';
+
 import {
     ZHL16_VARIANTS,
-    getZHL16Variant,
-    setZHL16Variant
+    COMPARTMENT_PRESETS,
+    isZHL16Variant,
+    getCompartmentTable,
+    validateCompartmentTable
 } from '../tissueCompartments.js';
 
+import { getCalcService, CalcCancelledError } from '../calcService.js';
+
+/**
+ * Label of a stop rounding choice ("1 min", "30 s", "Exact")
+ * @param {number} minutes - Stop rounding in minutes (0 = unrounded)
+ * @returns {string}
+ */
+function formatStopRounding(minutes) {
+    if (minutes === 0) return 'Exact';
+    return minutes >= 1 ? `${minutes} min` : `${Math.round(minutes * 60)} s`;
+}
+
+/** Algorithm select values for custom models are this prefix + the model ID */
+const CUSTOM_MODEL_OPTION_PREFIX = 'custom:';
+
+/** Editable fields of a compartment table row */
+const COMPARTMENT_FIELDS = ['halfTime', 'aN2', 'bN2', 'halfTimeHe', 'aHe', 'bHe'];
+
 /**
  * Default editor options
  */
 const DEFAULT_EDITOR_OPTIONS = {
     showQuickSetup: true,
     showGradientFactors: true,
+    showEnvironment: true,
+    showBreathingMode: true,
+    showPlanner: true,
     showProfiles: true,
     showImportExport: true,
     showDescription: true,
     showSurfaceInterval: true,
+    showPostDive: true,
+    showModelEditor: true,
     showMultiDive: true,
     showAutoGasSwitch: true,
     compact: false,
@@ -117,6 +166,10 @@ export class DiveSetupEditor extends EventTarget {
         this.hasDive2 = false;
         this.selectedProfileId = null;
         this.currentProfileName = null; // Stores the loaded profile name
+        this.currentGasSettings = {}; // Gas settings without form fields, kept through edits
+        
+        // Calculation channels: a newer NDL readout or profile supersedes a pending one
+        this.calcChannels = { ndl: {}, profile: {} };
         
         // DOM references
         this.elements = {};
@@ -169,6 +222,20 @@ export class DiveSetupEditor extends EventTarget {
         }
     }
     
+    /**
+     * Add a gas card for a mix (e.g. one worked out on the blending page)
+     * @param {Object} gas - Gas with name, o2 and he fractions, optionally cylinderVolume and startPressure
+     * @param {boolean} [emitChange=false] - Whether to emit a change event
+     * @returns {boolean} False when the editor already holds maxGases gases
+     */
+    addGas(gas, emitChange = false) {
+        const added = this._pushGas(gas);
+        if (added && emitChange) {
+            this._emitChange();
+        }
+        return added;
+    }
+    
     /**
      * Load predefined profiles
      * @param {Array} profiles - Array of profile objects
@@ -217,6 +284,8 @@ export class DiveSetupEditor extends EventTarget {
      * Destroy the editor and clean up
      */
     destroy() {
+        getCalcService().cancel(this.calcChannels.ndl);
+        getCalcService().cancel(this.calcChannels.profile);
         this.container.innerHTML = '';
         this.elements = {};
     }
@@ -257,6 +326,21 @@ export class DiveSetupEditor extends EventTarget {
             wrapper.appendChild(this._buildGradientFactors());
         }
         
+        // Environment (altitude / water type)
+        if (this.options.showEnvironment) {
+            wrapper.appendChild(this._buildEnvironment());
+        }
+        
+        // Breathing mode (open circuit / CCR setpoints)
+        if (this.options.showBreathingMode) {
+            wrapper.appendChild(this._buildBreathingMode());
+        }
+        
+        // Planner settings (rates, stops, rounding)
+        if (this.options.showPlanner) {
+            wrapper.appendChild(this._buildPlanner());
+        }
+        
         // Waypoints section (Dive 1)
         wrapper.appendChild(this._buildWaypointsSection(1));
         
@@ -271,6 +355,16 @@ export class DiveSetupEditor extends EventTarget {
             wrapper.appendChild(this._buildSurfaceInterval());
         }
         
+        // Post-dive altitude exposures and no-fly altitude
+        if (this.options.showPostDive) {
+            wrapper.appendChild(this._buildPostDive());
+        }
+        
+        // Custom compartment models
+        if (this.options.showModelEditor) {
+            wrapper.appendChild(this._buildModelEditor());
+        }
+        
         // Description
         if (this.options.showDescription) {
             wrapper.appendChild(this._buildDescription());
@@ -392,6 +486,13 @@ export class DiveSetupEditor extends EventTarget {
                         <label>Bottom Time (min):</label>
                         <input type="number" class="dse-quick-time form-input" value="20" min="1" max="120" step="1">
                     </div>
+                    <div class="dse-field dse-quick-target-field" style="display: none;">
+                        <label>For:</label>
+                        <select class="dse-quick-target form-select" title="Dive 2 starts with the residual loading of dive 1 and the surface interval">
+                            <option value="1">Dive 1</option>
+                            <option value="2">Dive 2 (repetitive)</option>
+                        </select>
+                    </div>
                     <button class="dse-generate-btn btn btn-secondary" title="Generate a new profile from depth and bottom time">🔄 Generate</button>
                 </div>
                 <div class="dse-ndl-display">
@@ -408,6 +509,8 @@ export class DiveSetupEditor extends EventTarget {
         
         this.elements.quickDepth = section.querySelector('.dse-quick-depth');
         this.elements.quickTime = section.querySelector('.dse-quick-time');
+        this.elements.quickTargetField = section.querySelector('.dse-quick-target-field');
+        this.elements.quickTarget = section.querySelector('.dse-quick-target');
         this.elements.generateBtn = section.querySelector('.dse-generate-btn');
         this.elements.ndlValue = section.querySelector('.dse-ndl-value');
         this.elements.ndlStatus = section.querySelector('.dse-ndl-status');
@@ -417,6 +520,7 @@ export class DiveSetupEditor extends EventTarget {
         // Event handlers
         this.elements.quickDepth.addEventListener('input', () => this._updateNDLDisplay());
         this.elements.quickTime.addEventListener('input', () => this._updateNDLDisplay());
+        this.elements.quickTarget.addEventListener('change', () => this._updateNDLDisplay());
         this.elements.generateBtn.addEventListener('click', () => this._generateProfile());
         
         return section;
@@ -432,13 +536,47 @@ export class DiveSetupEditor extends EventTarget {
                 <p class="dse-hint">First gas is bottom gas. Add deco gases for multi-gas diving.</p>
                 <div class="dse-gases-list"></div>
                 <button class="dse-add-gas-btn btn btn-secondary btn-small">+ Add Deco Gas</button>
+                <div class="dse-best-mix">
+                    <p class="dse-hint">Best mix: the most O₂ within the ppO₂ limit and the least He within the END limit.</p>
+                    <div class="dse-row">
+                        <div class="dse-field">
+                            <label>Depth (m):</label>
+                            <input type="number" class="dse-best-mix-depth form-input" value="45" min="1" max="150" step="1">
+                        </div>
+                        <div class="dse-field">
+                            <label>Max ppO₂:</label>
+                            <input type="number" class="dse-best-mix-ppo2 form-input" value="1.4" min="1.0" max="1.6" step="0.05">
+                        </div>
+                        <div class="dse-field">
+                            <label>Max END (m):</label>
+                            <input type="number" class="dse-best-mix-end form-input" value="30" min="0" max="60" step="1">
+                        </div>
+                        <div class="dse-field">
+                            <label>Narcotic:</label>
+                            <select class="dse-best-mix-narcotic form-select">
+                                <option value="o2">O₂ + N₂</option>
+                                <option value="n2">N₂ only</option>
+                            </select>
+                        </div>
+                        <button class="dse-best-mix-btn btn btn-secondary btn-small">🎯 Add Best Mix</button>
+                    </div>
+                    <div class="dse-best-mix-result dse-hint"></div>
+                </div>
             </div>
         `;
         
         this.elements.gasesList = section.querySelector('.dse-gases-list');
         this.elements.addGasBtn = section.querySelector('.dse-add-gas-btn');
+        this.elements.bestMixDepth = section.querySelector('.dse-best-mix-depth');
+        this.elements.bestMixPpO2 = section.querySelector('.dse-best-mix-ppo2');
+        this.elements.bestMixEND = section.querySelector('.dse-best-mix-end');
+        this.elements.bestMixNarcotic = section.querySelector('.dse-best-mix-narcotic');
+        this.elements.bestMixResult = section.querySelector('.dse-best-mix-result');
         
         this.elements.addGasBtn.addEventListener('click', () => this._addGas());
+        section.querySelector('.dse-best-mix-btn').addEventListener('click', () => this._addBestMix());
+        [this.elements.bestMixDepth, this.elements.bestMixPpO2, this.elements.bestMixEND, this.elements.bestMixNarcotic]
+            .forEach(input => input.addEventListener('input', () => this._updateBestMix()));
         
         return section;
     }
@@ -449,6 +587,22 @@ export class DiveSetupEditor extends EventTarget {
         section.innerHTML = `
             <summary>🎚️ Decompression Model</summary>
             <div class="dse-gf-content">
+                <div class="dse-algorithm-row">
+                    <label>Model:</label>
+                    <select class="dse-deco-model-select form-input">
+                        ${Object.values(DECO_ALGORITHMS).map(a => 
+                            `<option value="${a.id}">${a.name}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <div class="dse-algorithm-row dse-vpm-row" style="display: none;">
+                    <label>Conservatism:</label>
+                    <select class="dse-vpm-conservatism form-input">
+                        ${VPM_CONSERVATISM_LEVELS.map((_, level) => 
+                            `<option value="${level}" ${level === DEFAULT_VPM_CONSERVATISM ? 'selected' : ''}>+${level}</option>`
+                        ).join('')}
+                    </select>
+                </div>
                 <div class="dse-algorithm-row">
                     <label>Algorithm:</label>
                     <select class="dse-algorithm-select form-input">
@@ -485,14 +639,27 @@ export class DiveSetupEditor extends EventTarget {
         this.elements.gfHighSlider = section.querySelector('.dse-gf-high-slider');
         this.elements.gfHighInput = section.querySelector('.dse-gf-high-input');
         this.elements.algorithmSelect = section.querySelector('.dse-algorithm-select');
+        this.elements.decoModelSelect = section.querySelector('.dse-deco-model-select');
+        this.elements.vpmRow = section.querySelector('.dse-vpm-row');
+        this.elements.vpmConservatismSelect = section.querySelector('.dse-vpm-conservatism');
         
         // Set initial algorithm value
-        this.elements.algorithmSelect.value = getZHL16Variant();
+        this.elements.algorithmSelect.value = DEFAULT_MODEL.variant;
+        this.elements.decoModelSelect.value = DEFAULT_DECO_ALGORITHM;
         
-        // Algorithm change handler
+        // Deco model change handler (VPM-B shows its conservatism level)
+        this.elements.decoModelSelect.addEventListener('change', () => {
+            this._updateDecoModelVisibility();
+            this._onInputChange();
+            this._updateNDLDisplay();
+        });
+        this.elements.vpmConservatismSelect.addEventListener('change', () => {
+            this._onInputChange();
+            this._updateNDLDisplay();
+        });
+        
+        // Algorithm change handler (the variant is part of the setup's model)
         this.elements.algorithmSelect.addEventListener('change', () => {
-            const variant = this.elements.algorithmSelect.value;
-            setZHL16Variant(variant);
             this._onInputChange();
             this._updateNDLDisplay();
         });
@@ -534,6 +701,312 @@ export class DiveSetupEditor extends EventTarget {
         return section;
     }
     
+    _updateDecoModelVisibility() {
+        if (!this.elements.vpmRow) return;
+        this.elements.vpmRow.style.display = this.elements.decoModelSelect.value === 'vpm-b' ? 'flex' : 'none';
+    }
+    
+    /**
+     * Read deco algorithm options from the form
+     * @returns {{algorithm: string, conservatism: number}}
+     */
+    _getFormAlgorithmOptions() {
+        return {
+            algorithm: this.elements.decoModelSelect?.value || DEFAULT_DECO_ALGORITHM,
+            conservatism: parseInt(this.elements.vpmConservatismSelect?.value ?? DEFAULT_VPM_CONSERVATISM)
+        };
+    }
+    
+    _buildEnvironment() {
+        const section = document.createElement('details');
+        section.className = 'dse-section dse-environment';
+        section.innerHTML = `
+            <summary>⛰️ Environment</summary>
+            <div class="dse-environment-content">
+                <div class="dse-field">
+                    <label>Altitude (m):</label>
+                    <input type="number" class="dse-altitude-input form-input" value="0" min="0" max="6000" step="100">
+                </div>
+                <div class="dse-field">
+                    <label>Water:</label>
+                    <select class="dse-water-select form-select">
+                        ${WATER_TYPES.map(w => 
+                            `<option value="${w.id}">${w.name}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <span class="dse-hint dse-environment-hint"></span>
+            </div>
+        `;
+        
+        this.elements.altitudeInput = section.querySelector('.dse-altitude-input');
+        this.elements.waterSelect = section.querySelector('.dse-water-select');
+        this.elements.environmentHint = section.querySelector('.dse-environment-hint');
+        
+        const onEnvironmentChange = () => {
+            this._updateEnvironmentHint();
+            this._renderGasCards();
+            this._updateBestMix();
+            this._onInputChange();
+            this._updateNDLDisplay();
+        };
+        this.elements.altitudeInput.addEventListener('input', onEnvironmentChange);
+        this.elements.waterSelect.addEventListener('change', onEnvironmentChange);
+        
+        this._updateEnvironmentHint();
+        
+        return section;
+    }
+    
+    /**
+     * Read the environment from the form (sea level / salt water if hidden)
+     * @returns {{altitude: number, waterDensity: number}}
+     */
+    _getFormEnvironment() {
+        const altitude = Math.max(0, parseFloat(this.elements.altitudeInput?.value) || 0);
+        const water = WATER_TYPES.find(w => w.id === this.elements.waterSelect?.value) || WATER_TYPES[0];
+        return { altitude, waterDensity: water.density };
+    }
+    
+    /**
+     * Read the model parameters from the form
+     * @returns {{variant: string}|{customModelId: string}}
+     */
+    _getFormModel() {
+        const value = this.elements.algorithmSelect?.value || '';
+        if (value.startsWith(CUSTOM_MODEL_OPTION_PREFIX)) {
+            return { customModelId: value.slice(CUSTOM_MODEL_OPTION_PREFIX.length) };
+        }
+        return { variant: isZHL16Variant(value) ? value : DEFAULT_MODEL.variant };
+    }
+    
+    /**
+     * Model for calculations that don't carry the setup's custom models (quick
+     * setup): the selected custom model itself, or the default while its table
+     * is invalid
+     * @returns {Object} Model accepted by resolveModel()
+     */
+    _getFormModelDefinition() {
+        const model = this._getFormModel();
+        if (model.customModelId === undefined) return model;
+        const custom = this._getFormCustomModels().find(m => m.id === model.customModelId);
+        return custom && validateCompartmentTable(custom.compartments).valid ? custom : DEFAULT_MODEL;
+    }
+    
+    /**
+     * Rebuild the algorithm options: the ZH-L16 variants and the custom models
+     * (keeps the selection while it still exists)
+     */
+    _updateAlgorithmOptions() {
+        const select = this.elements.algorithmSelect;
+        if (!select) return;
+        const selected = select.value;
+        const customModels = this._getFormCustomModels();
+        select.querySelector('.dse-custom-model-options')?.remove();
+        if (customModels.length > 0) {
+            const group = document.createElement('optgroup');
+            group.className = 'dse-custom-model-options';
+            group.label = 'Custom models';
+            customModels.forEach(model => {
+                const option = document.createElement('option');
+                option.value = CUSTOM_MODEL_OPTION_PREFIX + model.id;
+                option.textContent = model.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        }
+        const exists = Array.from(select.options).some(o => o.value === selected);
+        select.value = exists ? selected : DEFAULT_MODEL.variant;
+    }
+    
+    _updateEnvironmentHint() {
+        if (!this.elements.environmentHint) return;
+        const env = getEnvironment({ environment: this._getFormEnvironment() });
+        this.elements.environmentHint.textContent =
+            `Surface pressure: ${env.surfacePressure.toFixed(3)} bar · ${env.pressurePerMeter.toFixed(4)} bar/m`;
+    }
+    
+    _buildBreathingMode() {
+        const section = document.createElement('details');
+        section.className = 'dse-section dse-breathing';
+        section.innerHTML = `
+            <summary>🔄 Breathing Mode</summary>
+            <div class="dse-breathing-content">
+                <div class="dse-field">
+                    <label>Mode:</label>
+                    <select class="dse-breathing-mode-select form-select">
+                        ${BREATHING_MODES.map(m => 
+                            `<option value="${m.id}">${m.name}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <div class="dse-ccr-content" style="display: none;">
+                    <div class="dse-field">
+                        <label>Diluent:</label>
+                        <select class="dse-diluent-select form-select"></select>
+                    </div>
+                    <div class="dse-field">
+                        <label>Low SP (bar):</label>
+                        <input type="number" class="dse-setpoint-low form-input" value="${DEFAULT_SETPOINT_LOW}" min="0.4" max="1.6" step="0.1">
+                    </div>
+                    <div class="dse-field">
+                        <label>High SP (bar):</label>
+                        <input type="number" class="dse-setpoint-high form-input" value="${DEFAULT_SETPOINT_HIGH}" min="0.4" max="1.6" step="0.1">
+                    </div>
+                    <div class="dse-field">
+                        <label>Switch at (m):</label>
+                        <input type="number" class="dse-setpoint-switch form-input" value="${DEFAULT_SETPOINT_SWITCH_DEPTH}" min="0" max="100" step="1">
+                    </div>
+                    <div class="dse-field">
+                        <label>Bailout at (min):</label>
+                        <input type="number" class="dse-bailout-time form-input" placeholder="none" min="0" step="1">
+                    </div>
+                    <p class="dse-hint">The diluent is breathed on the loop; every other gas is open-circuit bailout.</p>
+                </div>
+            </div>
+        `;
+        
+        this.elements.breathingModeSelect = section.querySelector('.dse-breathing-mode-select');
+        this.elements.ccrContent = section.querySelector('.dse-ccr-content');
+        this.elements.diluentSelect = section.querySelector('.dse-diluent-select');
+        this.elements.setpointLowInput = section.querySelector('.dse-setpoint-low');
+        this.elements.setpointHighInput = section.querySelector('.dse-setpoint-high');
+        this.elements.setpointSwitchInput = section.querySelector('.dse-setpoint-switch');
+        this.elements.bailoutTimeInput = section.querySelector('.dse-bailout-time');
+        
+        const onCCRChange = () => {
+            this._updateCCRVisibility();
+            this._onInputChange();
+            this._updateNDLDisplay();
+        };
+        this.elements.breathingModeSelect.addEventListener('change', onCCRChange);
+        this.elements.diluentSelect.addEventListener('change', onCCRChange);
+        [
+            this.elements.setpointLowInput,
+            this.elements.setpointHighInput,
+            this.elements.setpointSwitchInput,
+            this.elements.bailoutTimeInput
+        ].forEach(input => input.addEventListener('input', onCCRChange));
+        
+        return section;
+    }
+    
+    _updateCCRVisibility() {
+        if (!this.elements.ccrContent) return;
+        this.elements.ccrContent.style.display = this.elements.breathingModeSelect.value === 'ccr' ? 'flex' : 'none';
+    }
+    
+    _updateDiluentOptions() {
+        if (!this.elements.diluentSelect) return;
+        const currentValue = this.elements.diluentSelect.value;
+        this.elements.diluentSelect.innerHTML = this.currentGases.map(gas => 
+            `<option value="${gas.id}" ${gas.id === currentValue ? 'selected' : ''}>${gas.name}</option>`
+        ).join('');
+    }
+    
+    /**
+     * Read the CCR settings from the form
+     * @returns {{diluentId: string, setpointLow: number, setpointHigh: number, setpointSwitchDepth: number, bailoutTime: number|null}|null}
+     *          Null on open circuit
+     */
+    _getFormCCR() {
+        if (this.elements.breathingModeSelect?.value !== 'ccr') {
+            return null;
+        }
+        const switchDepth = parseFloat(this.elements.setpointSwitchInput.value);
+        const bailoutTime = parseFloat(this.elements.bailoutTimeInput.value);
+        return {
+            diluentId: this.elements.diluentSelect.value || this.currentGases[0]?.id,
+            setpointLow: parseFloat(this.elements.setpointLowInput.value) || DEFAULT_SETPOINT_LOW,
+            setpointHigh: parseFloat(this.elements.setpointHighInput.value) || DEFAULT_SETPOINT_HIGH,
+            setpointSwitchDepth: Number.isFinite(switchDepth) ? Math.max(0, switchDepth) : DEFAULT_SETPOINT_SWITCH_DEPTH,
+            bailoutTime: Number.isFinite(bailoutTime) ? bailoutTime : null
+        };
+    }
+    
+    _buildPlanner() {
+        const section = document.createElement('details');
+        section.className = 'dse-section dse-planner';
+        section.innerHTML = `
+            <summary>🧭 Planner</summary>
+            <div class="dse-planner-content">
+                <div class="dse-field">
+                    <label>Descent (m/min):</label>
+                    <input type="number" class="dse-descent-rate form-input" value="${DEFAULT_PLANNER.descentRate}" min="1" max="60" step="1">
+                </div>
+                <div class="dse-field">
+                    <label>Ascent (m/min):</label>
+                    <input type="number" class="dse-ascent-rate form-input" value="${DEFAULT_PLANNER.ascentRate}" min="1" max="30" step="1">
+                </div>
+                <div class="dse-field">
+                    <label>Deco ascent (m/min):</label>
+                    <input type="number" class="dse-deco-ascent-rate form-input" value="${DEFAULT_PLANNER.decoAscentRate}" min="1" max="30" step="1">
+                </div>
+                <div class="dse-field">
+                    <label>Stop every (m):</label>
+                    <input type="number" class="dse-stop-increment form-input" value="${DEFAULT_PLANNER.stopIncrement}" min="1" max="10" step="1">
+                </div>
+                <div class="dse-field">
+                    <label>Last stop:</label>
+                    <select class="dse-last-stop-select form-select">
+                        <option value="3">3 m</option>
+                        <option value="6">6 m</option>
+                    </select>
+                </div>
+                <div class="dse-field">
+                    <label>Stop rounding:</label>
+                    <select class="dse-stop-rounding-select form-select">
+                        ${STOP_ROUNDING_OPTIONS.map(value => `<option value="${value}">${formatStopRounding(value)}</option>`).join('')}
+                    </select>
+                </div>
+                <p class="dse-hint">Ascent applies up to the first stop, deco ascent between stops and to the surface.</p>
+            </div>
+        `;
+        
+        this.elements.descentRateInput = section.querySelector('.dse-descent-rate');
+        this.elements.ascentRateInput = section.querySelector('.dse-ascent-rate');
+        this.elements.decoAscentRateInput = section.querySelector('.dse-deco-ascent-rate');
+        this.elements.stopIncrementInput = section.querySelector('.dse-stop-increment');
+        this.elements.lastStopSelect = section.querySelector('.dse-last-stop-select');
+        this.elements.stopRoundingSelect = section.querySelector('.dse-stop-rounding-select');
+        
+        const onPlannerChange = () => {
+            this._onInputChange();
+            this._updateNDLDisplay();
+        };
+        [
+            this.elements.descentRateInput,
+            this.elements.ascentRateInput,
+            this.elements.decoAscentRateInput,
+            this.elements.stopIncrementInput
+        ].forEach(input => input.addEventListener('input', onPlannerChange));
+        this.elements.lastStopSelect.addEventListener('change', onPlannerChange);
+        this.elements.stopRoundingSelect.addEventListener('change', onPlannerChange);
+        
+        return section;
+    }
+    
+    /**
+     * Read the planner settings from the form (defaults if hidden)
+     * @returns {{descentRate: number, ascentRate: number, decoAscentRate: number, stopIncrement: number, lastStopDepth: number, stopRounding: number}}
+     */
+    _getFormPlanner() {
+        const read = (element, fallback) => {
+            const value = parseFloat(element?.value);
+            return Number.isFinite(value) && value > 0 ? value : fallback;
+        };
+        const stopRounding = parseFloat(this.elements.stopRoundingSelect?.value);
+        return {
+            descentRate: read(this.elements.descentRateInput, DEFAULT_PLANNER.descentRate),
+            ascentRate: read(this.elements.ascentRateInput, DEFAULT_PLANNER.ascentRate),
+            decoAscentRate: read(this.elements.decoAscentRateInput, DEFAULT_PLANNER.decoAscentRate),
+            stopIncrement: read(this.elements.stopIncrementInput, DEFAULT_PLANNER.stopIncrement),
+            lastStopDepth: read(this.elements.lastStopSelect, DEFAULT_PLANNER.lastStopDepth),
+            // 0 is a valid stop rounding (unrounded stop times)
+            stopRounding: stopRounding >= 0 ? stopRounding : DEFAULT_PLANNER.stopRounding
+        };
+    }
+    
     _buildWaypointsSection(diveNumber) {
         const section = document.createElement('div');
         const isDive2 = diveNumber === 2;
@@ -594,7 +1067,10 @@ export class DiveSetupEditor extends EventTarget {
             this.elements.removeDive2Btn = section.querySelector('.dse-remove-dive2-btn');
             
             this.elements.removeDive2Btn.addEventListener('click', () => this._removeDive2());
-            this.elements.dive2SI.addEventListener('input', () => this._onInputChange());
+            this.elements.dive2SI.addEventListener('input', () => {
+                this._onInputChange();
+                this._updateNDLDisplay();
+            });
         }
         
         return section;
@@ -633,6 +1109,224 @@ export class DiveSetupEditor extends EventTarget {
         return section;
     }
     
+    _buildPostDive() {
+        const section = document.createElement('details');
+        section.className = 'dse-section dse-post-dive';
+        section.innerHTML = `
+            <summary>✈️ After the Dive</summary>
+            <div class="dse-post-dive-content">
+                <div class="dse-field">
+                    <label>No-fly altitude (m):</label>
+                    <input type="number" class="dse-nofly-altitude form-input" value="${DEFAULT_POST_DIVE.noFlyAltitude}" min="0" max="6000" step="100">
+                </div>
+                <div class="dse-exposure-list"></div>
+                <button class="dse-add-exposure-btn btn btn-secondary btn-small">➕ Add Altitude Exposure</button>
+                <p class="dse-hint">Exposures start after surfacing from the last dive, e.g. a mountain pass drive or a flight (cabin ~2400 m).</p>
+            </div>
+        `;
+        
+        this.elements.noFlyAltitudeInput = section.querySelector('.dse-nofly-altitude');
+        this.elements.exposureList = section.querySelector('.dse-exposure-list');
+        
+        this.elements.noFlyAltitudeInput.addEventListener('input', () => this._onInputChange());
+        section.querySelector('.dse-add-exposure-btn').addEventListener('click', () => {
+            this._addExposureRow({ start: 60, duration: 60, altitude: 1000 });
+            this._onInputChange();
+        });
+        
+        return section;
+    }
+    
+    /**
+     * Append an altitude exposure row to the post-dive section
+     * @param {{start: number, duration: number, altitude: number}} exposure
+     */
+    _addExposureRow(exposure) {
+        const row = document.createElement('div');
+        row.className = 'dse-exposure-row';
+        row.innerHTML = `
+            <span>After</span>
+            <input type="number" class="dse-exposure-start form-input" value="${exposure.start}" min="0" step="10">
+            <span>min, for</span>
+            <input type="number" class="dse-exposure-duration form-input" value="${exposure.duration}" min="1" step="10">
+            <span>min at</span>
+            <input type="number" class="dse-exposure-altitude form-input" value="${exposure.altitude}" min="0" max="6000" step="100">
+            <span>m</span>
+            <button class="dse-remove-exposure-btn btn btn-danger btn-small" title="Remove exposure">✕</button>
+        `;
+        row.querySelectorAll('input').forEach(input => input.addEventListener('input', () => this._onInputChange()));
+        row.querySelector('.dse-remove-exposure-btn').addEventListener('click', () => {
+            row.remove();
+            this._onInputChange();
+        });
+        this.elements.exposureList.appendChild(row);
+    }
+    
+    /**
+     * Read the post-dive settings from the form (defaults if hidden)
+     * @returns {{exposures: Array<{start: number, duration: number, altitude: number}>, noFlyAltitude: number}}
+     */
+    _getFormPostDive() {
+        if (!this.elements.exposureList) {
+            return { exposures: [], noFlyAltitude: DEFAULT_POST_DIVE.noFlyAltitude };
+        }
+        const exposures = Array.from(this.elements.exposureList.querySelectorAll('.dse-exposure-row'))
+            .map(row => ({
+                start: parseFloat(row.querySelector('.dse-exposure-start').value),
+                duration: parseFloat(row.querySelector('.dse-exposure-duration').value),
+                altitude: parseFloat(row.querySelector('.dse-exposure-altitude').value)
+            }))
+            .filter(e => e.start >= 0 && e.duration > 0 && e.altitude >= 0);
+        const noFlyAltitude = parseFloat(this.elements.noFlyAltitudeInput.value);
+        return {
+            exposures,
+            noFlyAltitude: Number.isFinite(noFlyAltitude) && noFlyAltitude >= 0 ? noFlyAltitude : DEFAULT_POST_DIVE.noFlyAltitude
+        };
+    }
+    
+    _buildModelEditor() {
+        const section = document.createElement('details');
+        section.className = 'dse-section dse-models';
+        section.innerHTML = `
+            <summary>🧬 Custom Models</summary>
+            <div class="dse-models-content">
+                <div class="dse-field">
+                    <label>Start from:</label>
+                    <select class="dse-model-source form-select">
+                        ${Object.values(ZHL16_VARIANTS).map(v => `<option value="${v}">${v}</option>`).join('')}
+                        ${Object.entries(COMPARTMENT_PRESETS).map(([id, preset]) =>
+                            `<option value="${id}" title="${preset.description}">${preset.name}</option>`
+                        ).join('')}
+                    </select>
+                    <button class="dse-add-model-btn btn btn-secondary btn-small">➕ New Model</button>
+                </div>
+                <div class="dse-model-list"></div>
+                <p class="dse-hint">Half-times in minutes; M-value = a + P<sub>amb</sub> / b. Empty a, b and He fields use Bühlmann's formulas. Pick a custom model under Decompression Model → Algorithm.</p>
+            </div>
+        `;
+        
+        this.elements.modelSourceSelect = section.querySelector('.dse-model-source');
+        this.elements.modelList = section.querySelector('.dse-model-list');
+        
+        section.querySelector('.dse-add-model-btn').addEventListener('click', () => {
+            const source = this.elements.modelSourceSelect.value;
+            const name = COMPARTMENT_PRESETS[source]?.name || source;
+            this._addModelCard({
+                id: `model-${Math.random().toString(36).substr(2, 9)}`,
+                name: `Custom ${name}`,
+                compartments: getCompartmentTable(source)
+            });
+            this._onModelsChange();
+        });
+        
+        return section;
+    }
+    
+    /**
+     * Append an editable custom model to the models section
+     * @param {{id: string, name: string, compartments: Array<Object>}} model
+     */
+    _addModelCard(model) {
+        const card = document.createElement('div');
+        card.className = 'dse-model-card';
+        card.dataset.modelId = model.id;
+        card.innerHTML = `
+            <div class="dse-model-header">
+                <input type="text" class="dse-model-name form-input" placeholder="Model name">
+                <button class="dse-remove-model-btn btn btn-danger btn-small" title="Remove model">✕</button>
+            </div>
+            <table class="dse-model-table">
+                <thead>
+                    <tr><th>TC</th><th>N₂ t½</th><th>a N₂</th><th>b N₂</th><th>He t½</th><th>a He</th><th>b He</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <button class="dse-add-compartment-btn btn btn-secondary btn-small">➕ Add Compartment</button>
+            <div class="dse-model-errors"></div>
+        `;
+        
+        const nameInput = card.querySelector('.dse-model-name');
+        const body = card.querySelector('tbody');
+        nameInput.value = model.name || '';
+        nameInput.addEventListener('input', () => this._onModelsChange());
+        card.querySelector('.dse-remove-model-btn').addEventListener('click', () => {
+            card.remove();
+            this._onModelsChange();
+        });
+        card.querySelector('.dse-add-compartment-btn').addEventListener('click', () => {
+            const last = body.lastElementChild?.querySelector('[data-field="halfTime"]');
+            this._addCompartmentRow(body, { halfTime: last ? Math.round(parseFloat(last.value) * 1.5) || 10 : 5 });
+            this._onModelsChange();
+        });
+        (model.compartments || []).forEach(row => this._addCompartmentRow(body, row));
+        
+        this.elements.modelList.appendChild(card);
+    }
+    
+    /**
+     * Append a compartment row to a custom model table
+     * @param {HTMLElement} body - Table body
+     * @param {Object} row - {halfTime, aN2?, bN2?, halfTimeHe?, aHe?, bHe?}
+     */
+    _addCompartmentRow(body, row) {
+        const tr = document.createElement('tr');
+        tr.className = 'dse-compartment-row';
+        tr.innerHTML = `
+            <td class="dse-compartment-id">${body.children.length + 1}</td>
+            ${COMPARTMENT_FIELDS.map(field => `
+                <td><input type="number" class="form-input" data-field="${field}" value="${row[field] ?? ''}"
+                    min="0" step="${field.startsWith('halfTime') ? 0.1 : 0.0001}"></td>
+            `).join('')}
+            <td><button class="dse-remove-compartment-btn btn btn-danger btn-small" title="Remove compartment">✕</button></td>
+        `;
+        tr.querySelectorAll('input').forEach(input => input.addEventListener('input', () => this._onModelsChange()));
+        tr.querySelector('.dse-remove-compartment-btn').addEventListener('click', () => {
+            tr.remove();
+            body.querySelectorAll('.dse-compartment-id').forEach((cell, i) => { cell.textContent = i + 1; });
+            this._onModelsChange();
+        });
+        body.appendChild(tr);
+    }
+    
+    /**
+     * Read the custom models from the form (the setup's own if the section is hidden)
+     * Empty fields are left out so the model fills them in.
+     * @returns {Array<{id: string, name: string, compartments: Array<Object>}>}
+     */
+    _getFormCustomModels() {
+        if (!this.elements.modelList) {
+            return this.diveSetup?.customModels || [];
+        }
+        return Array.from(this.elements.modelList.querySelectorAll('.dse-model-card')).map(card => ({
+            id: card.dataset.modelId,
+            name: card.querySelector('.dse-model-name').value.trim() || 'Unnamed model',
+            compartments: Array.from(card.querySelectorAll('.dse-compartment-row')).map(tr => {
+                const row = {};
+                tr.querySelectorAll('input').forEach(input => {
+                    if (input.value.trim() !== '') {
+                        row[input.dataset.field] = parseFloat(input.value);
+                    }
+                });
+                return row;
+            })
+        }));
+    }
+    
+    /**
+     * Custom models changed: show each table's errors, refresh the algorithm
+     * options and recalculate
+     */
+    _onModelsChange() {
+        const models = this._getFormCustomModels();
+        this.elements.modelList.querySelectorAll('.dse-model-card').forEach((card, i) => {
+            const { errors } = validateCompartmentTable(models[i].compartments);
+            card.querySelector('.dse-model-errors').innerHTML = errors.map(e => `<div class="dse-error">${e}</div>`).join('');
+        });
+        this._updateAlgorithmOptions();
+        this._onInputChange();
+        this._updateNDLDisplay();
+    }
+    
     _buildDescription() {
         const section = document.createElement('div');
         section.className = 'dse-section dse-description';
@@ -691,12 +1385,14 @@ export class DiveSetupEditor extends EventTarget {
         });
         
         this._updateWaypointGasDropdowns();
+        this._updateDiluentOptions();
     }
     
     _createGasCard(gas, index) {
         const isBottomGas = index === 0;
-        const mod14 = calculateMOD(gas.o2, 1.4);
-        const mod16 = calculateMOD(gas.o2, 1.6);
+        const environment = this._getFormEnvironment();
+        const mod14 = calculateMOD(gas.o2, 1.4, environment);
+        const mod16 = calculateMOD(gas.o2, 1.6, environment);
         const gasOptions = isBottomGas ? BOTTOM_GASES : DECO_GASES;
         const cylinderOptions = isBottomGas ? BOTTOM_CYLINDERS : STAGE_CYLINDERS;
         
@@ -814,32 +1510,94 @@ export class DiveSetupEditor extends EventTarget {
     }
     
     _updateGasModDisplay(modDisplay, o2Fraction) {
-        const mod14 = calculateMOD(o2Fraction, 1.4);
-        const mod16 = calculateMOD(o2Fraction, 1.6);
+        const environment = this._getFormEnvironment();
+        const mod14 = calculateMOD(o2Fraction, 1.4, environment);
+        const mod16 = calculateMOD(o2Fraction, 1.6, environment);
         modDisplay.textContent = `MOD: ${mod14}m (deco: ${mod16}m)`;
     }
     
     _addGas() {
+        if (this._pushGas(getDecoGas('ean50'))) {
+            this._onInputChange();
+        }
+    }
+    
+    /**
+     * Append a gas card (a stage cylinder unless the gas brings its own)
+     * @returns {boolean} False when the editor already holds maxGases gases
+     */
+    _pushGas(gas) {
         if (this.currentGases.length >= this.options.maxGases) {
             console.warn(`Maximum ${this.options.maxGases} gases allowed`);
-            return;
+            return false;
         }
         
-        const ean50 = getDecoGas('ean50');
         const defaultCylinder = STAGE_CYLINDERS[2]; // 7L AL50
+        const he = gas.he || 0;
         
         this.currentGases.push({
             id: `deco${this.currentGases.length}`,
-            name: ean50.name,
-            o2: ean50.o2,
-            n2: ean50.n2,
-            he: ean50.he,
-            cylinderVolume: defaultCylinder.value,
-            startPressure: DEFAULT_START_PRESSURE
+            name: gas.name,
+            o2: gas.o2,
+            n2: gas.n2 ?? Math.max(0, 1 - gas.o2 - he),
+            he,
+            cylinderVolume: gas.cylinderVolume || defaultCylinder.value,
+            startPressure: gas.startPressure || DEFAULT_START_PRESSURE
         });
         
         this._renderGasCards();
-        this._onInputChange();
+        return true;
+    }
+    
+    /**
+     * Solve the best mix for the tool's target depth and limits
+     */
+    _solveFormBestMix() {
+        return solveBestMix({
+            depth: parseFloat(this.elements.bestMixDepth.value) || 0,
+            maxPpO2: parseFloat(this.elements.bestMixPpO2.value) || 1.4,
+            maxEND: parseFloat(this.elements.bestMixEND.value) || 0,
+            o2Narcotic: this.elements.bestMixNarcotic.value === 'o2',
+            environment: this._getFormEnvironment()
+        });
+    }
+    
+    /**
+     * Show the best mix with its narcotic depths and density at the target depth
+     */
+    _updateBestMix() {
+        if (!this.elements.bestMixResult) return;
+        
+        const { feasible, mix, preset, analysis } = this._solveFormBestMix();
+        const percent = fraction => Math.round(fraction * 100);
+        const narcotic = analysis.ead !== null
+            ? `EAD ${analysis.ead}m`
+            : `END ${analysis.end}m (N₂ only: ${analysis.endO2NotNarcotic}m)`;
+        const densityClass = analysis.densityStatus === 'ok' ? '' : ' class="dse-deco-warning"';
+        
+        this.elements.bestMixResult.innerHTML = `
+            ${feasible ? '' : '<span class="dse-deco-warning">⚠️ No mix reaches the END limit:</span>'}
+            <strong>${getMixName(mix)}</strong> (${percent(mix.o2)}/${percent(mix.he)}) ·
+            ppO₂ ${analysis.ppO2.toFixed(2)} · ${narcotic} ·
+            <span${densityClass}>${analysis.density.toFixed(1)} g/L</span>
+            (limit ${GAS_DENSITY_LIMITS.recommended})
+            ${preset ? `· preset: ${preset.name}` : ''}
+        `;
+    }
+    
+    /**
+     * Add a gas card for the best mix, in the bottom gas's cylinder size
+     */
+    _addBestMix() {
+        const { mix } = this._solveFormBestMix();
+        const added = this._pushGas({
+            ...mix,
+            name: getMixName(mix),
+            cylinderVolume: this.currentGases[0]?.cylinderVolume
+        });
+        if (added) {
+            this._onInputChange();
+        }
     }
     
     _updateWaypointGasDropdowns() {
@@ -1025,7 +1783,9 @@ export class DiveSetupEditor extends EventTarget {
         }
         
         const waypoints = this._readWaypointsFromTable(this.elements.waypointsBody);
-        const newWaypoints = insertGasSwitchWaypoints(waypoints, this.currentGases);
+        const newWaypoints = insertGasSwitchWaypoints(
+            waypoints, this.currentGases, this._getFormPlanner().ascentRate, 1.6, this._getFormEnvironment()
+        );
         this._loadWaypointsToTable(newWaypoints, this.elements.waypointsBody);
         this._onInputChange();
     }
@@ -1043,6 +1803,7 @@ export class DiveSetupEditor extends EventTarget {
         if (this.elements.addDiveSection) {
             this.elements.addDiveSection.style.display = 'none';
         }
+        this._updateQuickTargetVisibility();
         
         // Add default dive 2 waypoints
         const defaultDive2 = [
@@ -1070,10 +1831,60 @@ export class DiveSetupEditor extends EventTarget {
         if (this.elements.waypointsBody2) {
             this.elements.waypointsBody2.innerHTML = '';
         }
+        this._updateQuickTargetVisibility();
         
         this._onInputChange();
     }
     
+    _updateQuickTargetVisibility() {
+        if (!this.elements.quickTarget) return;
+        this.elements.quickTargetField.style.display = this.hasDive2 ? 'flex' : 'none';
+        if (!this.hasDive2) {
+            this.elements.quickTarget.value = '1';
+        }
+        this._updateNDLDisplay();
+    }
+    
+    /**
+     * Whether quick setup plans dive 2 (from the residual loading of dive 1)
+     * @returns {boolean}
+     */
+    _isQuickTargetDive2() {
+        return this.hasDive2 && this.elements.quickTarget?.value === '2';
+    }
+    
+    /**
+     * Quick setup profile for the form's depth and time, planned by the calculation
+     * service (in its worker when available). When planning dive 2 it starts from
+     * dive 1's residual loading after the surface interval, otherwise from surface
+     * saturation. A newer request on the same channel supersedes a pending one.
+     * @param {number} maxDepth - Maximum depth in meters
+     * @param {number} bottomTime - Bottom time in minutes
+     * @param {Object} channel - Calculation channel
+     * @returns {Promise<Object|null>} generateDecoProfile() result, null when superseded
+     */
+    _planQuickSetupProfile(maxDepth, bottomTime, channel) {
+        const gfLow = parseFloat(this.elements.gfLowInput?.value) || DEFAULT_GF_LOW;
+        const gfHigh = parseFloat(this.elements.gfHighInput?.value) || DEFAULT_GF_HIGH;
+        const options = {
+            environment: this._getFormEnvironment(),
+            model: this._getFormModelDefinition(),
+            ccr: this._getFormCCR(),
+            planner: this._getFormPlanner(),
+            ...this._getFormAlgorithmOptions()
+        };
+        const residualSetup = this._isQuickTargetDive2() ? this._buildSetupFromForm() : null;
+        
+        return getCalcService()
+            .run('quickSetupProfile', [maxDepth, bottomTime, this.currentGases, gfLow, gfHigh, options, residualSetup, 1], { channel })
+            .catch(error => {
+                if (!(error instanceof CalcCancelledError)) {
+                    console.error('DiveSetupEditor: quick setup calculation failed', error);
+                }
+                return null;
+            });
+    }
+    
     // =========================================================================
     // QUICK SETUP
     // =========================================================================
@@ -1083,42 +1894,41 @@ export class DiveSetupEditor extends EventTarget {
         
         const maxDepth = parseFloat(this.elements.quickDepth.value) || 30;
         const bottomTime = parseFloat(this.elements.quickTime.value) || 20;
-        const gas = this.currentGases[0] || { n2: 0.79 };
-        const gfLow = parseFloat(this.elements.gfLowInput?.value) || 100;
-        const gfHigh = parseFloat(this.elements.gfHighInput?.value) || 100;
         
         // NDL uses GF Low since that determines when first stop is required
-        const { ndl } = getNDLForDepth(maxDepth, gas, gfLow);
-        
-        if (ndl === Infinity) {
-            this.elements.ndlValue.textContent = '∞';
-            this.elements.ndlStatus.textContent = '✅ No limit';
-            this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-ok';
-        } else {
-            this.elements.ndlValue.textContent = ndl;
+        // (on CCR, the diluent at the setpoint held on the bottom)
+        this._planQuickSetupProfile(maxDepth, bottomTime, this.calcChannels.ndl).then(result => {
+            if (!result || !this.elements.ndlValue) return;
+            const { ndl, totalDecoTime } = result;
             
-            if (bottomTime <= ndl) {
-                const remaining = ndl - bottomTime;
-                this.elements.ndlStatus.textContent = `✅ ${remaining}min remaining`;
+            if (ndl === Infinity) {
+                this.elements.ndlValue.textContent = '∞';
+                this.elements.ndlStatus.textContent = '✅ No limit';
                 this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-ok';
-            } else if (bottomTime <= ndl * 1.1) {
-                this.elements.ndlStatus.textContent = '⚠️ At limit';
-                this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-warning';
             } else {
-                this.elements.ndlStatus.textContent = '🔴 Deco dive';
-                this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-deco';
+                this.elements.ndlValue.textContent = ndl;
+                
+                if (bottomTime <= ndl) {
+                    const remaining = ndl - bottomTime;
+                    this.elements.ndlStatus.textContent = `✅ ${remaining}min remaining`;
+                    this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-ok';
+                } else if (bottomTime <= ndl * 1.1) {
+                    this.elements.ndlStatus.textContent = '⚠️ At limit';
+                    this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-warning';
+                } else {
+                    this.elements.ndlStatus.textContent = '🔴 Deco dive';
+                    this.elements.ndlStatus.className = 'dse-ndl-status dse-ndl-deco';
+                }
             }
-        }
-        
-        // Update deco info
-        if (ndl !== Infinity && bottomTime > ndl) {
-            this.elements.decoInfo.style.display = 'inline';
-            const gfLow = parseFloat(this.elements.gfLowInput?.value) || 100;
-            const result = generateDecoProfile(maxDepth, bottomTime, this.currentGases, gfLow, gfHigh);
-            this.elements.decoTime.textContent = result.totalDecoTime;
-        } else {
-            this.elements.decoInfo.style.display = 'none';
-        }
+            
+            // Update deco info
+            if (ndl !== Infinity && bottomTime > ndl) {
+                this.elements.decoInfo.style.display = 'inline';
+                this.elements.decoTime.textContent = Math.round(totalDecoTime * 10) / 10;
+            } else {
+                this.elements.decoInfo.style.display = 'none';
+            }
+        });
     }
     
     _generateProfile() {
@@ -1134,13 +1944,12 @@ export class DiveSetupEditor extends EventTarget {
             return;
         }
         
-        const gfLow = parseFloat(this.elements.gfLowInput?.value) || DEFAULT_GF_LOW;
-        const gfHigh = parseFloat(this.elements.gfHighInput?.value) || DEFAULT_GF_HIGH;
-        
-        const result = generateDecoProfile(maxDepth, bottomTime, this.currentGases, gfLow, gfHigh);
-        
-        this._loadWaypointsToTable(result.waypoints, this.elements.waypointsBody);
-        this._onInputChange();
+        const body = this._isQuickTargetDive2() ? this.elements.waypointsBody2 : this.elements.waypointsBody;
+        this._planQuickSetupProfile(maxDepth, bottomTime, this.calcChannels.profile).then(result => {
+            if (!result || !body.isConnected) return;
+            this._loadWaypointsToTable(result.waypoints, body);
+            this._onInputChange();
+        });
     }
     
     // =========================================================================
@@ -1214,16 +2023,27 @@ export class DiveSetupEditor extends EventTarget {
         const profileName = this.currentProfileName || generatedName;
         
         const surfaceInterval = parseFloat(this.elements.surfaceIntervalInput?.value) || 5;
+        const { algorithm: decoAlgorithm, conservatism: vpmConservatism } = this._getFormAlgorithmOptions();
+        const ccr = this._getFormCCR();
         
         return {
             name: profileName,
             description: this.elements.descriptionInput?.value || '',
             gases: this.currentGases,
             dives: dives,
-            algorithm: this.elements.algorithmSelect?.value || getZHL16Variant(),
             gfLow: parseInt(this.elements.gfLowInput?.value) || DEFAULT_GF_LOW,
             gfHigh: parseInt(this.elements.gfHighInput?.value) || DEFAULT_GF_HIGH,
+            decoAlgorithm,
+            vpmConservatism,
             surfaceInterval: surfaceInterval,
+            environment: this._getFormEnvironment(),
+            model: this._getFormModel(),
+            customModels: this._getFormCustomModels(),
+            breathingMode: ccr ? 'ccr' : 'oc',
+            ...(ccr ? { ccr } : {}),
+            planner: this._getFormPlanner(),
+            postDive: this._getFormPostDive(),
+            ...this.currentGasSettings,
             units: { depth: 'meters', time: 'minutes', pressure: 'bar' }
         };
     }
@@ -1232,15 +2052,62 @@ export class DiveSetupEditor extends EventTarget {
         // Store profile name
         this.currentProfileName = setup.name || null;
         
+        // Gas settings the form doesn't edit
+        this.currentGasSettings = Object.fromEntries(
+            ['reservePressure', 'sacRate', 'sacRates', 'gasPlanning', 'gasModel']
+                .filter(key => setup[key] !== undefined)
+                .map(key => [key, setup[key]])
+        );
+        
+        // Environment (before gas cards so MODs use it)
+        if (this.elements.altitudeInput) {
+            const env = setup.environment || {};
+            this.elements.altitudeInput.value = env.altitude ?? 0;
+            const water = WATER_TYPES.find(w => Math.abs(w.density - (env.waterDensity ?? WATER_TYPES[0].density)) < 0.001);
+            this.elements.waterSelect.value = (water || WATER_TYPES[0]).id;
+            this._updateEnvironmentHint();
+        }
+        
         // Load gases
         this.currentGases = getGases(setup);
         this._renderGasCards();
+        this._updateBestMix();
+        
+        // Breathing mode (after gas cards so the diluent options exist)
+        if (this.elements.breathingModeSelect) {
+            const ccr = setup.ccr || {};
+            this.elements.breathingModeSelect.value = setup.breathingMode || 'oc';
+            this.elements.diluentSelect.value = ccr.diluentId || this.currentGases[0]?.id;
+            this.elements.setpointLowInput.value = ccr.setpointLow ?? DEFAULT_SETPOINT_LOW;
+            this.elements.setpointHighInput.value = ccr.setpointHigh ?? DEFAULT_SETPOINT_HIGH;
+            this.elements.setpointSwitchInput.value = ccr.setpointSwitchDepth ?? DEFAULT_SETPOINT_SWITCH_DEPTH;
+            this.elements.bailoutTimeInput.value = ccr.bailoutTime ?? '';
+            this._updateCCRVisibility();
+        }
+        
+        // Planner settings
+        if (this.elements.descentRateInput) {
+            const planner = { ...DEFAULT_PLANNER, ...setup.planner };
+            this.elements.descentRateInput.value = planner.descentRate;
+            this.elements.ascentRateInput.value = planner.ascentRate;
+            this.elements.decoAscentRateInput.value = planner.decoAscentRate;
+            this.elements.stopIncrementInput.value = planner.stopIncrement;
+            this.elements.lastStopSelect.value = String(planner.lastStopDepth);
+            this.elements.stopRoundingSelect.value = String(planner.stopRounding);
+        }
         
         // Surface interval
         if (this.elements.surfaceIntervalInput) {
             this.elements.surfaceIntervalInput.value = setup.surfaceInterval ?? 5;
         }
         
+        // Post-dive altitude exposures
+        if (this.elements.exposureList) {
+            this.elements.noFlyAltitudeInput.value = setup.postDive?.noFlyAltitude ?? DEFAULT_POST_DIVE.noFlyAltitude;
+            this.elements.exposureList.innerHTML = '';
+            (setup.postDive?.exposures || []).forEach(exposure => this._addExposureRow(exposure));
+        }
+        
         // Gradient factors
         const gfLow = setup.gfLow ?? DEFAULT_GF_LOW;
         const gfHigh = setup.gfHigh ?? DEFAULT_GF_HIGH;
@@ -1253,10 +2120,29 @@ export class DiveSetupEditor extends EventTarget {
             this.elements.gfHighSlider.value = gfHigh;
         }
         
-        // Algorithm variant
-        if (this.elements.algorithmSelect && setup.algorithm) {
-            this.elements.algorithmSelect.value = setup.algorithm;
-            setZHL16Variant(setup.algorithm);
+        // Custom models (before the algorithm so their options exist)
+        if (this.elements.modelList) {
+            this.elements.modelList.innerHTML = '';
+            (setup.customModels || []).forEach(model => this._addModelCard(model));
+        }
+        
+        // Algorithm variant (setups saved before models were per setup kept it in `algorithm`)
+        if (this.elements.algorithmSelect) {
+            this._updateAlgorithmOptions();
+            const variant = setup.model?.variant ?? setup.algorithm;
+            this.elements.algorithmSelect.value = setup.model?.customModelId !== undefined
+                ? CUSTOM_MODEL_OPTION_PREFIX + setup.model.customModelId
+                : isZHL16Variant(variant) ? variant : DEFAULT_MODEL.variant;
+            if (!this.elements.algorithmSelect.value) {
+                this.elements.algorithmSelect.value = DEFAULT_MODEL.variant;
+            }
+        }
+        
+        // Deco model
+        if (this.elements.decoModelSelect) {
+            this.elements.decoModelSelect.value = setup.decoAlgorithm || DEFAULT_DECO_ALGORITHM;
+            this.elements.vpmConservatismSelect.value = setup.vpmConservatism ?? DEFAULT_VPM_CONSERVATISM;
+            this._updateDecoModelVisibility();
         }
         
         // Description
@@ -1348,7 +2234,13 @@ export class DiveSetupEditor extends EventTarget {
             }],
             gfLow: DEFAULT_GF_LOW,
             gfHigh: DEFAULT_GF_HIGH,
+            decoAlgorithm: DEFAULT_DECO_ALGORITHM,
+            vpmConservatism: DEFAULT_VPM_CONSERVATISM,
             surfaceInterval: 5,
+            environment: { altitude: 0, waterDensity: WATER_TYPES[0].density },
+            breathingMode: 'oc',
+            planner: { ...DEFAULT_PLANNER },
+            postDive: { exposures: [], noFlyAltitude: DEFAULT_POST_DIVE.noFlyAltitude },
             units: { depth: 'meters', time: 'minutes', pressure: 'bar' }
         };
     }
@@ -1361,6 +2253,11 @@ export class DiveSetupEditor extends EventTarget {
         // Update profile header with current values
         this._updateProfileHeader();
         
+        // Dive 2's NDL depends on dive 1 and the surface interval
+        if (this._isQuickTargetDive2()) {
+            this._updateNDLDisplay();
+        }
+        
         if (this.options.emitOnInput) {
             this._emitChange();
         }
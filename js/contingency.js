@@ -0,0 +1,157 @@
+/**
+ * Contingency Schedules
+ *
+ * Backup ascents for a planned dive, the way a printed plan carries its
+ * backup tables: the bottom phase of the first dive deeper and longer, each
+ * deco gas lost, and all deco gases lost (bottom gas only). Every ascent is a
+ * Bühlmann GF schedule (generateDecoSchedule) at the setup's gradient factors
+ * on the gases that remain, and the gas it needs is checked against the
+ * cylinders.
+ *
+ * Usage:
+ *   import { planContingencies } from './contingency.js';
+ *
+ *   const { contingencies } = planContingencies(setup);
+ *   contingencies.forEach(c => console.log(c.label, c.runtime, c.sufficient));
+ */
+
+import {
+    calculateTissueLoadingSeries,
+    getSeriesTissueState,
+    generateDecoSchedule,
+    DecoStopError
+} from './decoModel.js';
+import { getAlgorithmParams, getBottomPhase, scheduleToPoints } from './decoAlgorithms.js';
+import { getCylinderContents, getCylinderPressure } from './gasCompressibility.js';
+import {
+    getGases,
+    getGasCylinderVolume,
+    getGasStartPressure,
+    getReservePressure,
+    getSegmentSacRates,
+    calculateGasUsage,
+    getGasAtEnd
+} from './diveSetup.js';
+
+/** Default deeper/longer contingency: extra depth (m) and extra bottom time (min) */
+export const DEFAULT_CONTINGENCY = Object.freeze({
+    extraDepth: 3,
+    extraTime: 5
+});
+
+/**
+ * Add up the gas each cylinder supplies along a profile and check it against
+ * the cylinder, keeping the setup's reserve
+ * @param {Array<{time: number, depth: number, gasId?: string}>} waypoints - Whole profile
+ * @param {Array} gases - All gases of the setup
+ * @param {Object} setup - Dive setup (SAC rates per dive phase, gas model)
+ * @param {number} reservePressure - Reserve pressure in bar
+ * @param {Object} [environment] - Altitude/water density
+ * @returns {Array<{gasId: string, name: string, required: number, usable: number,
+ *                  endPressure: number, sufficient: boolean}>} Gases breathed, in setup order
+ */
+function getGasRequirements(waypoints, gases, setup, reservePressure, environment) {
+    const required = calculateGasUsage(waypoints, gases, getSegmentSacRates(waypoints, setup), environment);
+    return gases
+        .filter(gas => required[gas.id] !== undefined)
+        .map(gas => {
+            const cylinderVolume = getGasCylinderVolume(gas);
+            const startPressure = getGasStartPressure(gas);
+            const contents = getCylinderContents(gas, cylinderVolume, startPressure, setup.gasModel);
+            const endPressure = getCylinderPressure(gas, cylinderVolume, contents - required[gas.id], setup.gasModel);
+            return {
+                gasId: gas.id,
+                name: gas.name,
+                required: required[gas.id],
+                usable: contents - getCylinderContents(gas, cylinderVolume, reservePressure, setup.gasModel),
+                endPressure,
+                sufficient: endPressure >= reservePressure
+            };
+        });
+}
+
+/**
+ * Plan the contingency ascents of a setup's first dive
+ *
+ * Returned in table order: the plan itself, deeper/longer, each deco gas lost
+ * and all deco gases lost (only with two or more; with one it is the same as
+ * losing that gas). Deco gases are all gases but the one breathed on leaving
+ * the bottom. A contingency whose stop never clears carries the error instead
+ * of a schedule.
+ *
+ * @param {Object} setup - DiveSetup (open circuit)
+ * @param {Object} [options] - Deeper/longer contingency (default DEFAULT_CONTINGENCY)
+ * @param {number} [options.extraDepth] - Meters added to the bottom depth
+ * @param {number} [options.extraTime] - Minutes added to the bottom time
+ * @returns {{bottomGas: Object, contingencies: Array<{
+ *   id: string, label: string, depth: number, bottomTime: number, gases: Array,
+ *   schedule: Object|null, runtime: number|null, waypoints: Array|null,
+ *   gasRequirements: Array, sufficient: boolean, error: string|null
+ * }>}|null} Null for CCR setups and without a dive below the surface
+ */
+export function planContingencies(setup, options = {}) {
+    const waypoints = setup?.dives?.[0]?.waypoints;
+    if (!waypoints || waypoints.length < 2 || setup.breathingMode === 'ccr') {
+        return null;
+    }
+    const bottom = getBottomPhase(waypoints);
+    if (bottom.depth <= 0) {
+        return null;
+    }
+
+    const { extraDepth, extraTime } = { ...DEFAULT_CONTINGENCY, ...options };
+    const params = getAlgorithmParams(setup);
+    const gases = getGases(setup);
+    const bottomGas = getGasAtEnd(bottom.waypoints, gases);
+    const decoGases = gases.filter(gas => gas.id !== bottomGas.id);
+    const reservePressure = getReservePressure(setup);
+
+    const deeperWaypoints = bottom.waypoints.map((wp, i) => ({
+        ...wp,
+        depth: wp.depth === bottom.depth ? wp.depth + extraDepth : wp.depth,
+        time: i === bottom.waypoints.length - 1 ? wp.time + extraTime : wp.time
+    }));
+
+    const plan = (id, label, bottomWaypoints, available) => {
+        const last = bottomWaypoints[bottomWaypoints.length - 1];
+        const entry = { id, label, depth: last.depth, bottomTime: last.time, gases: available };
+        const series = calculateTissueLoadingSeries(bottomWaypoints, 0, {
+            gases, environment: params.environment, model: params.model
+        });
+        let schedule;
+        try {
+            schedule = generateDecoSchedule(getSeriesTissueState(series), last.depth, bottomGas, params.gfLow, params.gfHigh, available, {
+                environment: params.environment, model: params.model, planner: params.planner
+            });
+        } catch (error) {
+            if (!(error instanceof DecoStopError)) throw error;
+            return { ...entry, schedule: null, runtime: null, waypoints: null, gasRequirements: [], sufficient: false, error: error.message };
+        }
+
+        const ascent = scheduleToPoints(schedule, last.time, last.depth, params.planner);
+        const profile = [...bottomWaypoints, ...ascent.slice(1)];
+        const gasRequirements = getGasRequirements(profile, gases, setup, reservePressure, params.environment);
+        return {
+            ...entry,
+            schedule,
+            runtime: last.time + schedule.totalTime,
+            waypoints: profile,
+            gasRequirements,
+            sufficient: gasRequirements.every(req => req.sufficient),
+            error: null
+        };
+    };
+
+    const contingencies = [
+        plan('planned', 'Planned', bottom.waypoints, gases),
+        plan('deeper-longer', `Deeper +${extraDepth} m / longer +${extraTime} min`, deeperWaypoints, gases)
+    ];
+    decoGases.forEach(lost => {
+        contingencies.push(plan(`lost-${lost.id}`, `Lost ${lost.name}`, bottom.waypoints, gases.filter(gas => gas.id !== lost.id)));
+    });
+    if (decoGases.length > 1) {
+        contingencies.push(plan('lost-all', 'Lost all deco gas', bottom.waypoints, [bottomGas]));
+    }
+
+    return { bottomGas, contingencies };
+}
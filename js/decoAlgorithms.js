@@ -0,0 +1,471 @@
+/**
+ * Decompression Algorithms
+ *
+ * Registry of ascent schedule engines. Every engine takes the tissue state at
+ * the end of the bottom phase and returns the same shape as
+ * generateDecoSchedule: {stops, gasSwitches, totalTime, totalAscentTime}.
+ *
+ * A DiveSetup selects its engine with `decoAlgorithm` (default Bühlmann GF);
+ * `gfLow`/`gfHigh` parameterize Bühlmann and `vpmConservatism` VPM-B; both
+ * engines follow the setup's planner settings (rates, stops, rounding).
+ * On a CCR setup the ascent stays on the loop; planBailout computes the
+ * open-circuit ascent instead. sweepGradientFactors runs the Bühlmann ascent
+ * over a grid of GF Low/High pairs.
+ */
+
+import {
+    calculateTissueLoading,
+    generateDecoSchedule,
+    createLoopGas,
+    resolveCCR,
+    resolvePlanner,
+    resolveModel,
+    getAmbientPressure,
+    simulateDepthTime,
+    simulateDepthChange,
+    getSupersaturationGF,
+    DecoStopError
+} from './decoModel.js';
+import {
+    generateVPMBSchedule,
+    getMaxCrushingPressures,
+    DEFAULT_VPM_CONSERVATISM
+} from './vpmModel.js';
+
+/** Highest ppO2 at which an open-circuit gas can start a bailout ascent (bar) */
+const MAX_BAILOUT_PPO2 = 1.6;
+
+/**
+ * Available decompression algorithms
+ * generateSchedule(tissuePressures, depth, gas, gases, params) → schedule
+ * params: {gfLow, gfHigh (0-1), conservatism, crushingPressures, diveTime, environment, model, planner}
+ */
+export const DECO_ALGORITHMS = {
+    'buhlmann-gf': {
+        id: 'buhlmann-gf',
+        name: 'Bühlmann GF',
+        description: 'Dissolved-gas M-value limits scaled by gradient factors',
+        generateSchedule: (tissuePressures, depth, gas, gases, params) => generateDecoSchedule(
+            tissuePressures, depth, gas, params.gfLow, params.gfHigh, gases, { environment: params.environment, model: params.model, planner: params.planner }
+        ),
+        getLabel: params => `Bühlmann GF ${Math.round(params.gfLow * 100)}/${Math.round(params.gfHigh * 100)}`
+    },
+    'vpm-b': {
+        id: 'vpm-b',
+        name: 'VPM-B',
+        description: 'Bubble model limiting nuclei growth, with Boyle\'s law compensation',
+        generateSchedule: (tissuePressures, depth, gas, gases, params) => generateVPMBSchedule(
+            tissuePressures, depth, gas, gases, params
+        ),
+        getLabel: params => `VPM-B +${params.conservatism ?? DEFAULT_VPM_CONSERVATISM}`
+    }
+};
+
+/** Default algorithm ID */
+export const DEFAULT_DECO_ALGORITHM = 'buhlmann-gf';
+
+/** Default GF Low/High grid of sweepGradientFactors (percent) */
+export const DEFAULT_GF_SWEEP = Object.freeze({
+    gfLows: Object.freeze([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]),
+    gfHighs: Object.freeze([50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100])
+});
+
+/**
+ * Get an algorithm by ID (falls back to the default)
+ * @param {string} [id] - Algorithm ID
+ * @returns {Object} Algorithm definition
+ */
+export function getDecoAlgorithm(id) {
+    return DECO_ALGORITHMS[id] || DECO_ALGORITHMS[DEFAULT_DECO_ALGORITHM];
+}
+
+/**
+ * Get algorithm parameters from a dive setup
+ * @param {Object} setup - DiveSetup (GF as percentages)
+ * @returns {{gfLow: number, gfHigh: number, conservatism: number, environment: Object|null, model: Object,
+ *            ccr: Object|null, planner: Object}}
+ */
+export function getAlgorithmParams(setup) {
+    return {
+        gfLow: (setup?.gfLow ?? 100) / 100,
+        gfHigh: (setup?.gfHigh ?? 100) / 100,
+        conservatism: setup?.vpmConservatism ?? DEFAULT_VPM_CONSERVATISM,
+        environment: setup?.environment || null,
+        model: resolveModel(setup?.model, setup?.customModels),
+        ccr: setup?.breathingMode === 'ccr' ? resolveCCR(setup.ccr) : null,
+        planner: resolvePlanner(setup?.planner)
+    };
+}
+
+/**
+ * Generate an ascent schedule with the given algorithm
+ *
+ * @param {string} algorithmId - Algorithm ID (see DECO_ALGORITHMS)
+ * @param {Object} tissuePressures - Tissue pressures at the start of the ascent
+ * @param {number} depth - Current depth in meters
+ * @param {number|Object} gas - Current gas (N2 fraction or {n2, he})
+ * @param {Array} [gases] - Available gases (first is bottom gas)
+ * @param {Object} [params] - Algorithm parameters (see getAlgorithmParams)
+ * @returns {{stops: Array, gasSwitches: Array, totalTime: number, totalAscentTime: number}}
+ */
+export function generateAlgorithmSchedule(algorithmId, tissuePressures, depth, gas, gases = null, params = {}) {
+    const algorithm = getDecoAlgorithm(algorithmId);
+    return algorithm.generateSchedule(tissuePressures, depth, gas, gases, {
+        gfLow: 1.0,
+        gfHigh: 1.0,
+        ...params
+    });
+}
+
+/**
+ * Find the bottom phase of a dive: everything up to leaving the maximum depth
+ * @param {Array<{time: number, depth: number}>} waypoints - Dive waypoints
+ * @returns {{waypoints: Array, endTime: number, depth: number}}
+ */
+export function getBottomPhase(waypoints) {
+    const maxDepth = Math.max(...waypoints.map(wp => wp.depth));
+    let endIndex = 0;
+    waypoints.forEach((wp, i) => {
+        if (wp.depth === maxDepth) endIndex = i;
+    });
+    return {
+        waypoints: waypoints.slice(0, endIndex + 1),
+        endTime: waypoints[endIndex].time,
+        depth: maxDepth
+    };
+}
+
+/**
+ * Get the tissue state at a time index of calculateTissueLoading results
+ * @param {Object} results - Results from calculateTissueLoading()
+ * @param {number} index - Time index
+ * @returns {{n2: Object, he: Object}} Tissue state
+ */
+function getTissueStateAt(results, index) {
+    const tissues = { n2: {}, he: {} };
+    Object.entries(results.compartments).forEach(([id, comp]) => {
+        tissues.n2[id] = comp.pressures[index];
+        tissues.he[id] = comp.hePressures ? comp.hePressures[index] : 0;
+    });
+    return tissues;
+}
+
+/**
+ * Get the gas being breathed at a time index (the loop gas while on the loop)
+ * @param {Object} results - Results from calculateTissueLoading()
+ * @param {number} index - Time index
+ * @param {Array} gases - Available gases
+ * @param {Object|null} ccr - Resolved CCR settings
+ * @returns {Object} Gas ({n2, he}) or loop gas
+ */
+function getGasAt(results, index, gases, ccr) {
+    const setpoint = results.setpoints?.[index];
+    if (ccr && setpoint) {
+        const diluent = gases.find(g => g.id === ccr.diluentId) || gases[0];
+        return createLoopGas(diluent, setpoint);
+    }
+    return { n2: results.n2Fractions[index], he: results.heFractions ? results.heFractions[index] : 0 };
+}
+
+/**
+ * Convert a schedule into depth/time points starting at the end of the bottom
+ * Travel to the first stop uses the ascent rate, travel after it the deco ascent rate.
+ * Each gas switch of the schedule is a point carrying the gasId switched to
+ * (the waypoint convention: the gas applies from that point on).
+ * @param {Object} schedule - Schedule from generateAlgorithmSchedule
+ * @param {number} startTime - Ascent start time in minutes
+ * @param {number} startDepth - Ascent start depth in meters
+ * @param {Object} [planner] - Planner settings (default rates when omitted)
+ * @returns {Array<{time: number, depth: number, gasId?: string}>}
+ */
+export function scheduleToPoints(schedule, startTime, startDepth, planner = null) {
+    const { ascentRate, decoAscentRate } = resolvePlanner(planner);
+    const { stops } = schedule;
+    const gasSwitches = schedule.gasSwitches || [];
+    const firstStopDepth = stops[0]?.depth ?? 0;
+    const depths = [...new Set([...gasSwitches.map(sw => sw.depth), ...stops.map(stop => stop.depth), 0])]
+        .filter(depth => depth < startDepth)
+        .sort((a, b) => b - a);
+
+    const points = [{ time: startTime, depth: startDepth }];
+    let time = startTime;
+    let depth = startDepth;
+    depths.forEach(nextDepth => {
+        time += (depth - nextDepth) / (depth > firstStopDepth || stops.length === 0 ? ascentRate : decoAscentRate);
+        depth = nextDepth;
+        const gasSwitch = gasSwitches.find(sw => sw.depth === depth);
+        points.push(gasSwitch?.gasId ? { time, depth, gasId: gasSwitch.gasId } : { time, depth });
+        const stop = stops.find(s => s.depth === depth);
+        if (stop) {
+            time += stop.time;
+            points.push({ time, depth });
+        }
+    });
+    return points;
+}
+
+/**
+ * Calculate the time-to-surface (TTS) along a whole profile
+ *
+ * At each sample the Bühlmann GF schedule is run from that tissue state and
+ * depth on the gas being breathed, once for an ascent starting now and once
+ * after staying `extraTime` more minutes at the same depth ("@+5").
+ * With an `interval`, schedules are only computed at the first sample of
+ * every `interval` minutes and held in between.
+ *
+ * @param {Object} results - Results from calculateTissueLoading()
+ * @param {Array} gases - Available gases (first is bottom gas)
+ * @param {Object} [params] - Algorithm parameters (see getAlgorithmParams)
+ * @param {Object} [options] - Additional options
+ * @param {number} [options.extraTime=5] - Minutes of extra stay for the "@+" series
+ * @param {number} [options.interval=0] - Minutes between computed schedules (0 = every sample)
+ * @returns {{tts: Array<number|null>, ttsPlus: Array<number|null>, extraTime: number}} TTS in
+ *          minutes at each sample (0 at the surface, null where a stop never clears)
+ */
+export function calculateTTSTimeSeries(results, gases, params = {}, options = {}) {
+    const { gfLow = 1.0, gfHigh = 1.0, environment = null, model = null, ccr = null, planner = null } = params;
+    const extraTime = options.extraTime ?? 5;
+    const interval = options.interval || 0;
+    const tts = [];
+    const ttsPlus = [];
+    let lastSlot = null;
+    let current = { tts: 0, ttsPlus: 0 };
+
+    // A stop that never clears has no TTS (null leaves a gap in the series)
+    const ttsFrom = (tissues, depth, gas) => {
+        try {
+            return generateDecoSchedule(tissues, depth, gas, gfLow, gfHigh, gases, { environment, model, planner }).totalTime;
+        } catch (error) {
+            if (error instanceof DecoStopError) return null;
+            throw error;
+        }
+    };
+
+    results.timePoints.forEach((time, i) => {
+        const depth = results.depthPoints[i];
+        const slot = interval > 0 ? Math.floor(time / interval + 1e-9) : i;
+        if (depth <= 0) {
+            current = { tts: 0, ttsPlus: 0 };
+            lastSlot = null;
+        } else if (slot !== lastSlot) {
+            const tissues = getTissueStateAt(results, i);
+            const gas = getGasAt(results, i, gases, ccr);
+            current = {
+                tts: ttsFrom(tissues, depth, gas),
+                ttsPlus: ttsFrom(simulateDepthTime(tissues, depth, extraTime, gas, environment, model), depth, gas)
+            };
+            lastSlot = slot;
+        }
+        tts.push(current.tts);
+        ttsPlus.push(current.ttsPlus);
+    });
+
+    return { tts, ttsPlus, extraTime };
+}
+
+/**
+ * Get the state at the start of the ascent of a setup's first dive
+ * @param {Object} setup - DiveSetup
+ * @returns {{bottom: Object, params: Object, gases: Array, results: Object, tissues: Object, gas: Object}|null}
+ *          Bottom phase (see getBottomPhase), algorithm parameters, bottom-phase tissue loading and
+ *          the tissue state and gas on leaving the bottom; null without a dive below the surface
+ */
+function getAscentStart(setup) {
+    const waypoints = setup?.dives?.[0]?.waypoints;
+    if (!waypoints || waypoints.length < 2) {
+        return null;
+    }
+    const bottom = getBottomPhase(waypoints);
+    if (bottom.depth <= 0) {
+        return null;
+    }
+
+    const params = getAlgorithmParams(setup);
+    const gases = setup.gases || [];
+    const results = calculateTissueLoading(bottom.waypoints, 0, { gases, environment: params.environment, model: params.model, ccr: params.ccr });
+    const last = results.timePoints.length - 1;
+
+    return {
+        bottom,
+        params,
+        gases,
+        results,
+        tissues: getTissueStateAt(results, last),
+        gas: getGasAt(results, last, gases, params.ccr)
+    };
+}
+
+/**
+ * Compute the ascent of each algorithm from the same bottom phase
+ *
+ * @param {Object} setup - DiveSetup (uses the first dive)
+ * @param {string[]} [algorithmIds] - Algorithms to compare (default: all)
+ * @returns {{startTime: number, startDepth: number, schedules: Array<{id: string, name: string, label: string, schedule: Object, points: Array}>}|null}
+ */
+export function compareAscentSchedules(setup, algorithmIds = Object.keys(DECO_ALGORITHMS)) {
+    const start = getAscentStart(setup);
+    if (!start) {
+        return null;
+    }
+    const { bottom, params, gases, results, tissues, gas } = start;
+    const algorithmParams = {
+        ...params,
+        crushingPressures: getMaxCrushingPressures(results),
+        diveTime: bottom.endTime
+    };
+
+    const schedules = algorithmIds.map(id => {
+        const algorithm = getDecoAlgorithm(id);
+        const schedule = algorithm.generateSchedule(tissues, bottom.depth, gas, gases, algorithmParams);
+        return {
+            id: algorithm.id,
+            name: algorithm.name,
+            label: algorithm.getLabel(params),
+            schedule,
+            points: scheduleToPoints(schedule, bottom.endTime, bottom.depth, params.planner)
+        };
+    });
+
+    return { startTime: bottom.endTime, startDepth: bottom.depth, schedules };
+}
+
+/**
+ * Get the highest GF99 along an ascent schedule
+ * The schedule's points (see scheduleToPoints) are replayed from the bottom.
+ * GF99 peaks on arriving at a depth (it rises while ascending and falls at a
+ * stop), so it is checked at every point.
+ * @param {Object} schedule - Schedule from generateDecoSchedule
+ * @param {Object} tissues - Tissue state at the start of the ascent
+ * @param {number} startDepth - Ascent start depth in meters
+ * @param {Object} gas - Gas breathed at the start of the ascent
+ * @param {Array} gases - Available gases
+ * @param {Object} params - Algorithm parameters (see getAlgorithmParams)
+ * @returns {number} Highest GF99 in percent
+ */
+function getScheduleMaxGF99(schedule, tissues, startDepth, gas, gases, params) {
+    const { environment, model } = params;
+    const points = scheduleToPoints(schedule, 0, startDepth, params.planner);
+
+    let state = tissues;
+    let currentGas = gas;
+    let maxGF99 = getSupersaturationGF(state, getAmbientPressure(startDepth, environment), model).gf;
+    for (let i = 1; i < points.length; i++) {
+        const [from, to] = [points[i - 1], points[i]];
+        state = simulateDepthChange(state, from.depth, to.depth, to.time - from.time, currentGas, environment, model);
+        maxGF99 = Math.max(maxGF99, getSupersaturationGF(state, getAmbientPressure(to.depth, environment), model).gf);
+        currentGas = gases.find(g => g.id === to.gasId) || currentGas;
+    }
+    return maxGF99;
+}
+
+/**
+ * Sweep Bühlmann GF Low/High pairs over the same bottom phase
+ *
+ * Every pair runs generateDecoSchedule from the tissue state on leaving the
+ * bottom of the first dive, on the setup's gases, planner and model.
+ * Pairs with GF Low above GF High are skipped.
+ *
+ * @param {Object} setup - DiveSetup (uses the first dive)
+ * @param {Object} [options] - Grid (percent; default DEFAULT_GF_SWEEP)
+ * @param {number[]} [options.gfLows] - GF Low values (rows)
+ * @param {number[]} [options.gfHighs] - GF High values (columns)
+ * @returns {{startTime: number, startDepth: number, gfLows: number[], gfHighs: number[],
+ *            cells: Array<Array<{gfLow: number, gfHigh: number, runtime: number, firstStopDepth: number, maxGF99: number}|null>>}|null}
+ *          cells[i][j] holds the runtime (minutes, bottom included), first stop depth
+ *          (0 without stops) and highest GF99 (percent) of gfLows[i]/gfHighs[j]; null where
+ *          the pair is skipped or a stop never clears. Null without a dive below the surface.
+ */
+export function sweepGradientFactors(setup, options = {}) {
+    const start = getAscentStart(setup);
+    if (!start) {
+        return null;
+    }
+    const { bottom, params, gases, tissues, gas } = start;
+    const gfLows = options.gfLows || DEFAULT_GF_SWEEP.gfLows;
+    const gfHighs = options.gfHighs || DEFAULT_GF_SWEEP.gfHighs;
+
+    const cells = gfLows.map(gfLow => gfHighs.map(gfHigh => {
+        if (gfLow > gfHigh) {
+            return null;
+        }
+        let schedule;
+        try {
+            schedule = generateDecoSchedule(tissues, bottom.depth, gas, gfLow / 100, gfHigh / 100, gases, {
+                environment: params.environment, model: params.model, planner: params.planner
+            });
+        } catch (error) {
+            if (error instanceof DecoStopError) return null;
+            throw error;
+        }
+        return {
+            gfLow,
+            gfHigh,
+            runtime: bottom.endTime + schedule.totalTime,
+            firstStopDepth: schedule.stops[0]?.depth ?? 0,
+            maxGF99: getScheduleMaxGF99(schedule, tissues, bottom.depth, gas, gases, params)
+        };
+    }));
+
+    return { startTime: bottom.endTime, startDepth: bottom.depth, gfLows: [...gfLows], gfHighs: [...gfHighs], cells };
+}
+
+/**
+ * Plan an open-circuit bailout from any point of a CCR dive
+ *
+ * The tissue state at the bailout time comes from the loop (setpoints
+ * included); the ascent is then breathed open circuit, starting on the
+ * bailout gas with the least inert gas that is breathable at the bailout depth
+ * and switching to the other bailout gases at their MOD. When no bailout gas is
+ * breathable there, the ascent starts on the diluent breathed open circuit.
+ *
+ * @param {Object} setup - DiveSetup (uses the first dive)
+ * @param {number} bailoutTime - Minutes into the dive
+ * @param {string} [algorithmId] - Algorithm ID (default: the setup's algorithm)
+ * @returns {{time: number, depth: number, gas: Object, label: string, schedule: Object, points: Array}|null}
+ *          Null when the setup is not CCR or the bailout is at the surface
+ */
+export function planBailout(setup, bailoutTime, algorithmId = setup?.decoAlgorithm) {
+    const waypoints = setup?.dives?.[0]?.waypoints;
+    const params = getAlgorithmParams(setup);
+    if (!params.ccr || !waypoints || waypoints.length < 2 || !setup.gases?.length) {
+        return null;
+    }
+
+    const gases = setup.gases;
+    const results = calculateTissueLoading(waypoints, 0, { gases, environment: params.environment, model: params.model, ccr: params.ccr });
+    let index = 0;
+    while (index < results.timePoints.length - 1 && results.timePoints[index + 1] <= bailoutTime) {
+        index++;
+    }
+    const time = results.timePoints[index];
+    const depth = results.depthPoints[index];
+    if (depth <= 0) {
+        return null;
+    }
+
+    const diluent = gases.find(g => g.id === params.ccr.diluentId) || gases[0];
+    const bailoutGases = gases.filter(g => g.id !== diluent.id);
+    const ambient = getAmbientPressure(depth, params.environment);
+    const inertOf = gas => gas.n2 + (gas.he || 0);
+    const breathable = bailoutGases
+        .filter(g => ambient * g.o2 <= MAX_BAILOUT_PPO2)
+        .sort((a, b) => inertOf(a) - inertOf(b));
+    const startGas = breathable[0] || diluent;
+    const ascentGases = [startGas, ...bailoutGases.filter(g => g !== startGas)];
+
+    const algorithm = getDecoAlgorithm(algorithmId);
+    const schedule = algorithm.generateSchedule(getTissueStateAt(results, index), depth, startGas, ascentGases, {
+        ...params,
+        crushingPressures: getMaxCrushingPressures(results, index),
+        diveTime: time
+    });
+
+    return {
+        time,
+        depth,
+        gas: startGas,
+        label: `Bailout at ${Math.round(time)} min (${algorithm.getLabel(params)})`,
+        schedule,
+        points: scheduleToPoints(schedule, time, depth, params.planner)
+    };
+}
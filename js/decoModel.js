@@ -2,10 +2,35 @@
  * Decompression Model
  * 
  * Implements the Haldane equation (constant depth) and Schreiner equation
- * (linear depth change) for calculating nitrogen tissue loading.
+ * (linear depth change) for calculating inert gas tissue loading.
+ * 
+ * Nitrogen and helium are tracked separately per compartment, each with its
+ * own half-time. Ceilings use a/b coefficients weighted by the partial
+ * pressure of each gas in the tissue (ZH-L16 trimix convention).
+ * 
+ * Functions that take tissue pressures accept either a legacy N2-only map
+ * (compartment ID → bar) or a tissue state {n2: {...}, he: {...}}.
+ * 
+ * Pressure calculations take an optional environment ({altitude, waterDensity,
+ * surfacePressure}); omitting it means sea level in salt water.
+ * 
+ * Functions that iterate compartments take an optional model ({variant} or a
+ * custom compartment table, see resolveModel); omitting it means ZH-L16C.
+ * Nothing here reads a global variant, so calculations for different models
+ * can run side by side.
+ * 
+ * A gas with a `setpoint` is a closed-circuit loop: the loop holds that ppO2
+ * and the diluent's inert gases fill the rest, so the inert fractions change
+ * with depth (see getBreathingFractions).
  */
 
-import { COMPARTMENTS, getRateConstant } from './tissueCompartments.js';
+import {
+    DEFAULT_ZHL16_VARIANT,
+    isZHL16Variant,
+    getCompartmentsForVariant,
+    buildCustomCompartments,
+    getRateConstant
+} from './tissueCompartments.js';
 
 // ============================================================================
 // CONFIGURATION - Easy to modify
@@ -26,10 +51,131 @@ export const N2_FRACTION = 0.79;
 /** Pressure increase per meter of seawater depth */
 export const PRESSURE_PER_METER = 0.1; // bar per meter
 
+/** Salt water density in kg/L (the density PRESSURE_PER_METER refers to) */
+export const SALT_WATER_DENSITY = 1.025;
+
+/** Fresh water density in kg/L */
+export const FRESH_WATER_DENSITY = 1.0;
+
 /** Default Gradient Factors (100% = use raw Bühlmann M-values) */
 export const DEFAULT_GF_LOW = 1.0;   // 100%
 export const DEFAULT_GF_HIGH = 1.0;  // 100%
 
+// ============================================================================
+// ENVIRONMENT (altitude & water density)
+// ============================================================================
+
+/**
+ * Calculate barometric surface pressure at altitude
+ * Standard atmosphere barometric formula, scaled so sea level = SURFACE_PRESSURE.
+ * 
+ * @param {number} [altitude=0] - Altitude in meters above sea level
+ * @returns {number} Surface pressure in bar
+ */
+export function getAltitudePressure(altitude = 0) {
+    if (!altitude) {
+        return SURFACE_PRESSURE;
+    }
+    return SURFACE_PRESSURE * Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+}
+
+/** Resolved sea level / salt water environment (used when none is given) */
+const SEA_LEVEL_ENVIRONMENT = Object.freeze({
+    altitude: 0,
+    waterDensity: SALT_WATER_DENSITY,
+    surfacePressure: SURFACE_PRESSURE,
+    pressurePerMeter: PRESSURE_PER_METER
+});
+
+/**
+ * Resolve an environment config into the pressures used by the model
+ * Surface pressure is derived from altitude unless given explicitly;
+ * pressure per meter scales with water density relative to salt water.
+ * 
+ * @param {Object} [environment] - {altitude, waterDensity, surfacePressure}
+ * @returns {{altitude: number, waterDensity: number, surfacePressure: number, pressurePerMeter: number}}
+ */
+export function resolveEnvironment(environment = null) {
+    if (!environment) {
+        return SEA_LEVEL_ENVIRONMENT;
+    }
+    // Already resolved
+    if (environment.pressurePerMeter !== undefined && environment.surfacePressure !== undefined) {
+        return environment;
+    }
+    const altitude = environment.altitude || 0;
+    const waterDensity = environment.waterDensity || SALT_WATER_DENSITY;
+    return {
+        altitude,
+        waterDensity,
+        surfacePressure: environment.surfacePressure ?? getAltitudePressure(altitude),
+        pressurePerMeter: PRESSURE_PER_METER * (waterDensity / SALT_WATER_DENSITY)
+    };
+}
+
+// ============================================================================
+// MODEL
+// ============================================================================
+
+/** Default model parameters: the ZH-L16C variant */
+export const DEFAULT_MODEL = Object.freeze({
+    variant: DEFAULT_ZHL16_VARIANT
+});
+
+/** Resolved default model (used when none is given) */
+const DEFAULT_RESOLVED_MODEL = Object.freeze({
+    variant: DEFAULT_ZHL16_VARIANT,
+    compartments: getCompartmentsForVariant(DEFAULT_ZHL16_VARIANT)
+});
+
+/** Variant name of models built from a custom compartment table */
+export const CUSTOM_MODEL_VARIANT = 'custom';
+
+/**
+ * Resolve model parameters into the compartments the calculations iterate
+ * 
+ * A model is one of:
+ * - a variant name or {variant} (ZH-L16A/B/C; unknown variants fall back to the default)
+ * - {customModelId}, looked up in customModels (falls back to the default if missing)
+ * - a custom definition {id, name, compartments: rows} (see buildCustomCompartments)
+ * - an already resolved model, returned as is
+ * 
+ * @param {Object|string} [model] - Model parameters (default: ZH-L16C)
+ * @param {Array<{id: string, name: string, compartments: Array<Object>}>} [customModels] -
+ *        Named custom models that {customModelId} refers to (e.g. setup.customModels)
+ * @returns {{variant: string, compartments: ReadonlyArray<Object>, id?: string, name?: string}}
+ * @throws {Error} If a custom compartment table is invalid
+ */
+export function resolveModel(model = null, customModels = null) {
+    if (!model) {
+        return DEFAULT_RESOLVED_MODEL;
+    }
+    if (typeof model === 'string') {
+        model = { variant: model };
+    }
+    if (model.customModelId !== undefined) {
+        const custom = customModels?.find(m => m.id === model.customModelId);
+        return custom ? resolveModel(custom) : DEFAULT_RESOLVED_MODEL;
+    }
+    if (model.compartments !== undefined) {
+        // Already resolved
+        if (model.variant !== undefined) {
+            return model;
+        }
+        return {
+            variant: CUSTOM_MODEL_VARIANT,
+            id: model.id,
+            name: model.name,
+            compartments: buildCustomCompartments(model.compartments)
+        };
+    }
+    const variant = isZHL16Variant(model.variant) ? model.variant : DEFAULT_ZHL16_VARIANT;
+    if (variant === DEFAULT_ZHL16_VARIANT) {
+        return DEFAULT_RESOLVED_MODEL;
+    }
+    return { variant, compartments: getCompartmentsForVariant(variant) };
+}
+
 // ============================================================================
 // CORE CALCULATIONS
 // ============================================================================
@@ -37,10 +183,23 @@ export const DEFAULT_GF_HIGH = 1.0;  // 100%
 /**
  * Calculate ambient pressure at a given depth
  * @param {number} depth - Depth in meters
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
  * @returns {number} Ambient pressure in bar
  */
-export function getAmbientPressure(depth) {
-    return SURFACE_PRESSURE + (depth * PRESSURE_PER_METER);
+export function getAmbientPressure(depth, environment = null) {
+    const env = resolveEnvironment(environment);
+    return env.surfacePressure + (depth * env.pressurePerMeter);
+}
+
+/**
+ * Convert an ambient pressure back to depth
+ * @param {number} ambientPressure - Ambient pressure in bar
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @returns {number} Depth in meters (negative above the surface)
+ */
+export function getDepthFromPressure(ambientPressure, environment = null) {
+    const env = resolveEnvironment(environment);
+    return (ambientPressure - env.surfacePressure) / env.pressurePerMeter;
 }
 
 /**
@@ -56,12 +215,26 @@ export function getAlveolarN2Pressure(ambientPressure, n2Fraction = N2_FRACTION)
 }
 
 /**
- * Calculate initial tissue N2 pressure at surface (saturated at 1 atm)
+ * Calculate alveolar (inspired) helium partial pressure
+ * 
+ * @param {number} ambientPressure - Ambient pressure in bar
+ * @param {number} [heFraction=0] - Helium fraction in breathing gas (0-1)
+ * @returns {number} Alveolar He pressure in bar
+ */
+export function getAlveolarHePressure(ambientPressure, heFraction = 0) {
+    return (ambientPressure - WATER_VAPOR_PRESSURE) * heFraction;
+}
+
+/**
+ * Calculate initial tissue N2 pressure at surface (saturated at surface pressure)
+ * At altitude the diver is assumed to be acclimatized to the local pressure.
+ * 
  * @param {number} [n2Fraction=N2_FRACTION] - Nitrogen fraction in breathing gas (0-1)
+ * @param {Object} [environment] - Altitude/water density (default: sea level)
  * @returns {number} Initial tissue N2 pressure in bar
  */
-export function getInitialTissueN2(n2Fraction = N2_FRACTION) {
-    return getAlveolarN2Pressure(SURFACE_PRESSURE, n2Fraction);
+export function getInitialTissueN2(n2Fraction = N2_FRACTION, environment = null) {
+    return getAlveolarN2Pressure(resolveEnvironment(environment).surfacePressure, n2Fraction);
 }
 
 /**
@@ -99,6 +272,210 @@ export function schreinerEquation(initialPressure, initialAlveolarPressure, rate
     return term1 - term2;
 }
 
+// ============================================================================
+// INERT GAS STATE (N2 + He)
+// ============================================================================
+
+/**
+ * Get the inert gas fractions of a breathing gas
+ * Accepts a legacy N2 fraction or a gas object with n2/he fractions.
+ * A loop gas keeps its setpoint, so the fractions still describe the diluent.
+ * 
+ * @param {number|{n2: number, he?: number, setpoint?: number}} gas - N2 fraction or gas object
+ * @returns {{n2: number, he: number, setpoint?: number}} Inert gas fractions
+ */
+export function getInertGasFractions(gas) {
+    if (typeof gas === 'number') {
+        return { n2: gas, he: 0 };
+    }
+    if (!gas) {
+        return { n2: N2_FRACTION, he: 0 };
+    }
+    const fractions = { n2: gas.n2 ?? N2_FRACTION, he: gas.he || 0 };
+    if (isLoopGas(gas)) {
+        fractions.setpoint = gas.setpoint;
+    }
+    return fractions;
+}
+
+// ============================================================================
+// CLOSED-CIRCUIT REBREATHER (constant ppO2)
+// ============================================================================
+
+/** Default CCR setpoints (bar) and the depth where the loop switches low → high (m) */
+export const DEFAULT_SETPOINT_LOW = 0.7;
+export const DEFAULT_SETPOINT_HIGH = 1.3;
+export const DEFAULT_SETPOINT_SWITCH_DEPTH = 20;
+
+/**
+ * Resolve CCR settings, filling in default setpoints
+ * @param {Object} [ccr] - {diluentId, setpointLow, setpointHigh, setpointSwitchDepth, bailoutTime}
+ * @returns {{diluentId: string|null, setpointLow: number, setpointHigh: number, setpointSwitchDepth: number, bailoutTime: number|null}}
+ */
+export function resolveCCR(ccr = null) {
+    return {
+        diluentId: ccr?.diluentId || null,
+        setpointLow: ccr?.setpointLow ?? DEFAULT_SETPOINT_LOW,
+        setpointHigh: ccr?.setpointHigh ?? DEFAULT_SETPOINT_HIGH,
+        setpointSwitchDepth: ccr?.setpointSwitchDepth ?? DEFAULT_SETPOINT_SWITCH_DEPTH,
+        bailoutTime: ccr?.bailoutTime ?? null
+    };
+}
+
+/**
+ * Check whether a gas is a closed-circuit loop (diluent with a ppO2 setpoint)
+ * @param {number|Object} gas - N2 fraction or gas object
+ * @returns {boolean}
+ */
+export function isLoopGas(gas) {
+    return !!gas && typeof gas === 'object' && gas.setpoint > 0;
+}
+
+/**
+ * Create a loop gas from a diluent and a setpoint
+ * @param {{n2: number, he?: number}} diluent - Diluent gas
+ * @param {number} setpoint - ppO2 held by the loop in bar
+ * @returns {Object} Diluent fields plus setpoint
+ */
+export function createLoopGas(diluent, setpoint) {
+    return { ...diluent, setpoint };
+}
+
+/**
+ * Get the ppO2 a loop delivers at an ambient pressure
+ * The loop holds the setpoint, but cannot drop below the diluent's own ppO2
+ * (a diluent flush) or rise above ambient pressure (pure oxygen).
+ * 
+ * @param {number} ambientPressure - Ambient pressure in bar
+ * @param {{n2: number, he?: number, setpoint: number}} loopGas - Loop gas
+ * @returns {number} Loop ppO2 in bar
+ */
+export function getLoopPpO2(ambientPressure, loopGas) {
+    const diluentO2 = Math.max(0, 1 - loopGas.n2 - (loopGas.he || 0));
+    return Math.min(ambientPressure, Math.max(loopGas.setpoint, ambientPressure * diluentO2));
+}
+
+/**
+ * Get the fractions actually breathed at an ambient pressure
+ * Open-circuit gases breathe their own fractions. A loop splits whatever the
+ * setpoint leaves between N2 and He in the diluent's ratio.
+ * 
+ * @param {number|Object} gas - N2 fraction, gas object or loop gas
+ * @param {number} ambientPressure - Ambient pressure in bar
+ * @returns {{n2: number, he: number, o2: number}} Breathed fractions
+ */
+export function getBreathingFractions(gas, ambientPressure) {
+    const { n2, he } = getInertGasFractions(gas);
+    if (!isLoopGas(gas)) {
+        return { n2, he, o2: Math.max(0, 1 - n2 - he) };
+    }
+    const o2 = getLoopPpO2(ambientPressure, gas) / ambientPressure;
+    const diluentInert = n2 + he;
+    if (diluentInert <= 0) {
+        return { n2: 0, he: 0, o2 };
+    }
+    return {
+        n2: (1 - o2) * n2 / diluentInert,
+        he: (1 - o2) * he / diluentInert,
+        o2
+    };
+}
+
+/**
+ * Find when a profile first reaches the setpoint switch depth
+ * The loop starts on the low setpoint and switches to the high setpoint at
+ * this time; it stays high for the rest of the dive.
+ * 
+ * @param {Array<{time: number, depth: number}>} profile - Dive profile waypoints
+ * @param {number} switchDepth - Setpoint switch depth in meters
+ * @returns {number} Switch time in minutes (Infinity if never reached)
+ */
+export function getSetpointSwitchTime(profile, switchDepth) {
+    if (profile.length > 0 && profile[0].depth >= switchDepth) {
+        return profile[0].time;
+    }
+    for (let i = 1; i < profile.length; i++) {
+        const wp1 = profile[i - 1];
+        const wp2 = profile[i];
+        if (wp2.depth >= switchDepth) {
+            const fraction = (switchDepth - wp1.depth) / (wp2.depth - wp1.depth);
+            return wp1.time + fraction * (wp2.time - wp1.time);
+        }
+    }
+    return Infinity;
+}
+
+/**
+ * Create a tissue state saturated at the surface
+ * Tissues start saturated with surface air: N2 at the given fraction, no helium.
+ * 
+ * @param {number} [n2Fraction=N2_FRACTION] - N2 fraction breathed at the surface
+ * @param {Object} [environment] - Altitude/water density (default: sea level)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {{n2: Object, he: Object}} Tissue state keyed by compartment ID
+ */
+export function createTissueState(n2Fraction = N2_FRACTION, environment = null, model = null) {
+    const initialN2 = getInitialTissueN2(n2Fraction, environment);
+    const n2 = {};
+    const he = {};
+    resolveModel(model).compartments.forEach(comp => {
+        n2[comp.id] = initialN2;
+        he[comp.id] = 0;
+    });
+    return { n2, he };
+}
+
+/**
+ * Normalize tissue pressures to a {n2, he} tissue state
+ * 
+ * @param {Object} tissuePressures - N2-only map (compartment ID → bar) or {n2, he} state
+ * @param {Object} [hePressures] - Optional He map when tissuePressures is N2-only
+ * @returns {{n2: Object, he: Object}} Tissue state (missing He entries read as 0)
+ */
+export function toTissueState(tissuePressures, hePressures = null) {
+    if (tissuePressures && typeof tissuePressures.n2 === 'object') {
+        return { n2: tissuePressures.n2, he: tissuePressures.he || {} };
+    }
+    return { n2: tissuePressures, he: hePressures || {} };
+}
+
+/**
+ * Return simulated pressures in the same shape the caller passed in
+ * N2-only maps stay N2-only unless helium is being breathed.
+ * 
+ * @param {Object} input - Tissue pressures as passed by the caller
+ * @param {Object} n2 - New N2 pressures
+ * @param {Object} he - New He pressures
+ * @param {number} heFraction - He fraction of the gas breathed
+ * @returns {Object} N2-only map or {n2, he} state
+ */
+function packTissueState(input, n2, he, heFraction) {
+    const isState = input && typeof input.n2 === 'object';
+    return (isState || heFraction > 0) ? { n2, he } : n2;
+}
+
+/**
+ * Get the combined Bühlmann coefficients for a compartment holding N2 and He
+ * Each coefficient is weighted by the partial pressure of its gas:
+ *   a = (aN2 × pN2 + aHe × pHe) / (pN2 + pHe)
+ *   b = (bN2 × pN2 + bHe × pHe) / (pN2 + pHe)
+ * 
+ * @param {Object} comp - Compartment with aN2/bN2/aHe/bHe
+ * @param {number} pN2 - Tissue N2 pressure in bar
+ * @param {number} [pHe=0] - Tissue He pressure in bar
+ * @returns {{a: number, b: number}} Combined coefficients
+ */
+export function getCombinedCoefficients(comp, pN2, pHe = 0) {
+    const total = pN2 + pHe;
+    if (!(pHe > 0) || total <= 0) {
+        return { a: comp.aN2, b: comp.bN2 };
+    }
+    return {
+        a: (comp.aN2 * pN2 + comp.aHe * pHe) / total,
+        b: (comp.bN2 * pN2 + comp.bHe * pHe) / total
+    };
+}
+
 // ============================================================================
 // GRADIENT FACTORS & CEILING CALCULATIONS
 // ============================================================================
@@ -155,19 +532,27 @@ export function getCompartmentCeiling(tissuePressure, a, b, gf) {
 /**
  * Calculate overall dive ceiling across all compartments
  * The ceiling is the maximum (deepest) of all individual compartment ceilings.
+ * Each compartment uses its total inert pressure (N2 + He) and combined a/b.
  * 
- * @param {Object} tissuePressures - Map of compartment ID to tissue pressure (bar)
+ * @param {Object} tissuePressures - Map of compartment ID to N2 pressure (bar), or {n2, he} state
  * @param {number} gf - Gradient factor to use (0-1)
+ * @param {Object} [hePressures] - Map of compartment ID to He pressure (bar)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
  * @returns {{ceiling: number, ceilingDepth: number, controllingCompartment: number}}
  *          ceiling in bar, ceilingDepth in meters (0 if can surface), controlling compartment ID
  */
-export function getDiveCeiling(tissuePressures, gf) {
+export function getDiveCeiling(tissuePressures, gf, hePressures = null, environment = null, model = null) {
+    const env = resolveEnvironment(environment);
+    const state = toTissueState(tissuePressures, hePressures);
     let maxCeiling = -Infinity;
     let controllingComp = null;
     
-    for (const comp of COMPARTMENTS) {
-        const tissueP = tissuePressures[comp.id];
-        const ceiling = getCompartmentCeiling(tissueP, comp.aN2, comp.bN2, gf);
+    for (const comp of resolveModel(model).compartments) {
+        const pN2 = state.n2[comp.id];
+        const pHe = state.he[comp.id] || 0;
+        const { a, b } = getCombinedCoefficients(comp, pN2, pHe);
+        const ceiling = getCompartmentCeiling(pN2 + pHe, a, b, gf);
         if (ceiling > maxCeiling) {
             maxCeiling = ceiling;
             controllingComp = comp.id;
@@ -175,10 +560,10 @@ export function getDiveCeiling(tissuePressures, gf) {
     }
     
     // Ceiling can't be below surface (above water)
-    const finalCeiling = Math.max(SURFACE_PRESSURE, maxCeiling);
+    const finalCeiling = Math.max(env.surfacePressure, maxCeiling);
     
     // Convert ceiling pressure to depth
-    const ceilingDepth = Math.max(0, (finalCeiling - SURFACE_PRESSURE) / PRESSURE_PER_METER);
+    const ceilingDepth = Math.max(0, getDepthFromPressure(finalCeiling, env));
     
     return {
         ceiling: finalCeiling,
@@ -197,22 +582,25 @@ export function getDiveCeiling(tissuePressures, gf) {
  * @param {number} firstStopAmbient - Ambient pressure at first/deepest stop in bar
  * @param {number} gfLow - GF Low value (0-1)
  * @param {number} gfHigh - GF High value (0-1)
+ * @param {Object} [environment] - Altitude/water density (default: sea level)
  * @returns {number} Interpolated GF (0-1)
  */
-export function interpolateGF(currentAmbient, firstStopAmbient, gfLow, gfHigh) {
+export function interpolateGF(currentAmbient, firstStopAmbient, gfLow, gfHigh, environment = null) {
+    const surfacePressure = resolveEnvironment(environment).surfacePressure;
+    
     // At or deeper than first stop: use GF Low
     if (currentAmbient >= firstStopAmbient) {
         return gfLow;
     }
     
     // At or above surface: use GF High
-    if (currentAmbient <= SURFACE_PRESSURE) {
+    if (currentAmbient <= surfacePressure) {
         return gfHigh;
     }
     
     // Linear interpolation between surface and first stop
     // fraction = 0 at surface, 1 at first stop
-    const fraction = (currentAmbient - SURFACE_PRESSURE) / (firstStopAmbient - SURFACE_PRESSURE);
+    const fraction = (currentAmbient - surfacePressure) / (firstStopAmbient - surfacePressure);
     return gfHigh + fraction * (gfLow - gfHigh);
 }
 
@@ -220,20 +608,23 @@ export function interpolateGF(currentAmbient, firstStopAmbient, gfLow, gfHigh) {
  * Calculate the first stop depth using GF Low
  * This establishes the deepest point of the GF line for interpolation.
  * 
- * @param {Object} tissuePressures - Map of compartment ID to tissue pressure (bar)
+ * @param {Object} tissuePressures - Map of compartment ID to N2 pressure (bar), or {n2, he} state
  * @param {number} gfLow - GF Low value (0-1)
  * @param {number} stopIncrement - Stop depth increment in meters (default 3m)
+ * @param {Object} [hePressures] - Map of compartment ID to He pressure (bar)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
  * @returns {{depth: number, ambient: number, controllingCompartment: number}}
  */
-export function getFirstStopDepth(tissuePressures, gfLow, stopIncrement = 3) {
-    const { ceiling, ceilingDepth, controllingCompartment } = getDiveCeiling(tissuePressures, gfLow);
+export function getFirstStopDepth(tissuePressures, gfLow, stopIncrement = 3, hePressures = null, environment = null, model = null) {
+    const { ceiling, ceilingDepth, controllingCompartment } = getDiveCeiling(tissuePressures, gfLow, hePressures, environment, model);
     
     // Round up to next stop increment
     const stopDepth = Math.ceil(ceilingDepth / stopIncrement) * stopIncrement;
     
     return {
         depth: stopDepth,
-        ambient: getAmbientPressure(stopDepth),
+        ambient: getAmbientPressure(stopDepth, environment),
         controllingCompartment
     };
 }
@@ -257,7 +648,10 @@ export function calculateCeilingTimeSeries(results, gfLow, gfHigh = gfLow) {
  * Calculate detailed ceiling data at each time point from tissue loading results
  * Returns both overall ceiling and per-compartment ceilings.
  * Uses GF interpolation: GF Low at/below first stop, GF High at surface,
- * linearly interpolated during ascent.
+ * linearly interpolated during ascent. The first stop is rounded to the
+ * stop increment of results.planner. During a post-dive altitude exposure the
+ * ceiling is measured from the exposure's lowered surface pressure, so a
+ * tolerated pressure above it shows as a ceiling below the surface.
  * 
  * @param {Object} results - Results from calculateTissueLoading()
  * @param {number} gfLow - GF Low value (0-1, where 1 = 100%)
@@ -277,6 +671,11 @@ export function calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh = gfLo
         compartmentCeilings[compId] = [];
     }
     
+    // Environment and model the loading was calculated for
+    const env = resolveEnvironment(results.environment);
+    const model = resolveModel(results.model);
+    const { stopIncrement } = resolvePlanner(results.planner);
+    
     // Track first stop depth (calculated at start of ascent using GF Low)
     let firstStopAmbient = null;
     let previousDepth = results.depthPoints[0];
@@ -285,10 +684,12 @@ export function calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh = gfLo
         const currentDepth = results.depthPoints[i];
         const currentAmbient = results.ambientPressures[i];
         
-        // Get tissue pressures at this time point
-        const tissuePressures = {};
+        // Get tissue pressures (N2 + He) at this time point
+        const tissuePressures = { n2: {}, he: {} };
         for (const compId of Object.keys(results.compartments)) {
-            tissuePressures[compId] = results.compartments[compId].pressures[i];
+            const comp = results.compartments[compId];
+            tissuePressures.n2[compId] = comp.pressures[i];
+            tissuePressures.he[compId] = comp.hePressures ? comp.hePressures[i] : 0;
         }
         
         // Detect start of ascent (depth decreasing from maximum)
@@ -296,7 +697,7 @@ export function calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh = gfLo
         
         // Calculate first stop using GF Low when we start ascending
         if (isAscending && firstStopAmbient === null) {
-            const { ambient } = getFirstStopDepth(tissuePressures, gfLow);
+            const { ambient } = getFirstStopDepth(tissuePressures, gfLow, stopIncrement, null, env, model);
             firstStopAmbient = ambient;
         }
         
@@ -307,17 +708,24 @@ export function calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh = gfLo
             gf = gfLow;
         } else {
             // During ascent above first stop: interpolate GF
-            gf = interpolateGF(currentAmbient, firstStopAmbient, gfLow, gfHigh);
+            gf = interpolateGF(currentAmbient, firstStopAmbient, gfLow, gfHigh, env);
         }
         gfValues.push(gf);
         
+        // At the surface of an altitude exposure the surface is the exposure's pressure
+        const surfaceEnv = currentDepth <= 0 && currentAmbient < env.surfacePressure
+            ? { ...env, surfacePressure: currentAmbient }
+            : env;
+        
         // Calculate ceiling for each compartment
         let maxCeilingDepth = 0;
-        for (const comp of COMPARTMENTS) {
-            const tissueP = tissuePressures[comp.id];
-            const ceilingPressure = getCompartmentCeiling(tissueP, comp.aN2, comp.bN2, gf);
+        for (const comp of model.compartments) {
+            const pN2 = tissuePressures.n2[comp.id];
+            const pHe = tissuePressures.he[comp.id];
+            const { a, b } = getCombinedCoefficients(comp, pN2, pHe);
+            const ceilingPressure = getCompartmentCeiling(pN2 + pHe, a, b, gf);
             // Convert to depth (0 if can surface)
-            const ceilingDepth = Math.max(0, (ceilingPressure - SURFACE_PRESSURE) / PRESSURE_PER_METER);
+            const ceilingDepth = Math.max(0, getDepthFromPressure(ceilingPressure, surfaceEnv));
             compartmentCeilings[comp.id].push(ceilingDepth);
             if (ceilingDepth > maxCeilingDepth) {
                 maxCeilingDepth = ceilingDepth;
@@ -331,18 +739,157 @@ export function calculateCeilingTimeSeriesDetailed(results, gfLow, gfHigh = gfLo
     return { ceilingDepths, compartmentCeilings, gfValues };
 }
 
+/**
+ * Calculate the supersaturation of the leading compartment as a gradient factor
+ * GF = (P_tissue - P_amb) / (M_raw - P_amb), the fraction of the raw M-value
+ * gradient in use at the given ambient pressure.
+ * 
+ * @param {Object} tissuePressures - Map of compartment ID to N2 pressure (bar), or {n2, he} state
+ * @param {number} ambientPressure - Ambient pressure in bar
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {{gf: number, compartment: number|null}} GF in percent (0 while no compartment
+ *          is supersaturated) and the leading compartment ID (null when none is)
+ */
+export function getSupersaturationGF(tissuePressures, ambientPressure, model = null) {
+    const state = toTissueState(tissuePressures);
+    let maxGF = 0;
+    let leading = null;
+    
+    for (const comp of resolveModel(model).compartments) {
+        const pN2 = state.n2[comp.id];
+        const pHe = state.he[comp.id] || 0;
+        const { a, b } = getCombinedCoefficients(comp, pN2, pHe);
+        const gradient = getMValue(ambientPressure, a, b) - ambientPressure;
+        const gf = (pN2 + pHe - ambientPressure) / gradient * 100;
+        if (gf > maxGF) {
+            maxGF = gf;
+            leading = comp.id;
+        }
+    }
+    
+    return { gf: maxGF, compartment: leading };
+}
+
+/**
+ * Calculate GF99 and Surface GF at each time point from tissue loading results
+ * GF99 is the supersaturation at the current depth; Surface GF is what it
+ * would be if the diver surfaced instantly. Both are percentages of the raw
+ * (unadjusted) M-value gradient, so 100% means the M-value is reached.
+ * 
+ * @param {Object} results - Results from calculateTissueLoading()
+ * @returns {{gf99: number[], surfaceGF: number[], gf99Compartments: Array<number|null>, surfaceGFCompartments: Array<number|null>}}
+ *          gf99/surfaceGF: percent at each time point (0 while on-gassing)
+ *          gf99Compartments/surfaceGFCompartments: leading compartment at each time point
+ */
+export function calculateGF99TimeSeries(results) {
+    const env = resolveEnvironment(results.environment);
+    const model = resolveModel(results.model);
+    const gf99 = [];
+    const surfaceGF = [];
+    const gf99Compartments = [];
+    const surfaceGFCompartments = [];
+    
+    for (let i = 0; i < results.timePoints.length; i++) {
+        const tissuePressures = { n2: {}, he: {} };
+        for (const compId of Object.keys(results.compartments)) {
+            const comp = results.compartments[compId];
+            tissuePressures.n2[compId] = comp.pressures[i];
+            tissuePressures.he[compId] = comp.hePressures ? comp.hePressures[i] : 0;
+        }
+        
+        const current = getSupersaturationGF(tissuePressures, results.ambientPressures[i], model);
+        gf99.push(current.gf);
+        gf99Compartments.push(current.compartment);
+        
+        const surface = getSupersaturationGF(tissuePressures, env.surfacePressure, model);
+        surfaceGF.push(surface.gf);
+        surfaceGFCompartments.push(surface.compartment);
+    }
+    
+    return { gf99, surfaceGF, gf99Compartments, surfaceGFCompartments };
+}
+
 // ============================================================================
-// NDL & DECO CALCULATIONS
+// PLANNER SETTINGS
 // ============================================================================
 
-/** Descent speed in m/min for NDL calculations */
-const DESCENT_SPEED = 20;
+/**
+ * Default planner settings
+ * Rates in m/min, depths in meters, stop rounding in minutes (0 = unrounded).
+ * ascentRate applies up to the first stop, decoAscentRate between stops and
+ * from the last stop to the surface.
+ */
+export const DEFAULT_PLANNER = Object.freeze({
+    descentRate: 20,
+    ascentRate: 10,
+    decoAscentRate: 10,
+    stopIncrement: 3,
+    lastStopDepth: 3,
+    stopRounding: 1
+});
 
-/** Ascent speed in m/min for deco calculations */
-const ASCENT_SPEED = 10;
+/** Stop rounding choices offered by the planner (minutes; 0 = unrounded) */
+export const STOP_ROUNDING_OPTIONS = Object.freeze([1, 0.5, 1 / 6, 0]);
 
-/** Deco stop increment in meters */
-const STOP_INCREMENT = 3;
+/**
+ * Format a stop time in dive-table notation: whole minutes as 3', otherwise 1'40"
+ * @param {number} minutes - Stop time in minutes
+ * @returns {string} Formatted stop time
+ */
+export function formatStopTime(minutes) {
+    const seconds = Math.round(minutes * 60);
+    const rest = seconds % 60;
+    return rest === 0 ? `${seconds / 60}'` : `${Math.floor(seconds / 60)}'${String(rest).padStart(2, '0')}"`;
+}
+
+/**
+ * Resolve planner settings, filling in defaults for missing or non-positive values
+ * (stop rounding may be 0)
+ * @param {Object} [planner] - {descentRate, ascentRate, decoAscentRate, stopIncrement, lastStopDepth, stopRounding}
+ * @returns {{descentRate: number, ascentRate: number, decoAscentRate: number, stopIncrement: number, lastStopDepth: number, stopRounding: number}}
+ */
+export function resolvePlanner(planner = null) {
+    const resolved = { ...DEFAULT_PLANNER };
+    if (planner) {
+        Object.keys(DEFAULT_PLANNER).forEach(key => {
+            // Stop rounding 0 leaves stop times unrounded
+            const valid = key === 'stopRounding' ? planner[key] >= 0 : planner[key] > 0;
+            if (Number.isFinite(planner[key]) && valid) {
+                resolved[key] = planner[key];
+            }
+        });
+    }
+    return resolved;
+}
+
+/**
+ * Get the stop above a deco stop
+ * Stops shallower than the last stop depth are skipped straight to the surface.
+ * @param {number} depth - Current stop depth in meters
+ * @param {Object} planner - Resolved planner settings
+ * @returns {number} Next stop depth in meters (0 = surface)
+ */
+export function getNextStopDepth(depth, planner) {
+    const next = depth - planner.stopIncrement;
+    return next < planner.lastStopDepth ? 0 : next;
+}
+
+/**
+ * Raise a first stop that is shallower than the last stop depth to the last stop
+ * @param {number} firstStopDepth - First stop depth in meters (0 = no deco)
+ * @param {Object} planner - Resolved planner settings
+ * @returns {number} First stop depth in meters
+ */
+export function applyLastStopDepth(firstStopDepth, planner) {
+    return firstStopDepth > 0 && firstStopDepth < planner.lastStopDepth ? planner.lastStopDepth : firstStopDepth;
+}
+
+// ============================================================================
+// NDL & DECO CALCULATIONS
+// ============================================================================
+
+/** Longest NDL searched (minutes): a depth still within it after this long has an unlimited (Infinity) NDL */
+export const NDL_MAX_TIME = 300;
 
 /**
  * Calculate No-Decompression Limit (NDL) for a given depth
@@ -351,58 +898,55 @@ const STOP_INCREMENT = 3;
  * 
  * Uses binary search to find maximum time where ceiling = 0 (surface).
  * NDL uses GF Low because that determines when the first stop is required.
+ * Tissues start saturated with surface air (helium loads from zero) unless a
+ * starting state is given, e.g. the residual loading after a surface interval.
  * 
  * @param {number} depth - Depth in meters
  * @param {number} n2Fraction - N2 fraction in gas (default 0.79 for air)
  * @param {number} gfLow - GF Low as decimal (0-1), determines first stop ceiling
+ * @param {number} [heFraction=0] - He fraction in gas
+ * @param {Object} [options] - Additional options
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @param {number} [options.setpoint] - CCR setpoint in bar; the fractions are then the diluent's
+ * @param {Object} [options.planner] - Planner settings (descentRate is used for the descent)
+ * @param {Object} [options.tissues] - Tissue state at the start of the descent (N2-only map or
+ *        {n2, he} state); default: saturated with surface air
  * @returns {{ndl: number, controllingCompartment: number}} NDL in minutes and limiting compartment
  */
-export function calculateNDL(depth, n2Fraction = N2_FRACTION, gfLow = 1.0) {
+export function calculateNDL(depth, n2Fraction = N2_FRACTION, gfLow = 1.0, heFraction = 0, options = {}) {
     // Very shallow depths have effectively unlimited NDL
     if (depth <= 0) {
         return { ndl: Infinity, controllingCompartment: null };
     }
     
-    const ambientPressure = getAmbientPressure(depth);
-    const alveolarN2 = getAlveolarN2Pressure(ambientPressure, n2Fraction);
-    
-    // Initialize tissue pressures at surface saturation
-    const initialN2 = getInitialTissueN2(n2Fraction);
+    const gas = options.setpoint
+        ? createLoopGas({ n2: n2Fraction, he: heFraction }, options.setpoint)
+        : { n2: n2Fraction, he: heFraction };
+    const env = resolveEnvironment(options.environment);
+    const planner = resolvePlanner(options.planner);
+    const model = resolveModel(options.model);
     
     // Simulate descent to depth - use ceil() to match profile generation
-    const descentTime = Math.ceil(depth / DESCENT_SPEED);
-    const descentRate = (alveolarN2 - getAlveolarN2Pressure(SURFACE_PRESSURE, n2Fraction)) / descentTime;
-    
-    // Get tissue pressures after descent
-    const afterDescent = {};
-    COMPARTMENTS.forEach(comp => {
-        afterDescent[comp.id] = schreinerEquation(
-            initialN2,
-            getAlveolarN2Pressure(SURFACE_PRESSURE, n2Fraction),
-            descentRate,
-            descentTime,
-            comp.halfTime
-        );
-    });
+    const descentTime = Math.ceil(depth / planner.descentRate);
+    const startState = options.tissues ? toTissueState(options.tissues) : createTissueState(N2_FRACTION, env, model);
+    const afterDescent = simulateDepthChange(startState, 0, depth, descentTime, gas, env, model);
     
     // Binary search for NDL
     let minTime = 0;
-    let maxTime = 300; // 5 hours max
+    let maxTime = NDL_MAX_TIME;
     
     // First check if we can surface immediately after descent
     // Use GF Low - this determines when first stop is needed
-    const { ceilingDepth: immediateceiling } = getDiveCeiling(afterDescent, gfLow);
+    const { ceilingDepth: immediateceiling } = getDiveCeiling(afterDescent, gfLow, null, env, model);
     if (immediateceiling > 0) {
         // Already in deco after descent (very deep dive)
-        return { ndl: 0, controllingCompartment: getDiveCeiling(afterDescent, gfLow).controllingCompartment };
+        return { ndl: 0, controllingCompartment: getDiveCeiling(afterDescent, gfLow, null, env, model).controllingCompartment };
     }
     
     // Check if 5 hours is still within NDL (very shallow)
-    const pressuresAt5Hours = {};
-    COMPARTMENTS.forEach(comp => {
-        pressuresAt5Hours[comp.id] = haldaneEquation(afterDescent[comp.id], alveolarN2, 300, comp.halfTime);
-    });
-    const { ceilingDepth: ceiling5h } = getDiveCeiling(pressuresAt5Hours, gfLow);
+    const pressuresAt5Hours = simulateDepthTime(afterDescent, depth, NDL_MAX_TIME, gas, env, model);
+    const { ceilingDepth: ceiling5h } = getDiveCeiling(pressuresAt5Hours, gfLow, null, env, model);
     if (ceiling5h === 0) {
         return { ndl: Infinity, controllingCompartment: null };
     }
@@ -412,13 +956,10 @@ export function calculateNDL(depth, n2Fraction = N2_FRACTION, gfLow = 1.0) {
         const testTime = (minTime + maxTime) / 2;
         
         // Simulate time at depth
-        const testPressures = {};
-        COMPARTMENTS.forEach(comp => {
-            testPressures[comp.id] = haldaneEquation(afterDescent[comp.id], alveolarN2, testTime, comp.halfTime);
-        });
+        const testPressures = simulateDepthTime(afterDescent, depth, testTime, gas, env, model);
         
         // Check ceiling using GF Low (first stop requirement)
-        const { ceilingDepth } = getDiveCeiling(testPressures, gfLow);
+        const { ceilingDepth } = getDiveCeiling(testPressures, gfLow, null, env, model);
         
         if (ceilingDepth > 0) {
             maxTime = testTime; // Needs deco, reduce time
@@ -428,11 +969,8 @@ export function calculateNDL(depth, n2Fraction = N2_FRACTION, gfLow = 1.0) {
     }
     
     // Get controlling compartment at NDL
-    const ndlPressures = {};
-    COMPARTMENTS.forEach(comp => {
-        ndlPressures[comp.id] = haldaneEquation(afterDescent[comp.id], alveolarN2, minTime, comp.halfTime);
-    });
-    const { controllingCompartment } = getDiveCeiling(ndlPressures, gfLow);
+    const ndlPressures = simulateDepthTime(afterDescent, depth, minTime, gas, env, model);
+    const { controllingCompartment } = getDiveCeiling(ndlPressures, gfLow, null, env, model);
     
     // Return NDL as bottom time (time at depth after descent)
     // Floor to whole minutes for conservative display, but actual value is minTime
@@ -440,7 +978,7 @@ export function calculateNDL(depth, n2Fraction = N2_FRACTION, gfLow = 1.0) {
         ndl: Math.floor(minTime),
         ndlExact: minTime,  // Exact value for debugging/comparison
         controllingCompartment,
-        descentTime: Math.ceil(depth / DESCENT_SPEED)  // So caller knows total dive time = descentTime + ndl
+        descentTime  // So caller knows total dive time = descentTime + ndl
     };
 }
 
@@ -448,60 +986,196 @@ export function calculateNDL(depth, n2Fraction = N2_FRACTION, gfLow = 1.0) {
  * Simulate tissue loading at constant depth
  * Helper function for deco calculations
  * 
- * @param {Object} tissuePressures - Current tissue pressures by compartment ID
+ * @param {Object} tissuePressures - Current tissue pressures (N2-only map or {n2, he} state)
  * @param {number} depth - Depth in meters
  * @param {number} time - Time in minutes
- * @param {number} n2Fraction - N2 fraction in gas
- * @returns {Object} Updated tissue pressures
+ * @param {number|Object} gas - N2 fraction, gas object with n2/he fractions, or loop gas
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {Object} Updated tissue pressures ({n2, he} state when helium is involved)
  */
-export function simulateDepthTime(tissuePressures, depth, time, n2Fraction) {
-    const ambientPressure = getAmbientPressure(depth);
+export function simulateDepthTime(tissuePressures, depth, time, gas, environment = null, model = null) {
+    const state = toTissueState(tissuePressures);
+    const ambientPressure = getAmbientPressure(depth, environment);
+    const { n2: n2Fraction, he: heFraction } = getBreathingFractions(gas, ambientPressure);
     const alveolarN2 = getAlveolarN2Pressure(ambientPressure, n2Fraction);
+    const alveolarHe = getAlveolarHePressure(ambientPressure, heFraction);
     
-    const newPressures = {};
-    COMPARTMENTS.forEach(comp => {
-        newPressures[comp.id] = haldaneEquation(tissuePressures[comp.id], alveolarN2, time, comp.halfTime);
+    const newN2 = {};
+    const newHe = {};
+    resolveModel(model).compartments.forEach(comp => {
+        newN2[comp.id] = haldaneEquation(state.n2[comp.id], alveolarN2, time, comp.halfTime);
+        newHe[comp.id] = haldaneEquation(state.he[comp.id] || 0, alveolarHe, time, comp.halfTimeHe);
     });
     
-    return newPressures;
+    return packTissueState(tissuePressures, newN2, newHe, heFraction);
 }
 
 /**
  * Simulate tissue loading during depth change
  * 
- * @param {Object} tissuePressures - Current tissue pressures
+ * @param {Object} tissuePressures - Current tissue pressures (N2-only map or {n2, he} state)
  * @param {number} startDepth - Starting depth in meters
  * @param {number} endDepth - Ending depth in meters
  * @param {number} time - Duration of the depth change in minutes
- * @param {number} n2Fraction - N2 fraction in gas
- * @returns {Object} Updated tissue pressures
+ * @param {number|Object} gas - N2 fraction, gas object with n2/he fractions, or loop gas
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {Object} Updated tissue pressures ({n2, he} state when helium is involved)
  */
-export function simulateDepthChange(tissuePressures, startDepth, endDepth, time, n2Fraction) {
-    const startAlveolar = getAlveolarN2Pressure(getAmbientPressure(startDepth), n2Fraction);
-    const endAlveolar = getAlveolarN2Pressure(getAmbientPressure(endDepth), n2Fraction);
-    const rate = (endAlveolar - startAlveolar) / time;
+export function simulateDepthChange(tissuePressures, startDepth, endDepth, time, gas, environment = null, model = null) {
+    const state = toTissueState(tissuePressures);
+    const startAmbient = getAmbientPressure(startDepth, environment);
+    const endAmbient = getAmbientPressure(endDepth, environment);
+    // Loop fractions differ at each end; the alveolar pressure is taken as linear between them
+    const start = getBreathingFractions(gas, startAmbient);
+    const end = getBreathingFractions(gas, endAmbient);
+    const heFraction = Math.max(start.he, end.he);
+    
+    const startN2 = getAlveolarN2Pressure(startAmbient, start.n2);
+    const rateN2 = (getAlveolarN2Pressure(endAmbient, end.n2) - startN2) / time;
+    const startHe = getAlveolarHePressure(startAmbient, start.he);
+    const rateHe = (getAlveolarHePressure(endAmbient, end.he) - startHe) / time;
     
-    const newPressures = {};
-    COMPARTMENTS.forEach(comp => {
-        newPressures[comp.id] = schreinerEquation(tissuePressures[comp.id], startAlveolar, rate, time, comp.halfTime);
+    const newN2 = {};
+    const newHe = {};
+    resolveModel(model).compartments.forEach(comp => {
+        newN2[comp.id] = schreinerEquation(state.n2[comp.id], startN2, rateN2, time, comp.halfTime);
+        newHe[comp.id] = schreinerEquation(state.he[comp.id] || 0, startHe, rateHe, time, comp.halfTimeHe);
     });
     
-    return newPressures;
+    return packTissueState(tissuePressures, newN2, newHe, heFraction);
+}
+
+/**
+ * Get the deco gases with the depth at which each becomes breathable
+ * The first gas is the bottom gas and is never a switch target.
+ * 
+ * @param {Array} [gases] - Available gases (first is bottom gas)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {number} [maxPpO2=1.6] - Maximum ppO2 for the switch
+ * @param {number} [stopIncrement=3] - Stop increment the MOD is rounded down to (m)
+ * @returns {Array<Object>} Deco gases with switchDepth (MOD rounded down to a stop), deepest first
+ */
+export function getDecoGasSwitchPoints(gases, environment = null, maxPpO2 = 1.6, stopIncrement = DEFAULT_PLANNER.stopIncrement) {
+    if (!gases || gases.length < 2) {
+        return [];
+    }
+    return gases.slice(1).map(gas => ({
+        ...gas,
+        switchDepth: Math.floor(getDepthFromPressure(maxPpO2 / gas.o2, environment) / stopIncrement) * stopIncrement
+    })).sort((a, b) => b.switchDepth - a.switchDepth);
+}
+
+/** Longest single deco stop the stop solver accepts (minutes) */
+export const MAX_STOP_TIME = 24 * 60;
+
+/** Resolution of unrounded stop times (minutes) */
+const EXACT_STOP_RESOLUTION = 0.01;
+
+/** A wait long enough to saturate every compartment at the stop (minutes) */
+const SATURATION_TIME = 1e5;
+
+/**
+ * Error thrown when a deco stop can't be cleared: the ceiling stays too deep
+ * even with the tissues saturated at the stop, or clears only after maxTime
+ */
+export class DecoStopError extends Error {
+    /**
+     * @param {number} depth - Stop depth in meters
+     * @param {string} gasName - Gas breathed at the stop
+     * @param {string} reason - Why the stop can't be planned
+     */
+    constructor(depth, gasName, reason) {
+        super(`Deco stop at ${depth} m on ${gasName} ${reason}`);
+        this.name = 'DecoStopError';
+        this.depth = depth;
+        this.gas = gasName;
+    }
+}
+
+/**
+ * Solve the time to wait at a deco stop
+ * Finds the shortest wait after which clears() holds for the tissue state, instead
+ * of simulating the stop minute by minute: the wait is bracketed by doubling, then
+ * bisected on multiples of the rounding step (or to 0.01 min without rounding).
+ * Assumes that once a stop clears, waiting longer keeps it cleared.
+ * 
+ * @param {Object} tissues - Tissue state on arrival at the stop
+ * @param {number} depth - Stop depth in meters
+ * @param {number|Object} gas - Gas breathed at the stop (N2 fraction, {n2, he} or loop gas)
+ * @param {function(Object): boolean} clears - Whether the diver may leave the stop with a tissue state
+ * @param {Object} [options]
+ * @param {number} [options.rounding=1] - Stop times are multiples of this many minutes (0 = unrounded)
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @param {string} [options.gasName] - Gas name for the error message
+ * @param {number} [options.maxTime=MAX_STOP_TIME] - Longest stop accepted (minutes)
+ * @returns {{time: number, tissues: Object}} Stop time in minutes and the tissue state after it
+ * @throws {DecoStopError} If the stop never clears, or only after maxTime
+ */
+export function solveStopTime(tissues, depth, gas, clears, options = {}) {
+    if (clears(tissues)) {
+        return { time: 0, tissues };
+    }
+    
+    const env = resolveEnvironment(options.environment);
+    const model = resolveModel(options.model);
+    const maxTime = options.maxTime ?? MAX_STOP_TIME;
+    const rounding = options.rounding ?? 1;
+    const unit = rounding > 0 ? rounding : EXACT_STOP_RESOLUTION;
+    const maxSteps = Math.ceil(maxTime / unit - 1e-9);
+    const clearsAfter = (steps) => clears(simulateDepthTime(tissues, depth, steps * unit, gas, env, model));
+    
+    // Bracket the wait (in rounding steps), starting from about a minute
+    let low = 0;
+    let high = Math.min(Math.max(1, Math.round(1 / unit)), maxSteps);
+    while (!clearsAfter(high)) {
+        if (high >= maxSteps) {
+            const reason = clears(simulateDepthTime(tissues, depth, SATURATION_TIME, gas, env, model))
+                ? `needs more than ${maxTime} min`
+                : 'never clears';
+            throw new DecoStopError(depth, options.gasName || 'the current gas', reason);
+        }
+        low = high;
+        high = Math.min(high * 2, maxSteps);
+    }
+    
+    // Shortest clearing wait
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (clearsAfter(mid)) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    
+    const time = high * unit;
+    return { time, tissues: simulateDepthTime(tissues, depth, time, gas, env, model) };
 }
 
 /**
  * Generate a decompression schedule from current tissue state
  * Returns the stops needed to safely reach the surface
  * 
- * @param {Object} tissuePressures - Current tissue pressures by compartment ID
+ * @param {Object} tissuePressures - Current tissue pressures (N2-only map or {n2, he} state)
  * @param {number} currentDepth - Current depth in meters
- * @param {number} n2Fraction - N2 fraction in current gas
+ * @param {number|Object} n2Fraction - N2 fraction in current gas, the current gas ({n2, he}) or a loop gas
  * @param {number} gfLow - GF Low (0-1)
  * @param {number} gfHigh - GF High (0-1)
- * @param {Array} [gases] - Available gases for switching [{n2, o2, name, mod}]
+ * @param {Array} [gases] - Available gases for switching [{n2, he, o2, name, mod}]
+ * @param {Object} [options] - Additional options
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @param {Object} [options.planner] - Ascent rates, stop increment, last stop depth and stop rounding
  * @returns {{stops: Array<{depth: number, time: number, gas: string}>, totalTime: number, totalAscentTime: number}}
+ * @throws {DecoStopError} If a stop never clears (see solveStopTime)
  */
-export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction, gfLow, gfHigh, gases = null) {
+export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction, gfLow, gfHigh, gases = null, options = {}) {
+    const env = resolveEnvironment(options.environment);
+    const planner = resolvePlanner(options.planner);
+    const model = resolveModel(options.model);
     const stops = [];
     const gasSwitches = []; // Track gas switches during ascent
     let totalAscentTime = 0;
@@ -509,19 +1183,15 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
     // Clone tissue pressures
     let tissues = { ...tissuePressures };
     let depth = currentDepth;
-    let currentN2 = n2Fraction;
+    let currentGas = getInertGasFractions(n2Fraction);
     let currentGasName = 'Bottom Gas';
     
-    // Calculate gas switch depths (MOD rounded down to 3m increments)
-    const gasSwitchPoints = [];
-    if (gases && gases.length > 1) {
-        const decoGases = gases.slice(1).map(gas => ({
-            ...gas,
-            switchDepth: Math.floor((1.6 / gas.o2 - 1) * 10 / 3) * 3 // MOD rounded to 3m
-        })).sort((a, b) => b.switchDepth - a.switchDepth); // Deeper first
-        
-        gasSwitchPoints.push(...decoGases);
-    }
+    // Total inert fraction - lower means faster off-gassing
+    const inertOf = gas => gas.n2 + (gas.he || 0);
+    
+    // Calculate gas switch depths (MOD rounded down to a stop depth)
+    // A loop holds its setpoint all the way up; only open-circuit ascents switch gas
+    const gasSwitchPoints = isLoopGas(currentGas) ? [] : getDecoGasSwitchPoints(gases, env, 1.6, planner.stopIncrement);
     
     // Track used gases to avoid duplicate switches
     const usedGases = new Set();
@@ -529,8 +1199,8 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
     // Helper to switch to best gas at depth
     const switchToBestGas = (atDepth, recordSwitch = true) => {
         for (const gas of gasSwitchPoints) {
-            if (atDepth <= gas.switchDepth && gas.n2 < currentN2 && !usedGases.has(gas.id)) {
-                currentN2 = gas.n2;
+            if (atDepth <= gas.switchDepth && inertOf(gas) < inertOf(currentGas) && !usedGases.has(gas.id)) {
+                currentGas = getInertGasFractions(gas);
                 currentGasName = gas.name;
                 usedGases.add(gas.id);
                 if (recordSwitch) {
@@ -542,8 +1212,9 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
         return false;
     };
     
-    // Find first stop depth
-    const { depth: firstStopDepth, ambient: firstStopAmbient } = getFirstStopDepth(tissues, gfLow);
+    // Find first stop depth (never shallower than the last stop)
+    const firstStopDepth = applyLastStopDepth(getFirstStopDepth(tissues, gfLow, planner.stopIncrement, null, env, model).depth, planner);
+    const firstStopAmbient = getAmbientPressure(firstStopDepth, env);
     
     // If no deco needed (first stop = 0), just ascend (with gas switches)
     if (firstStopDepth === 0) {
@@ -552,13 +1223,13 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
         for (const gas of gasSwitchPoints) {
             if (remainingDepth > gas.switchDepth && !usedGases.has(gas.id)) {
                 // Ascend to switch depth
-                const segmentTime = (remainingDepth - gas.switchDepth) / ASCENT_SPEED;
-                tissues = simulateDepthChange(tissues, remainingDepth, gas.switchDepth, segmentTime, currentN2);
+                const segmentTime = (remainingDepth - gas.switchDepth) / planner.ascentRate;
+                tissues = simulateDepthChange(tissues, remainingDepth, gas.switchDepth, segmentTime, currentGas, env, model);
                 totalAscentTime += segmentTime;
                 remainingDepth = gas.switchDepth;
                 // Switch gas
-                if (gas.n2 < currentN2) {
-                    currentN2 = gas.n2;
+                if (inertOf(gas) < inertOf(currentGas)) {
+                    currentGas = getInertGasFractions(gas);
                     currentGasName = gas.name;
                     usedGases.add(gas.id);
                     gasSwitches.push({ depth: gas.switchDepth, gas: gas.name, gasId: gas.id });
@@ -567,8 +1238,8 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
         }
         // Final ascent to surface
         if (remainingDepth > 0) {
-            const segmentTime = remainingDepth / ASCENT_SPEED;
-            tissues = simulateDepthChange(tissues, remainingDepth, 0, segmentTime, currentN2);
+            const segmentTime = remainingDepth / planner.ascentRate;
+            tissues = simulateDepthChange(tissues, remainingDepth, 0, segmentTime, currentGas, env, model);
             totalAscentTime += segmentTime;
         }
         return { stops: [], gasSwitches, totalTime: totalAscentTime, totalAscentTime };
@@ -579,13 +1250,13 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
     for (const gas of gasSwitchPoints) {
         if (remainingDepth > gas.switchDepth && gas.switchDepth >= firstStopDepth && !usedGases.has(gas.id)) {
             // Ascend to switch depth
-            const segmentTime = (remainingDepth - gas.switchDepth) / ASCENT_SPEED;
-            tissues = simulateDepthChange(tissues, remainingDepth, gas.switchDepth, segmentTime, currentN2);
+            const segmentTime = (remainingDepth - gas.switchDepth) / planner.ascentRate;
+            tissues = simulateDepthChange(tissues, remainingDepth, gas.switchDepth, segmentTime, currentGas, env, model);
             totalAscentTime += segmentTime;
             remainingDepth = gas.switchDepth;
             // Switch gas
-            if (gas.n2 < currentN2) {
-                currentN2 = gas.n2;
+            if (inertOf(gas) < inertOf(currentGas)) {
+                currentGas = getInertGasFractions(gas);
                 currentGasName = gas.name;
                 usedGases.add(gas.id);
                 gasSwitches.push({ depth: gas.switchDepth, gas: gas.name, gasId: gas.id });
@@ -594,8 +1265,8 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
     }
     // Finish ascent to first stop
     if (remainingDepth > firstStopDepth) {
-        const segmentTime = (remainingDepth - firstStopDepth) / ASCENT_SPEED;
-        tissues = simulateDepthChange(tissues, remainingDepth, firstStopDepth, segmentTime, currentN2);
+        const segmentTime = (remainingDepth - firstStopDepth) / planner.ascentRate;
+        tissues = simulateDepthChange(tissues, remainingDepth, firstStopDepth, segmentTime, currentGas, env, model);
         totalAscentTime += segmentTime;
     }
     depth = firstStopDepth;
@@ -606,33 +1277,25 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
         switchToBestGas(depth);
         
         // Wait at this stop until ceiling clears to next stop (or surface)
-        const nextStopDepth = Math.max(0, depth - STOP_INCREMENT);
-        const ascentTime = STOP_INCREMENT / ASCENT_SPEED;
+        const nextStopDepth = getNextStopDepth(depth, planner);
+        const ascentTime = (depth - nextStopDepth) / planner.decoAscentRate;
         
         // For ceiling check, use GF at the DESTINATION depth, not current depth
-        const gfAtDestination = interpolateGF(getAmbientPressure(nextStopDepth), firstStopAmbient, gfLow, gfHigh);
-        
-        let stopTime = 0;
+        const gfAtDestination = interpolateGF(getAmbientPressure(nextStopDepth, env), firstStopAmbient, gfLow, gfHigh, env);
         
-        while (true) {
-            // Simulate ascent to check if we'd exceed M-value at destination
-            const testTissues = simulateDepthChange({ ...tissues }, depth, nextStopDepth, ascentTime, currentN2);
-            const { ceilingDepth } = getDiveCeiling(testTissues, gfAtDestination);
-            
-            if (ceilingDepth <= nextStopDepth) {
-                break; // Ceiling cleared after simulated ascent, can actually ascend
-            }
-            
-            // Wait 1 minute at this stop
-            tissues = simulateDepthTime(tissues, depth, 1, currentN2);
-            stopTime += 1;
-            
-            // Safety: prevent infinite loops
-            if (stopTime > 300) {
-                console.warn('Deco stop exceeded 5 hours, breaking');
-                break;
-            }
-        }
+        // Wait until the ceiling would clear after the simulated ascent
+        const clears = (state) => {
+            const arrived = simulateDepthChange(state, depth, nextStopDepth, ascentTime, currentGas, env, model);
+            return getDiveCeiling(arrived, gfAtDestination, null, env, model).ceilingDepth <= nextStopDepth;
+        };
+        const stop = solveStopTime(tissues, depth, currentGas, clears, {
+            rounding: planner.stopRounding,
+            environment: env,
+            model,
+            gasName: currentGasName
+        });
+        tissues = stop.tissues;
+        const stopTime = stop.time;
         
         if (stopTime > 0) {
             stops.push({
@@ -644,7 +1307,7 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
         
         // Ascend to next stop
         if (nextStopDepth >= 0) {
-            tissues = simulateDepthChange(tissues, depth, nextStopDepth, ascentTime, currentN2);
+            tissues = simulateDepthChange(tissues, depth, nextStopDepth, ascentTime, currentGas, env, model);
             totalAscentTime += ascentTime;
             depth = nextStopDepth;
         }
@@ -662,10 +1325,11 @@ export function generateDecoSchedule(tissuePressures, currentDepth, n2Fraction,
  * @param {Array} gases - Available gases [{n2, o2, name}]
  * @param {number} depth - Current depth in meters
  * @param {number} maxPpO2 - Maximum ppO2 (default 1.6 for deco)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
  * @returns {Object|null} Best gas or null if none valid
  */
-function findBestDecoGas(gases, depth, maxPpO2 = 1.6) {
-    const ambientPressure = getAmbientPressure(depth);
+function findBestDecoGas(gases, depth, maxPpO2 = 1.6, environment = null) {
+    const ambientPressure = getAmbientPressure(depth, environment);
     
     // Filter gases valid at this depth and sort by N2 (lowest first)
     const validGases = gases
@@ -678,265 +1342,513 @@ function findBestDecoGas(gases, depth, maxPpO2 = 1.6) {
     return validGases[0] || null;
 }
 
+// ============================================================================
+// POST-DIVE ALTITUDE & NO-FLY
+// ============================================================================
+
+/** Typical airliner cabin altitude in meters (cabin pressure ~0.75 bar) */
+export const CABIN_ALTITUDE = 2400;
+
+/** Longest post-dive time searched for desaturation / no-fly (minutes) */
+const MAX_POST_DIVE_TIME = 72 * 60;
+
+/**
+ * Default post-dive settings
+ * exposures are altitude segments after the last dive: {start, duration, altitude}
+ * with start in minutes after surfacing, duration in minutes and altitude in meters.
+ * noFlyAltitude is the altitude the no-fly time is computed for.
+ */
+export const DEFAULT_POST_DIVE = Object.freeze({
+    exposures: Object.freeze([]),
+    noFlyAltitude: CABIN_ALTITUDE
+});
+
+/**
+ * Resolve post-dive settings
+ * Exposures without a positive duration are dropped, the rest are sorted by start.
+ * @param {Object} [postDive] - {exposures, noFlyAltitude}
+ * @returns {{exposures: Array<{start: number, duration: number, altitude: number}>, noFlyAltitude: number}}
+ */
+export function resolvePostDive(postDive = null) {
+    const exposures = (postDive?.exposures || [])
+        .filter(e => Number.isFinite(e.duration) && e.duration > 0)
+        .map(e => ({
+            start: Math.max(0, Number.isFinite(e.start) ? e.start : 0),
+            duration: e.duration,
+            altitude: Number.isFinite(e.altitude) ? e.altitude : 0
+        }))
+        .sort((a, b) => a.start - b.start);
+    const noFlyAltitude = Number.isFinite(postDive?.noFlyAltitude) && postDive.noFlyAltitude >= 0
+        ? postDive.noFlyAltitude
+        : DEFAULT_POST_DIVE.noFlyAltitude;
+    return { exposures, noFlyAltitude };
+}
+
+/**
+ * Get the altitude exposure active at a time after surfacing
+ * @param {Array<{start: number, duration: number, altitude: number}>} exposures - Resolved exposures
+ * @param {number} timeAfterSurfacing - Minutes since surfacing
+ * @returns {Object|null} Active exposure, or null at the dive site
+ */
+export function getAltitudeExposureAt(exposures, timeAfterSurfacing) {
+    return exposures.find(e => timeAfterSurfacing >= e.start && timeAfterSurfacing < e.start + e.duration) || null;
+}
+
+/**
+ * Calculate the time until the tissues are desaturated
+ * Desaturated means every compartment's inert gas pressure (N2 + He) is within
+ * `tolerance` of saturation with air at the surface. Searched in 1 minute steps.
+ * 
+ * @param {Object} tissuePressures - Tissue pressures at surfacing (N2-only map or {n2, he} state)
+ * @param {Object} [environment] - Altitude of the surface interval (default: sea level)
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.01] - Allowed excess over saturation, as a fraction
+ * @param {number} [options.maxTime=4320] - Longest time searched (minutes)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @returns {{time: number|null, controllingCompartment: number|null}}
+ *          time in minutes (null if not desaturated within maxTime), slowest compartment
+ */
+export function calculateDesaturationTime(tissuePressures, environment = null, options = {}) {
+    const env = resolveEnvironment(environment);
+    const tolerance = options.tolerance ?? 0.01;
+    const maxTime = options.maxTime ?? MAX_POST_DIVE_TIME;
+    const limit = getInitialTissueN2(N2_FRACTION, env) * (1 + tolerance);
+    const model = resolveModel(options.model);
+    
+    const slowest = (state) => {
+        let controlling = null;
+        for (const comp of model.compartments) {
+            if (state.n2[comp.id] + (state.he[comp.id] || 0) > limit) {
+                controlling = comp.id;
+            }
+        }
+        return controlling;
+    };
+    
+    let state = toTissueState(tissuePressures);
+    let controllingCompartment = slowest(state);
+    for (let time = 0; time <= maxTime; time++) {
+        const controlling = slowest(state);
+        if (controlling === null) {
+            return { time, controllingCompartment };
+        }
+        controllingCompartment = controlling;
+        state = toTissueState(simulateDepthTime(state, 0, 1, N2_FRACTION, env, model));
+    }
+    return { time: null, controllingCompartment };
+}
+
+/**
+ * Calculate the no-fly time: how long to wait at the surface before going to altitude
+ * The wait is over once the ceiling at GF High is no deeper than the target
+ * altitude's ambient pressure. Searched in 1 minute steps, breathing air at the
+ * dive site's surface.
+ * 
+ * @param {Object} tissuePressures - Tissue pressures at surfacing (N2-only map or {n2, he} state)
+ * @param {number} gfHigh - GF High as decimal (0-1)
+ * @param {Object} [options]
+ * @param {number} [options.altitude=CABIN_ALTITUDE] - Altitude to reach (meters)
+ * @param {Object} [options.environment] - Altitude of the surface interval (default: sea level)
+ * @param {number} [options.maxTime=4320] - Longest time searched (minutes)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @returns {{time: number|null, altitude: number, controllingCompartment: number|null}}
+ *          time in minutes (null if still limited after maxTime)
+ */
+export function calculateNoFlyTime(tissuePressures, gfHigh, options = {}) {
+    const env = resolveEnvironment(options.environment);
+    const altitude = options.altitude ?? CABIN_ALTITUDE;
+    const maxTime = options.maxTime ?? MAX_POST_DIVE_TIME;
+    const targetEnvironment = { altitude };
+    const model = resolveModel(options.model);
+    
+    let state = toTissueState(tissuePressures);
+    let controllingCompartment = null;
+    for (let time = 0; time <= maxTime; time++) {
+        const { ceilingDepth, controllingCompartment: controlling } = getDiveCeiling(state, gfHigh, null, targetEnvironment, model);
+        if (ceilingDepth <= 0) {
+            return { time, altitude, controllingCompartment };
+        }
+        controllingCompartment = controlling;
+        state = toTissueState(simulateDepthTime(state, 0, 1, N2_FRACTION, env, model));
+    }
+    return { time: null, altitude, controllingCompartment };
+}
+
 // ============================================================================
 // DIVE PROFILE PROCESSING
 // ============================================================================
 
 /**
  * Process a dive profile and calculate tissue loading over time
- * Supports multi-gas diving with gas switches at waypoints
+ * Supports multi-gas diving with gas switches at waypoints.
+ * Nitrogen and helium are loaded separately; with a gas list the tissues
+ * start saturated with surface air and the surface interval is breathed on air.
+ * 
+ * Returns plain arrays per time point; see calculateTissueLoadingSeries() for the
+ * typed-array form this is converted from (cheaper for long timelines and for
+ * callers that only need part of the results).
  * 
  * @param {Array<{time: number, depth: number, gasId?: string}>} profile - Dive profile waypoints
- *        time in minutes, depth in meters, optional gasId for gas switches
+ *        time in minutes, depth in meters, optional gasId for gas switches; a waypoint flagged
+ *        `surfaceInterval` starts a surface interval between two dives (air is breathed up to
+ *        the next waypoint, whose gas starts the next dive without counting as a switch)
  * @param {number} surfaceInterval - Additional surface time after dive (minutes)
  * @param {Object} options - Additional options
  * @param {Array<Object>} [options.gases] - Array of available gases with {id, name, o2, n2, he}
  * @param {number} [options.n2Fraction] - Legacy: single N2 fraction (used if gases not provided)
- * @returns {Object} Calculation results with time series data
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @param {Object} [options.ccr] - Closed-circuit settings {diluentId, setpointLow, setpointHigh,
+ *        setpointSwitchDepth}; the diluent (default: first gas) is breathed as a loop and any
+ *        other gas is open-circuit bailout
+ * @param {Object} [options.planner] - Planner settings the first stop is rounded with in
+ *        ceiling calculations (default: 3 m stop increment)
+ * @param {Array<Object>} [options.altitudeExposures] - Post-dive altitude segments
+ *        {start, duration, altitude} (start in minutes after the last waypoint); the surface
+ *        interval is extended to cover them and breathed at that altitude's pressure
+ * @returns {Object} Calculation results with time series data (results.environment,
+ *          results.model and results.planner hold the resolved environment, model and planner
+ *          so ceiling calculations can reuse them)
  */
 export function calculateTissueLoading(profile, surfaceInterval = 60, options = {}) {
+    return toTissueLoadingResults(calculateTissueLoadingSeries(profile, surfaceInterval, options));
+}
+
+/**
+ * Calculate tissue loading over time into typed arrays
+ * 
+ * The profile is first split into segments breathed on one gas (waypoint
+ * intervals, split again at the CCR setpoint switch, plus the trailing surface
+ * interval). Each segment is then sampled every CALC_INTERVAL from its start:
+ * constant-depth steps apply precomputed Haldane factors, depth changes the
+ * Schreiner equation. Samples fall exactly on every waypoint.
+ * 
+ * Same arguments as calculateTissueLoading().
+ * 
+ * @param {Array<{time: number, depth: number, gasId?: string}>} profile - Dive profile waypoints
+ * @param {number} surfaceInterval - Additional surface time after dive (minutes)
+ * @param {Object} options - See calculateTissueLoading()
+ * @returns {{
+ *   length: number,
+ *   timePoints: Float64Array, depthPoints: Float64Array, ambientPressures: Float64Array,
+ *   alveolarN2Pressures: Float64Array, alveolarHePressures: Float64Array,
+ *   n2Fractions: Float64Array, heFractions: Float64Array, ppO2Pressures: Float64Array,
+ *   setpoints: Float64Array, gasIndices: Uint16Array, gasLabels: string[],
+ *   compartmentIds: number[], tissueN2: Float64Array[], tissueHe: Float64Array[],
+ *   gasSwitches: Array<Object>, altitudeExposures: Array<Object>, environment: Object,
+ *   model: Object, planner: Object
+ * }} Series of `length` time points: setpoints NaN on open circuit, gas names as
+ *    gasLabels[gasIndices[i]], tissue pressures per compartment (in compartmentIds order)
+ */
+export function calculateTissueLoadingSeries(profile, surfaceInterval = 60, options = {}) {
     if (!profile || profile.length < 2) {
         throw new Error("Profile must have at least 2 waypoints");
     }
 
-    // Handle gas configuration
     const gases = options.gases || null;
-    const defaultN2Fraction = options.n2Fraction || N2_FRACTION;
+    const hasGases = !!(gases && gases.length > 0);
+    const env = resolveEnvironment(options.environment);
+    const model = resolveModel(options.model);
+    const { exposures: altitudeExposures } = resolvePostDive({ exposures: options.altitudeExposures });
     
-    // Helper to get N2 fraction at a given time
-    const getN2FractionAtTime = (time) => {
-        if (!gases || gases.length === 0) {
-            return defaultN2Fraction;
-        }
-        
-        // Find the last gasId that was set at or before this time
-        // Gas "sticks" until another gas switch occurs
-        let currentGasId = gases[0].id;  // Start with first gas (typically air/bottom gas)
-        for (const wp of profile) {
-            if (wp.time <= time) {
-                if (wp.gasId) {
-                    currentGasId = wp.gasId;  // Update when we see an explicit gas switch
-                }
-            } else {
-                break;
-            }
+    // Get total dive time including surface interval
+    const lastWaypoint = profile[profile.length - 1];
+    const lastExposureEnd = altitudeExposures.reduce((end, e) => Math.max(end, e.start + e.duration), 0);
+    const totalTime = lastWaypoint.time + Math.max(surfaceInterval, lastExposureEnd);
+    
+    const { segments, gasLabels } = buildLoadingSegments(profile, totalTime, options);
+    
+    // Ambient pressure, lowered to the altitude's surface pressure during post-dive exposures
+    const getAmbientAt = (segment, time) => {
+        if (segment.final) {
+            const exposure = getAltitudeExposureAt(altitudeExposures, time - lastWaypoint.time);
+            return exposure ? getAltitudePressure(exposure.altitude) : getAmbientPressure(0, env);
         }
-        
-        const gas = gases.find(g => g.id === currentGasId) || gases[0];
-        return gas.n2;
+        const duration = segment.end - segment.start;
+        const depth = duration > 0
+            ? segment.startDepth + (time - segment.start) / duration * (segment.endDepth - segment.startDepth)
+            : segment.startDepth;
+        return getAmbientPressure(depth, env);
     };
-
-    // Initialize results
-    const results = {
-        timePoints: [],       // Time in minutes
-        depthPoints: [],      // Depth at each time point
-        ambientPressures: [], // Ambient pressure at each time point
-        alveolarN2Pressures: [], // Alveolar N2 pressure (what tissues equilibrate towards)
-        n2Fractions: [],      // N2 fraction at each time point (for multi-gas)
-        gasNames: [],         // Gas name at each time point
-        gasSwitches: [],      // Array of {time, depth, gasName} for gas switch events
-        compartments: {}      // Tissue pressures per compartment
+    const getDepthAt = (segment, time) => segment.final
+        ? 0
+        : segment.startDepth + (time - segment.start) / (segment.end - segment.start) * (segment.endDepth - segment.startDepth);
+    
+    // Samples per segment: every CALC_INTERVAL from its start (the last segment also samples its end)
+    const interval = CALC_INTERVAL / 60;
+    let length = 0;
+    for (const segment of segments) {
+        const steps = (segment.end - segment.start) / interval;
+        segment.samples = segment.final
+            ? Math.floor(steps + 1e-9) + 1
+            : Math.max(1, Math.ceil(steps - 1e-9));
+        length += segment.samples;
+    }
+    
+    const series = {
+        length,
+        timePoints: new Float64Array(length),
+        depthPoints: new Float64Array(length),
+        ambientPressures: new Float64Array(length),
+        alveolarN2Pressures: new Float64Array(length),
+        alveolarHePressures: new Float64Array(length),
+        n2Fractions: new Float64Array(length),
+        heFractions: new Float64Array(length),
+        ppO2Pressures: new Float64Array(length),
+        setpoints: new Float64Array(length),
+        gasIndices: new Uint16Array(length),
+        gasLabels,
+        compartmentIds: model.compartments.map(comp => comp.id),
+        tissueN2: [],
+        tissueHe: [],
+        gasSwitches: getProfileGasSwitches(profile, gases),
+        altitudeExposures,
+        environment: env,
+        model,
+        planner: resolvePlanner(options.planner)
     };
-
-    // Track gas switches - only detect explicit gasId changes
-    if (gases && gases.length > 0) {
-        let currentGasId = profile[0].gasId || gases[0].id;
-        for (let i = 1; i < profile.length; i++) {
-            const wp = profile[i];
-            // Only trigger switch if gasId is explicitly set AND different
-            if (wp.gasId && wp.gasId !== currentGasId) {
-                const prevGas = gases.find(g => g.id === currentGasId) || gases[0];
-                const newGas = gases.find(g => g.id === wp.gasId) || gases[0];
-                results.gasSwitches.push({
-                    time: wp.time,
-                    depth: wp.depth,
-                    fromGasName: prevGas.name,
-                    gasName: newGas.name,
-                    gasId: wp.gasId
-                });
-                currentGasId = wp.gasId;
-            }
-        }
+    
+    // Tissue pressures, one contiguous buffer per gas viewed per compartment
+    const count = model.compartments.length;
+    const n2Buffer = new Float64Array(count * length);
+    const heBuffer = new Float64Array(count * length);
+    for (let c = 0; c < count; c++) {
+        series.tissueN2.push(n2Buffer.subarray(c * length, (c + 1) * length));
+        series.tissueHe.push(heBuffer.subarray(c * length, (c + 1) * length));
     }
-
-    // Initialize compartment data
-    COMPARTMENTS.forEach(comp => {
-        results.compartments[comp.id] = {
-            halfTime: comp.halfTime,
-            label: comp.label,
-            color: comp.color,
-            pressures: []    // N2 pressure at each time point
-        };
-    });
-
-    // Current tissue pressures (start at surface saturation with initial gas)
-    const currentPressures = {};
-    const initialN2Fraction = getN2FractionAtTime(0);
-    const initialN2 = getInitialTissueN2(initialN2Fraction);
-    COMPARTMENTS.forEach(comp => {
-        currentPressures[comp.id] = initialN2;
+    
+    // Rate constants and the exponential factor of a full interval
+    const kN2 = new Float64Array(count);
+    const kHe = new Float64Array(count);
+    const fullN2 = new Float64Array(count);
+    const fullHe = new Float64Array(count);
+    model.compartments.forEach((comp, c) => {
+        kN2[c] = getRateConstant(comp.halfTime);
+        kHe[c] = getRateConstant(comp.halfTimeHe);
+        fullN2[c] = Math.exp(-kN2[c] * interval);
+        fullHe[c] = Math.exp(-kHe[c] * interval);
     });
-
-    // Calculate interval in minutes
-    const intervalMinutes = CALC_INTERVAL / 60;
-
-    // Get total dive time including surface interval
-    const lastWaypoint = profile[profile.length - 1];
-    const totalTime = lastWaypoint.time + surfaceInterval;
-
-    // Process each time step
-    let currentTime = 0;
-
-    while (currentTime <= totalTime) {
-        // Find current segment (between which waypoints are we?)
-        let waypointIndex = 0;
-        while (waypointIndex < profile.length - 1 && 
-               profile[waypointIndex + 1].time <= currentTime) {
-            waypointIndex++;
+    
+    // Current tissue pressures (start at surface saturation: air when a gas
+    // list is given, otherwise the legacy single-gas N2 fraction)
+    const pN2 = new Float64Array(count).fill(getInitialTissueN2(hasGases ? N2_FRACTION : (options.n2Fraction || N2_FRACTION), env));
+    const pHe = new Float64Array(count);
+    
+    // Advance one gas's tissue pressures over a step (Haldane when the
+    // alveolar pressure holds, Schreiner when it changes)
+    const advance = (pressures, alveolar, rate, step, k, full) => {
+        const constant = Math.abs(rate) < 0.0001;
+        for (let c = 0; c < count; c++) {
+            const decay = step === interval ? full[c] : Math.exp(-k[c] * step);
+            pressures[c] = constant
+                ? alveolar + (pressures[c] - alveolar) * decay
+                : alveolar + rate * (step - 1 / k[c]) - (alveolar - pressures[c] - rate / k[c]) * decay;
         }
-
-        // Calculate current depth by interpolation
-        let currentDepth;
-        if (currentTime >= lastWaypoint.time) {
-            // Surface interval - at 0 meters
-            currentDepth = 0;
-        } else {
-            const wp1 = profile[waypointIndex];
-            const wp2 = profile[waypointIndex + 1];
-            const segmentDuration = wp2.time - wp1.time;
-            const timeInSegment = currentTime - wp1.time;
+    };
+    
+    let i = 0;
+    for (const segment of segments) {
+        const loop = isLoopGas(segment.gas);
+        const ocFractions = loop ? null : getBreathingFractions(segment.gas, 1);
+        
+        for (let s = 0; s < segment.samples; s++, i++) {
+            const time = segment.start + s * interval;
+            const ambient = getAmbientAt(segment, time);
+            const fractions = ocFractions || getBreathingFractions(segment.gas, ambient);
             
-            if (segmentDuration > 0) {
-                const fraction = timeInSegment / segmentDuration;
-                currentDepth = wp1.depth + fraction * (wp2.depth - wp1.depth);
-            } else {
-                currentDepth = wp1.depth;
+            // Store current state
+            series.timePoints[i] = time;
+            series.depthPoints[i] = getDepthAt(segment, time);
+            series.ambientPressures[i] = ambient;
+            series.alveolarN2Pressures[i] = getAlveolarN2Pressure(ambient, fractions.n2);
+            series.alveolarHePressures[i] = getAlveolarHePressure(ambient, fractions.he);
+            series.n2Fractions[i] = fractions.n2;
+            series.heFractions[i] = fractions.he;
+            series.ppO2Pressures[i] = ambient * fractions.o2;
+            series.setpoints[i] = loop ? segment.gas.setpoint : NaN;
+            series.gasIndices[i] = segment.label;
+            for (let c = 0; c < count; c++) {
+                series.tissueN2[c][i] = pN2[c];
+                series.tissueHe[c][i] = pHe[c];
             }
+            
+            // Step to the next sample (the segment end for the last one)
+            const step = Math.min(interval, segment.end - time);
+            if (s === segment.samples - 1 && segment.final) break;
+            
+            // Alveolar pressures at both ends (open circuit: fixed fractions)
+            const nextAmbient = getAmbientAt(segment, time + step);
+            const nextFractions = loop ? getBreathingFractions(segment.gas, nextAmbient) : fractions;
+            const alveolarN2 = series.alveolarN2Pressures[i];
+            const alveolarHe = series.alveolarHePressures[i];
+            const rateN2 = (getAlveolarN2Pressure(nextAmbient, nextFractions.n2) - alveolarN2) / step;
+            const rateHe = (getAlveolarHePressure(nextAmbient, nextFractions.he) - alveolarHe) / step;
+            
+            advance(pN2, alveolarN2, rateN2, step, kN2, fullN2);
+            advance(pHe, alveolarHe, rateHe, step, kHe, fullHe);
         }
+    }
+    
+    return series;
+}
 
-        // Get current N2 fraction (may change at gas switches)
-        const currentN2Fraction = currentTime >= lastWaypoint.time 
-            ? N2_FRACTION  // Surface interval uses air
-            : getN2FractionAtTime(currentTime);
+/**
+ * Split a profile into segments breathed on one gas
+ * The gas "sticks" from the last waypoint with a gasId; segments starting at a
+ * waypoint flagged `surfaceInterval`, and the trailing surface interval
+ * (`final`), are breathed on air.
+ * 
+ * @param {Array<Object>} profile - Dive profile waypoints
+ * @param {number} totalTime - End of the trailing surface interval (minutes)
+ * @param {Object} options - calculateTissueLoading() options (gases, n2Fraction, ccr)
+ * @returns {{segments: Array<{start: number, end: number, startDepth: number, endDepth: number,
+ *            gas: Object, label: number, final: boolean}>, gasLabels: string[]}}
+ */
+function buildLoadingSegments(profile, totalTime, options) {
+    const gases = options.gases && options.gases.length > 0 ? options.gases : null;
+    const ccr = gases && options.ccr ? resolveCCR(options.ccr) : null;
+    const diluentId = ccr ? (ccr.diluentId || gases[0].id) : null;
+    const setpointSwitchTime = ccr ? getSetpointSwitchTime(profile, ccr.setpointSwitchDepth) : Infinity;
+    const SURFACE_AIR = { n2: N2_FRACTION, he: 0 };
+    
+    const gasLabels = [];
+    const labelOf = (name) => {
+        const index = gasLabels.indexOf(name);
+        return index >= 0 ? index : gasLabels.push(name) - 1;
+    };
+    const air = labelOf('Air');
+    
+    const segments = [];
+    const addSegment = (start, end, startDepth, endDepth, gas, label) => {
+        segments.push({ start, end, startDepth, endDepth, gas, label, final: false });
+    };
+    
+    let gasId = gases ? gases[0].id : null;
+    for (let i = 0; i < profile.length - 1; i++) {
+        const wp1 = profile[i];
+        const wp2 = profile[i + 1];
+        if (wp1.gasId) gasId = wp1.gasId;
+        if (!(wp2.time > wp1.time)) continue;
         
-        // Get current gas name for display
-        let currentGasName = 'Air';
-        if (gases && gases.length > 0 && currentTime < lastWaypoint.time) {
-            // Find the last gasId that was set at or before this time
-            let currentGasId = gases[0].id;
-            for (const wp of profile) {
-                if (wp.time <= currentTime) {
-                    if (wp.gasId) currentGasId = wp.gasId;
-                } else {
-                    break;
-                }
-            }
-            const gas = gases.find(g => g.id === currentGasId) || gases[0];
-            currentGasName = gas.name;
+        if (wp1.surfaceInterval) {
+            addSegment(wp1.time, wp2.time, wp1.depth, wp2.depth, SURFACE_AIR, air);
+            continue;
         }
-
-        // Store current state
-        results.timePoints.push(currentTime);
-        results.depthPoints.push(currentDepth);
-        results.ambientPressures.push(getAmbientPressure(currentDepth));
-        results.alveolarN2Pressures.push(getAlveolarN2Pressure(getAmbientPressure(currentDepth), currentN2Fraction));
-        results.n2Fractions.push(currentN2Fraction);
-        results.gasNames.push(currentGasName);
-
-        // Calculate tissue loading for each compartment
-        COMPARTMENTS.forEach(comp => {
-            results.compartments[comp.id].pressures.push(currentPressures[comp.id]);
-        });
-
-        // Determine the next time step
-        // Key fix: don't cross waypoint boundaries - step TO the waypoint first
-        let nextTime = currentTime + intervalMinutes;
-        
-        // Check if we would cross a waypoint boundary
-        const nextWaypointTime = (waypointIndex < profile.length - 1) 
-            ? profile[waypointIndex + 1].time 
-            : totalTime + 1;
-        
-        // If next regular step would cross a waypoint, step exactly to waypoint instead
-        if (currentTime < nextWaypointTime && nextTime > nextWaypointTime) {
-            nextTime = nextWaypointTime;
+        if (!gases) {
+            addSegment(wp1.time, wp2.time, wp1.depth, wp2.depth, { n2: options.n2Fraction || N2_FRACTION, he: 0 }, air);
+            continue;
         }
         
-        // Also handle stepping to end of dive
-        if (currentTime < lastWaypoint.time && nextTime > lastWaypoint.time) {
-            nextTime = lastWaypoint.time;
+        const gas = gases.find(g => g.id === gasId) || gases[0];
+        if (gas.id !== diluentId) {
+            addSegment(wp1.time, wp2.time, wp1.depth, wp2.depth, gas, labelOf(gas.name));
+            continue;
         }
         
-        const stepDuration = nextTime - currentTime;
-        
-        // Calculate depth at next time step
-        let nextDepth;
-        if (nextTime >= lastWaypoint.time) {
-            nextDepth = 0;
+        // On the loop: low setpoint before the switch time, high from it on
+        const addLoopSegment = (start, end, startDepth, endDepth) => {
+            const setpoint = start >= setpointSwitchTime ? ccr.setpointHigh : ccr.setpointLow;
+            addSegment(start, end, startDepth, endDepth, createLoopGas(gas, setpoint), labelOf(`${gas.name} (SP ${setpoint})`));
+        };
+        if (setpointSwitchTime > wp1.time && setpointSwitchTime < wp2.time) {
+            const switchDepth = wp1.depth + (setpointSwitchTime - wp1.time) / (wp2.time - wp1.time) * (wp2.depth - wp1.depth);
+            addLoopSegment(wp1.time, setpointSwitchTime, wp1.depth, switchDepth);
+            addLoopSegment(setpointSwitchTime, wp2.time, switchDepth, wp2.depth);
         } else {
-            // Find segment for next time
-            let nextWaypointIndex = waypointIndex;
-            while (nextWaypointIndex < profile.length - 1 && 
-                   profile[nextWaypointIndex + 1].time <= nextTime) {
-                nextWaypointIndex++;
-            }
-            
-            const wp1 = profile[nextWaypointIndex];
-            const wp2 = profile[nextWaypointIndex + 1];
-            const segmentDuration = wp2.time - wp1.time;
-            const timeInSegment = nextTime - wp1.time;
-            
-            if (segmentDuration > 0) {
-                const fraction = timeInSegment / segmentDuration;
-                nextDepth = wp1.depth + fraction * (wp2.depth - wp1.depth);
-            } else {
-                nextDepth = wp1.depth;
-            }
+            addLoopSegment(wp1.time, wp2.time, wp1.depth, wp2.depth);
         }
+    }
+    
+    const lastWaypoint = profile[profile.length - 1];
+    segments.push({ start: lastWaypoint.time, end: totalTime, startDepth: 0, endDepth: 0, gas: SURFACE_AIR, label: air, final: true });
+    
+    return { segments, gasLabels };
+}
 
-        // Update tissue pressures for the step
-        const currentAmbient = getAmbientPressure(currentDepth);
-        const nextAmbient = getAmbientPressure(nextDepth);
-        
-        // Get N2 fraction for current and next time (handles gas switches)
-        const stepN2Fraction = currentTime >= lastWaypoint.time 
-            ? N2_FRACTION  // Surface interval uses air
-            : getN2FractionAtTime(currentTime);
-        const nextN2Fraction = nextTime >= lastWaypoint.time
-            ? N2_FRACTION
-            : getN2FractionAtTime(nextTime);
-            
-        const currentAlveolar = getAlveolarN2Pressure(currentAmbient, stepN2Fraction);
-        
-        // Rate of ambient pressure change (bar/min)
-        const ambientRate = (nextAmbient - currentAmbient) / stepDuration;
-        // Rate of alveolar pressure change (using average N2 fraction for the step)
-        const avgN2Fraction = (stepN2Fraction + nextN2Fraction) / 2;
-        const alveolarRate = ambientRate * avgN2Fraction;
-
-        COMPARTMENTS.forEach(comp => {
-            if (Math.abs(alveolarRate) < 0.0001) {
-                // Constant depth - use Haldane equation
-                currentPressures[comp.id] = haldaneEquation(
-                    currentPressures[comp.id],
-                    currentAlveolar,
-                    stepDuration,
-                    comp.halfTime
-                );
-            } else {
-                // Depth change - use Schreiner equation
-                currentPressures[comp.id] = schreinerEquation(
-                    currentPressures[comp.id],
-                    currentAlveolar,
-                    alveolarRate,
-                    stepDuration,
-                    comp.halfTime
-                );
-            }
-        });
-
-        currentTime = nextTime;
+/**
+ * Find the gas switches of a profile: explicit gasId changes at waypoints
+ * A repetitive dive starts on its own gas, which doesn't count as a switch.
+ * @param {Array<Object>} profile - Dive profile waypoints
+ * @param {Array<Object>|null} gases - Available gases
+ * @returns {Array<{time: number, depth: number, fromGasName: string, gasName: string, gasId: string}>}
+ */
+function getProfileGasSwitches(profile, gases) {
+    const switches = [];
+    if (!gases || gases.length === 0) {
+        return switches;
+    }
+    let currentGasId = profile[0].gasId || gases[0].id;
+    for (let i = 1; i < profile.length; i++) {
+        const wp = profile[i];
+        if (profile[i - 1].surfaceInterval) {
+            currentGasId = wp.gasId || currentGasId;
+            continue;
+        }
+        // Only trigger switch if gasId is explicitly set AND different
+        if (wp.gasId && wp.gasId !== currentGasId) {
+            const prevGas = gases.find(g => g.id === currentGasId) || gases[0];
+            const newGas = gases.find(g => g.id === wp.gasId) || gases[0];
+            switches.push({
+                time: wp.time,
+                depth: wp.depth,
+                fromGasName: prevGas.name,
+                gasName: newGas.name,
+                gasId: wp.gasId
+            });
+            currentGasId = wp.gasId;
+        }
     }
+    return switches;
+}
 
-    return results;
+/**
+ * Convert a tissue loading series to the calculateTissueLoading() results shape
+ * (plain arrays, compartments keyed by ID, gas names and null setpoints per point)
+ * @param {Object} series - Result of calculateTissueLoadingSeries()
+ * @returns {Object} Tissue loading results
+ */
+export function toTissueLoadingResults(series) {
+    const compartments = {};
+    resolveModel(series.model).compartments.forEach((comp, c) => {
+        compartments[comp.id] = {
+            halfTime: comp.halfTime,
+            label: comp.label,
+            color: comp.color,
+            pressures: Array.from(series.tissueN2[c]),
+            hePressures: Array.from(series.tissueHe[c])
+        };
+    });
+    return {
+        timePoints: Array.from(series.timePoints),
+        depthPoints: Array.from(series.depthPoints),
+        ambientPressures: Array.from(series.ambientPressures),
+        alveolarN2Pressures: Array.from(series.alveolarN2Pressures),
+        alveolarHePressures: Array.from(series.alveolarHePressures),
+        n2Fractions: Array.from(series.n2Fractions),
+        heFractions: Array.from(series.heFractions),
+        ppO2Pressures: Array.from(series.ppO2Pressures),
+        setpoints: Array.from(series.setpoints, sp => Number.isNaN(sp) ? null : sp),
+        gasNames: Array.from(series.gasIndices, index => series.gasLabels[index]),
+        gasSwitches: series.gasSwitches,
+        compartments,
+        altitudeExposures: series.altitudeExposures,
+        environment: series.environment,
+        model: series.model,
+        planner: series.planner
+    };
+}
+
+/**
+ * Get the tissue state at a point of a tissue loading series
+ * @param {Object} series - Result of calculateTissueLoadingSeries()
+ * @param {number} [index] - Time point index (default: the last)
+ * @returns {{n2: Object, he: Object}} Tissue state keyed by compartment ID
+ */
+export function getSeriesTissueState(series, index = series.length - 1) {
+    const state = { n2: {}, he: {} };
+    series.compartmentIds.forEach((id, c) => {
+        state.n2[id] = series.tissueN2[c][index];
+        state.he[id] = series.tissueHe[c][index];
+    });
+    return state;
 }
@@ -8,16 +8,33 @@
 
 import { 
     calculateNDL, 
+    calculateTissueLoadingSeries,
+    getSeriesTissueState,
     generateDecoSchedule, 
     simulateDepthTime, 
     simulateDepthChange,
     getInitialTissueN2,
+    createTissueState,
     N2_FRACTION,
     SURFACE_PRESSURE,
-    getAmbientPressure
+    getAmbientPressure,
+    resolveEnvironment,
+    SALT_WATER_DENSITY,
+    FRESH_WATER_DENSITY,
+    createLoopGas,
+    resolveCCR,
+    resolvePlanner,
+    resolvePostDive,
+    resolveModel,
+    calculateNoFlyTime,
+    calculateDesaturationTime
 } from './decoModel.js';
-
-import { COMPARTMENTS } from './tissueCompartments.js';
+import { getCrushingPressures } from './vpmModel.js';
+import {
+    DEFAULT_DECO_ALGORITHM,
+    getDecoAlgorithm,
+    generateAlgorithmSchedule
+} from './decoAlgorithms.js';
 
 // Default path to dive setup JSON
 const DEFAULT_SETUP_PATH = 'data/dive-setup.json';
@@ -93,12 +110,43 @@ export const DEFAULT_START_PRESSURE = 200;
  */
 export const DEFAULT_RESERVE_PRESSURE = 50;
 
+/**
+ * Default surface air consumption (L/min)
+ */
+export const DEFAULT_SAC_RATE = 20;
+
+/**
+ * Dive phases with their own SAC rate (DiveSetup.sacRates)
+ */
+export const SAC_PHASES = Object.freeze([
+    Object.freeze({ id: 'descent', label: 'Descent' }),
+    Object.freeze({ id: 'bottom', label: 'Bottom' }),
+    Object.freeze({ id: 'ascent', label: 'Ascent' }),
+    Object.freeze({ id: 'deco', label: 'Deco stops' })
+]);
+
 /**
  * Default Gradient Factors (100% = raw Bühlmann M-values)
  */
 export const DEFAULT_GF_LOW = 100;   // Percentage (100 = 100%)
 export const DEFAULT_GF_HIGH = 100;  // Percentage (100 = 100%)
 
+/**
+ * Water types for the dive environment (density in kg/L)
+ */
+export const WATER_TYPES = [
+    { id: 'salt', name: 'Salt water', density: SALT_WATER_DENSITY },
+    { id: 'fresh', name: 'Fresh water', density: FRESH_WATER_DENSITY }
+];
+
+/**
+ * Breathing modes: open circuit, or a closed-circuit rebreather holding a ppO2 setpoint
+ */
+export const BREATHING_MODES = [
+    { id: 'oc', name: 'Open circuit' },
+    { id: 'ccr', name: 'Closed circuit (CCR)' }
+];
+
 /**
  * Get a predefined gas by ID (searches both bottom and deco gases)
  * @param {string} id - Gas ID (e.g., 'air', 'ean32')
@@ -208,8 +256,9 @@ export function getDefaultSetup() {
 /**
  * Generate a simple dive profile from max depth and bottom time
  * Uses:
- *   - Descent speed: 20 m/min
- *   - Ascent speed: 10 m/min
+ *   - Descent rate: planner descentRate (default 20 m/min)
+ *   - Ascent rate: planner ascentRate to the safety stop, decoAscentRate above it
+ *     (default 10 m/min)
  *   - 3 min safety stop at 5m
  *   - Times rounded up to full minutes
  * 
@@ -219,30 +268,30 @@ export function getDefaultSetup() {
  * 
  * @param {number} maxDepth - Maximum depth in meters
  * @param {number} bottomTime - Time from dive start until leaving max depth (minutes)
+ * @param {Object} [planner] - Planner settings (see getPlannerSettings)
  * @returns {Array<{time: number, depth: number}>} Generated waypoints
  */
-export function generateSimpleProfile(maxDepth, bottomTime) {
-    const DESCENT_SPEED = 20; // m/min
-    const ASCENT_SPEED = 10;  // m/min
+export function generateSimpleProfile(maxDepth, bottomTime, planner = null) {
+    const { descentRate, ascentRate, decoAscentRate } = resolvePlanner(planner);
     const SAFETY_STOP_DEPTH = 5; // meters
     const SAFETY_STOP_TIME = 3;  // minutes
     
     // Calculate descent time (rounded up)
-    const descentTime = Math.ceil(maxDepth / DESCENT_SPEED);
+    const descentTime = Math.ceil(maxDepth / descentRate);
     
     // Bottom time is from dive start, so we leave depth at bottomTime
     // (not descentTime + bottomTime)
     const bottomEndTime = bottomTime;
     
     // Ascent from max depth to safety stop depth
-    const ascentToSafetyStop = Math.ceil((maxDepth - SAFETY_STOP_DEPTH) / ASCENT_SPEED);
+    const ascentToSafetyStop = Math.ceil((maxDepth - SAFETY_STOP_DEPTH) / ascentRate);
     const safetyStopStartTime = bottomEndTime + ascentToSafetyStop;
     
     // Safety stop ends
     const safetyStopEndTime = safetyStopStartTime + SAFETY_STOP_TIME;
     
     // Final ascent from 5m to surface
-    const finalAscentTime = Math.ceil(SAFETY_STOP_DEPTH / ASCENT_SPEED);
+    const finalAscentTime = Math.ceil(SAFETY_STOP_DEPTH / decoAscentRate);
     const surfaceTime = safetyStopEndTime + finalAscentTime;
     
     return [
@@ -260,6 +309,7 @@ export function generateSimpleProfile(maxDepth, bottomTime) {
  * 
  * If bottom time <= NDL: generates profile with safety stop
  * If bottom time > NDL: generates profile with proper deco stops
+ * (with VPM-B, the schedule itself decides whether stops are needed)
  * 
  * Supports multi-gas diving: will switch to deco gases during ascent
  * when current depth is within the deco gas MOD.
@@ -269,6 +319,17 @@ export function generateSimpleProfile(maxDepth, bottomTime) {
  * @param {Array} gases - Available gases [{id, name, o2, n2, he}]
  * @param {number} gfLow - GF Low as percentage (0-100)
  * @param {number} gfHigh - GF High as percentage (0-100)
+ * @param {Object} [options] - Additional options
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (see getModelSettings; default: ZH-L16C)
+ * @param {string} [options.algorithm='buhlmann-gf'] - Deco algorithm ID (see DECO_ALGORITHMS)
+ * @param {number} [options.conservatism] - VPM-B conservatism level 0-4
+ * @param {Object} [options.ccr] - CCR settings (see getCCRSettings); the diluent is then breathed
+ *        as a loop, on the low setpoint until the switch depth and the high setpoint after it
+ * @param {Object} [options.planner] - Planner settings (see getPlannerSettings): descent and
+ *        ascent rates, stop increment, last stop depth and stop rounding
+ * @param {Object} [options.tissues] - Tissue state at the start of the dive (see
+ *        getResidualTissueState); default: saturated with surface air
  * @returns {{
  *   waypoints: Array<{time: number, depth: number, gasId?: string}>,
  *   ndl: number,
@@ -278,32 +339,40 @@ export function generateSimpleProfile(maxDepth, bottomTime) {
  *   controllingCompartment: number
  * }}
  */
-export function generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh) {
-    const DESCENT_SPEED = 20; // m/min
-    const ASCENT_SPEED = 10;  // m/min
-    const SAFETY_STOP_DEPTH = 5;
-    const SAFETY_STOP_TIME = 3;
-    const STOP_INCREMENT = 3;
+export function generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh, options = {}) {
+    const planner = resolvePlanner(options.planner);
     
     // Convert GF percentages to decimals
     const gfLowDec = gfLow / 100;
     const gfHighDec = gfHigh / 100;
     
-    // Get bottom gas (first gas or air)
-    const bottomGas = gases && gases.length > 0 ? gases[0] : { id: 'air', name: 'Air', o2: 0.21, n2: 0.79 };
+    const ccr = options.ccr ? resolveCCR(options.ccr) : null;
+    
+    // Get bottom gas (first gas or air; on CCR the diluent)
+    const firstGas = gases && gases.length > 0 ? gases[0] : { id: 'air', name: 'Air', o2: 0.21, n2: 0.79 };
+    const bottomGas = ccr ? (gases?.find(g => g.id === ccr.diluentId) || firstGas) : firstGas;
+    
+    const environment = options.environment || null;
+    const model = resolveModel(options.model);
+    const algorithm = getDecoAlgorithm(options.algorithm || DEFAULT_DECO_ALGORITHM);
+    
+    // The loop switches to the high setpoint on reaching the switch depth and keeps it to the surface
+    const reachesSwitchDepth = ccr && maxDepth >= ccr.setpointSwitchDepth;
+    const bottomSetpoint = ccr ? (reachesSwitchDepth ? ccr.setpointHigh : ccr.setpointLow) : null;
+    const breathingGas = ccr ? createLoopGas(bottomGas, bottomSetpoint) : bottomGas;
     
     // Calculate NDL for this depth/gas (uses GF Low since that determines first stop)
-    const { ndl, controllingCompartment } = calculateNDL(maxDepth, bottomGas.n2, gfLowDec);
+    const { ndl, controllingCompartment } = calculateNDL(
+        maxDepth, bottomGas.n2, gfLowDec, bottomGas.he || 0,
+        { environment, model, setpoint: bottomSetpoint, planner, tissues: options.tissues }
+    );
     
     // Calculate descent time
-    const descentTime = Math.ceil(maxDepth / DESCENT_SPEED);
-    
-    // Check if deco is required
-    const requiresDeco = bottomTime > ndl;
+    const descentTime = Math.ceil(maxDepth / planner.descentRate);
     
-    if (!requiresDeco) {
-        // Within NDL - generate simple profile with safety stop
-        const waypoints = generateSimpleProfile(maxDepth, bottomTime);
+    // Within NDL - simple profile with safety stop
+    const noDecoProfile = () => {
+        const waypoints = generateSimpleProfile(maxDepth, bottomTime, planner);
         // Add gasId to first bottom waypoint
         waypoints[1].gasId = bottomGas.id;
         
@@ -315,31 +384,54 @@ export function generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh)
             totalDecoTime: 0,
             controllingCompartment
         };
+    };
+    
+    // Check if deco is required (Bühlmann NDL)
+    if (algorithm.id === 'buhlmann-gf' && bottomTime <= ndl) {
+        return noDecoProfile();
     }
     
-    // Deco required - simulate to end of bottom time and generate deco schedule
+    // Simulate to end of bottom time and generate deco schedule
     
-    // Initialize tissue pressures
-    const initialN2 = getInitialTissueN2(bottomGas.n2);
-    let tissues = {};
-    COMPARTMENTS.forEach(comp => {
-        tissues[comp.id] = initialN2;
-    });
+    // Initialize tissue pressures (residual loading, or surface air saturation with no helium)
+    let tissues = options.tissues || createTissueState(N2_FRACTION, environment, model);
     
-    // Simulate descent
-    tissues = simulateDepthChange(tissues, 0, maxDepth, descentTime, bottomGas.n2);
+    // Simulate descent (on CCR, low setpoint down to the switch depth)
+    if (reachesSwitchDepth && ccr.setpointSwitchDepth > 0) {
+        const lowTime = descentTime * ccr.setpointSwitchDepth / maxDepth;
+        tissues = simulateDepthChange(tissues, 0, ccr.setpointSwitchDepth, lowTime, createLoopGas(bottomGas, ccr.setpointLow), environment, model);
+        if (maxDepth > ccr.setpointSwitchDepth) {
+            tissues = simulateDepthChange(tissues, ccr.setpointSwitchDepth, maxDepth, descentTime - lowTime, breathingGas, environment, model);
+        }
+    } else {
+        tissues = simulateDepthChange(tissues, 0, maxDepth, descentTime, breathingGas, environment, model);
+    }
+    const crushingPressures = getCrushingPressures(tissues, maxDepth, environment, model);
     
     // Simulate bottom time (from end of descent to bottomTime)
     const actualBottomDuration = bottomTime - descentTime;
     if (actualBottomDuration > 0) {
-        tissues = simulateDepthTime(tissues, maxDepth, actualBottomDuration, bottomGas.n2);
+        tissues = simulateDepthTime(tissues, maxDepth, actualBottomDuration, breathingGas, environment, model);
     }
     
-    // Generate deco schedule (now returns gasSwitches too)
-    const { stops, gasSwitches, totalTime: ascentTotalTime } = generateDecoSchedule(
-        tissues, maxDepth, bottomGas.n2, gfLowDec, gfHighDec, gases
+    // Generate deco schedule (now returns gasSwitches too; none while on the loop)
+    const { stops, gasSwitches, totalTime: ascentTotalTime } = generateAlgorithmSchedule(
+        algorithm.id, tissues, maxDepth, breathingGas, gases, {
+            gfLow: gfLowDec,
+            gfHigh: gfHighDec,
+            conservatism: options.conservatism,
+            crushingPressures,
+            diveTime: bottomTime,
+            environment,
+            model,
+            planner
+        }
     );
     
+    if (stops.length === 0 && algorithm.id !== 'buhlmann-gf') {
+        return noDecoProfile();
+    }
+    
     // Build waypoints from deco schedule
     const waypoints = [
         { time: 0, depth: 0 },
@@ -389,11 +481,13 @@ export function generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh)
     // Sort events by depth (descending - deeper first)
     const events = Array.from(eventsByDepth.values()).sort((a, b) => b.depth - a.depth);
     
-    // Process events in order
+    // Process events in order (deco ascent rate once past the first stop)
+    const firstStopDepth = stops.length > 0 ? stops[0].depth : 0;
     for (const event of events) {
         // Ascend to this event's depth
         if (currentDepth > event.depth) {
-            const ascentTime = Math.ceil((currentDepth - event.depth) / ASCENT_SPEED);
+            const rate = currentDepth > firstStopDepth ? planner.ascentRate : planner.decoAscentRate;
+            const ascentTime = Math.ceil((currentDepth - event.depth) / rate);
             currentTime += ascentTime;
             currentDepth = event.depth;
         }
@@ -415,7 +509,8 @@ export function generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh)
     
     // Final ascent to surface (if not already there)
     if (currentDepth > 0) {
-        const finalAscentTime = Math.ceil(currentDepth / ASCENT_SPEED);
+        const rate = currentDepth > firstStopDepth ? planner.ascentRate : planner.decoAscentRate;
+        const finalAscentTime = Math.ceil(currentDepth / rate);
         currentTime += finalAscentTime;
         waypoints.push({ time: currentTime, depth: 0 });
     }
@@ -436,11 +531,10 @@ export function generateDecoProfile(maxDepth, bottomTime, gases, gfLow, gfHigh)
  * Synchronous version of generateDecoProfile for simpler use cases
  * Note: For async module loading, use generateDecoProfile instead
  */
-export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHigh, compartments) {
-    const DESCENT_SPEED = 20;
-    const ASCENT_SPEED = 10;
-    const SAFETY_STOP_DEPTH = 5;
-    const SAFETY_STOP_TIME = 3;
+export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHigh, compartments, options = {}) {
+    const environment = options.environment || null;
+    const planner = resolvePlanner(options.planner);
+    const model = resolveModel(options.model);
     
     // Convert GF percentages to decimals
     const gfLowDec = gfLow / 100;
@@ -450,13 +544,13 @@ export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHi
     const bottomGas = gases && gases.length > 0 ? gases[0] : { id: 'air', name: 'Air', o2: 0.21, n2: 0.79 };
     
     // Calculate NDL (uses GF Low since that determines first stop)
-    const { ndl, controllingCompartment } = calculateNDL(maxDepth, bottomGas.n2, gfLowDec);
+    const { ndl, controllingCompartment } = calculateNDL(maxDepth, bottomGas.n2, gfLowDec, bottomGas.he || 0, { environment, model, planner });
     
-    const descentTime = Math.ceil(maxDepth / DESCENT_SPEED);
+    const descentTime = Math.ceil(maxDepth / planner.descentRate);
     const requiresDeco = bottomTime > ndl;
     
     if (!requiresDeco) {
-        const waypoints = generateSimpleProfile(maxDepth, bottomTime);
+        const waypoints = generateSimpleProfile(maxDepth, bottomTime, planner);
         waypoints[1].gasId = bottomGas.id;
         
         return {
@@ -474,24 +568,25 @@ export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHi
         throw new Error('Compartments required for deco profile generation');
     }
     
-    // Initialize tissue pressures
-    const initialN2 = getInitialTissueN2(bottomGas.n2);
-    let tissues = {};
+    // Initialize tissue pressures (surface air saturation, no helium)
+    const initialN2 = getInitialTissueN2(N2_FRACTION, environment);
+    let tissues = { n2: {}, he: {} };
     compartments.forEach(comp => {
-        tissues[comp.id] = initialN2;
+        tissues.n2[comp.id] = initialN2;
+        tissues.he[comp.id] = 0;
     });
     
     // Simulate descent
-    tissues = simulateDepthChange(tissues, 0, maxDepth, descentTime, bottomGas.n2);
+    tissues = simulateDepthChange(tissues, 0, maxDepth, descentTime, bottomGas, environment, model);
     
     // Simulate bottom time
     const actualBottomDuration = bottomTime - descentTime;
     if (actualBottomDuration > 0) {
-        tissues = simulateDepthTime(tissues, maxDepth, actualBottomDuration, bottomGas.n2);
+        tissues = simulateDepthTime(tissues, maxDepth, actualBottomDuration, bottomGas, environment, model);
     }
     
     // Generate deco schedule
-    const { stops } = generateDecoSchedule(tissues, maxDepth, bottomGas.n2, gfLowDec, gfHighDec, gases);
+    const { stops } = generateDecoSchedule(tissues, maxDepth, bottomGas, gfLowDec, gfHighDec, gases, { environment, model, planner });
     
     // Build waypoints
     const waypoints = [
@@ -503,8 +598,8 @@ export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHi
     let currentTime = bottomTime;
     let currentDepth = maxDepth;
     
-    for (const stop of stops) {
-        const ascentTime = Math.ceil((currentDepth - stop.depth) / ASCENT_SPEED);
+    stops.forEach((stop, i) => {
+        const ascentTime = Math.ceil((currentDepth - stop.depth) / (i === 0 ? planner.ascentRate : planner.decoAscentRate));
         currentTime += ascentTime;
         waypoints.push({ time: currentTime, depth: stop.depth });
         
@@ -512,10 +607,10 @@ export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHi
         waypoints.push({ time: currentTime, depth: stop.depth });
         
         currentDepth = stop.depth;
-    }
+    });
     
     if (currentDepth > 0) {
-        const finalAscentTime = Math.ceil(currentDepth / ASCENT_SPEED);
+        const finalAscentTime = Math.ceil(currentDepth / (stops.length > 0 ? planner.decoAscentRate : planner.ascentRate));
         currentTime += finalAscentTime;
         waypoints.push({ time: currentTime, depth: 0 });
     }
@@ -535,13 +630,92 @@ export function generateDecoProfileSync(maxDepth, bottomTime, gases, gfLow, gfHi
  * Wrapper for UI display
  * 
  * @param {number} depth - Depth in meters
- * @param {Object} gas - Gas object with n2 property
+ * @param {Object} gas - Gas object with n2 (and optional he) property
  * @param {number} gfLow - GF Low as percentage (0-100), determines first stop
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {number} [setpoint] - CCR setpoint in bar (gas is then the diluent)
+ * @param {Object} [planner] - Planner settings (descent rate)
+ * @param {Object} [tissues] - Tissue state at the start of the dive (default: surface saturation)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
  * @returns {{ndl: number, controllingCompartment: number}}
  */
-export function getNDLForDepth(depth, gas, gfLow) {
+export function getNDLForDepth(depth, gas, gfLow, environment = null, setpoint = null, planner = null, tissues = null, model = null) {
     const n2 = gas?.n2 ?? N2_FRACTION;
-    return calculateNDL(depth, n2, gfLow / 100);
+    return calculateNDL(depth, n2, gfLow / 100, gas?.he || 0, { environment, model, setpoint, planner, tissues });
+}
+
+/**
+ * Get the residual tissue loading at the start of a repetitive dive
+ * The preceding dives are simulated on their gases, then the surface interval
+ * before the dive is breathed on air.
+ * 
+ * @param {Object} setup - Dive setup object
+ * @param {number} diveIndex - Index of the dive in setup.dives
+ * @returns {{n2: Object, he: Object}|null} Tissue state, or null for the first dive
+ *          (surface saturation)
+ */
+export function getResidualTissueState(setup, diveIndex) {
+    const dives = setup?.dives || [];
+    if (diveIndex < 1 || diveIndex >= dives.length) {
+        return null;
+    }
+    return getTissueStateAfter(setup, dives.slice(0, diveIndex), dives[diveIndex].surfaceIntervalBefore || 0);
+}
+
+/**
+ * Get the time after surfacing from the last dive that the no-fly wait and
+ * desaturation take, from the tissue loading of all the setup's dives
+ * 
+ * Each post-dive altitude exposure gets the no-fly wait for its own altitude
+ * (safeStart) and is flagged unsafe when it starts earlier.
+ * 
+ * @param {Object} setup - Dive setup object
+ * @returns {{surfacingTime: number, noFly: {time: number|null, altitude: number, controllingCompartment: number|null},
+ *            desaturation: {time: number|null, controllingCompartment: number|null},
+ *            exposures: Array<{start: number, duration: number, altitude: number, safeStart: number|null, safe: boolean}>}|null}
+ *          Times in minutes after surfacing (surfacingTime on the merged timeline), null without dives
+ */
+export function getPostDiveTimes(setup) {
+    const dives = setup?.dives || [];
+    const tissues = getTissueStateAfter(setup, dives, 0);
+    if (!tissues) {
+        return null;
+    }
+    const environment = setup.environment || null;
+    const model = getModelSettings(setup);
+    const { exposures, noFlyAltitude } = getPostDiveSettings(setup);
+    const { gfHigh } = getGradientFactors(setup);
+    const waypoints = mergeDivesIntoTimeline(dives);
+    return {
+        surfacingTime: waypoints[waypoints.length - 1].time,
+        noFly: calculateNoFlyTime(tissues, gfHigh, { altitude: noFlyAltitude, environment, model }),
+        desaturation: calculateDesaturationTime(tissues, environment, { model }),
+        exposures: exposures.map(exposure => {
+            const { time: safeStart } = calculateNoFlyTime(tissues, gfHigh, { altitude: exposure.altitude, environment, model });
+            return { ...exposure, safeStart, safe: safeStart !== null && exposure.start >= safeStart };
+        })
+    };
+}
+
+/**
+ * Simulate dives on their gases followed by a surface interval on air
+ * @param {Object} setup - Dive setup object (gases, environment, model, CCR settings)
+ * @param {Array} dives - Dives to simulate, in order
+ * @param {number} surfaceInterval - Minutes at the surface after the last of them
+ * @returns {{n2: Object, he: Object}|null} Tissue state at the end, or null without a profile
+ */
+function getTissueStateAfter(setup, dives, surfaceInterval) {
+    const waypoints = mergeDivesIntoTimeline(dives, getStartGasId(setup));
+    if (waypoints.length < 2) {
+        return null;
+    }
+    const series = calculateTissueLoadingSeries(waypoints, surfaceInterval, {
+        gases: getGases(setup),
+        environment: setup.environment || null,
+        model: getModelSettings(setup),
+        ccr: getCCRSettings(setup)
+    });
+    return getSeriesTissueState(series);
 }
 
 /**
@@ -571,10 +745,15 @@ export function extendDiveSetup(baseSetup, overrides) {
 
 /**
  * Merge multiple dives into a single timeline
+ * The last waypoint of every dive followed by another one is flagged
+ * `surfaceInterval`, so the gap up to the next dive is breathed as air, and
+ * each later dive restarts on its own first gas (default: startGasId) rather
+ * than the previous dive's last deco gas.
  * @param {Array} dives - Array of dive objects with waypoints
- * @returns {Array<{time: number, depth: number}>} Merged waypoints
+ * @param {string|null} [startGasId=null] - Gas a dive starts on when its first waypoint has none
+ * @returns {Array<{time: number, depth: number, gasId?: string, surfaceInterval?: boolean}>} Merged waypoints
  */
-function mergeDivesIntoTimeline(dives) {
+function mergeDivesIntoTimeline(dives, startGasId = null) {
     const merged = [];
     let timeOffset = 0;
     
@@ -584,7 +763,7 @@ function mergeDivesIntoTimeline(dives) {
             timeOffset += dive.surfaceIntervalBefore;
         }
         
-        dive.waypoints.forEach(wp => {
+        dive.waypoints.forEach((wp, wpIndex) => {
             const mergedWp = {
                 time: wp.time + timeOffset,
                 depth: wp.depth
@@ -592,6 +771,12 @@ function mergeDivesIntoTimeline(dives) {
             // Preserve gasId if present
             if (wp.gasId) {
                 mergedWp.gasId = wp.gasId;
+            } else if (index > 0 && wpIndex === 0 && startGasId) {
+                mergedWp.gasId = startGasId;
+            }
+            // Preserve a segment SAC rate
+            if (wp.sacRate) {
+                mergedWp.sacRate = wp.sacRate;
             }
             merged.push(mergedWp);
         });
@@ -600,6 +785,9 @@ function mergeDivesIntoTimeline(dives) {
         if (dive.waypoints.length > 0) {
             const lastWp = dive.waypoints[dive.waypoints.length - 1];
             timeOffset += lastWp.time;
+            if (index < dives.length - 1) {
+                merged[merged.length - 1].surfaceInterval = true;
+            }
         }
     });
     
@@ -609,14 +797,66 @@ function mergeDivesIntoTimeline(dives) {
 /**
  * Get waypoints from dive setup, merging multiple dives into single timeline
  * @param {Object} setup - Dive setup object with dives array
- * @returns {Array<{time: number, depth: number, gasId?: string}>} Waypoints array
+ * @returns {Array<{time: number, depth: number, gasId?: string, sacRate?: number, surfaceInterval?: boolean}>} Waypoints array
  */
 export function getDiveSetupWaypoints(setup) {
     if (!setup.dives || setup.dives.length === 0) {
         console.warn('Dive setup missing dives array, returning empty waypoints');
         return [];
     }
-    return mergeDivesIntoTimeline(setup.dives);
+    return mergeDivesIntoTimeline(setup.dives, getStartGasId(setup));
+}
+
+/**
+ * Get the merged multi-dive timeline of a dive setup with the position of
+ * each dive and each surface interval on it (times in minutes from the start
+ * of the first dive)
+ * @param {Object} setup - Dive setup object with dives array
+ * @returns {{
+ *   waypoints: Array<{time: number, depth: number, gasId?: string, surfaceInterval?: boolean}>,
+ *   dives: Array<{index: number, label: string, startTime: number, endTime: number, maxDepth: number}>,
+ *   surfaceIntervals: Array<{startTime: number, endTime: number, duration: number, beforeDive: number}>
+ * }} Timeline
+ */
+export function getDiveSetupTimeline(setup) {
+    const waypoints = getDiveSetupWaypoints(setup);
+    const dives = [];
+    const surfaceIntervals = [];
+    let timeOffset = 0;
+    
+    (setup.dives || []).forEach((dive, index) => {
+        const diveWaypoints = dive.waypoints || [];
+        if (index > 0) {
+            const duration = dive.surfaceIntervalBefore || 0;
+            surfaceIntervals.push({ startTime: timeOffset, endTime: timeOffset + duration, duration, beforeDive: index });
+            timeOffset += duration;
+        }
+        const length = diveWaypoints.length > 0 ? diveWaypoints[diveWaypoints.length - 1].time : 0;
+        dives.push({
+            index,
+            label: dive.name || `Dive ${index + 1}`,
+            startTime: timeOffset,
+            endTime: timeOffset + length,
+            maxDepth: diveWaypoints.length > 0 ? Math.max(...diveWaypoints.map(wp => wp.depth)) : 0
+        });
+        timeOffset += length;
+    });
+    
+    return { waypoints, dives, surfaceIntervals };
+}
+
+/**
+ * Gas a repetitive dive starts on: the CCR diluent, otherwise the first gas
+ * @param {Object} setup - Dive setup object
+ * @returns {string|null} Gas ID
+ */
+function getStartGasId(setup) {
+    const gases = setup.gases || [];
+    if (gases.length === 0) return null;
+    if (setup.breathingMode === 'ccr' && setup.ccr?.diluentId) {
+        return setup.ccr.diluentId;
+    }
+    return gases[0].id;
 }
 
 /**
@@ -658,42 +898,231 @@ export function getGradientFactors(setup) {
     };
 }
 
+/**
+ * Get the dive environment (altitude, water density) from dive setup
+ * Surface pressure is derived from altitude unless the setup overrides it.
+ * @param {Object} setup - Dive setup object
+ * @returns {{altitude: number, waterDensity: number, surfacePressure: number, pressurePerMeter: number}}
+ */
+export function getEnvironment(setup) {
+    return resolveEnvironment(setup?.environment || null);
+}
+
+/**
+ * Get the model parameters of a dive setup (ZH-L16 variant or one of the
+ * setup's named custom models)
+ * Each setup carries its own model, so setups on different variants can be
+ * calculated side by side.
+ * @param {Object} setup - Dive setup object
+ * @returns {{variant: string, compartments: ReadonlyArray<Object>}}
+ */
+export function getModelSettings(setup) {
+    return resolveModel(setup?.model || null, setup?.customModels);
+}
+
+/**
+ * Get the CCR settings of a dive setup
+ * @param {Object} setup - Dive setup object
+ * @returns {{diluentId: string|null, setpointLow: number, setpointHigh: number, setpointSwitchDepth: number, bailoutTime: number|null}|null}
+ *          Resolved settings, or null on open circuit
+ */
+export function getCCRSettings(setup) {
+    if (setup?.breathingMode !== 'ccr') {
+        return null;
+    }
+    return resolveCCR(setup.ccr || null);
+}
+
+/**
+ * Get the planner settings of a dive setup
+ * @param {Object} setup - Dive setup object
+ * @returns {{descentRate: number, ascentRate: number, decoAscentRate: number, stopIncrement: number, lastStopDepth: number, stopRounding: number}}
+ */
+export function getPlannerSettings(setup) {
+    return resolvePlanner(setup?.planner || null);
+}
+
+/**
+ * Get the post-dive settings of a dive setup (altitude exposures, no-fly altitude)
+ * @param {Object} setup - Dive setup object
+ * @returns {{exposures: Array<{start: number, duration: number, altitude: number}>, noFlyAltitude: number}}
+ */
+export function getPostDiveSettings(setup) {
+    return resolvePostDive(setup?.postDive || null);
+}
+
+/**
+ * Get the diluent of a CCR dive setup (default: the first gas)
+ * @param {Object} setup - Dive setup object
+ * @returns {Object} Diluent gas object
+ */
+export function getDiluent(setup) {
+    const gases = getGases(setup);
+    const diluentId = setup?.ccr?.diluentId;
+    return gases.find(g => g.id === diluentId) || gases[0];
+}
+
 /**
  * Calculate Maximum Operating Depth (MOD) for a gas mix
  * @param {number} o2Fraction - Oxygen fraction (0-1)
  * @param {number} maxPpO2 - Maximum ppO2 limit (default 1.4 bar)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
  * @returns {number} MOD in meters
  */
-export function calculateMOD(o2Fraction, maxPpO2 = 1.4) {
+export function calculateMOD(o2Fraction, maxPpO2 = 1.4, environment = null) {
     if (o2Fraction <= 0) return Infinity;
+    const env = resolveEnvironment(environment);
     const maxAmbient = maxPpO2 / o2Fraction;
-    return Math.floor((maxAmbient - 1) * 10);
+    return Math.floor((maxAmbient - env.surfacePressure) * (1 / env.pressurePerMeter));
 }
 
 /**
  * Calculate Equivalent Narcotic Depth (END)
- * Assumes O2 and N2 are narcotic, He is not
+ * Assumes O2 and N2 are narcotic, He is not; with o2Fraction, only N2 is
+ * narcotic and the mix's N2 is compared with air's
  * @param {number} depth - Actual depth in meters
  * @param {number} heFraction - Helium fraction (0-1)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {number|null} [o2Fraction=null] - Oxygen fraction, to count O2 as not narcotic
  * @returns {number} END in meters
  */
-export function calculateEND(depth, heFraction = 0) {
-    // END = (depth + 10) × (1 - fHe) - 10
-    const narcoticFraction = 1 - heFraction;
-    return Math.round((depth + 10) * narcoticFraction - 10);
+export function calculateEND(depth, heFraction = 0, environment = null, o2Fraction = null) {
+    // END = (depth + 10) × (1 - fHe) - 10 at sea level; in general the depth
+    // (same water, same surface) where air has the same narcotic pressure
+    const env = resolveEnvironment(environment);
+    const narcoticFraction = o2Fraction === null
+        ? 1 - heFraction
+        : (1 - heFraction - o2Fraction) / N2_FRACTION;
+    const metersPerBar = 1 / env.pressurePerMeter;
+    const surfaceDepth = env.surfacePressure * metersPerBar;
+    return Math.round((depth + surfaceDepth) * narcoticFraction - surfaceDepth);
+}
+
+/**
+ * Calculate Equivalent Air Depth (EAD) of a nitrox mix: the depth where air
+ * has the same N2 partial pressure
+ * @param {number} depth - Actual depth in meters
+ * @param {number} o2Fraction - Oxygen fraction (0-1)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @returns {number} EAD in meters
+ */
+export function calculateEAD(depth, o2Fraction, environment = null) {
+    return calculateEND(depth, 0, environment, o2Fraction);
 }
 
 /**
  * Calculate partial pressure of a gas at depth
  * @param {number} depth - Depth in meters
  * @param {number} gasFraction - Gas fraction (0-1)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
  * @returns {number} Partial pressure in bar
  */
-export function calculatePartialPressure(depth, gasFraction) {
-    const ambient = 1 + depth / 10;
+export function calculatePartialPressure(depth, gasFraction, environment = null) {
+    const ambient = getAmbientPressure(depth, environment);
     return gasFraction * ambient;
 }
 
+/**
+ * Gas densities at 0 °C and 1 atm (g/L)
+ */
+const GAS_DENSITIES = Object.freeze({ o2: 1.429, n2: 1.251, he: 0.179 });
+
+/** One atmosphere in bar */
+const ATMOSPHERE = 1.01325;
+
+/**
+ * Breathing gas density limits (g/L): above the recommended limit work of
+ * breathing and CO2 retention rise; the maximum is not to be exceeded
+ */
+export const GAS_DENSITY_LIMITS = Object.freeze({
+    recommended: 5.2,
+    maximum: 6.2
+});
+
+/**
+ * Calculate the density of a gas mix at depth
+ * @param {{o2: number, he?: number}} gas - Gas fractions (N2 is the rest)
+ * @param {number} depth - Depth in meters
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @returns {number} Density in g/L
+ */
+export function calculateGasDensity(gas, depth, environment = null) {
+    const he = gas.he || 0;
+    const surfaceDensity = gas.o2 * GAS_DENSITIES.o2 + (1 - gas.o2 - he) * GAS_DENSITIES.n2 + he * GAS_DENSITIES.he;
+    return surfaceDensity * getAmbientPressure(depth, environment) / ATMOSPHERE;
+}
+
+/**
+ * Describe a gas at depth: ppO2, narcotic depths and density
+ * @param {{o2: number, he?: number}} gas - Gas fractions
+ * @param {number} depth - Depth in meters
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @returns {{ppO2: number, ead: number|null, end: number, endO2NotNarcotic: number,
+ *   density: number, densityStatus: 'ok'|'high'|'over'}} EAD only for mixes without helium
+ */
+export function analyzeGasAtDepth(gas, depth, environment = null) {
+    const he = gas.he || 0;
+    const density = calculateGasDensity(gas, depth, environment);
+    return {
+        ppO2: calculatePartialPressure(depth, gas.o2, environment),
+        ead: he > 0 ? null : calculateEAD(depth, gas.o2, environment),
+        end: calculateEND(depth, he, environment),
+        endO2NotNarcotic: calculateEND(depth, he, environment, gas.o2),
+        density,
+        densityStatus: density > GAS_DENSITY_LIMITS.maximum ? 'over'
+            : density > GAS_DENSITY_LIMITS.recommended ? 'high' : 'ok'
+    };
+}
+
+/**
+ * Solve the best mix for a target depth: the most oxygen within the ppO2
+ * limit, and the least helium that keeps the END within its limit
+ *
+ * The mix is rounded the way it would be blended: oxygen down to a whole
+ * percent, helium up to a multiple of 5%. The preset is the predefined gas
+ * (BOTTOM_GASES, DECO_GASES) with the most oxygen, then the least helium,
+ * within both limits.
+ *
+ * @param {Object} target - Target dive
+ * @param {number} target.depth - Depth in meters
+ * @param {number} [target.maxPpO2=1.4] - ppO2 limit in bar
+ * @param {number} [target.maxEND=30] - END limit in meters
+ * @param {boolean} [target.o2Narcotic=true] - Whether O2 counts as narcotic for the END
+ * @param {Object} [target.environment] - Altitude/water density
+ * @returns {{
+ *   feasible: boolean, ideal: {o2: number, he: number},
+ *   mix: {o2: number, he: number, n2: number}, preset: Object|null,
+ *   analysis: Object
+ * }} Not feasible when no helium fraction reaches the END limit
+ */
+export function solveBestMix({ depth, maxPpO2 = 1.4, maxEND = 30, o2Narcotic = true, environment = null }) {
+    const ambient = getAmbientPressure(depth, environment);
+    const endRatio = getAmbientPressure(Math.min(maxEND, depth), environment) / ambient;
+    // Least helium for an O2 fraction: narcotic gas (O2 + N2, or N2 alone
+    // against air's N2) no more than at the END
+    const getMinHelium = o2 => Math.max(0, o2Narcotic ? 1 - endRatio : 1 - o2 - N2_FRACTION * endRatio);
+    const withinLimits = gas => gas.o2 * ambient <= maxPpO2 + 1e-9
+        && gas.he >= getMinHelium(gas.o2) - 1e-9;
+
+    const o2 = Math.min(1, maxPpO2 / ambient);
+    const he = getMinHelium(o2);
+    const roundedO2 = Math.floor(o2 * 100 + 1e-9) / 100;
+    const roundedHe = Math.min(1 - roundedO2, Math.ceil(getMinHelium(roundedO2) * 20 - 1e-9) / 20);
+    const mix = { o2: roundedO2, he: roundedHe, n2: Math.max(0, 1 - roundedO2 - roundedHe) };
+
+    const preset = PREDEFINED_GASES
+        .filter(withinLimits)
+        .sort((a, b) => b.o2 - a.o2 || a.he - b.he)[0] || null;
+
+    return {
+        feasible: o2 + he <= 1 + 1e-9 && withinLimits(mix),
+        ideal: { o2, he: Math.min(he, 1 - o2) },
+        mix,
+        preset,
+        analysis: analyzeGasAtDepth(mix, depth, environment)
+    };
+}
+
 /**
  * Get cylinder volume in liters for a specific gas
  * @param {Object} gas - Gas object with cylinderVolume
@@ -731,6 +1160,127 @@ export function getReservePressure(setup) {
     return setup.reservePressure || DEFAULT_RESERVE_PRESSURE;
 }
 
+/**
+ * Get the SAC rate of each dive phase
+ * Phases without their own rate (setup.sacRates) use setup.sacRate.
+ * @param {Object} setup - Dive setup object
+ * @returns {{base: number, descent: number, bottom: number, ascent: number, deco: number,
+ *            stressed: number|null}} Rates in L/min; stressed is null unless set
+ */
+export function getSacRates(setup) {
+    const base = setup.sacRate || DEFAULT_SAC_RATE;
+    const rates = setup.sacRates || {};
+    const resolved = { base, stressed: rates.stressed || null };
+    SAC_PHASES.forEach(phase => {
+        resolved[phase.id] = rates[phase.id] || base;
+    });
+    return resolved;
+}
+
+/**
+ * Classify each waypoint segment by dive phase
+ *
+ * Each dive runs from the surface back to the surface. Up to leaving its
+ * deepest point a segment is 'descent' (going down) or 'bottom'; after it,
+ * 'deco' (holding a depth) or 'ascent'. Segments at the surface are 'surface'.
+ *
+ * @param {Array<{time: number, depth: number}>} waypoints - Waypoints of one or more dives
+ * @returns {string[]} Phase of the segment ending at each waypoint (length waypoints.length - 1)
+ */
+export function getSegmentPhases(waypoints) {
+    const phases = [];
+    let start = 0;
+    for (let end = 1; end < waypoints.length; end++) {
+        if (waypoints[end].depth > 0 && end < waypoints.length - 1) continue;
+        
+        // One dive (or surface stretch): waypoints start..end
+        const dive = waypoints.slice(start, end + 1);
+        const maxDepth = Math.max(...dive.map(wp => wp.depth));
+        const bottomEnd = start + dive.map(wp => wp.depth).lastIndexOf(maxDepth);
+        for (let i = start + 1; i <= end; i++) {
+            const [from, to] = [waypoints[i - 1], waypoints[i]];
+            if (from.depth === 0 && to.depth === 0) {
+                phases.push('surface');
+            } else if (i <= bottomEnd) {
+                phases.push(to.depth > from.depth ? 'descent' : 'bottom');
+            } else {
+                phases.push(to.depth === from.depth ? 'deco' : 'ascent');
+            }
+        }
+        start = end;
+    }
+    return phases;
+}
+
+/**
+ * Get the SAC rate of each waypoint segment: the waypoint's own sacRate for
+ * the segment ending at it, else the rate of the segment's phase (none at the
+ * surface: no gas is breathed from the cylinders between dives)
+ * @param {Array<{time: number, depth: number, sacRate?: number}>} waypoints - Dive waypoints
+ * @param {Object} setup - Dive setup object (sacRate, sacRates)
+ * @returns {number[]} L/min per segment (length waypoints.length - 1)
+ */
+export function getSegmentSacRates(waypoints, setup) {
+    const rates = getSacRates(setup);
+    return getSegmentPhases(waypoints).map((phase, i) =>
+        phase === 'surface' ? 0 : waypoints[i + 1].sacRate || rates[phase]
+    );
+}
+
+/**
+ * Create a SAC rate lookup by time for sampled series (tissue loading results)
+ * @param {Array<{time: number, depth: number, sacRate?: number}>} waypoints - Dive waypoints
+ * @param {Object} setup - Dive setup object (sacRate, sacRates)
+ * @returns {function(number, number): number} (fromTime, toTime) → L/min of the segment holding
+ *          that interval (0 outside the waypoints: at the surface after the last dive)
+ */
+export function createSacRateLookup(waypoints, setup) {
+    const segmentRates = getSegmentSacRates(waypoints, setup);
+    return (fromTime, toTime) => {
+        const time = (fromTime + toTime) / 2;
+        const index = waypoints.findIndex(wp => wp.time > time);
+        return index > 0 ? segmentRates[index - 1] : 0;
+    };
+}
+
+/**
+ * Add up the gas breathed from each cylinder along waypoints (surface liters)
+ * A waypoint's gasId switches gas from that point on; the first gas is
+ * breathed until the first switch.
+ * @param {Array<{time: number, depth: number, gasId?: string}>} waypoints - Dive waypoints
+ * @param {Array<Object>} gases - Available gases
+ * @param {number|number[]} sacRate - Surface air consumption in L/min, or one rate per
+ *        segment (see getSegmentSacRates)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @returns {Object<string, number>} Liters per gas ID (gases never breathed are absent)
+ */
+export function calculateGasUsage(waypoints, gases, sacRate, environment = null) {
+    const usage = {};
+    let gasId = gases[0]?.id;
+    for (let i = 1; i < waypoints.length; i++) {
+        const [from, to] = [waypoints[i - 1], waypoints[i]];
+        if (from.gasId) gasId = from.gasId;
+        const rate = Array.isArray(sacRate) ? sacRate[i - 1] : sacRate;
+        const ambient = (getAmbientPressure(from.depth, environment) + getAmbientPressure(to.depth, environment)) / 2;
+        usage[gasId] = (usage[gasId] || 0) + rate * ambient * (to.time - from.time);
+    }
+    return usage;
+}
+
+/**
+ * Get the gas breathed at the end of waypoints (the last gas switch, else the first gas)
+ * @param {Array<{gasId?: string}>} waypoints - Dive waypoints
+ * @param {Array<Object>} gases - Available gases
+ * @returns {Object} Gas
+ */
+export function getGasAtEnd(waypoints, gases) {
+    let gasId = gases[0].id;
+    waypoints.forEach(wp => {
+        if (wp.gasId) gasId = wp.gasId;
+    });
+    return gases.find(g => g.id === gasId) || gases[0];
+}
+
 // ============================================================================
 // MULTI-GAS SUPPORT
 // ============================================================================
@@ -864,9 +1414,10 @@ export function getGasSwitchEvents(waypoints, gases) {
  * @param {Array<Object>} gases - Available gases (first is bottom gas, rest are deco gases)
  * @param {number} ascentRate - Ascent rate in m/min (default 10)
  * @param {number} maxPpO2 - Maximum ppO2 for MOD calculation (default 1.6 for deco)
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
  * @returns {Array<Object>} Waypoints with gas switches inserted
  */
-export function insertGasSwitchWaypoints(waypoints, gases, ascentRate = 10, maxPpO2 = 1.6) {
+export function insertGasSwitchWaypoints(waypoints, gases, ascentRate = 10, maxPpO2 = 1.6, environment = null) {
     if (!waypoints || waypoints.length < 2 || !gases || gases.length < 2) {
         return waypoints;
     }
@@ -874,7 +1425,7 @@ export function insertGasSwitchWaypoints(waypoints, gases, ascentRate = 10, maxP
     // Calculate MOD for each deco gas
     const decoGases = gases.slice(1).map(gas => ({
         ...gas,
-        mod: calculateMOD(gas.o2, maxPpO2)
+        mod: calculateMOD(gas.o2, maxPpO2, environment)
     })).sort((a, b) => b.mod - a.mod); // Sort by MOD descending (deeper first)
     
     // Find the bottom gas and max depth
@@ -1166,6 +1717,29 @@ export function calculateOTU(ppO2, timeMinutes) {
     return timeMinutes * Math.pow((ppO2 - 0.5) / 0.5, 0.83);
 }
 
+/**
+ * Accumulate CNS% and OTU over a dive from the breathed ppO2
+ * Uses the ppO2 series of calculateTissueLoading, so loop setpoints and
+ * open-circuit gas switches are both followed.
+ * @param {Object} results - Results from calculateTissueLoading()
+ * @returns {{cns: number, otu: number, maxPpO2: number}} CNS%, OTU and peak ppO2
+ */
+export function calculateOxygenExposure(results) {
+    let cns = 0;
+    let otu = 0;
+    let maxPpO2 = 0;
+    const { timePoints, ppO2Pressures } = results;
+    for (let i = 0; i < timePoints.length; i++) {
+        maxPpO2 = Math.max(maxPpO2, ppO2Pressures[i]);
+        if (i === 0) continue;
+        const duration = timePoints[i] - timePoints[i - 1];
+        const ppO2 = (ppO2Pressures[i] + ppO2Pressures[i - 1]) / 2;
+        cns += getCNSPerMinute(ppO2) * duration;
+        otu += calculateOTU(ppO2, duration);
+    }
+    return { cns, otu, maxPpO2 };
+}
+
 /**
  * NOAA recommended OTU limits
  */
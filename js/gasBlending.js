@@ -0,0 +1,311 @@
+/**
+ * Gas Blending
+ *
+ * Fill plans for nitrox and trimix cylinders, with gas in surface liters and
+ * costs per 1000 liters of each component (helium, oxygen, compressed air):
+ *
+ *   - partial-pressure blending: helium, then oxygen, then a top-off gas (air
+ *     or a nitrox bank) to the fill pressure, draining the residual gas first
+ *     when it holds too much of a component
+ *   - continuous blending: helium and oxygen injected into the compressor
+ *     intake; the targets are the stream mix the analyser reads on the stick
+ *   - top-off: the mix that results from filling a partial cylinder with a
+ *     known gas
+ *
+ * Pressures add as ideal partial pressures, the way blending tables work;
+ * helium compresses less than an ideal gas (see gasCompressibility.js), so a
+ * real fill comes out slightly lean in helium and is analysed before use.
+ *
+ * Usage:
+ *   import { planPartialPressureBlend } from './gasBlending.js';
+ *
+ *   const plan = planPartialPressureBlend({ target: { o2: 0.18, he: 0.45 }, pressure: 232, cylinderVolume: 12 });
+ *   plan.steps.forEach(step => console.log(step.name, step.from, '→', step.to));
+ */
+
+import { PREDEFINED_GASES, getBottomGas } from './diveSetup.js';
+
+/** Oxygen fraction above which cylinder, valve and compressor need oxygen service */
+export const O2_CLEAN_LIMIT = 0.40;
+
+/** Default gas prices per 1000 surface liters */
+export const DEFAULT_GAS_PRICES = Object.freeze({
+    he: 40,
+    o2: 10,
+    air: 2
+});
+
+/** Blending components, in partial-pressure fill order */
+const COMPONENTS = Object.freeze([
+    Object.freeze({ id: 'he', name: 'Helium' }),
+    Object.freeze({ id: 'o2', name: 'Oxygen' }),
+    Object.freeze({ id: 'air', name: 'Air' })
+]);
+
+/** Pressure differences below this (bar) count as zero */
+const EPSILON = 1e-9;
+
+/**
+ * Complete a mix's fractions (nitrogen is the rest)
+ * @param {{o2: number, he?: number}} gas - Gas fractions
+ * @returns {{o2: number, he: number, n2: number}}
+ */
+function toMix(gas) {
+    const he = gas.he || 0;
+    return { o2: gas.o2, he, n2: Math.max(0, 1 - gas.o2 - he) };
+}
+
+/**
+ * Split a mix into the helium, oxygen and air it is blended from
+ * @param {{o2: number, he?: number}} gas - Gas fractions
+ * @returns {{he: number, o2: number, air: number}} Fractions of the mix
+ */
+export function getMixComponents(gas) {
+    const air = getBottomGas('air');
+    const mix = toMix(gas);
+    const airFraction = mix.n2 / air.n2;
+    return { he: mix.he, o2: mix.o2 - air.o2 * airFraction, air: airFraction };
+}
+
+/**
+ * Name a mix: the predefined gas it matches, else Nitrox or Trimix O₂/He
+ * @param {{o2: number, he?: number}} gas - Gas fractions
+ * @returns {string}
+ */
+export function getMixName(gas) {
+    const mix = toMix(gas);
+    const preset = PREDEFINED_GASES.find(g => Math.abs(g.o2 - mix.o2) < 0.005 && Math.abs(g.he - mix.he) < 0.005);
+    if (preset) return preset.name;
+    const o2 = Math.round(mix.o2 * 100);
+    return mix.he > 0 ? `Trimix ${o2}/${Math.round(mix.he * 100)}` : `Nitrox ${o2} (EAN${o2})`;
+}
+
+/**
+ * Price the components of a fill
+ * @param {{he: number, o2: number, air: number}} liters - Surface liters per component
+ * @param {Object} [prices] - Prices per 1000 liters (missing ones from DEFAULT_GAS_PRICES)
+ * @returns {{he: number, o2: number, air: number, total: number}}
+ */
+export function getBlendCost(liters, prices = null) {
+    const price = { ...DEFAULT_GAS_PRICES, ...prices };
+    const cost = Object.fromEntries(COMPONENTS.map(({ id }) => [id, liters[id] * price[id] / 1000]));
+    return { ...cost, total: cost.he + cost.o2 + cost.air };
+}
+
+/**
+ * Oxygen service warnings
+ * @param {number} maxO2 - Highest oxygen fraction the equipment sees
+ * @param {string} what - What sees it ('cylinder', 'stream', ...)
+ * @returns {Array<{id: string, message: string}>}
+ */
+function getOxygenWarnings(maxO2, what) {
+    if (maxO2 <= O2_CLEAN_LIMIT + EPSILON) return [];
+    return [{
+        id: 'o2-clean',
+        message: `${Math.round(maxO2 * 100)}% oxygen in the ${what}: over ${O2_CLEAN_LIMIT * 100}% it must be oxygen clean`
+    }];
+}
+
+/**
+ * Solve a fill: the helium, oxygen and top gas pressures that take a cylinder
+ * from a residual mix to the target
+ *
+ * Each amount is linear in the residual pressure; when one would be negative
+ * (too much of a component left) the residual is drained until it is zero.
+ *
+ * @returns {{feasible: boolean, drainTo: number, he: number, o2: number, top: number}}
+ */
+function solveBlend(target, pressure, startMix, startPressure, topGas) {
+    const [t, s, top] = [toMix(target), toMix(startMix), toMix(topGas)];
+    if (top.n2 <= 0) {
+        return { feasible: false, drainTo: 0, he: 0, o2: 0, top: 0 };
+    }
+    // amount(P0) = a − b·P0 for the top gas, helium and oxygen
+    const terms = {
+        top: [pressure * t.n2 / top.n2, s.n2 / top.n2],
+        he: [pressure * (t.he - top.he * t.n2 / top.n2), s.he - top.he * s.n2 / top.n2],
+        o2: [pressure * (t.o2 - top.o2 * t.n2 / top.n2), s.o2 - top.o2 * s.n2 / top.n2]
+    };
+    let drainTo = Math.min(startPressure, pressure);
+    let feasible = true;
+    Object.values(terms).forEach(([a, b]) => {
+        if (a - b * drainTo >= -EPSILON) return;
+        if (a < -EPSILON) {
+            feasible = false;
+        } else {
+            drainTo = Math.min(drainTo, a / b);
+        }
+    });
+    const amount = ([a, b]) => Math.max(0, a - b * drainTo);
+    return {
+        feasible,
+        drainTo: feasible ? drainTo : 0,
+        he: amount(terms.he),
+        o2: amount(terms.o2),
+        top: amount(terms.top)
+    };
+}
+
+/**
+ * Plan a partial-pressure fill: helium, then oxygen, then the top gas
+ *
+ * @param {Object} blend - Fill settings
+ * @param {{o2: number, he?: number}} blend.target - Mix to blend
+ * @param {number} blend.pressure - Fill pressure in bar
+ * @param {number} [blend.cylinderVolume=12] - Water volume in liters
+ * @param {{o2: number, he?: number}} [blend.startMix] - Residual gas (default air)
+ * @param {number} [blend.startPressure=0] - Residual pressure in bar
+ * @param {{o2: number, he?: number}} [blend.topGas] - Top-off gas (default air)
+ * @param {Object} [blend.prices] - Prices per 1000 liters
+ * @returns {{
+ *   feasible: boolean, target: Object, name: string, drainTo: number,
+ *   steps: Array<{gas: 'he'|'o2'|'top', name: string, from: number, to: number, pressure: number, liters: number}>,
+ *   liters: {he: number, o2: number, air: number},
+ *   cost: {he: number, o2: number, air: number, total: number},
+ *   warnings: Array<{id: string, message: string}>
+ * }} Steps and costs are empty when the target can't be reached with the top gas
+ */
+export function planPartialPressureBlend({
+    target,
+    pressure,
+    cylinderVolume = 12,
+    startMix = getBottomGas('air'),
+    startPressure = 0,
+    topGas = getBottomGas('air'),
+    prices = null
+}) {
+    const validMix = target.o2 > 0 && target.o2 + (target.he || 0) <= 1 + EPSILON;
+    const solved = validMix
+        ? solveBlend(target, pressure, startMix, startPressure, topGas)
+        : { feasible: false, drainTo: 0 };
+    const mix = toMix(target);
+    const plan = { feasible: solved.feasible, target: mix, name: getMixName(mix), drainTo: solved.drainTo };
+    if (!solved.feasible) {
+        return {
+            ...plan,
+            steps: [],
+            liters: { he: 0, o2: 0, air: 0 },
+            cost: getBlendCost({ he: 0, o2: 0, air: 0 }, prices),
+            warnings: [{
+                id: 'infeasible',
+                message: validMix
+                    ? `${plan.name} can't be blended by topping off with ${getMixName(topGas)}`
+                    : 'Oxygen and helium add up to more than 100%'
+            }]
+        };
+    }
+
+    let current = solved.drainTo;
+    const steps = [
+        { gas: 'he', name: 'Helium', pressure: solved.he },
+        { gas: 'o2', name: 'Oxygen', pressure: solved.o2 },
+        { gas: 'top', name: getMixName(topGas), pressure: solved.top }
+    ].filter(step => step.pressure > EPSILON).map(step => {
+        const from = current;
+        current += step.pressure;
+        return { ...step, from, to: current, liters: step.pressure * cylinderVolume };
+    });
+
+    const topComponents = getMixComponents(topGas);
+    const topLiters = solved.top * cylinderVolume;
+    const liters = {
+        he: solved.he * cylinderVolume + topComponents.he * topLiters,
+        o2: solved.o2 * cylinderVolume + topComponents.o2 * topLiters,
+        air: topComponents.air * topLiters
+    };
+
+    const warnings = [];
+    if (solved.drainTo < startPressure - EPSILON) {
+        warnings.push({ id: 'drain', message: `Drain the residual gas to ${Math.floor(solved.drainTo)} bar first` });
+    }
+    // Pure oxygen goes into the cylinder whenever oxygen is added
+    warnings.push(...getOxygenWarnings(solved.o2 > EPSILON ? 1 : Math.max(mix.o2, toMix(topGas).o2), 'cylinder'));
+
+    return { ...plan, steps, liters, cost: getBlendCost(liters, prices), warnings };
+}
+
+/**
+ * Plan a continuous-blend fill: helium and oxygen injected into the
+ * compressor intake air
+ *
+ * The components bought are those of a partial-pressure fill topped off with
+ * air; the targets are the stream mix from the compressor and the helium and
+ * oxygen shares injected at the intake. Only the stream reaches the cylinder,
+ * so oxygen service depends on the stream, not on pure oxygen.
+ *
+ * @param {Object} blend - Fill settings (as planPartialPressureBlend, without topGas)
+ * @returns {{
+ *   feasible: boolean, target: Object, name: string, drainTo: number,
+ *   stream: {o2: number, he: number, n2: number},
+ *   intake: {he: number, o2: number, air: number},
+ *   liters: {he: number, o2: number, air: number},
+ *   cost: {he: number, o2: number, air: number, total: number},
+ *   warnings: Array<{id: string, message: string}>
+ * }}
+ */
+export function planContinuousBlend({
+    target,
+    pressure,
+    cylinderVolume = 12,
+    startMix = getBottomGas('air'),
+    startPressure = 0,
+    prices = null
+}) {
+    const air = getBottomGas('air');
+    const plan = planPartialPressureBlend({ target, pressure, cylinderVolume, startMix, startPressure, topGas: air, prices });
+    const added = plan.liters.he + plan.liters.o2 + plan.liters.air;
+    if (!plan.feasible || added <= 0) {
+        return {
+            ...plan,
+            stream: toMix(target),
+            intake: { he: 0, o2: 0, air: 0 },
+            warnings: plan.feasible ? [] : plan.warnings
+        };
+    }
+
+    const intake = {
+        he: plan.liters.he / added,
+        o2: plan.liters.o2 / added,
+        air: plan.liters.air / added
+    };
+    const stream = toMix({ o2: intake.o2 + air.o2 * intake.air, he: intake.he });
+    const warnings = [
+        ...plan.warnings.filter(warning => warning.id === 'drain'),
+        ...getOxygenWarnings(stream.o2, 'compressor stream'),
+        ...getOxygenWarnings(plan.target.o2, 'cylinder')
+    ];
+    return { ...plan, stream, intake, warnings };
+}
+
+/**
+ * Top off a partial fill with a known gas
+ * @param {Object} fill - Fill settings
+ * @param {{o2: number, he?: number}} fill.startMix - Gas in the cylinder
+ * @param {number} fill.startPressure - Its pressure in bar
+ * @param {{o2: number, he?: number}} fill.topGas - Gas added
+ * @param {number} fill.pressure - Final pressure in bar
+ * @param {number} [fill.cylinderVolume=12] - Water volume in liters
+ * @param {Object} [fill.prices] - Prices per 1000 liters
+ * @returns {{
+ *   mix: {o2: number, he: number, n2: number}, name: string, liters: number,
+ *   cost: {he: number, o2: number, air: number, total: number},
+ *   warnings: Array<{id: string, message: string}>
+ * }}
+ */
+export function planTopOff({ startMix, startPressure, topGas, pressure, cylinderVolume = 12, prices = null }) {
+    const [start, top] = [toMix(startMix), toMix(topGas)];
+    const added = Math.max(0, pressure - startPressure);
+    const total = startPressure + added;
+    const mix = total > 0
+        ? toMix({ o2: (start.o2 * startPressure + top.o2 * added) / total, he: (start.he * startPressure + top.he * added) / total })
+        : start;
+    const liters = added * cylinderVolume;
+    const components = getMixComponents(top);
+    return {
+        mix,
+        name: getMixName(mix),
+        liters,
+        cost: getBlendCost({ he: components.he * liters, o2: components.o2 * liters, air: components.air * liters }, prices),
+        warnings: getOxygenWarnings(Math.max(top.o2, mix.o2, start.o2), 'cylinder')
+    };
+}
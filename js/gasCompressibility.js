@@ -0,0 +1,92 @@
+/**
+ * Gas Compressibility
+ *
+ * Real-gas cylinder contents. A cylinder of volume V at pressure P holds
+ * V × P / Z(P) surface liters, where Z is the compressibility factor of the
+ * mix. Z rises above 1 at filling pressures, so an ideal-gas count
+ * (V × P) overstates the gas: by about 4% for air at 200 bar, 11% at 300 bar,
+ * and more for helium mixes (Z ≈ 1.1 for helium at 200 bar).
+ *
+ * Z of a mix is interpolated linearly by fraction from per-gas virial
+ * polynomials, Z = 1 + a·P + b·P² + c·P³ (P in bar), fitted to reference
+ * data at room temperature for diving pressures (up to about 500 bar).
+ *
+ * Usage:
+ *   import { getCylinderContents, getCylinderPressure } from './gasCompressibility.js';
+ *
+ *   const liters = getCylinderContents(gas, 12, 232, 'real');
+ *   const pressure = getCylinderPressure(gas, 12, liters - 1500, 'real');
+ */
+
+/** Cylinder content models */
+export const GAS_MODELS = Object.freeze([
+    Object.freeze({ id: 'ideal', label: 'Ideal gas' }),
+    Object.freeze({ id: 'real', label: 'Real gas' })
+]);
+
+/** Virial coefficients [a, b, c] of Z − 1 per bar, bar² and bar³ */
+const VIRIAL_COEFFICIENTS = Object.freeze({
+    o2: Object.freeze([-7.18092073703e-4, 2.81852572808e-6, -1.50290620492e-9]),
+    n2: Object.freeze([-2.19260353292e-4, 2.92844845532e-6, -2.07613482075e-9]),
+    he: Object.freeze([4.87320026468e-4, -8.83632921053e-8, 5.33304543646e-11])
+});
+
+/**
+ * Get the compressibility factor of a mix
+ * @param {{o2: number, he?: number}} gas - Gas fractions (N2 is the rest)
+ * @param {number} pressure - Pressure in bar
+ * @returns {number} Z (1 for an ideal gas)
+ */
+export function getCompressibilityFactor(gas, pressure) {
+    const he = gas.he || 0;
+    const fractions = { o2: gas.o2, n2: 1 - gas.o2 - he, he };
+    let z = 1;
+    Object.entries(VIRIAL_COEFFICIENTS).forEach(([component, [a, b, c]]) => {
+        z += fractions[component] * pressure * (a + pressure * (b + pressure * c));
+    });
+    return z;
+}
+
+/**
+ * Get the gas in a cylinder
+ * @param {Object} gas - Gas fractions
+ * @param {number} cylinderVolume - Water volume in liters
+ * @param {number} pressure - Cylinder pressure in bar
+ * @param {'ideal'|'real'} [gasModel='ideal'] - Content model
+ * @returns {number} Surface liters
+ */
+export function getCylinderContents(gas, cylinderVolume, pressure, gasModel = 'ideal') {
+    if (gasModel !== 'real' || pressure <= 0) {
+        return cylinderVolume * pressure;
+    }
+    return cylinderVolume * pressure / getCompressibilityFactor(gas, pressure);
+}
+
+/**
+ * Get the pressure of a cylinder holding a given amount of gas (the inverse
+ * of getCylinderContents)
+ *
+ * Solved by fixed-point iteration on P = (liters / V) × Z(P); Z changes
+ * slowly with pressure, so a handful of steps reach full precision.
+ *
+ * @param {Object} gas - Gas fractions
+ * @param {number} cylinderVolume - Water volume in liters
+ * @param {number} liters - Gas in surface liters (negative when overdrawn)
+ * @param {'ideal'|'real'} [gasModel='ideal'] - Content model
+ * @returns {number} Pressure in bar (negative when overdrawn, as with an ideal gas)
+ */
+export function getCylinderPressure(gas, cylinderVolume, liters, gasModel = 'ideal') {
+    const idealPressure = liters / cylinderVolume;
+    if (gasModel !== 'real' || liters <= 0) {
+        return idealPressure;
+    }
+    let pressure = idealPressure;
+    for (let i = 0; i < 50; i++) {
+        const next = idealPressure * getCompressibilityFactor(gas, pressure);
+        if (Math.abs(next - pressure) < 1e-9) {
+            return next;
+        }
+        pressure = next;
+    }
+    return pressure;
+}
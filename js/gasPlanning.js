@@ -0,0 +1,217 @@
+/**
+ * Gas Planning
+ *
+ * Minimum gas per cylinder for the first dive of a setup, beyond the fixed
+ * reserve pressure:
+ *
+ *   - rock bottom (bottom gas): two divers sharing one cylinder from the worst
+ *     point, the end of the bottom phase, at a stressed SAC (sacRates.stressed,
+ *     else the bottom SAC times a stress factor): a problem-solving time at
+ *     depth, then the planned ascent until the first switch to a deco gas
+ *   - deco gas reserve: the planned use of each deco gas (at the SAC rate of
+ *     each phase) times a factor, or enough for each diver of the team ("buddy")
+ *   - turn pressure (bottom gas): the pressure at which to leave the bottom so
+ *     the rock bottom is still in the cylinder
+ *
+ * Usage:
+ *   import { planGas } from './gasPlanning.js';
+ *
+ *   const plan = planGas(setup);
+ *   plan.cylinders.forEach(c => console.log(c.name, c.minimumPressure, c.turnPressure));
+ */
+
+import { getAmbientPressure } from './decoModel.js';
+import { getBottomPhase } from './decoAlgorithms.js';
+import { getCylinderContents, getCylinderPressure } from './gasCompressibility.js';
+import {
+    getGases,
+    getGasCylinderVolume,
+    getGasStartPressure,
+    getReservePressure,
+    getSacRates,
+    getSegmentSacRates,
+    calculateGasUsage,
+    getGasAtEnd
+} from './diveSetup.js';
+
+/** Deco gas reserve rules */
+export const DECO_RESERVE_RULES = Object.freeze([
+    Object.freeze({ id: 'factor', label: 'Planned use × factor' }),
+    Object.freeze({ id: 'buddy', label: 'Enough for a buddy' })
+]);
+
+/**
+ * Default gas planning settings:
+ *   stressFactor - stressed SAC as a multiple of the bottom SAC rate (unless sacRates.stressed is set)
+ *   divers - divers sharing gas on the rock-bottom ascent
+ *   problemSolvingTime - minutes at the worst point before the ascent starts
+ *   decoReserve - deco gas reserve rule (see DECO_RESERVE_RULES)
+ *   decoReserveFactor - planned deco gas use multiplier for the 'factor' rule
+ *   turnFraction - share of the gas above rock bottom usable before turning
+ *                  (1: all of it, 1/2: halves, 1/3: thirds)
+ */
+export const DEFAULT_GAS_PLANNING = Object.freeze({
+    stressFactor: 1.5,
+    divers: 2,
+    problemSolvingTime: 1,
+    decoReserve: 'factor',
+    decoReserveFactor: 1.5,
+    turnFraction: 1
+});
+
+/**
+ * Merge gas planning settings with the defaults
+ * @param {Object} [gasPlanning] - Partial settings
+ * @returns {Object} Complete settings
+ */
+export function resolveGasPlanning(gasPlanning = null) {
+    return { ...DEFAULT_GAS_PLANNING, ...gasPlanning };
+}
+
+/**
+ * Find when a gas's cumulative use along waypoints reaches a volume
+ *
+ * The ambient pressure is linear in time within a segment, so the use is
+ * quadratic there and the crossing is solved exactly.
+ *
+ * @param {Array<{time: number, depth: number, gasId?: string}>} waypoints - Dive waypoints
+ * @param {Array<Object>} gases - Available gases (the first is breathed until a switch)
+ * @param {string} gasId - Gas to follow
+ * @param {number[]} sacRates - Surface air consumption per segment in L/min
+ * @param {number} liters - Surface liters to use
+ * @param {Object} [environment] - Altitude/water density
+ * @returns {number|null} Time in minutes, or null when the waypoints use less
+ */
+function getTimeAtGasUse(waypoints, gases, gasId, sacRates, liters, environment) {
+    let current = gases[0]?.id;
+    let remaining = liters;
+    for (let i = 1; i < waypoints.length; i++) {
+        const [from, to] = [waypoints[i - 1], waypoints[i]];
+        if (from.gasId) current = from.gasId;
+        if (current !== gasId) continue;
+        const sacRate = sacRates[i - 1];
+        const duration = to.time - from.time;
+        const p0 = getAmbientPressure(from.depth, environment);
+        const p1 = getAmbientPressure(to.depth, environment);
+        const used = sacRate * (p0 + p1) / 2 * duration;
+        if (used >= remaining && duration > 0) {
+            // sacRate × (p0·s + (p1 − p0)·s² / 2·duration) = remaining, stable root
+            const a = sacRate * (p1 - p0) / (2 * duration);
+            const b = sacRate * p0;
+            return from.time + 2 * remaining / (b + Math.sqrt(b * b + 4 * a * remaining));
+        }
+        remaining -= used;
+    }
+    return null;
+}
+
+/**
+ * Plan the minimum gas of each cylinder for a setup's first dive
+ *
+ * The bottom gas is the gas breathed on leaving the bottom; the deco gases are
+ * the other gases breathed on the planned ascent. Pressures are in bar, gas in
+ * surface liters, converted with the setup's gasModel (ideal or real gas). The
+ * minimum pressure of the bottom gas is never below the setup's reserve pressure.
+ *
+ * @param {Object} setup - DiveSetup (open circuit; settings in setup.gasPlanning)
+ * @returns {{
+ *   bottomGas: Object, settings: Object, stressedSacRate: number,
+ *   worstPoint: {time: number, depth: number},
+ *   cylinders: Array<{
+ *     gasId: string, name: string, role: 'bottom'|'deco'|'unused',
+ *     cylinderVolume: number, startPressure: number,
+ *     planned: number, endPressure: number,
+ *     required: number, minimumPressure: number,
+ *     turnPressure: number|null, turnTime: number|null,
+ *     pressureAtWorstPoint: number|null, sufficient: boolean
+ *   }>
+ * }|null} Null for CCR setups and without a dive below the surface
+ */
+export function planGas(setup) {
+    const waypoints = setup?.dives?.[0]?.waypoints;
+    if (!waypoints || waypoints.length < 2 || setup.breathingMode === 'ccr') {
+        return null;
+    }
+    const bottom = getBottomPhase(waypoints);
+    if (bottom.depth <= 0) {
+        return null;
+    }
+
+    const settings = resolveGasPlanning(setup.gasPlanning);
+    const environment = setup.environment || null;
+    const gases = getGases(setup);
+    const sacRates = getSacRates(setup);
+    const segmentSacRates = getSegmentSacRates(waypoints, setup);
+    const stressedSacRate = sacRates.stressed || sacRates.bottom * settings.stressFactor;
+    const reservePressure = getReservePressure(setup);
+    const gasModel = setup.gasModel || 'ideal';
+    const bottomGas = getGasAtEnd(bottom.waypoints, gases);
+
+    // Planned ascent from the worst point, starting on the bottom gas
+    const ascent = waypoints.slice(bottom.waypoints.length - 1);
+    const ascentGases = [bottomGas, ...gases.filter(gas => gas.id !== bottomGas.id)];
+    const teamSacRate = stressedSacRate * settings.divers;
+    const rockBottom = teamSacRate * settings.problemSolvingTime * getAmbientPressure(bottom.depth, environment)
+        + (calculateGasUsage(ascent, ascentGases, teamSacRate, environment)[bottomGas.id] || 0);
+    const ascentUse = calculateGasUsage(ascent, ascentGases, segmentSacRates.slice(bottom.waypoints.length - 1), environment);
+    const decoMultiplier = settings.decoReserve === 'buddy' ? settings.divers : settings.decoReserveFactor;
+
+    const planned = calculateGasUsage(waypoints, gases, segmentSacRates, environment);
+    const bottomUse = calculateGasUsage(bottom.waypoints, gases, segmentSacRates, environment);
+
+    const cylinders = gases.map(gas => {
+        const cylinderVolume = getGasCylinderVolume(gas);
+        const startPressure = getGasStartPressure(gas);
+        const used = planned[gas.id] || 0;
+        const contents = getCylinderContents(gas, cylinderVolume, startPressure, gasModel);
+        const toPressure = liters => getCylinderPressure(gas, cylinderVolume, liters, gasModel);
+        const entry = {
+            gasId: gas.id,
+            name: gas.name,
+            cylinderVolume,
+            startPressure,
+            planned: used,
+            endPressure: toPressure(contents - used)
+        };
+
+        if (gas.id === bottomGas.id) {
+            const minimumPressure = Math.max(toPressure(rockBottom), reservePressure);
+            // The turn fraction splits the gas above the minimum, not the pressure
+            const minimumContents = getCylinderContents(gas, cylinderVolume, minimumPressure, gasModel);
+            const turnUse = (contents - minimumContents) * settings.turnFraction;
+            const turnPressure = toPressure(contents - turnUse);
+            const pressureAtWorstPoint = toPressure(contents - (bottomUse[gas.id] || 0));
+            return {
+                ...entry,
+                role: 'bottom',
+                required: rockBottom,
+                minimumPressure,
+                turnPressure,
+                turnTime: getTimeAtGasUse(waypoints, gases, gas.id, segmentSacRates, turnUse, environment),
+                pressureAtWorstPoint,
+                sufficient: pressureAtWorstPoint >= turnPressure
+            };
+        }
+
+        const required = (ascentUse[gas.id] || 0) * decoMultiplier;
+        const minimumPressure = toPressure(required);
+        return {
+            ...entry,
+            role: ascentUse[gas.id] ? 'deco' : 'unused',
+            required,
+            minimumPressure,
+            turnPressure: null,
+            turnTime: null,
+            pressureAtWorstPoint: null,
+            sufficient: startPressure >= minimumPressure
+        };
+    });
+
+    return {
+        bottomGas,
+        settings,
+        stressedSacRate,
+        worstPoint: { time: bottom.endTime, depth: bottom.depth },
+        cylinders
+    };
+}
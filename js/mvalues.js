@@ -883,9 +883,11 @@ function buildDatasets() {
         }
         
         // Calculate first stop from tissue loading at ascent start
-        const tissuePressures = {};
+        const tissuePressures = { n2: {}, he: {} };
         for (const compId of Object.keys(diveResults.compartments)) {
-            tissuePressures[compId] = diveResults.compartments[compId].pressures[ascentStartIndex];
+            const data = diveResults.compartments[compId];
+            tissuePressures.n2[compId] = data.pressures[ascentStartIndex];
+            tissuePressures.he[compId] = data.hePressures ? data.hePressures[ascentStartIndex] : 0;
         }
         const { ambient } = getFirstStopDepth(tissuePressures, gfLow);
         firstStopAmbient = ambient;
@@ -8,6 +8,15 @@
 const NAV_ITEMS = [
     { href: 'index.html', label: 'Home' },
     { href: 'sandbox/index.html', label: 'Sandbox' },
+    {
+        label: 'Tools',
+        href: 'tables.html',
+        submenu: [
+            { href: 'tables.html', label: 'Table Book' },
+            { href: 'repetitive.html', label: 'Pressure Groups' },
+            { href: 'blending.html', label: 'Gas Blending' }
+        ]
+    },
     { 
         label: 'Theory',
         href: 'pressure.html',
@@ -0,0 +1,330 @@
+/**
+ * Pressure Groups
+ *
+ * Table-based repetitive diving derived from the tissue model. A table tracks
+ * a single compartment: here the slowest compartment that controls the
+ * no-decompression limit at any table depth. Its nitrogen excess over surface
+ * saturation, up to its M-value at the surface (scaled by the gradient
+ * factor), is split into equal letter groups A–Z. Every table entry then
+ * follows from haldaneEquation on that one compartment:
+ *
+ *   - group after a dive: the group's upper pressure loaded at depth for the
+ *     whole bottom time (descent counted at depth, as tables do)
+ *   - surface interval credit: the group's upper pressure off-gassing on air
+ *   - residual nitrogen time (RNT): the time at depth that loads a clean
+ *     compartment to the group's upper pressure
+ *
+ * planRepetitiveDives cross-checks a series of dives against the full model
+ * (calculateTissueLoadingSeries over all compartments).
+ *
+ * Groups are numbered: 0 is clean (no excess), 1–26 are A–Z and 27 is beyond
+ * the table (over the surfacing limit).
+ *
+ * Usage:
+ *   import { createPressureGroupSystem, planRepetitiveDives } from './pressureGroups.js';
+ *
+ *   const system = createPressureGroupSystem({ gf: 85 });
+ *   const plan = planRepetitiveDives(system, [{ depth: 18, bottomTime: 40 }, { depth: 15, bottomTime: 30, surfaceInterval: 60 }]);
+ */
+
+import {
+    N2_FRACTION,
+    resolveEnvironment,
+    resolveModel,
+    resolvePlanner,
+    getAmbientPressure,
+    getAlveolarN2Pressure,
+    getInitialTissueN2,
+    getAdjustedMValue,
+    getSupersaturationGF,
+    haldaneEquation,
+    calculateNDL,
+    calculateTissueLoadingSeries,
+    getSeriesTissueState
+} from './decoModel.js';
+
+/** Group letters, lightest first */
+export const PRESSURE_GROUP_LETTERS = Object.freeze('ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''));
+
+/** Group number past the last letter: over the surfacing limit */
+export const BEYOND_TABLE_GROUP = PRESSURE_GROUP_LETTERS.length + 1;
+
+/** Default table depths (m) */
+export const DEFAULT_PRESSURE_GROUP_DEPTHS = Object.freeze([10, 12, 14, 16, 18, 20, 22, 25, 30, 35, 40, 42]);
+
+/**
+ * Minutes for a compartment to go from one pressure to another while breathing
+ * a constant alveolar pressure (haldaneEquation solved for time)
+ * @param {number} initialPressure - Starting tissue pressure in bar
+ * @param {number} alveolarPressure - Alveolar pressure in bar
+ * @param {number} targetPressure - Tissue pressure to reach in bar
+ * @param {number} halfTime - Compartment half-time in minutes
+ * @returns {number|null} Minutes, or null when the target is never reached
+ */
+function getHaldaneTime(initialPressure, alveolarPressure, targetPressure, halfTime) {
+    const ratio = (targetPressure - alveolarPressure) / (initialPressure - alveolarPressure);
+    if (!(ratio > 0) || ratio > 1) {
+        return null;
+    }
+    return -halfTime / Math.LN2 * Math.log(ratio);
+}
+
+/**
+ * Create a pressure group system from the model
+ * @param {Object} [options] - Table settings
+ * @param {number} [options.gf=100] - Gradient factor in percent for the NDL and the surfacing limit
+ * @param {number[]} [options.depths] - Table depths in meters (default DEFAULT_PRESSURE_GROUP_DEPTHS)
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C)
+ * @param {Object} [options.planner] - Planner settings (descent and ascent rates)
+ * @returns {{compartment: Object, gf: number, depths: number[], environment: Object, model: Object,
+ *            planner: Object, saturation: number, limit: number, groupWidth: number}}
+ *          The group compartment, surface saturation and surfacing limit (bar) and the
+ *          pressure span of one group (bar)
+ */
+export function createPressureGroupSystem(options = {}) {
+    const gf = options.gf ?? 100;
+    const depths = [...(options.depths || DEFAULT_PRESSURE_GROUP_DEPTHS)].sort((a, b) => a - b);
+    const environment = resolveEnvironment(options.environment);
+    const model = resolveModel(options.model);
+    const planner = resolvePlanner(options.planner);
+
+    // Slowest compartment controlling an NDL (compartment IDs run fast to slow)
+    const controlling = depths
+        .map(depth => calculateNDL(depth, N2_FRACTION, gf / 100, 0, { environment, model, planner }).controllingCompartment)
+        .filter(id => id !== null);
+    const compartmentId = controlling.length > 0 ? Math.max(...controlling) : model.compartments[0].id;
+    const compartment = model.compartments.find(comp => comp.id === compartmentId);
+
+    const saturation = getInitialTissueN2(N2_FRACTION, environment);
+    const limit = getAdjustedMValue(environment.surfacePressure, compartment.aN2, compartment.bN2, gf / 100);
+
+    return {
+        compartment,
+        gf,
+        depths,
+        environment,
+        model,
+        planner,
+        saturation,
+        limit,
+        groupWidth: (limit - saturation) / PRESSURE_GROUP_LETTERS.length
+    };
+}
+
+/**
+ * Get the group of a group-compartment N2 pressure
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {number} tissueN2 - Group compartment N2 pressure in bar
+ * @returns {number} 0 (clean), 1–26 (A–Z) or BEYOND_TABLE_GROUP
+ */
+export function getPressureGroup(system, tissueN2) {
+    const excess = tissueN2 - system.saturation;
+    if (excess <= 1e-9) {
+        return 0;
+    }
+    // A hair over a boundary (rounding) stays in the lower group
+    const group = Math.ceil(excess / system.groupWidth - 1e-9);
+    return Math.min(group, BEYOND_TABLE_GROUP);
+}
+
+/**
+ * Get the highest group-compartment N2 pressure of a group
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {number} group - Group number
+ * @returns {number} Pressure in bar (surface saturation for group 0)
+ */
+export function getGroupPressure(system, group) {
+    return system.saturation + Math.min(group, PRESSURE_GROUP_LETTERS.length) * system.groupWidth;
+}
+
+/**
+ * Format a group number for display
+ * @param {number} group - Group number
+ * @returns {string} Letter, '–' when clean or '>Z' beyond the table
+ */
+export function formatPressureGroup(group) {
+    if (group <= 0) return '–';
+    return PRESSURE_GROUP_LETTERS[group - 1] ?? `>${PRESSURE_GROUP_LETTERS[PRESSURE_GROUP_LETTERS.length - 1]}`;
+}
+
+/**
+ * Get the table no-decompression limit at a depth: the full model's NDL,
+ * counted from leaving the surface like table bottom times
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {number} depth - Depth in meters
+ * @returns {number} Minutes (Infinity when unlimited)
+ */
+export function getTableNDL(system, depth) {
+    const { ndl, descentTime = 0 } = calculateNDL(depth, N2_FRACTION, system.gf / 100, 0, {
+        environment: system.environment, model: system.model, planner: system.planner
+    });
+    return ndl + descentTime;
+}
+
+/**
+ * Get the group after a dive on air
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {number} startGroup - Group at the start of the dive (0 when clean)
+ * @param {number} depth - Depth in meters
+ * @param {number} bottomTime - Bottom time in minutes, from leaving the surface
+ * @returns {number} Group on surfacing
+ */
+export function getGroupAfterDive(system, startGroup, depth, bottomTime) {
+    const alveolar = getAlveolarN2Pressure(getAmbientPressure(depth, system.environment), N2_FRACTION);
+    const pressure = haldaneEquation(getGroupPressure(system, startGroup), alveolar, bottomTime, system.compartment.halfTime);
+    return getPressureGroup(system, pressure);
+}
+
+/**
+ * Get the group after a surface interval (surface interval credit)
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {number} group - Group on surfacing
+ * @param {number} minutes - Surface interval in minutes
+ * @returns {number} Group at the end of the interval
+ */
+export function getGroupAfterSurfaceInterval(system, group, minutes) {
+    const pressure = haldaneEquation(getGroupPressure(system, group), system.saturation, minutes, system.compartment.halfTime);
+    return getPressureGroup(system, pressure);
+}
+
+/**
+ * Calculate the surface interval credit table: the shortest interval that
+ * takes each group to each lighter group
+ * @param {Object} system - From createPressureGroupSystem()
+ * @returns {Array<{group: number, intervals: number[]}>} Per starting group (A–Z),
+ *          intervals[t - 1] is the minutes to reach group t (for t below the group)
+ */
+export function calculateSurfaceIntervalTable(system) {
+    const { halfTime } = system.compartment;
+    return PRESSURE_GROUP_LETTERS.map((letter, i) => {
+        const group = i + 1;
+        const start = getGroupPressure(system, group);
+        const intervals = [];
+        for (let target = 1; target < group; target++) {
+            intervals.push(getHaldaneTime(start, system.saturation, getGroupPressure(system, target), halfTime));
+        }
+        return { group, intervals };
+    });
+}
+
+/**
+ * Get the residual nitrogen time of a group at a depth
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {number} group - Group at the start of the dive
+ * @param {number} depth - Depth in meters
+ * @returns {number|null} Minutes at depth that load a clean compartment to the group
+ *          (0 when clean), or null when the depth never loads it that far
+ */
+export function getResidualNitrogenTime(system, group, depth) {
+    if (group <= 0) {
+        return 0;
+    }
+    const alveolar = getAlveolarN2Pressure(getAmbientPressure(depth, system.environment), N2_FRACTION);
+    return getHaldaneTime(system.saturation, alveolar, getGroupPressure(system, group), system.compartment.halfTime);
+}
+
+/**
+ * Calculate the residual nitrogen table: per depth, the NDL and for each group
+ * its RNT and the bottom time left (adjusted NDL = NDL − RNT)
+ * @param {Object} system - From createPressureGroupSystem()
+ * @returns {Array<{depth: number, ndl: number, groups: Array<{group: number, rnt: number|null, adjustedNDL: number|null}>}>}
+ *          adjustedNDL is null where no dive is left (RNT unknown or past the NDL)
+ */
+export function calculateResidualNitrogenTable(system) {
+    return system.depths.map(depth => {
+        const ndl = getTableNDL(system, depth);
+        const groups = PRESSURE_GROUP_LETTERS.map((letter, i) => {
+            const rnt = getResidualNitrogenTime(system, i + 1, depth);
+            const adjustedNDL = rnt === null || rnt >= ndl ? null : ndl - rnt;
+            return { group: i + 1, rnt, adjustedNDL };
+        });
+        return { depth, ndl, groups };
+    });
+}
+
+/**
+ * Plan a series of repetitive air dives with the tables and cross-check them
+ * against the full tissue model
+ *
+ * Each dive is a square profile: descent and ascent at the planner rates, no
+ * stops. The model columns come from calculateTissueLoadingSeries over the
+ * whole series (all compartments): the group of the group compartment's
+ * actual pressure, the model NDL from the residual loading and the surface GF
+ * on surfacing.
+ *
+ * @param {Object} system - From createPressureGroupSystem()
+ * @param {Array<{depth: number, bottomTime: number, surfaceInterval?: number}>} dives - Bottom times
+ *        from leaving the surface; surfaceInterval is the time since the previous dive (minutes)
+ * @returns {Array<{
+ *   depth: number, bottomTime: number, surfaceInterval: number,
+ *   startGroup: number, rnt: number|null, ndl: number, adjustedNDL: number|null, endGroup: number,
+ *   withinTable: boolean,
+ *   model: {startGroup: number, endGroup: number, ndl: number, surfaceGF: number}
+ * }>} One entry per dive
+ */
+export function planRepetitiveDives(system, dives) {
+    const { environment, model, planner } = system;
+
+    // Table side
+    let group = 0;
+    const plan = dives.map((dive, i) => {
+        const surfaceInterval = i === 0 ? 0 : (dive.surfaceInterval ?? 0);
+        const startGroup = i === 0 ? 0 : getGroupAfterSurfaceInterval(system, group, surfaceInterval);
+        const rnt = getResidualNitrogenTime(system, startGroup, dive.depth);
+        const ndl = getTableNDL(system, dive.depth);
+        const adjustedNDL = rnt === null ? null : Math.max(0, ndl - rnt);
+        group = getGroupAfterDive(system, startGroup, dive.depth, dive.bottomTime);
+        return {
+            depth: dive.depth,
+            bottomTime: dive.bottomTime,
+            surfaceInterval,
+            startGroup,
+            rnt,
+            ndl,
+            adjustedNDL,
+            endGroup: group,
+            withinTable: adjustedNDL !== null && dive.bottomTime <= adjustedNDL && group < BEYOND_TABLE_GROUP
+        };
+    });
+
+    // Model side: the same dives as one profile
+    const waypoints = [{ time: 0, depth: 0 }];
+    const marks = [];
+    let time = 0;
+    plan.forEach(dive => {
+        time += dive.surfaceInterval;
+        if (dive.surfaceInterval > 0) waypoints.push({ time, depth: 0 });
+        const start = time;
+        const descentTime = Math.min(dive.depth / planner.descentRate, dive.bottomTime);
+        waypoints.push({ time: start + descentTime, depth: dive.depth });
+        waypoints.push({ time: start + dive.bottomTime, depth: dive.depth });
+        time = start + dive.bottomTime + dive.depth / planner.ascentRate;
+        waypoints.push({ time, depth: 0 });
+        marks.push({ start, end: time });
+    });
+    const series = calculateTissueLoadingSeries(waypoints, 0, { environment, model });
+    const indexAt = t => {
+        let index = 0;
+        while (index < series.length - 1 && series.timePoints[index + 1] <= t + 1e-9) index++;
+        return index;
+    };
+    const compartmentIndex = series.compartmentIds.indexOf(system.compartment.id);
+
+    return plan.map((dive, i) => {
+        const startIndex = indexAt(marks[i].start);
+        const endIndex = indexAt(marks[i].end);
+        const { ndl, descentTime = 0 } = calculateNDL(dive.depth, N2_FRACTION, system.gf / 100, 0, {
+            environment, model, planner, tissues: getSeriesTissueState(series, startIndex)
+        });
+        return {
+            ...dive,
+            model: {
+                startGroup: getPressureGroup(system, series.tissueN2[compartmentIndex][startIndex]),
+                endGroup: getPressureGroup(system, series.tissueN2[compartmentIndex][endIndex]),
+                ndl: ndl + descentTime,
+                surfaceGF: getSupersaturationGF(getSeriesTissueState(series, endIndex), environment.surfacePressure, model).gf
+            }
+        };
+    });
+}
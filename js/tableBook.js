@@ -0,0 +1,155 @@
+/**
+ * Dive Table Book
+ *
+ * Square-profile tables derived from the model, the way printed tables are:
+ * for each depth and bottom time, descend, stay, and ascend on the Bühlmann GF
+ * schedule (generateDecoProfile), listing the stops, the ascent time and the
+ * gas breathed from each cylinder. Each depth also lists its no-decompression
+ * limit (calculateNDL at GF Low, as the planner uses), counted from leaving the
+ * surface like the bottom times.
+ *
+ * Usage:
+ *   import { generateTableBook, tableBookToCSV } from './tableBook.js';
+ *
+ *   const book = generateTableBook({ depths: [18, 30], bottomTimes: [20, 30], gases, gfLow: 30, gfHigh: 80 });
+ *   const csv = tableBookToCSV(book);
+ */
+
+import { resolvePlanner, formatStopTime, DecoStopError, NDL_MAX_TIME } from './decoModel.js';
+import { generateDecoProfile, getNDLForDepth, calculateGasUsage } from './diveSetup.js';
+
+/**
+ * Default table book: depths (m), bottom times (min from leaving the surface),
+ * gradient factors (percent) and SAC rate (L/min)
+ */
+export const DEFAULT_TABLE_BOOK = Object.freeze({
+    depths: Object.freeze([12, 15, 18, 21, 24, 27, 30, 33, 36, 39, 42]),
+    bottomTimes: Object.freeze([10, 15, 20, 25, 30, 40, 50, 60]),
+    gfLow: 30,
+    gfHigh: 80,
+    sacRate: 20
+});
+
+/**
+ * Generate a table book
+ *
+ * Bottom times are counted from leaving the surface (see generateDecoProfile);
+ * a bottom time that ends before the descent does is left out of its depth.
+ *
+ * @param {Object} config - Table book settings (missing ones from DEFAULT_TABLE_BOOK)
+ * @param {Array} config.gases - Gas set: bottom gas first, then deco gases
+ * @param {number[]} [config.depths] - Depths in meters
+ * @param {number[]} [config.bottomTimes] - Bottom times in minutes
+ * @param {number} [config.gfLow] - GF Low as percentage (0-100)
+ * @param {number} [config.gfHigh] - GF High as percentage (0-100)
+ * @param {number} [config.sacRate] - Surface air consumption in L/min
+ * @param {Object} [config.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [config.model] - Model parameters (default: ZH-L16C)
+ * @param {Object} [config.planner] - Planner settings (rates, stops, rounding)
+ * @returns {{gases: Array, gfLow: number, gfHigh: number, sacRate: number, tables: Array<{
+ *   depth: number, ndl: number, rows: Array<{
+ *     bottomTime: number, withinNDL: boolean, stops: Array<{depth: number, time: number, gas: string}>,
+ *     firstStopDepth: number, decoTime: number, ascentTime: number, runtime: number,
+ *     gasUsed: Object<string, number>, error: string|null
+ *   }>
+ * }>}} One table per depth; gasUsed holds surface liters per gas ID (ndl counts from leaving
+ *   the surface like bottomTime and is Infinity when unlimited, see formatTableNDL; withinNDL
+ *   marks the rows up to it)
+ */
+export function generateTableBook(config) {
+    const { depths, bottomTimes, gfLow, gfHigh, sacRate } = { ...DEFAULT_TABLE_BOOK, ...config };
+    const { gases, environment = null, model = null } = config;
+    const planner = resolvePlanner(config.planner);
+
+    const tables = [...depths].sort((a, b) => a - b).map(depth => {
+        // calculateNDL counts the time at depth: add its descent to match the bottom times
+        const { ndl: timeAtDepth, descentTime: ndlDescentTime = 0 } = getNDLForDepth(depth, gases[0], gfLow, environment, null, planner, null, model);
+        const ndl = timeAtDepth + ndlDescentTime;
+        const descentTime = Math.ceil(depth / planner.descentRate);
+        const rows = [...bottomTimes]
+            .sort((a, b) => a - b)
+            .filter(bottomTime => bottomTime > descentTime)
+            .map(bottomTime => {
+                let profile;
+                try {
+                    profile = generateDecoProfile(depth, bottomTime, gases, gfLow, gfHigh, { environment, model, planner });
+                } catch (error) {
+                    if (!(error instanceof DecoStopError)) throw error;
+                    return { bottomTime, withinNDL: false, stops: [], firstStopDepth: 0, decoTime: 0, ascentTime: 0, runtime: 0, gasUsed: {}, error: error.message };
+                }
+                const runtime = profile.waypoints[profile.waypoints.length - 1].time;
+                return {
+                    bottomTime,
+                    withinNDL: bottomTime <= ndl,
+                    stops: profile.decoStops,
+                    firstStopDepth: profile.decoStops[0]?.depth ?? 0,
+                    decoTime: profile.totalDecoTime,
+                    ascentTime: runtime - bottomTime,
+                    runtime,
+                    gasUsed: calculateGasUsage(profile.waypoints, gases, sacRate, environment),
+                    error: null
+                };
+            });
+        return { depth, ndl, rows };
+    });
+
+    return { gases, gfLow, gfHigh, sacRate, tables };
+}
+
+/**
+ * Format the stops of a table row in dive-table notation ("21m 1' / 18m 2'")
+ * @param {Array<{depth: number, time: number}>} stops - Deco stops
+ * @returns {string} Stops, or an empty string without stops
+ */
+export function formatTableStops(stops) {
+    return stops.map(stop => `${stop.depth}m ${formatStopTime(stop.time)}`).join(' / ');
+}
+
+/**
+ * Format the NDL of a table: unlimited NDLs as printed tables list them (">300")
+ * @param {number} ndl - NDL in minutes (Infinity when unlimited)
+ * @returns {string} NDL
+ */
+export function formatTableNDL(ndl) {
+    return Number.isFinite(ndl) ? String(ndl) : `>${NDL_MAX_TIME}`;
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCSVField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a table book as CSV: one line per depth and bottom time
+ * @param {Object} book - Result of generateTableBook()
+ * @returns {string} CSV text with a header line
+ */
+export function tableBookToCSV(book) {
+    const header = [
+        'Depth (m)', 'Bottom time (min)', 'NDL (min)', 'Stops', 'First stop (m)',
+        'Deco time (min)', 'Ascent time (min)', 'Runtime (min)',
+        ...book.gases.map(gas => `${gas.name} used (L)`)
+    ];
+    const lines = [header];
+    book.tables.forEach(table => {
+        table.rows.forEach(row => {
+            lines.push([
+                table.depth,
+                row.bottomTime,
+                formatTableNDL(table.ndl),
+                row.error || formatTableStops(row.stops) || 'No stops',
+                row.firstStopDepth || '',
+                +row.decoTime.toFixed(2),
+                +row.ascentTime.toFixed(2),
+                +row.runtime.toFixed(2),
+                ...book.gases.map(gas => row.gasUsed[gas.id] ? Math.round(row.gasUsed[gas.id]) : '')
+            ]);
+        });
+    });
+    return lines.map(line => line.map(toCSVField).join(',')).join('\n') + '\n';
+}
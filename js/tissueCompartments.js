@@ -20,6 +20,14 @@
  * The half-times here use a common variant where compartment 1 is 5.0 min 
  * (original Bühlmann used 4.0 min).
  * 
+ * Helium has its own half-times and a/b coefficients (aHe, bHe), identical
+ * across all variants. Compartment 1 uses the matching "1b" helium values.
+ * When a tissue holds both gases, the M-value uses coefficients weighted by
+ * the partial pressure of each gas (see getCombinedCoefficients in decoModel.js).
+ * 
+ * Custom tables (other half-time sets, hand-edited a/b values) are built with
+ * buildCustomCompartments() and have the same shape as the variant arrays.
+ * 
  * Sources:
  * - Bühlmann, A.A.; Völlm, E.B.; Nussberger, P. (2002). Tauchmedizin. Springer-Verlag.
  * - https://en.wikipedia.org/wiki/Bühlmann_decompression_algorithm
@@ -35,38 +43,38 @@ export const ZHL16_VARIANTS = {
 };
 
 /**
- * Current active variant (can be changed at runtime)
+ * Variant used when a calculation doesn't name one (dive computer variant)
  */
-let currentVariant = ZHL16_VARIANTS.C;
+export const DEFAULT_ZHL16_VARIANT = ZHL16_VARIANTS.C;
 
 /**
- * Base compartment data (half-times, b coefficients, labels, colors)
+ * Base compartment data (N2 and He half-times, b coefficients, labels, colors)
  * These are the same across all ZH-L16 variants
  */
 const BASE_COMPARTMENTS = [
     // Group 1: Reds/Oranges (Fast - tissues 1-4)
-    { id: 1,  halfTime: 5.0,   bN2: 0.5578, label: "1 - Brain, Spinal Cord",     color: "#e74c3c" },  // Red
-    { id: 2,  halfTime: 8.0,   bN2: 0.6514, label: "2 - Brain, Spinal Cord",     color: "#c0392b" },  // Dark red
-    { id: 3,  halfTime: 12.5,  bN2: 0.7222, label: "3 - Spinal Cord",            color: "#e67e22" },  // Orange
-    { id: 4,  halfTime: 18.5,  bN2: 0.7825, label: "4 - Muscle, Skin",           color: "#d35400" },  // Burnt orange
+    { id: 1,  halfTime: 5.0,   bN2: 0.5578, halfTimeHe: 1.88,   bHe: 0.4770, label: "1 - Brain, Spinal Cord",     color: "#e74c3c" },  // Red
+    { id: 2,  halfTime: 8.0,   bN2: 0.6514, halfTimeHe: 3.02,   bHe: 0.5747, label: "2 - Brain, Spinal Cord",     color: "#c0392b" },  // Dark red
+    { id: 3,  halfTime: 12.5,  bN2: 0.7222, halfTimeHe: 4.72,   bHe: 0.6527, label: "3 - Spinal Cord",            color: "#e67e22" },  // Orange
+    { id: 4,  halfTime: 18.5,  bN2: 0.7825, halfTimeHe: 6.99,   bHe: 0.7223, label: "4 - Muscle, Skin",           color: "#d35400" },  // Burnt orange
     
     // Group 2: Greens (Medium-fast - tissues 5-8)
-    { id: 5,  halfTime: 27.0,  bN2: 0.8126, label: "5 - Muscle, Skin",           color: "#27ae60" },  // Green
-    { id: 6,  halfTime: 38.3,  bN2: 0.8434, label: "6 - Muscle",                 color: "#1e8449" },  // Dark green
-    { id: 7,  halfTime: 54.3,  bN2: 0.8693, label: "7 - Muscle",                 color: "#2ecc71" },  // Light green
-    { id: 8,  halfTime: 77.0,  bN2: 0.8910, label: "8 - Muscle, Tendons",        color: "#16a085" },  // Teal
+    { id: 5,  halfTime: 27.0,  bN2: 0.8126, halfTimeHe: 10.21,  bHe: 0.7582, label: "5 - Muscle, Skin",           color: "#27ae60" },  // Green
+    { id: 6,  halfTime: 38.3,  bN2: 0.8434, halfTimeHe: 14.48,  bHe: 0.7957, label: "6 - Muscle",                 color: "#1e8449" },  // Dark green
+    { id: 7,  halfTime: 54.3,  bN2: 0.8693, halfTimeHe: 20.53,  bHe: 0.8279, label: "7 - Muscle",                 color: "#2ecc71" },  // Light green
+    { id: 8,  halfTime: 77.0,  bN2: 0.8910, halfTimeHe: 29.11,  bHe: 0.8553, label: "8 - Muscle, Tendons",        color: "#16a085" },  // Teal
     
     // Group 3: Blues (Medium-slow - tissues 9-12)
-    { id: 9,  halfTime: 109.0, bN2: 0.9092, label: "9 - Tendons, Cartilage",     color: "#3498db" },  // Blue
-    { id: 10, halfTime: 146.0, bN2: 0.9222, label: "10 - Tendons, Bones",        color: "#1a5276" },  // Dark blue
-    { id: 11, halfTime: 187.0, bN2: 0.9319, label: "11 - Bones",                 color: "#5dade2" },  // Light blue
-    { id: 12, halfTime: 239.0, bN2: 0.9403, label: "12 - Bones, Fat",            color: "#2980b9" },  // Medium blue
+    { id: 9,  halfTime: 109.0, bN2: 0.9092, halfTimeHe: 41.20,  bHe: 0.8757, label: "9 - Tendons, Cartilage",     color: "#3498db" },  // Blue
+    { id: 10, halfTime: 146.0, bN2: 0.9222, halfTimeHe: 55.19,  bHe: 0.8903, label: "10 - Tendons, Bones",        color: "#1a5276" },  // Dark blue
+    { id: 11, halfTime: 187.0, bN2: 0.9319, halfTimeHe: 70.69,  bHe: 0.8997, label: "11 - Bones",                 color: "#5dade2" },  // Light blue
+    { id: 12, halfTime: 239.0, bN2: 0.9403, halfTimeHe: 90.34,  bHe: 0.9073, label: "12 - Bones, Fat",            color: "#2980b9" },  // Medium blue
     
     // Group 4: Purples/Magentas (Slow - tissues 13-16)
-    { id: 13, halfTime: 305.0, bN2: 0.9477, label: "13 - Fat",                   color: "#9b59b6" },  // Purple
-    { id: 14, halfTime: 390.0, bN2: 0.9544, label: "14 - Fat",                   color: "#6c3483" },  // Dark purple
-    { id: 15, halfTime: 498.0, bN2: 0.9602, label: "15 - Fat",                   color: "#d770ad" },  // Pink
-    { id: 16, halfTime: 635.0, bN2: 0.9653, label: "16 - Fat",                   color: "#8e44ad" }   // Violet
+    { id: 13, halfTime: 305.0, bN2: 0.9477, halfTimeHe: 115.29, bHe: 0.9122, label: "13 - Fat",                   color: "#9b59b6" },  // Purple
+    { id: 14, halfTime: 390.0, bN2: 0.9544, halfTimeHe: 147.42, bHe: 0.9171, label: "14 - Fat",                   color: "#6c3483" },  // Dark purple
+    { id: 15, halfTime: 498.0, bN2: 0.9602, halfTimeHe: 188.24, bHe: 0.9217, label: "15 - Fat",                   color: "#d770ad" },  // Pink
+    { id: 16, halfTime: 635.0, bN2: 0.9653, halfTimeHe: 240.03, bHe: 0.9267, label: "16 - Fat",                   color: "#8e44ad" }   // Violet
 ];
 
 /**
@@ -102,6 +110,16 @@ const A_COEFFICIENTS_16C = {
     13: 0.2523, 14: 0.2327, 15: 0.2118, 16: 0.2327   // More conservative
 };
 
+/**
+ * Helium 'a' coefficients (shared by all variants)
+ */
+const A_COEFFICIENTS_HE = {
+    1:  1.6189, 2:  1.3830, 3:  1.1919, 4:  1.0458,
+    5:  0.9220, 6:  0.8205, 7:  0.7305, 8:  0.6502,
+    9:  0.5950, 10: 0.5545, 11: 0.5333, 12: 0.5189,
+    13: 0.5181, 14: 0.5176, 15: 0.5172, 16: 0.5119
+};
+
 /**
  * Get the 'a' coefficients for a given variant
  * @param {string} variant - One of ZHL16_VARIANTS values
@@ -122,54 +140,212 @@ function getACoefficients(variant) {
 /**
  * Build compartments array for a given variant
  * @param {string} variant - One of ZHL16_VARIANTS values
- * @returns {Array} Compartments with aN2 values for the specified variant
+ * @returns {Array} Compartments with aN2 and aHe values for the specified variant
  */
 function buildCompartments(variant) {
     const aCoeffs = getACoefficients(variant);
-    return BASE_COMPARTMENTS.map(comp => ({
+    return Object.freeze(BASE_COMPARTMENTS.map(comp => Object.freeze({
         ...comp,
-        aN2: aCoeffs[comp.id]
-    }));
+        aN2: aCoeffs[comp.id],
+        aHe: A_COEFFICIENTS_HE[comp.id]
+    })));
 }
 
+/** Compartment arrays built so far, by variant */
+const compartmentsByVariant = new Map();
+
 /**
- * Get the current ZH-L16 variant
- * @returns {string} Current variant name
+ * Check whether a variant name is one of ZHL16_VARIANTS
+ * @param {string} variant - Variant name
+ * @returns {boolean}
  */
-export function getZHL16Variant() {
-    return currentVariant;
+export function isZHL16Variant(variant) {
+    return Object.values(ZHL16_VARIANTS).includes(variant);
 }
 
 /**
- * Set the ZH-L16 variant and rebuild compartments
- * @param {string} variant - One of ZHL16_VARIANTS values
+ * Get the compartments for a variant
+ * The arrays are frozen and shared, so every calculation on the same variant
+ * sees the same coefficients and none can change them for another.
+ * 
+ * @param {string} [variant=DEFAULT_ZHL16_VARIANT] - One of ZHL16_VARIANTS values
+ *        (unknown names fall back to the default)
+ * @returns {ReadonlyArray<Object>} Compartments for the specified variant
  */
-export function setZHL16Variant(variant) {
-    if (!Object.values(ZHL16_VARIANTS).includes(variant)) {
-        console.warn(`Unknown ZH-L16 variant: ${variant}, defaulting to ZH-L16C`);
-        variant = ZHL16_VARIANTS.C;
+export function getCompartmentsForVariant(variant = DEFAULT_ZHL16_VARIANT) {
+    const key = isZHL16Variant(variant) ? variant : DEFAULT_ZHL16_VARIANT;
+    if (!compartmentsByVariant.has(key)) {
+        compartmentsByVariant.set(key, buildCompartments(key));
     }
-    currentVariant = variant;
-    // Rebuild the COMPARTMENTS array in place
-    const newCompartments = buildCompartments(variant);
-    COMPARTMENTS.length = 0;
-    COMPARTMENTS.push(...newCompartments);
+    return compartmentsByVariant.get(key);
 }
 
 /**
- * Get compartments for a specific variant without changing the current setting
- * @param {string} variant - One of ZHL16_VARIANTS values
- * @returns {Array} Compartments for the specified variant
+ * Compartments of the default variant (ZH-L16C)
+ * IDs, half-times, labels and colors are the same in every variant, so display
+ * code can list compartments from here; calculations take their coefficients
+ * from the model they are given (see resolveModel() in decoModel.js).
+ */
+export const COMPARTMENTS = getCompartmentsForVariant(DEFAULT_ZHL16_VARIANT);
+
+/** Ratio of N2 to He half-times used when a custom row gives no He half-time */
+const HE_HALF_TIME_RATIO = 2.65;
+
+/** Most compartments a custom table may have */
+export const MAX_CUSTOM_COMPARTMENTS = 32;
+
+/**
+ * Bühlmann's formulas for a and b from a half-time
+ *   a = 2 × t^(-1/3) bar,  b = 1.005 − t^(-1/2)
+ * (they reproduce the ZH-L16A N2 values from the half-times)
+ * 
+ * @param {number} halfTime - Half-time in minutes
+ * @returns {{a: number, b: number}} Coefficients rounded to 4 decimals
+ */
+export function getDefaultCoefficients(halfTime) {
+    return {
+        a: Math.round(2 * Math.pow(halfTime, -1 / 3) * 1e4) / 1e4,
+        b: Math.round((1.005 - Math.pow(halfTime, -1 / 2)) * 1e4) / 1e4
+    };
+}
+
+/**
+ * Fill in the optional fields of a custom table row
+ * Missing He half-times are the N2 half-time / 2.65 and missing a values come
+ * from getDefaultCoefficients() for each gas's half-time. The b formula doesn't
+ * fit the ZH-L16 helium values, so a missing He b copies the N2 b (slightly
+ * more conservative). Labels and colors follow BASE_COMPARTMENTS.
+ * 
+ * @param {Object} row - {halfTime, aN2?, bN2?, halfTimeHe?, aHe?, bHe?, label?, color?}
+ * @param {number} index - Row index (compartment ID is index + 1)
+ * @returns {Object} Complete compartment row
  */
-export function getCompartmentsForVariant(variant) {
-    return buildCompartments(variant);
+function completeRow(row, index) {
+    const id = index + 1;
+    const halfTimeHe = row.halfTimeHe ?? Math.round(row.halfTime / HE_HALF_TIME_RATIO * 100) / 100;
+    const n2Defaults = getDefaultCoefficients(row.halfTime);
+    const bN2 = row.bN2 ?? n2Defaults.b;
+    return {
+        id,
+        halfTime: row.halfTime,
+        aN2: row.aN2 ?? n2Defaults.a,
+        bN2,
+        halfTimeHe,
+        aHe: row.aHe ?? getDefaultCoefficients(halfTimeHe).a,
+        bHe: row.bHe ?? bN2,
+        label: row.label || `${id} - ${row.halfTime} min`,
+        color: row.color || BASE_COMPARTMENTS[index % BASE_COMPARTMENTS.length].color
+    };
 }
 
 /**
- * The active compartments array - defaults to ZH-L16C (dive computer variant)
- * This array is rebuilt when setZHL16Variant() is called.
+ * Build a preset row list from half-times (a/b from Bühlmann's formulas)
+ * @param {number[]} halfTimes - N2 half-times in minutes
+ * @returns {Array<Object>} Table rows
  */
-export const COMPARTMENTS = buildCompartments(currentVariant);
+function rowsFromHalfTimes(halfTimes) {
+    return halfTimes.map((halfTime, index) => completeRow({ halfTime }, index));
+}
+
+/**
+ * Haldane (1908): five tissues that tolerate a 2:1 ratio of total pressure.
+ * For air that is an N2 tension of 2 × 0.79 × P_ambient, i.e. a = 0, b = 1/1.58.
+ */
+const HALDANE_B = Math.round(1e4 / 1.58) / 1e4;
+
+/**
+ * Starting points for the model editor, besides the ZH-L16 variants
+ * Each preset is {name, description, rows}; rows use the custom table format.
+ */
+export const COMPARTMENT_PRESETS = Object.freeze({
+    'zhl16c-4min': {
+        name: 'ZH-L16C (4.0 min TC1)',
+        description: "Bühlmann's original first compartment (4.0 min N2, 1.51 min He)",
+        rows: BASE_COMPARTMENTS.map((comp, index) => completeRow(index === 0
+            ? { halfTime: 4.0, aN2: 1.2599, bN2: 0.5050, halfTimeHe: 1.51, aHe: 1.7424, bHe: 0.4245, label: comp.label, color: comp.color }
+            : { ...comp, aN2: A_COEFFICIENTS_16C[comp.id], aHe: A_COEFFICIENTS_HE[comp.id] }, index))
+    },
+    'classroom-8': {
+        name: '8-compartment (classroom)',
+        description: 'Eight round half-times with a/b from the Bühlmann formulas',
+        rows: rowsFromHalfTimes([5, 10, 20, 40, 80, 120, 160, 240])
+    },
+    'haldane-5': {
+        name: 'Haldane 5 tissues (1908)',
+        description: 'Five tissues with a 2:1 pressure ratio limit',
+        rows: [5, 10, 20, 40, 75].map((halfTime, index) => completeRow({
+            halfTime, aN2: 0, bN2: HALDANE_B, aHe: 0, bHe: HALDANE_B
+        }, index))
+    }
+});
+
+/**
+ * Get an editable copy of a compartment table
+ * @param {string} source - A ZH-L16 variant or a COMPARTMENT_PRESETS key
+ * @returns {Array<Object>} Rows {halfTime, aN2, bN2, halfTimeHe, aHe, bHe, label, color}
+ *          (empty for an unknown source)
+ */
+export function getCompartmentTable(source) {
+    const rows = isZHL16Variant(source)
+        ? getCompartmentsForVariant(source)
+        : COMPARTMENT_PRESETS[source]?.rows || [];
+    return rows.map(({ id, ...row }) => ({ ...row }));
+}
+
+/**
+ * Validate a custom compartment table
+ * Half-times must be positive, a ≥ 0 and 0 < b ≤ 1 (b above 1 would put the
+ * M-value below ambient pressure at depth). Optional fields may be omitted.
+ * 
+ * @param {Array<Object>} rows - Table rows
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateCompartmentTable(rows) {
+    const errors = [];
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { valid: false, errors: ['Compartment table must have at least one row'] };
+    }
+    if (rows.length > MAX_CUSTOM_COMPARTMENTS) {
+        errors.push(`Compartment table has more than ${MAX_CUSTOM_COMPARTMENTS} rows`);
+    }
+    const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+    const isOptional = (v, check) => v === undefined || v === null || (isNumber(v) && check(v));
+    rows.forEach((row, i) => {
+        const name = `Compartment ${i + 1}`;
+        if (!isNumber(row?.halfTime) || row.halfTime <= 0) {
+            errors.push(`${name}: N2 half-time must be a positive number`);
+            return;
+        }
+        if (!isOptional(row.halfTimeHe, v => v > 0)) {
+            errors.push(`${name}: He half-time must be a positive number`);
+        }
+        for (const gas of ['N2', 'He']) {
+            if (!isOptional(row[`a${gas}`], v => v >= 0)) {
+                errors.push(`${name}: a (${gas}) must be zero or more`);
+            }
+            if (!isOptional(row[`b${gas}`], v => v > 0 && v <= 1)) {
+                errors.push(`${name}: b (${gas}) must be above 0 and at most 1`);
+            }
+        }
+    });
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build compartments from a custom table
+ * Same shape as buildCompartments(); IDs are assigned in row order.
+ * 
+ * @param {Array<Object>} rows - Table rows (see validateCompartmentTable)
+ * @returns {ReadonlyArray<Object>} Frozen compartments
+ * @throws {Error} If the table is invalid
+ */
+export function buildCustomCompartments(rows) {
+    const validation = validateCompartmentTable(rows);
+    if (!validation.valid) {
+        throw new Error(`Invalid compartment table: ${validation.errors.join('; ')}`);
+    }
+    return Object.freeze(rows.map((row, index) => Object.freeze(completeRow(row, index))));
+}
 
 /**
  * Get the rate constant k for a compartment
@@ -144,3 +144,47 @@ export function updateUrlWithProfile(diveSetup) {
     // Use replaceState to update URL without adding to history
     window.history.replaceState({}, '', url);
 }
+
+/**
+ * Generate a sandbox URL that adds a gas to the current setup (e.g. a mix
+ * worked out on the blending page)
+ * 
+ * @param {Object} gas - Gas with o2 and he fractions, optionally cylinderVolume and startPressure
+ * @param {string} [baseUrl] - Optional base URL (defaults to relative path)
+ * @returns {string} Sandbox URL with mix, cylinder and fill parameters
+ */
+export function getSandboxGasUrl(gas, baseUrl = null) {
+    const base = baseUrl || (window.location.pathname.includes('/sandbox') 
+        ? './' 
+        : 'sandbox/');
+    const params = new URLSearchParams({ mix: `${Math.round(gas.o2 * 100)}/${Math.round((gas.he || 0) * 100)}` });
+    if (gas.cylinderVolume) params.set('cylinder', gas.cylinderVolume);
+    if (gas.startPressure) params.set('fill', Math.round(gas.startPressure));
+    return `${base}?${params}`;
+}
+
+/**
+ * Read the gas passed by getSandboxGasUrl and remove it from the URL, so a
+ * reload doesn't add it again
+ * 
+ * @returns {Object|null} Gas (fractions, cylinderVolume, startPressure), or null if not present
+ */
+export function takeGasFromUrl() {
+    const url = new URL(window.location);
+    const match = /^(\d+)\/(\d+)$/.exec(url.searchParams.get('mix') || '');
+    if (!match) return null;
+    
+    const o2 = Number(match[1]) / 100;
+    const he = Number(match[2]) / 100;
+    if (o2 <= 0 || o2 + he > 1) return null;
+    
+    const gas = { o2, he, n2: 1 - o2 - he };
+    const cylinderVolume = parseFloat(url.searchParams.get('cylinder'));
+    const startPressure = parseFloat(url.searchParams.get('fill'));
+    if (cylinderVolume > 0) gas.cylinderVolume = cylinderVolume;
+    if (startPressure > 0) gas.startPressure = startPressure;
+    
+    ['mix', 'cylinder', 'fill'].forEach(key => url.searchParams.delete(key));
+    window.history.replaceState({}, '', url);
+    return gas;
+}
@@ -0,0 +1,523 @@
+/**
+ * VPM-B Decompression Model
+ *
+ * Varying Permeability Model with Boyle's law compensation (Yount, Hoffman,
+ * Baker). Instead of limiting dissolved gas with M-values, VPM limits the
+ * supersaturation gradient that bubble nuclei of a given critical radius can
+ * tolerate without growing:
+ *
+ * 1. Crushing: the descent compresses nuclei; the peak (ambient - tissue
+ *    tension) gradient shrinks their radius, which raises the allowed gradient.
+ * 2. Regeneration: crushed nuclei slowly grow back toward their critical radius.
+ * 3. Critical volume algorithm (CVA): the total separated gas volume over the
+ *    ascent is limited, so longer deco relaxes the allowed gradients. The
+ *    schedule is iterated until its length converges.
+ * 4. Boyle's law compensation: nuclei expand as the diver ascends, so the
+ *    allowed gradient shrinks at each shallower stop.
+ *
+ * Tissue loading reuses the Haldane/Schreiner simulation from decoModel.js, so
+ * schedules start from the same tissue state as the Bühlmann engine and are
+ * returned in the same {stops, gasSwitches, totalTime, totalAscentTime} shape.
+ *
+ * Units: pressures in bar, radii in micrometers, surface tensions in bar·µm.
+ *
+ * Sources:
+ * - Baker, E.C. (1998). VPM-B decompression program (VPMDECO.FOR).
+ * - Yount, D.E.; Hoffman, D.C. (1986). On the use of a bubble formation model
+ *   to calculate diving tables. Aviat Space Environ Med 57(2):149-156.
+ */
+
+import { getRateConstant } from './tissueCompartments.js';
+import {
+    WATER_VAPOR_PRESSURE,
+    N2_FRACTION,
+    resolveEnvironment,
+    resolveModel,
+    getAmbientPressure,
+    getDepthFromPressure,
+    getInertGasFractions,
+    toTissueState,
+    simulateDepthChange,
+    getDecoGasSwitchPoints,
+    isLoopGas,
+    resolvePlanner,
+    getNextStopDepth,
+    applyLastStopDepth,
+    solveStopTime
+} from './decoModel.js';
+
+// ============================================================================
+// CONFIGURATION - Easy to modify
+// ============================================================================
+
+/** Critical radius of N2 nuclei in micrometers (conservatism 0) */
+export const CRITICAL_RADIUS_N2 = 0.55;
+
+/** Critical radius of He nuclei in micrometers (conservatism 0) */
+export const CRITICAL_RADIUS_HE = 0.45;
+
+/** Surface tension of the nucleus skin (0.0179 N/m) in bar·µm */
+export const SURFACE_TENSION_GAMMA = 0.179;
+
+/** Skin compression (0.257 N/m) in bar·µm */
+export const SKIN_COMPRESSION_GAMMA_C = 2.57;
+
+/** Gradient above which nuclei become impermeable to gas (8.2 atm) in bar */
+export const GRADIENT_ONSET_OF_IMPERMEABILITY = 8.30865;
+
+/** Critical volume parameter lambda (7500 fsw·min) in bar·min */
+export const CRIT_VOLUME_LAMBDA = 230.3;
+
+/** Nuclei regeneration time constant in minutes (14 days) */
+export const REGENERATION_TIME = 20160;
+
+/** Tissue tension of O2, CO2 and water vapor (102 mmHg) in bar */
+export const OTHER_GASES_PRESSURE = 0.136;
+
+/**
+ * Conservatism levels (+0 to +4) - multipliers applied to the critical radii
+ * Larger nuclei tolerate smaller gradients, giving longer, deeper schedules.
+ */
+export const VPM_CONSERVATISM_LEVELS = [1.0, 1.05, 1.12, 1.22, 1.35];
+
+/** Default conservatism level */
+export const DEFAULT_VPM_CONSERVATISM = 2;
+
+/** Maximum CVA iterations before accepting the current schedule */
+const MAX_CVA_ITERATIONS = 20;
+
+// ============================================================================
+// BUBBLE MECHANICS
+// ============================================================================
+
+/**
+ * Get the critical radii for a conservatism level
+ * @param {number} [conservatism=DEFAULT_VPM_CONSERVATISM] - Level 0-4
+ * @returns {{n2: number, he: number}} Critical radii in micrometers
+ */
+export function getCriticalRadii(conservatism = DEFAULT_VPM_CONSERVATISM) {
+    const level = Math.max(0, Math.min(VPM_CONSERVATISM_LEVELS.length - 1, Math.round(conservatism)));
+    const factor = VPM_CONSERVATISM_LEVELS[level];
+    return { n2: CRITICAL_RADIUS_N2 * factor, he: CRITICAL_RADIUS_HE * factor };
+}
+
+/**
+ * Solve a*r³ + b*r² = c (a, b, c > 0) for the nucleus radius
+ * Newton's method from an upper bound converges monotonically since the
+ * cubic is convex for r > 0.
+ * @private
+ */
+function solveRadius(a, b, c, upperBound) {
+    let r = upperBound;
+    for (let i = 0; i < 100; i++) {
+        const f = a * r * r * r + b * r * r - c;
+        const next = r - f / (3 * a * r * r + 2 * b * r);
+        if (Math.abs(next - r) < 1e-12) {
+            return next;
+        }
+        r = next;
+    }
+    return r;
+}
+
+/**
+ * Crushing pressure and ending radius of a nucleus
+ * Below the onset of impermeability the nucleus stays in equilibrium with
+ * the tissue; above it the trapped gas compresses per Boyle's law.
+ *
+ * @param {number} criticalRadius - Critical radius in micrometers
+ * @param {number} gradient - Peak (ambient - gas tension) gradient in bar
+ * @param {number} ambientPressure - Ambient pressure at the peak in bar
+ * @returns {{crushingPressure: number, endingRadius: number}}
+ */
+export function getCrushedNucleus(criticalRadius, gradient, ambientPressure) {
+    const skin = 2 * (SKIN_COMPRESSION_GAMMA_C - SURFACE_TENSION_GAMMA);
+
+    if (gradient <= GRADIENT_ONSET_OF_IMPERMEABILITY) {
+        const crushingPressure = Math.max(0, gradient);
+        return {
+            crushingPressure,
+            endingRadius: 1 / (crushingPressure / skin + 1 / criticalRadius)
+        };
+    }
+
+    // Impermeable region: gas trapped at the onset compresses per Boyle's law.
+    // Onset ambient/tension assume the tension barely changes past the onset.
+    const onsetRadius = 1 / (GRADIENT_ONSET_OF_IMPERMEABILITY / skin + 1 / criticalRadius);
+    const onsetAmbient = ambientPressure - (gradient - GRADIENT_ONSET_OF_IMPERMEABILITY);
+    const onsetTension = onsetAmbient - GRADIENT_ONSET_OF_IMPERMEABILITY;
+    const onsetGas = (onsetAmbient + skin / onsetRadius) * Math.pow(onsetRadius, 3);
+    const endingRadius = solveRadius(ambientPressure, skin, onsetGas, onsetRadius);
+    const crushingPressure = GRADIENT_ONSET_OF_IMPERMEABILITY + (ambientPressure - onsetAmbient)
+        + onsetTension * (1 - Math.pow(onsetRadius, 3) / Math.pow(endingRadius, 3));
+
+    return { crushingPressure, endingRadius };
+}
+
+/**
+ * Apply nuclei regeneration over the dive time
+ * @param {number} criticalRadius - Critical radius in micrometers
+ * @param {number} endingRadius - Radius after crushing in micrometers
+ * @param {number} crushingPressure - Crushing pressure in bar
+ * @param {number} diveTime - Time since the crush in minutes
+ * @returns {{radius: number, crushingPressure: number}} Regenerated radius and adjusted crushing pressure
+ */
+export function regenerateNucleus(criticalRadius, endingRadius, crushingPressure, diveTime) {
+    if (crushingPressure <= 0 || endingRadius >= criticalRadius) {
+        return { radius: criticalRadius, crushingPressure: 0 };
+    }
+    const radius = criticalRadius + (endingRadius - criticalRadius) * Math.exp(-diveTime / REGENERATION_TIME);
+    const ratio = (endingRadius * (criticalRadius - radius)) / (radius * (criticalRadius - endingRadius));
+    return { radius, crushingPressure: crushingPressure * ratio };
+}
+
+/**
+ * Initial allowable supersaturation gradient for a nucleus radius
+ * @param {number} radius - Regenerated nucleus radius in micrometers
+ * @returns {number} Allowable gradient in bar
+ */
+export function getInitialAllowableGradient(radius) {
+    return (2 * SURFACE_TENSION_GAMMA * (SKIN_COMPRESSION_GAMMA_C - SURFACE_TENSION_GAMMA))
+        / (radius * SKIN_COMPRESSION_GAMMA_C);
+}
+
+/**
+ * Critical volume algorithm - relax a gradient for a given phase volume time
+ * @param {number} initialGradient - Initial allowable gradient in bar
+ * @param {number} crushingPressure - Regeneration-adjusted crushing pressure in bar
+ * @param {number} phaseVolumeTime - Deco + surface phase volume time in minutes
+ * @returns {number} New allowable gradient in bar
+ */
+export function getCriticalVolumeGradient(initialGradient, crushingPressure, phaseVolumeTime) {
+    const gamma = SURFACE_TENSION_GAMMA;
+    const gammaC = SKIN_COMPRESSION_GAMMA_C;
+    const b = initialGradient + (CRIT_VOLUME_LAMBDA * gamma) / (gammaC * phaseVolumeTime);
+    const c = (gamma * gamma * CRIT_VOLUME_LAMBDA * crushingPressure) / (gammaC * gammaC * phaseVolumeTime);
+    return (b + Math.sqrt(Math.max(0, b * b - 4 * c))) / 2;
+}
+
+/**
+ * Boyle's law compensation - gradient after the nucleus expands on ascent
+ * @param {number} gradient - Allowable gradient at the first stop in bar
+ * @param {number} firstStopAmbient - Ambient pressure at the first stop in bar
+ * @param {number} ambientPressure - Ambient pressure at the shallower depth in bar
+ * @returns {number} Reduced gradient in bar
+ */
+export function getBoyleCompensatedGradient(gradient, firstStopAmbient, ambientPressure) {
+    if (ambientPressure >= firstStopAmbient) {
+        return gradient;
+    }
+    const surfaceTerm = 2 * SURFACE_TENSION_GAMMA;
+    const firstRadius = surfaceTerm / gradient;
+    // (P1 + 2γ/r1)·r1³ = (P2 + 2γ/r2)·r2³
+    const gasContent = (firstStopAmbient + surfaceTerm / firstRadius) * Math.pow(firstRadius, 3);
+    const upperBound = firstRadius * Math.cbrt(firstStopAmbient / ambientPressure) + surfaceTerm / ambientPressure;
+    const radius = solveRadius(ambientPressure, surfaceTerm, gasContent, upperBound);
+    return surfaceTerm / radius;
+}
+
+// ============================================================================
+// CRUSHING PRESSURE TRACKING
+// ============================================================================
+
+/**
+ * Crushing gradients for the current tissue state at a depth
+ *
+ * @param {Object} tissuePressures - Tissue pressures (N2-only map or {n2, he} state)
+ * @param {number} depth - Depth in meters
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {Object} Map of compartment ID → {gradient, ambientPressure}
+ */
+export function getCrushingPressures(tissuePressures, depth, environment = null, model = null) {
+    const state = toTissueState(tissuePressures);
+    const ambientPressure = getAmbientPressure(depth, environment);
+    const crushing = {};
+    resolveModel(model).compartments.forEach(comp => {
+        const tension = state.n2[comp.id] + (state.he[comp.id] || 0) + OTHER_GASES_PRESSURE;
+        crushing[comp.id] = { gradient: Math.max(0, ambientPressure - tension), ambientPressure };
+    });
+    return crushing;
+}
+
+/**
+ * Peak crushing gradients over a calculated dive
+ *
+ * @param {Object} results - Results from calculateTissueLoading
+ * @param {number} [endIndex] - Last time index to consider (default: all)
+ * @returns {Object} Map of compartment ID → {gradient, ambientPressure}
+ */
+export function getMaxCrushingPressures(results, endIndex = results.timePoints.length - 1) {
+    const crushing = {};
+    resolveModel(results.model).compartments.forEach(comp => {
+        const data = results.compartments[comp.id];
+        let peak = { gradient: 0, ambientPressure: results.ambientPressures[0] };
+        for (let i = 0; i <= endIndex; i++) {
+            const tension = data.pressures[i] + (data.hePressures ? data.hePressures[i] : 0) + OTHER_GASES_PRESSURE;
+            const gradient = results.ambientPressures[i] - tension;
+            if (gradient > peak.gradient) {
+                peak = { gradient, ambientPressure: results.ambientPressures[i] };
+            }
+        }
+        crushing[comp.id] = peak;
+    });
+    return crushing;
+}
+
+// ============================================================================
+// CEILINGS & PHASE VOLUME TIME
+// ============================================================================
+
+/**
+ * Tolerated ambient pressure over all compartments for given gradients
+ * Gradients are weighted by each gas's share of the tissue tension.
+ *
+ * @param {Object} tissuePressures - Tissue pressures (N2-only map or {n2, he} state)
+ * @param {{n2: Object, he: Object}} gradients - Allowable gradients per compartment ID
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {number} Tolerated ambient pressure in bar
+ */
+export function getToleratedAmbientPressure(tissuePressures, gradients, model = null) {
+    const state = toTissueState(tissuePressures);
+    let tolerated = 0;
+    resolveModel(model).compartments.forEach(comp => {
+        const pN2 = state.n2[comp.id];
+        const pHe = state.he[comp.id] || 0;
+        const loading = pN2 + pHe;
+        const gradient = loading > 0
+            ? (gradients.n2[comp.id] * pN2 + gradients.he[comp.id] * pHe) / loading
+            : Math.min(gradients.n2[comp.id], gradients.he[comp.id]);
+        tolerated = Math.max(tolerated, loading + OTHER_GASES_PRESSURE - gradient);
+    });
+    return tolerated;
+}
+
+/**
+ * Ascent ceiling depth for given gradients
+ * @param {Object} tissuePressures - Tissue pressures (N2-only map or {n2, he} state)
+ * @param {{n2: Object, he: Object}} gradients - Allowable gradients per compartment ID
+ * @param {Object} [environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [model] - Model parameters (default: ZH-L16C)
+ * @returns {number} Ceiling depth in meters (0 if the surface is tolerated)
+ */
+export function getVPMCeiling(tissuePressures, gradients, environment = null, model = null) {
+    return Math.max(0, getDepthFromPressure(getToleratedAmbientPressure(tissuePressures, gradients, model), environment));
+}
+
+/**
+ * Time-integrated supersaturation left after surfacing, per unit gradient
+ * @private
+ */
+function getSurfacePhaseVolumeTime(comp, pN2, pHe, surfaceN2) {
+    const kN2 = getRateConstant(comp.halfTime);
+    const kHe = getRateConstant(comp.halfTimeHe);
+    const excess = pN2 + pHe - surfaceN2;
+    if (excess <= 0) {
+        return 0;
+    }
+    if (pHe > 0 && pN2 < surfaceN2) {
+        // Helium out-gasses until the total tension drops to the inspired N2
+        const decayTime = Math.log(pHe / (surfaceN2 - pN2)) / (kHe - kN2);
+        const integral = (pHe / kHe) * (1 - Math.exp(-kHe * decayTime))
+            + ((pN2 - surfaceN2) / kN2) * (1 - Math.exp(-kN2 * decayTime));
+        return integral / excess;
+    }
+    return (pHe / kHe + (pN2 - surfaceN2) / kN2) / excess;
+}
+
+// ============================================================================
+// SCHEDULE GENERATION
+// ============================================================================
+
+/**
+ * Generate a VPM-B decompression schedule from current tissue state
+ *
+ * @param {Object} tissuePressures - Tissue pressures at the start of the ascent (N2-only map or {n2, he} state)
+ * @param {number} currentDepth - Current depth in meters
+ * @param {number|Object} gas - N2 fraction, the current gas ({n2, he}) or a loop gas
+ * @param {Array} [gases] - Available gases for switching (first is bottom gas)
+ * @param {Object} [options] - Additional options
+ * @param {number} [options.conservatism=DEFAULT_VPM_CONSERVATISM] - Conservatism level 0-4
+ * @param {Object} [options.crushingPressures] - Peak crushing gradients from getMaxCrushingPressures
+ *        (default: the current ambient-minus-tension gradient)
+ * @param {number} [options.diveTime=0] - Minutes since the crush, for nuclei regeneration
+ * @param {Object} [options.environment] - Altitude/water density (default: sea level, salt water)
+ * @param {Object} [options.model] - Model parameters (default: ZH-L16C); only the
+ *        compartment half-times are used
+ * @param {Object} [options.planner] - Ascent rates, stop increment, last stop depth and stop rounding
+ * @returns {{stops: Array<{depth: number, time: number, gas: string}>, gasSwitches: Array, totalTime: number, totalAscentTime: number}}
+ * @throws {DecoStopError} If a stop never clears (see solveStopTime)
+ */
+export function generateVPMBSchedule(tissuePressures, currentDepth, gas, gases = null, options = {}) {
+    const env = resolveEnvironment(options.environment);
+    const planner = resolvePlanner(options.planner);
+    const model = resolveModel(options.model);
+    const radii = getCriticalRadii(options.conservatism ?? DEFAULT_VPM_CONSERVATISM);
+    const crushing = options.crushingPressures || getCrushingPressures(tissuePressures, currentDepth, env, model);
+    const diveTime = options.diveTime || 0;
+    const startState = toTissueState(tissuePressures);
+    // A loop holds its setpoint all the way up; only open-circuit ascents switch gas
+    const gasSwitchPoints = isLoopGas(gas) ? [] : getDecoGasSwitchPoints(gases, env, 1.6, planner.stopIncrement);
+    const surfaceN2 = (env.surfacePressure - WATER_VAPOR_PRESSURE) * N2_FRACTION;
+
+    // Crushed, regenerated nuclei → initial allowable gradients
+    const initial = { n2: {}, he: {} };
+    const adjustedCrushing = { n2: {}, he: {} };
+    model.compartments.forEach(comp => {
+        const { gradient, ambientPressure } = crushing[comp.id];
+        ['n2', 'he'].forEach(gasKey => {
+            const crushed = getCrushedNucleus(radii[gasKey], gradient, ambientPressure);
+            const regenerated = regenerateNucleus(radii[gasKey], crushed.endingRadius, crushed.crushingPressure, diveTime);
+            initial[gasKey][comp.id] = getInitialAllowableGradient(regenerated.radius);
+            adjustedCrushing[gasKey][comp.id] = regenerated.crushingPressure;
+        });
+    });
+
+    // Start of the deco zone: where the leading tissue first exceeds ambient
+    const leadingTension = Math.max(...model.compartments.map(comp =>
+        startState.n2[comp.id] + (startState.he[comp.id] || 0) + OTHER_GASES_PRESSURE
+    ));
+    const decoZoneDepth = Math.min(currentDepth, Math.max(0, getDepthFromPressure(leadingTension, env)));
+    const timeToDecoZone = (currentDepth - decoZoneDepth) / planner.ascentRate;
+
+    // Deepest stop from the initial gradients, deepened if the ascent would violate it
+    const deepestStop = findFirstStop(startState, currentDepth, gas, initial, gasSwitchPoints, env, model, planner);
+
+    let gradients = initial;
+    let schedule = null;
+    let lastPhaseVolumeTime = null;
+
+    for (let iteration = 0; iteration < MAX_CVA_ITERATIONS; iteration++) {
+        schedule = runSchedule(startState, currentDepth, gas, gradients, deepestStop, gasSwitchPoints, env, model, planner);
+
+        const decoPhaseVolumeTime = Math.max(0, schedule.totalTime - timeToDecoZone);
+        if (lastPhaseVolumeTime !== null && Math.abs(decoPhaseVolumeTime - lastPhaseVolumeTime) <= 1) {
+            break;
+        }
+        lastPhaseVolumeTime = decoPhaseVolumeTime;
+
+        // Relax gradients for the separated gas volume this schedule allows
+        const next = { n2: {}, he: {} };
+        model.compartments.forEach(comp => {
+            const phaseVolumeTime = decoPhaseVolumeTime + getSurfacePhaseVolumeTime(
+                comp, schedule.finalState.n2[comp.id], schedule.finalState.he[comp.id] || 0, surfaceN2
+            );
+            ['n2', 'he'].forEach(gasKey => {
+                next[gasKey][comp.id] = phaseVolumeTime > 0
+                    ? getCriticalVolumeGradient(initial[gasKey][comp.id], adjustedCrushing[gasKey][comp.id], phaseVolumeTime)
+                    : initial[gasKey][comp.id];
+            });
+        });
+        gradients = next;
+    }
+
+    const { stops, gasSwitches, totalTime, totalAscentTime } = schedule;
+    return { stops, gasSwitches, totalTime, totalAscentTime };
+}
+
+/**
+ * Deepest stop allowed by the initial gradients, checked after the ascent to it
+ * @private
+ */
+function findFirstStop(state, currentDepth, gas, gradients, gasSwitchPoints, env, model, planner) {
+    const ceiling = getVPMCeiling(state, gradients, env, model);
+    if (ceiling <= 0) {
+        return 0;
+    }
+    const increment = planner.stopIncrement;
+    let stopDepth = Math.min(currentDepth, applyLastStopDepth(Math.ceil(ceiling / increment) * increment, planner));
+    while (stopDepth < currentDepth) {
+        const { tissues } = ascend(state, currentDepth, stopDepth, getInertGasFractions(gas), gasSwitchPoints, new Set(), env, model, planner.ascentRate);
+        if (getVPMCeiling(tissues, gradients, env, model) <= stopDepth) {
+            break;
+        }
+        stopDepth += increment;
+    }
+    return Math.min(stopDepth, currentDepth);
+}
+
+/**
+ * Ascend between depths at the given rate (m/min), switching to each better
+ * deco gas at its switch depth
+ * @private
+ */
+function ascend(tissues, fromDepth, toDepth, currentGas, gasSwitchPoints, usedGases, env, model, rate, gasSwitches = null) {
+    let depth = fromDepth;
+    let gas = currentGas;
+    let time = 0;
+    const inertOf = g => g.n2 + (g.he || 0);
+
+    for (const decoGas of gasSwitchPoints) {
+        if (decoGas.switchDepth < depth && decoGas.switchDepth >= toDepth
+            && !usedGases.has(decoGas.id) && inertOf(decoGas) < inertOf(gas)) {
+            const segmentTime = (depth - decoGas.switchDepth) / rate;
+            tissues = simulateDepthChange(tissues, depth, decoGas.switchDepth, segmentTime, gas, env, model);
+            time += segmentTime;
+            depth = decoGas.switchDepth;
+            gas = { ...getInertGasFractions(decoGas), name: decoGas.name };
+            usedGases.add(decoGas.id);
+            if (gasSwitches) {
+                gasSwitches.push({ depth, gas: decoGas.name, gasId: decoGas.id });
+            }
+        }
+    }
+    if (depth > toDepth) {
+        const segmentTime = (depth - toDepth) / rate;
+        tissues = simulateDepthChange(tissues, depth, toDepth, segmentTime, gas, env, model);
+        time += segmentTime;
+    }
+    return { tissues, gas, time };
+}
+
+/**
+ * Run one pass of the schedule with fixed first-stop gradients
+ * @private
+ */
+function runSchedule(startState, currentDepth, bottomGas, gradients, firstStopDepth, gasSwitchPoints, env, model, planner) {
+    const stops = [];
+    const gasSwitches = [];
+    const usedGases = new Set();
+    let gas = { ...getInertGasFractions(bottomGas), name: 'Bottom Gas' };
+    let totalAscentTime = 0;
+
+    // Travel to the first stop (or straight to the surface)
+    let leg = ascend(startState, currentDepth, firstStopDepth, gas, gasSwitchPoints, usedGases, env, model, planner.ascentRate, gasSwitches);
+    let tissues = leg.tissues;
+    gas = leg.gas;
+    totalAscentTime += leg.time;
+
+    const firstStopAmbient = getAmbientPressure(firstStopDepth, env);
+    let depth = firstStopDepth;
+
+    while (depth > 0) {
+        const nextStopDepth = getNextStopDepth(depth, planner);
+
+        // Gradients shrink as nuclei expand toward the next stop
+        const nextAmbient = getAmbientPressure(nextStopDepth, env);
+        const decoGradients = { n2: {}, he: {} };
+        model.compartments.forEach(comp => {
+            decoGradients.n2[comp.id] = getBoyleCompensatedGradient(gradients.n2[comp.id], firstStopAmbient, nextAmbient);
+            decoGradients.he[comp.id] = getBoyleCompensatedGradient(gradients.he[comp.id], firstStopAmbient, nextAmbient);
+        });
+
+        const stop = solveStopTime(
+            tissues, depth, gas,
+            state => getVPMCeiling(state, decoGradients, env, model) <= nextStopDepth,
+            { rounding: planner.stopRounding, environment: env, model, gasName: gas.name }
+        );
+        tissues = stop.tissues;
+        const stopTime = stop.time;
+        if (stopTime > 0) {
+            stops.push({ depth, time: stopTime, gas: gas.name });
+        }
+
+        leg = ascend(tissues, depth, nextStopDepth, gas, gasSwitchPoints, usedGases, env, model, planner.decoAscentRate, gasSwitches);
+        tissues = leg.tissues;
+        gas = leg.gas;
+        totalAscentTime += leg.time;
+        depth = nextStopDepth;
+    }
+
+    const totalTime = totalAscentTime + stops.reduce((sum, s) => sum + s.time, 0);
+    return { stops, gasSwitches, totalTime, totalAscentTime, finalState: toTissueState(tissues) };
+}
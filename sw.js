@@ -1,5 +1,5 @@
 // Service Worker for Deco Theory PWA
-const CACHE_NAME = 'deco-theory-0.4.12';
+const CACHE_NAME = 'deco-theory-0.4.37';
 
 // Files to cache for offline use
 const STATIC_ASSETS = [
@@ -10,6 +10,9 @@ const STATIC_ASSETS = [
   './pressure.html',
   './tissue-loading.html',
   './m-values.html',
+  './tables.html',
+  './repetitive.html',
+  './blending.html',
   './quiz-anatomy.html',
   './quiz-physics.html',
   './quiz-accidents.html',
@@ -20,6 +23,14 @@ const STATIC_ASSETS = [
   './js/main.js',
   './js/nav.js',
   './js/decoModel.js',
+  './js/vpmModel.js',
+  './js/decoAlgorithms.js',
+  './js/contingency.js',
+  './js/gasPlanning.js',
+  './js/gasCompressibility.js',
+  './js/gasBlending.js',
+  './js/tableBook.js',
+  './js/pressureGroups.js',
   './js/diveProfile.js',
   './js/diveSetup.js',
   './js/mvalues.js',
@@ -27,6 +38,10 @@ const STATIC_ASSETS = [
   './js/tissueCompartments.js',
   './js/tissueEducation.js',
   './js/visualization.js',
+  './js/calcService.js',
+  './js/calcTasks.js',
+  './js/calcWorker.js',
+  './js/charts/chartData.js',
   './js/charts/chartTypes.js',
   './js/charts/DiveProfileChart.js',
   './js/charts/MValueChart.js',
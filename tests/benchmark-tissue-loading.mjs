@@ -0,0 +1,70 @@
+/**
+ * Tissue Loading Benchmark
+ * 
+ * Times calculateTissueLoadingSeries() and calculateTissueLoading() on a
+ * multi-day repetitive logbook (long surface intervals dominate the samples).
+ * 
+ * Run with: node tests/benchmark-tissue-loading.mjs [days] [runs]
+ */
+
+import {
+    calculateTissueLoading,
+    calculateTissueLoadingSeries,
+    getSeriesTissueState
+} from '../js/decoModel.js';
+
+const days = parseInt(process.argv[2], 10) || 3;
+const runs = parseInt(process.argv[3], 10) || 5;
+
+const gases = [
+    { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 },
+    { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0 }
+];
+
+// Two dives a day: a morning deco dive, a shallower afternoon dive after
+// 2 hours, and the night at the surface before the next day
+function buildLogbook(dayCount) {
+    const waypoints = [];
+    let time = 0;
+    const addDive = (legs) => {
+        legs.forEach(([duration, depth, gasId]) => {
+            time += duration;
+            waypoints.push(gasId ? { time, depth, gasId } : { time, depth });
+        });
+    };
+    waypoints.push({ time: 0, depth: 0, gasId: 'air' });
+    for (let day = 0; day < dayCount; day++) {
+        if (day > 0) {
+            waypoints[waypoints.length - 1].surfaceInterval = true;
+            time += 14 * 60;
+            waypoints.push({ time, depth: 0, gasId: 'air' });
+        }
+        addDive([[2, 40], [23, 40], [4, 21, 'ean50'], [6, 6], [10, 6], [1, 0]]);
+        waypoints[waypoints.length - 1].surfaceInterval = true;
+        time += 120;
+        waypoints.push({ time, depth: 0, gasId: 'air' });
+        addDive([[2, 18], [40, 18], [3, 5], [3, 5], [1, 0]]);
+    }
+    return waypoints;
+}
+
+function time(label, fn) {
+    fn(); // warm up
+    const start = performance.now();
+    let result;
+    for (let i = 0; i < runs; i++) {
+        result = fn();
+    }
+    const ms = (performance.now() - start) / runs;
+    console.log(`  ${label.padEnd(34)} ${ms.toFixed(1).padStart(8)} ms/run`);
+    return result;
+}
+
+const waypoints = buildLogbook(days);
+console.log(`\n⏱  Tissue loading: ${days} day(s), ${waypoints.length} waypoints, ${runs} run(s), 24h surface interval`);
+
+const series = time('calculateTissueLoadingSeries', () => calculateTissueLoadingSeries(waypoints, 24 * 60, { gases }));
+time('calculateTissueLoading', () => calculateTissueLoading(waypoints, 24 * 60, { gases }));
+time('series → final tissue state', () => getSeriesTissueState(calculateTissueLoadingSeries(waypoints, 24 * 60, { gases })));
+
+console.log(`  ${series.length} time points, ${(series.timePoints[series.length - 1] / 60).toFixed(1)} h\n`);
@@ -26,8 +26,6 @@ import {
 import {
     COMPARTMENTS,
     ZHL16_VARIANTS,
-    getZHL16Variant,
-    setZHL16Variant,
     getCompartmentsForVariant
 } from '../js/tissueCompartments.js';
 
@@ -292,46 +290,19 @@ describe('decoModel module', () => {
     // ========================================================================
 
     describe('ZH-L16 variants', () => {
-        // Store original variant to restore after tests
-        let originalVariant;
-        
-        beforeAll(() => {
-            originalVariant = getZHL16Variant();
-        });
-        
-        afterAll(() => {
-            setZHL16Variant(originalVariant);
-        });
-
         test('ZHL16_VARIANTS has A, B, C options', () => {
             expect(ZHL16_VARIANTS.A).toBe('ZH-L16A');
             expect(ZHL16_VARIANTS.B).toBe('ZH-L16B');
             expect(ZHL16_VARIANTS.C).toBe('ZH-L16C');
         });
 
-        test('default variant is ZH-L16C', () => {
-            // Reset to ensure we're testing the default
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            expect(getZHL16Variant()).toBe('ZH-L16C');
+        test('COMPARTMENTS are the default ZH-L16C set', () => {
+            expect(COMPARTMENTS).toBe(getCompartmentsForVariant(ZHL16_VARIANTS.C));
         });
 
-        test('setZHL16Variant changes active variant', () => {
-            setZHL16Variant(ZHL16_VARIANTS.A);
-            expect(getZHL16Variant()).toBe('ZH-L16A');
-            
-            setZHL16Variant(ZHL16_VARIANTS.B);
-            expect(getZHL16Variant()).toBe('ZH-L16B');
-            
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            expect(getZHL16Variant()).toBe('ZH-L16C');
-        });
-
-        test('COMPARTMENTS array is updated when variant changes', () => {
-            setZHL16Variant(ZHL16_VARIANTS.A);
-            const tc5_A = COMPARTMENTS.find(c => c.id === 5).aN2;
-            
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            const tc5_C = COMPARTMENTS.find(c => c.id === 5).aN2;
+        test('getCompartmentsForVariant returns the variant coefficients', () => {
+            const tc5_A = getCompartmentsForVariant(ZHL16_VARIANTS.A).find(c => c.id === 5).aN2;
+            const tc5_C = getCompartmentsForVariant(ZHL16_VARIANTS.C).find(c => c.id === 5).aN2;
             
             // ZH-L16A TC5 a = 0.6667, ZH-L16C TC5 a = 0.5282
             expect(tc5_A).toBeCloseTo(0.6667, 3);
@@ -339,15 +310,12 @@ describe('decoModel module', () => {
             expect(tc5_A).toBeGreaterThan(tc5_C);  // A is less conservative
         });
 
-        test('getCompartmentsForVariant returns correct values without changing state', () => {
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            
-            const variantA = getCompartmentsForVariant(ZHL16_VARIANTS.A);
-            const tc5_A = variantA.find(c => c.id === 5).aN2;
-            
-            // Current variant should still be C
-            expect(getZHL16Variant()).toBe('ZH-L16C');
-            expect(tc5_A).toBeCloseTo(0.6667, 3);
+        test('getDiveCeiling uses the model it is given', () => {
+            const tissues = {};
+            COMPARTMENTS.forEach(comp => { tissues[comp.id] = 3.0; });
+            const ceilingA = getDiveCeiling(tissues, 1.0, null, null, { variant: ZHL16_VARIANTS.A });
+            const ceilingC = getDiveCeiling(tissues, 1.0, null, null, { variant: ZHL16_VARIANTS.C });
+            expect(ceilingA.ceiling).toBeLessThan(ceilingC.ceiling);
         });
 
         test('TC1-4 have same a values across all variants', () => {
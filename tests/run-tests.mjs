@@ -23,16 +23,32 @@ function describe(name, fn) {
     currentSuite = prevSuite;
 }
 
+// Async tests (returning a promise) report when they settle, before the summary
+const pendingTests = [];
+
+function pass(name) {
+    passedTests++;
+    console.log(`  ✅ ${name}`);
+}
+
+function fail(name, error) {
+    failedTests++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${error.message}`);
+}
+
 function test(name, fn) {
     totalTests++;
     try {
-        fn();
-        passedTests++;
-        console.log(`  ✅ ${name}`);
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            const suite = currentSuite;
+            pendingTests.push(result.then(() => pass(`${suite} > ${name}`), error => fail(`${suite} > ${name}`, error)));
+            return;
+        }
+        pass(name);
     } catch (error) {
-        failedTests++;
-        console.log(`  ❌ ${name}`);
-        console.log(`     Error: ${error.message}`);
+        fail(name, error);
     }
 }
 
@@ -131,7 +147,26 @@ import {
     getGasAtTime,
     getGasSwitchEvents,
     insertGasSwitchWaypoints,
-    calculateMOD
+    calculateMOD,
+    calculateEND,
+    calculateEAD,
+    calculateGasDensity,
+    analyzeGasAtDepth,
+    solveBestMix,
+    calculateOxygenExposure,
+    getCCRSettings,
+    getPlannerSettings,
+    getResidualTissueState,
+    getNDLForDepth,
+    getDiveSetupTimeline,
+    getPostDiveSettings,
+    getPostDiveTimes,
+    getModelSettings,
+    calculateGasUsage,
+    getSacRates,
+    getSegmentPhases,
+    getSegmentSacRates,
+    createSacRateLookup
 } from '../js/diveSetup.js';
 
 import {
@@ -161,21 +196,105 @@ import {
     interpolateGF,
     getFirstStopDepth,
     calculateCeilingTimeSeries,
+    calculateCeilingTimeSeriesDetailed,
     calculateTissueLoading,
+    calculateTissueLoadingSeries,
+    toTissueLoadingResults,
+    getSeriesTissueState,
     calculateNDL,
     simulateDepthTime,
     simulateDepthChange,
-    generateDecoSchedule
+    generateDecoSchedule,
+    solveStopTime,
+    DecoStopError,
+    formatStopTime,
+    NDL_MAX_TIME,
+    getAlveolarHePressure,
+    getCombinedCoefficients,
+    createTissueState,
+    getAltitudePressure,
+    resolveEnvironment,
+    getDepthFromPressure,
+    FRESH_WATER_DENSITY,
+    createLoopGas,
+    getLoopPpO2,
+    getBreathingFractions,
+    getSetpointSwitchTime,
+    DEFAULT_PLANNER,
+    resolvePlanner,
+    getNextStopDepth,
+    getSupersaturationGF,
+    calculateGF99TimeSeries,
+    CABIN_ALTITUDE,
+    resolvePostDive,
+    getAltitudeExposureAt,
+    calculateNoFlyTime,
+    calculateDesaturationTime,
+    DEFAULT_MODEL,
+    resolveModel
 } from '../js/decoModel.js';
 
 import { 
     COMPARTMENTS,
     ZHL16_VARIANTS,
-    getZHL16Variant,
-    setZHL16Variant,
-    getCompartmentsForVariant
+    COMPARTMENT_PRESETS,
+    getCompartmentsForVariant,
+    getCompartmentTable,
+    getDefaultCoefficients,
+    validateCompartmentTable,
+    buildCustomCompartments
 } from '../js/tissueCompartments.js';
 
+import {
+    CRITICAL_RADIUS_N2,
+    CRITICAL_RADIUS_HE,
+    GRADIENT_ONSET_OF_IMPERMEABILITY,
+    getCriticalRadii,
+    getCrushedNucleus,
+    regenerateNucleus,
+    getInitialAllowableGradient,
+    getCriticalVolumeGradient,
+    getBoyleCompensatedGradient,
+    getCrushingPressures,
+    getMaxCrushingPressures,
+    generateVPMBSchedule
+} from '../js/vpmModel.js';
+
+import {
+    DECO_ALGORITHMS,
+    DEFAULT_DECO_ALGORITHM,
+    getDecoAlgorithm,
+    generateAlgorithmSchedule,
+    compareAscentSchedules,
+    scheduleToPoints,
+    planBailout,
+    calculateTTSTimeSeries,
+    sweepGradientFactors
+} from '../js/decoAlgorithms.js';
+
+import { CalcService, CalcCancelledError } from '../js/calcService.js';
+import { runCalcTask } from '../js/calcTasks.js';
+import { planContingencies, DEFAULT_CONTINGENCY } from '../js/contingency.js';
+import { generateTableBook, tableBookToCSV, formatTableNDL } from '../js/tableBook.js';
+import { planGas, DEFAULT_GAS_PLANNING } from '../js/gasPlanning.js';
+import { getCompressibilityFactor, getCylinderContents, getCylinderPressure } from '../js/gasCompressibility.js';
+import { planPartialPressureBlend, planContinuousBlend, planTopOff, getMixName, DEFAULT_GAS_PRICES } from '../js/gasBlending.js';
+import {
+    createPressureGroupSystem,
+    getPressureGroup,
+    getGroupPressure,
+    formatPressureGroup,
+    getGroupAfterDive,
+    getGroupAfterSurfaceInterval,
+    calculateSurfaceIntervalTable,
+    getResidualNitrogenTime,
+    calculateResidualNitrogenTable,
+    planRepetitiveDives,
+    BEYOND_TABLE_GROUP
+} from '../js/pressureGroups.js';
+import { calculateProfileChartData, calculateMValueChartData, calculatePlanSummary, calculatePlanComparison } from '../js/charts/chartData.js';
+import { validateDiveSetup, normalizeDiveSetup } from '../js/charts/chartTypes.js';
+
 // ============================================================================
 // DIVE SETUP TESTS
 // ============================================================================
@@ -522,6 +641,28 @@ describe('diveSetup', () => {
             const mod = calculateMOD(1.0, 1.6);
             expect(mod).toBe(6);
         });
+
+        test('MOD is deeper in fresh water', () => {
+            const salt = calculateMOD(0.32, 1.4);
+            const fresh = calculateMOD(0.32, 1.4, { altitude: 0, waterDensity: FRESH_WATER_DENSITY });
+            expect(fresh).toBeGreaterThan(salt);
+        });
+
+        test('MOD is deeper at altitude (lower surface pressure)', () => {
+            const mod = calculateMOD(0.32, 1.4, { altitude: 2000, waterDensity: 1.025 });
+            expect(mod).toBeGreaterThan(calculateMOD(0.32, 1.4));
+        });
+    });
+
+    describe('calculateEND', () => {
+        test('air END equals depth at sea level', () => {
+            expect(calculateEND(30, 0)).toBe(30);
+        });
+
+        test('trimix END at sea level', () => {
+            // (40 + 10) * 0.55 - 10 = 17.5 -> 18
+            expect(calculateEND(40, 0.45)).toBe(18);
+        });
     });
 
     describe('insertGasSwitchWaypoints', () => {
@@ -860,32 +1001,20 @@ describe('decoModel', () => {
     // ========================================================================
 
     describe('ZH-L16 variants', () => {
-        // Store original variant at start
-        const originalVariant = getZHL16Variant();
-        
         test('ZHL16_VARIANTS has A, B, C options', () => {
             expect(ZHL16_VARIANTS.A).toBe('ZH-L16A');
             expect(ZHL16_VARIANTS.B).toBe('ZH-L16B');
             expect(ZHL16_VARIANTS.C).toBe('ZH-L16C');
         });
 
-        test('setZHL16Variant changes active variant', () => {
-            setZHL16Variant(ZHL16_VARIANTS.A);
-            expect(getZHL16Variant()).toBe('ZH-L16A');
-            
-            setZHL16Variant(ZHL16_VARIANTS.B);
-            expect(getZHL16Variant()).toBe('ZH-L16B');
-            
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            expect(getZHL16Variant()).toBe('ZH-L16C');
+        test('COMPARTMENTS are the ZH-L16C default', () => {
+            expect(COMPARTMENTS).toBe(getCompartmentsForVariant(ZHL16_VARIANTS.C));
+            expect(DEFAULT_MODEL.variant).toBe('ZH-L16C');
         });
 
-        test('COMPARTMENTS array is updated when variant changes', () => {
-            setZHL16Variant(ZHL16_VARIANTS.A);
-            const tc5_A = COMPARTMENTS.find(c => c.id === 5).aN2;
-            
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            const tc5_C = COMPARTMENTS.find(c => c.id === 5).aN2;
+        test('getCompartmentsForVariant returns the variant coefficients', () => {
+            const tc5_A = getCompartmentsForVariant(ZHL16_VARIANTS.A).find(c => c.id === 5).aN2;
+            const tc5_C = getCompartmentsForVariant(ZHL16_VARIANTS.C).find(c => c.id === 5).aN2;
             
             // ZH-L16A TC5 a = 0.6667, ZH-L16C TC5 a = 0.5282
             expect(tc5_A).toBeCloseTo(0.6667, 3);
@@ -893,15 +1022,11 @@ describe('decoModel', () => {
             expect(tc5_A).toBeGreaterThan(tc5_C);
         });
 
-        test('getCompartmentsForVariant returns values without changing state', () => {
-            setZHL16Variant(ZHL16_VARIANTS.C);
-            
+        test('compartment sets are shared and frozen', () => {
             const variantA = getCompartmentsForVariant(ZHL16_VARIANTS.A);
-            const tc5_A = variantA.find(c => c.id === 5).aN2;
-            
-            // Current variant should still be C
-            expect(getZHL16Variant()).toBe('ZH-L16C');
-            expect(tc5_A).toBeCloseTo(0.6667, 3);
+            expect(getCompartmentsForVariant(ZHL16_VARIANTS.A)).toBe(variantA);
+            expect(Object.isFrozen(variantA)).toBe(true);
+            expect(Object.isFrozen(variantA[4])).toBe(true);
         });
 
         test('TC1-4 have same a values across all variants', () => {
@@ -938,9 +1063,147 @@ describe('decoModel', () => {
                 expect(variantA[i].bN2).toBe(variantC[i].bN2);
             }
         });
-        
-        // Restore original variant
-        setZHL16Variant(originalVariant);
+    });
+
+    describe('Per-calculation model', () => {
+        // 90 min at 25 m: TC5 leads, whose a coefficient differs between variants
+        const loadedState = () => simulateDepthTime(createTissueState(), 25, 90, N2_FRACTION);
+
+        test('resolveModel defaults to ZH-L16C and accepts a variant name', () => {
+            expect(resolveModel().variant).toBe('ZH-L16C');
+            expect(resolveModel('ZH-L16A').compartments).toBe(getCompartmentsForVariant(ZHL16_VARIANTS.A));
+            expect(resolveModel({ variant: 'ZH-L16X' }).variant).toBe('ZH-L16C');
+            const resolved = resolveModel({ variant: 'ZH-L16B' });
+            expect(resolveModel(resolved)).toBe(resolved);
+        });
+
+        test('ceilings of different variants can be computed side by side', () => {
+            const tissues = loadedState();
+            const ceilingA = getDiveCeiling(tissues, 1.0, null, null, { variant: 'ZH-L16A' }).ceilingDepth;
+            const ceilingC = getDiveCeiling(tissues, 1.0, null, null, { variant: 'ZH-L16C' }).ceilingDepth;
+            const ceilingDefault = getDiveCeiling(tissues, 1.0).ceilingDepth;
+            // ZH-L16A is the least conservative variant
+            expect(ceilingA).toBeLessThan(ceilingC);
+            expect(ceilingDefault).toBe(ceilingC);
+        });
+
+        test('deco schedule and NDL follow options.model', () => {
+            const tissues = loadedState();
+            const scheduleA = generateDecoSchedule(tissues, 25, N2_FRACTION, 1.0, 1.0, null, { model: { variant: 'ZH-L16A' } });
+            const scheduleC = generateDecoSchedule(tissues, 25, N2_FRACTION, 1.0, 1.0, null, { model: { variant: 'ZH-L16C' } });
+            expect(scheduleA.totalTime).toBeLessThan(scheduleC.totalTime);
+            
+            const ndlA = calculateNDL(18, N2_FRACTION, 1.0, 0, { model: { variant: 'ZH-L16A' } }).ndl;
+            const ndlC = calculateNDL(18, N2_FRACTION, 1.0, 0).ndl;
+            expect(ndlA).toBeGreaterThan(ndlC);
+        });
+
+        test('tissue loading results carry their model to the ceiling series', () => {
+            const profile = [{ time: 0, depth: 0 }, { time: 2, depth: 25 }, { time: 90, depth: 25 }, { time: 93, depth: 0 }];
+            const resultsA = calculateTissueLoading(profile, 0, { model: { variant: 'ZH-L16A' } });
+            const resultsC = calculateTissueLoading(profile, 0);
+            expect(resultsA.model.variant).toBe('ZH-L16A');
+            expect(resultsC.model.variant).toBe('ZH-L16C');
+            const index = resultsA.timePoints.indexOf(90);
+            expect(calculateCeilingTimeSeries(resultsA, 1.0)[index]).toBeLessThan(calculateCeilingTimeSeries(resultsC, 1.0)[index]);
+        });
+
+        test('dive setups are planned with their own model', () => {
+            const gases = [{ id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 }];
+            const setupA = { gases, model: { variant: 'ZH-L16A' } };
+            expect(getModelSettings(setupA).variant).toBe('ZH-L16A');
+            expect(getModelSettings({ gases }).variant).toBe('ZH-L16C');
+            const profileA = generateDecoProfile(40, 30, gases, 100, 100, { model: setupA.model });
+            const profileC = generateDecoProfile(40, 30, gases, 100, 100);
+            expect(profileA.totalDecoTime).toBeLessThan(profileC.totalDecoTime);
+        });
+    });
+
+    describe('Custom compartment models', () => {
+        const gases = [{ id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 }];
+        const haldane = { id: 'haldane', name: 'Haldane', compartments: getCompartmentTable('haldane-5') };
+
+        test('Bühlmann formulas reproduce the ZH-L16A N2 coefficients', () => {
+            const tc1 = getCompartmentsForVariant(ZHL16_VARIANTS.A)[0];
+            const tc16 = getCompartmentsForVariant(ZHL16_VARIANTS.A)[15];
+            expect(getDefaultCoefficients(tc1.halfTime).a).toBeCloseTo(tc1.aN2, 4);
+            expect(getDefaultCoefficients(tc1.halfTime).b).toBeCloseTo(tc1.bN2, 4);
+            expect(getDefaultCoefficients(tc16.halfTime).a).toBeCloseTo(tc16.aN2, 4);
+        });
+
+        test('presets cover the 4.0 min ZH-L16C, classroom and Haldane sets', () => {
+            const fourMin = getCompartmentTable('zhl16c-4min');
+            expect(fourMin.length).toBe(16);
+            expect(fourMin[0].halfTime).toBe(4.0);
+            expect(fourMin[0].aN2).toBe(1.2599);
+            expect(fourMin[4].aN2).toBe(COMPARTMENTS[4].aN2);
+            expect(getCompartmentTable('classroom-8').length).toBe(8);
+            expect(getCompartmentTable('haldane-5').map(r => r.halfTime)).toEqual([5, 10, 20, 40, 75]);
+            expect(Object.keys(COMPARTMENT_PRESETS).length).toBe(3);
+            // Tables are copies the editor can change
+            getCompartmentTable(ZHL16_VARIANTS.C)[0].aN2 = 9;
+            expect(COMPARTMENTS[0].aN2).toBe(1.1696);
+        });
+
+        test('validateCompartmentTable rejects bad half-times and coefficients', () => {
+            expect(validateCompartmentTable([{ halfTime: 5 }]).valid).toBe(true);
+            expect(validateCompartmentTable([]).valid).toBe(false);
+            const { errors } = validateCompartmentTable([{ halfTime: 0 }, { halfTime: 10, bN2: 1.2 }, { halfTime: 20, aHe: -1 }]);
+            expect(errors.length).toBe(3);
+            let message = null;
+            try {
+                buildCustomCompartments([{ halfTime: -5 }]);
+            } catch (error) {
+                message = error.message;
+            }
+            expect(message.includes('Compartment 1')).toBe(true);
+        });
+
+        test('custom tables fill in defaults and resolve by ID from the setup', () => {
+            const compartments = buildCustomCompartments([{ halfTime: 5 }, { halfTime: 26.5, aN2: 0.5 }]);
+            expect(compartments[1].id).toBe(2);
+            expect(compartments[1].aN2).toBe(0.5);
+            expect(compartments[1].halfTimeHe).toBe(10);
+            expect(compartments[0].bHe).toBe(compartments[0].bN2);
+            
+            const setup = { gases, model: { customModelId: 'haldane' }, customModels: [haldane] };
+            const model = getModelSettings(setup);
+            expect(model.variant).toBe('custom');
+            expect(model.name).toBe('Haldane');
+            expect(model.compartments.length).toBe(5);
+            expect(resolveModel(model)).toBe(model);
+            // An unknown ID falls back to the default model
+            expect(getModelSettings({ gases, model: { customModelId: 'missing' } }).variant).toBe('ZH-L16C');
+        });
+
+        test('tissue loading and deco planning use the custom compartments', () => {
+            const profile = [{ time: 0, depth: 0 }, { time: 2, depth: 30 }, { time: 40, depth: 30 }, { time: 43, depth: 0 }];
+            const results = calculateTissueLoading(profile, 0, { model: haldane });
+            expect(Object.keys(results.compartments).length).toBe(5);
+            expect(calculateCeilingTimeSeries(results, 1.0).length).toBe(results.timePoints.length);
+            
+            const classroom = { compartments: getCompartmentTable('classroom-8') };
+            const ndl = calculateNDL(18, N2_FRACTION, 1.0, 0, { model: classroom }).ndl;
+            expect(ndl).toBeGreaterThan(0);
+            // Haldane's 2:1 ratio allows no-stop ascents from 10 m at any time
+            expect(calculateNDL(10, N2_FRACTION, 1.0, 0, { model: haldane }).ndl).toBe(Infinity);
+        });
+
+        test('dive setups validate and normalize custom models', () => {
+            const setup = {
+                gases,
+                dives: [{ waypoints: [{ time: 0, depth: 0 }, { time: 2, depth: 20 }] }],
+                model: { customModelId: 'haldane' },
+                customModels: [haldane]
+            };
+            expect(validateDiveSetup(setup).valid).toBe(true);
+            expect(normalizeDiveSetup(setup).model).toEqual({ customModelId: 'haldane' });
+            expect(normalizeDiveSetup(setup).customModels[0].compartments.length).toBe(5);
+            
+            const broken = { ...setup, customModels: [{ ...haldane, compartments: [{ halfTime: 5, bN2: 0 }] }] };
+            expect(validateDiveSetup(broken).valid).toBe(false);
+            expect(validateDiveSetup({ ...setup, customModels: [] }).valid).toBe(false);
+        });
     });
 
     // ========================================================================
@@ -1450,6 +1713,1668 @@ describe('decoModel', () => {
             expect(firstStop50).toBeGreaterThanOrEqual(firstStop70);
         });
     });
+
+    describe('Helium (trimix)', () => {
+        const TX18_45 = { id: 'tx', name: 'Trimix 18/45', o2: 0.18, n2: 0.37, he: 0.45 };
+        const trimixProfile = [
+            { time: 0, depth: 0 },
+            { time: 3, depth: 60, gasId: 'tx' },
+            { time: 20, depth: 60 },
+            { time: 26, depth: 0 }
+        ];
+
+        test('every compartment has He half-time and a/b coefficients', () => {
+            COMPARTMENTS.forEach(comp => {
+                expect(comp.halfTimeHe).toBeLessThan(comp.halfTime);
+                expect(comp.aHe).toBeGreaterThan(0);
+                expect(comp.bHe).toBeGreaterThan(0);
+            });
+            expect(COMPARTMENTS[0].halfTimeHe).toBe(1.88);
+            expect(COMPARTMENTS[15].aHe).toBe(0.5119);
+        });
+
+        test('getAlveolarHePressure scales with He fraction', () => {
+            expect(getAlveolarHePressure(5.0, 0.5)).toBeCloseTo((5.0 - WATER_VAPOR_PRESSURE) * 0.5, 4);
+            expect(getAlveolarHePressure(5.0)).toBe(0);
+        });
+
+        test('getCombinedCoefficients weights a/b by partial pressure', () => {
+            const comp = COMPARTMENTS[4];
+            const nitrogenOnly = getCombinedCoefficients(comp, 2.0, 0);
+            expect(nitrogenOnly.a).toBe(comp.aN2);
+            expect(nitrogenOnly.b).toBe(comp.bN2);
+
+            const mixed = getCombinedCoefficients(comp, 1.0, 1.0);
+            expect(mixed.a).toBeCloseTo((comp.aN2 + comp.aHe) / 2, 6);
+            expect(mixed.b).toBeCloseTo((comp.bN2 + comp.bHe) / 2, 6);
+        });
+
+        test('calculateTissueLoading tracks per-compartment He pressures', () => {
+            const results = calculateTissueLoading(trimixProfile, 0, { gases: [TX18_45] });
+            const comp1 = results.compartments[1];
+            expect(comp1.hePressures).toHaveLength(results.timePoints.length);
+            expect(comp1.hePressures[0]).toBe(0);
+
+            const bottomIdx = results.timePoints.findIndex(t => t >= 20);
+            expect(comp1.hePressures[bottomIdx]).toBeGreaterThan(2.0);
+            expect(results.heFractions[bottomIdx]).toBe(0.45);
+            // Tissues start saturated with surface air
+            expect(comp1.pressures[0]).toBeCloseTo(getInitialTissueN2(0.79), 4);
+        });
+
+        test('air-only profiles carry zero He pressures', () => {
+            const results = calculateTissueLoading(trimixProfile, 0, { n2Fraction: 0.79 });
+            const maxHe = Math.max(...results.compartments[1].hePressures);
+            expect(maxHe).toBe(0);
+        });
+
+        test('simulateDepthTime returns a {n2, he} state when breathing helium', () => {
+            const after = simulateDepthTime(createTissueState(), 60, 10, TX18_45);
+            expect(after.he[1]).toBeGreaterThan(0);
+            expect(after.n2[1]).toBeLessThan(getAlveolarN2Pressure(getAmbientPressure(60), 0.37) + 0.001);
+        });
+
+        test('ceiling counts helium loading', () => {
+            let state = simulateDepthChange(createTissueState(), 0, 60, 3, TX18_45);
+            state = simulateDepthTime(state, 60, 17, TX18_45);
+            const withHe = getDiveCeiling(state, 1.0);
+            const n2Only = getDiveCeiling(state.n2, 1.0);
+            expect(withHe.ceilingDepth).toBeGreaterThan(n2Only.ceilingDepth);
+        });
+
+        test('calculateCeilingTimeSeries uses He pressures', () => {
+            const results = calculateTissueLoading(trimixProfile, 0, { gases: [TX18_45] });
+            const ceilings = calculateCeilingTimeSeries(results, 1.0, 1.0);
+            const bottomIdx = results.timePoints.findIndex(t => t >= 20);
+            expect(ceilings[bottomIdx]).toBeGreaterThan(0);
+        });
+
+        test('trimix NDL is shorter than ignoring helium', () => {
+            const { ndl: withHe } = calculateNDL(40, 0.37, 1.0, 0.45);
+            const { ndl: n2Only } = calculateNDL(40, 0.37, 1.0);
+            expect(withHe).toBeLessThan(n2Only);
+        });
+
+        test('generateDecoSchedule produces stops for a trimix dive', () => {
+            let state = simulateDepthChange(createTissueState(), 0, 60, 3, TX18_45);
+            state = simulateDepthTime(state, 60, 17, TX18_45);
+            const withHe = generateDecoSchedule(state, 60, TX18_45, 0.5, 0.8);
+            const n2Only = generateDecoSchedule(state.n2, 60, 0.37, 0.5, 0.8);
+            const decoTime = s => s.stops.reduce((sum, st) => sum + st.time, 0);
+            expect(withHe.stops.length).toBeGreaterThan(0);
+            expect(decoTime(withHe)).toBeGreaterThan(decoTime(n2Only));
+        });
+    });
+
+    describe('Environment (altitude / water density)', () => {
+        const ALTITUDE_2000 = { altitude: 2000, waterDensity: 1.025 };
+        const FRESH = { altitude: 0, waterDensity: FRESH_WATER_DENSITY };
+
+        test('default environment is sea level salt water', () => {
+            const env = resolveEnvironment();
+            expect(env.surfacePressure).toBe(SURFACE_PRESSURE);
+            expect(env.pressurePerMeter).toBe(PRESSURE_PER_METER);
+        });
+
+        test('barometric pressure drops with altitude', () => {
+            expect(getAltitudePressure(0)).toBe(SURFACE_PRESSURE);
+            expect(getAltitudePressure(2000)).toBeCloseTo(0.78, 2);
+        });
+
+        test('explicit surfacePressure overrides altitude', () => {
+            const env = resolveEnvironment({ altitude: 2000, surfacePressure: 0.9 });
+            expect(env.surfacePressure).toBe(0.9);
+        });
+
+        test('fresh water adds less pressure per meter', () => {
+            expect(getAmbientPressure(10, FRESH)).toBeCloseTo(1.9756, 3);
+            expect(getAmbientPressure(10, FRESH)).toBeLessThan(getAmbientPressure(10));
+        });
+
+        test('getDepthFromPressure inverts getAmbientPressure', () => {
+            const p = getAmbientPressure(27, ALTITUDE_2000);
+            expect(getDepthFromPressure(p, ALTITUDE_2000)).toBeCloseTo(27, 6);
+        });
+
+        test('tissues start saturated at the altitude surface pressure', () => {
+            const seaLevel = getInitialTissueN2(N2_FRACTION);
+            const altitude = getInitialTissueN2(N2_FRACTION, ALTITUDE_2000);
+            expect(altitude).toBeLessThan(seaLevel);
+        });
+
+        test('NDL is shorter at altitude', () => {
+            const { ndl: sea } = calculateNDL(30, N2_FRACTION, 1.0);
+            const { ndl: alt } = calculateNDL(30, N2_FRACTION, 1.0, 0, { environment: ALTITUDE_2000 });
+            expect(alt).toBeLessThan(sea);
+        });
+
+        test('calculateTissueLoading records the resolved environment', () => {
+            const profile = [{ time: 0, depth: 0 }, { time: 2, depth: 20 }, { time: 12, depth: 20 }, { time: 14, depth: 0 }];
+            const results = calculateTissueLoading(profile, 0, { environment: ALTITUDE_2000 });
+            expect(results.environment.surfacePressure).toBeCloseTo(0.78, 2);
+            expect(results.ambientPressures[0]).toBeCloseTo(results.environment.surfacePressure, 6);
+        });
+    });
+});
+
+// ============================================================================
+// VPM-B MODEL TESTS
+// ============================================================================
+
+/** Tissue state and crushing gradients after descending to depth and staying bottomTime */
+function simulateBottomPhase(depth, bottomTime, gas) {
+    const descentTime = depth / 20;
+    let state = simulateDepthChange(createTissueState(), 0, depth, descentTime, gas);
+    const crushingPressures = getCrushingPressures(state, depth);
+    state = simulateDepthTime(state, depth, bottomTime - descentTime, gas);
+    return { state, crushingPressures };
+}
+
+describe('vpmModel', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const EAN50 = { id: 'ean50', name: 'Nitrox 50', o2: 0.50, n2: 0.50, he: 0 };
+
+    describe('bubble mechanics', () => {
+        test('conservatism 0 uses the nominal critical radii', () => {
+            const radii = getCriticalRadii(0);
+            expect(radii.n2).toBe(CRITICAL_RADIUS_N2);
+            expect(radii.he).toBe(CRITICAL_RADIUS_HE);
+        });
+
+        test('higher conservatism means larger nuclei', () => {
+            expect(getCriticalRadii(4).n2).toBeGreaterThan(getCriticalRadii(2).n2);
+        });
+
+        test('initial allowable gradient for an uncrushed 0.55µm nucleus', () => {
+            // 2γ(γc - γ) / (r γc) = 2 × 0.179 × 2.391 / (0.55 × 2.57)
+            expect(getInitialAllowableGradient(0.55)).toBeCloseTo(0.606, 3);
+        });
+
+        test('crushing shrinks the nucleus', () => {
+            const { crushingPressure, endingRadius } = getCrushedNucleus(0.55, 3, 4);
+            expect(crushingPressure).toBe(3);
+            expect(endingRadius).toBeLessThan(0.55);
+        });
+
+        test('crushing is continuous at the onset of impermeability', () => {
+            const below = getCrushedNucleus(0.55, GRADIENT_ONSET_OF_IMPERMEABILITY - 1e-6, 10);
+            const above = getCrushedNucleus(0.55, GRADIENT_ONSET_OF_IMPERMEABILITY + 1e-6, 10);
+            expect(above.endingRadius).toBeCloseTo(below.endingRadius, 4);
+            expect(above.crushingPressure).toBeCloseTo(below.crushingPressure, 3);
+        });
+
+        test('regeneration over a short dive barely changes the crush', () => {
+            const crushed = getCrushedNucleus(0.55, 3, 4);
+            const regenerated = regenerateNucleus(0.55, crushed.endingRadius, crushed.crushingPressure, 30);
+            expect(regenerated.radius).toBeGreaterThan(crushed.endingRadius);
+            expect(regenerated.crushingPressure).toBeLessThan(3);
+            expect(regenerated.crushingPressure).toBeCloseTo(3, 1);
+        });
+
+        test('critical volume algorithm relaxes the gradient', () => {
+            const initial = getInitialAllowableGradient(0.45);
+            expect(getCriticalVolumeGradient(initial, 3, 30)).toBeGreaterThan(initial);
+        });
+
+        test("Boyle's law compensation shrinks gradients on ascent", () => {
+            expect(getBoyleCompensatedGradient(1.0, 3.0, 3.0)).toBe(1.0);
+            expect(getBoyleCompensatedGradient(1.0, 3.0, 1.3)).toBeLessThan(1.0);
+        });
+    });
+
+    describe('crushing pressures', () => {
+        test('crushing grows with depth for the same tissue state', () => {
+            const surface = getCrushingPressures(createTissueState(), 0);
+            const deep = getCrushingPressures(createTissueState(), 30);
+            // Only the inherent unsaturation at the surface
+            expect(surface[1].gradient).toBeLessThan(0.2);
+            expect(deep[1].gradient).toBeCloseTo(surface[1].gradient + 3, 6);
+        });
+
+        test('peak crushing over a dive is at least the post-descent value', () => {
+            const profile = [{ time: 0, depth: 0 }, { time: 2, depth: 40 }, { time: 20, depth: 40 }, { time: 24, depth: 0 }];
+            const results = calculateTissueLoading(profile, 0);
+            const peak = getMaxCrushingPressures(results);
+            const { crushingPressures } = simulateBottomPhase(40, 2, 0.79);
+            expect(peak[16].gradient).toBeGreaterThan(2.5);
+            expect(peak[1].gradient).toBeGreaterThan(crushingPressures[1].gradient - 0.1);
+        });
+    });
+
+    describe('generateVPMBSchedule', () => {
+        test('returns the same shape as generateDecoSchedule', () => {
+            const { state, crushingPressures } = simulateBottomPhase(40, 25, AIR);
+            const schedule = generateVPMBSchedule(state, 40, AIR, [AIR], { crushingPressures, diveTime: 25 });
+            expect(schedule).toHaveProperty('stops');
+            expect(schedule).toHaveProperty('gasSwitches');
+            expect(schedule).toHaveProperty('totalTime');
+            expect(schedule).toHaveProperty('totalAscentTime');
+            expect(schedule.stops.length).toBeGreaterThan(0);
+        });
+
+        test('stops are on 3m increments, deepest first', () => {
+            const { state, crushingPressures } = simulateBottomPhase(40, 25, AIR);
+            const { stops } = generateVPMBSchedule(state, 40, AIR, [AIR], { crushingPressures });
+            stops.forEach((stop, i) => {
+                expect(stop.depth % 3).toBe(0);
+                if (i > 0) expect(stop.depth).toBeLessThan(stops[i - 1].depth);
+            });
+        });
+
+        test('first stop is deeper than raw Bühlmann', () => {
+            const { state, crushingPressures } = simulateBottomPhase(40, 25, AIR);
+            const vpm = generateVPMBSchedule(state, 40, AIR, [AIR], { crushingPressures, conservatism: 0 });
+            const buhlmann = generateDecoSchedule(state, 40, AIR, 1.0, 1.0, [AIR]);
+            expect(vpm.stops[0].depth).toBeGreaterThan(buhlmann.stops[0].depth);
+        });
+
+        test('higher conservatism gives a longer ascent', () => {
+            const { state, crushingPressures } = simulateBottomPhase(40, 25, AIR);
+            const nominal = generateVPMBSchedule(state, 40, AIR, [AIR], { crushingPressures, conservatism: 0 });
+            const conservative = generateVPMBSchedule(state, 40, AIR, [AIR], { crushingPressures, conservatism: 4 });
+            expect(conservative.totalTime).toBeGreaterThan(nominal.totalTime);
+        });
+
+        test('short shallow dive needs no stops', () => {
+            const { state, crushingPressures } = simulateBottomPhase(12, 20, AIR);
+            const { stops } = generateVPMBSchedule(state, 12, AIR, [AIR], { crushingPressures });
+            expect(stops).toHaveLength(0);
+        });
+
+        test('switches to deco gas at its MOD', () => {
+            const { state, crushingPressures } = simulateBottomPhase(45, 25, AIR);
+            const schedule = generateVPMBSchedule(state, 45, AIR, [AIR, EAN50], { crushingPressures });
+            expect(schedule.gasSwitches).toHaveLength(1);
+            expect(schedule.gasSwitches[0].depth).toBe(21);
+            schedule.stops.filter(s => s.depth <= 21).forEach(s => expect(s.gas).toBe('Nitrox 50'));
+        });
+    });
+});
+
+describe('decoAlgorithms', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const DECO_SETUP = {
+        gases: [AIR],
+        gfLow: 50,
+        gfHigh: 80,
+        dives: [{
+            waypoints: [
+                { time: 0, depth: 0 },
+                { time: 2, depth: 40, gasId: 'air' },
+                { time: 25, depth: 40 },
+                { time: 29, depth: 0 }
+            ]
+        }]
+    };
+
+    test('registry has Bühlmann GF and VPM-B', () => {
+        expect(DECO_ALGORITHMS['buhlmann-gf'].name).toBe('Bühlmann GF');
+        expect(DECO_ALGORITHMS['vpm-b'].name).toBe('VPM-B');
+    });
+
+    test('unknown IDs fall back to the default', () => {
+        expect(getDecoAlgorithm('nope').id).toBe(DEFAULT_DECO_ALGORITHM);
+    });
+
+    test('Bühlmann engine matches generateDecoSchedule', () => {
+        const { state } = simulateBottomPhase(40, 25, AIR);
+        const viaRegistry = generateAlgorithmSchedule('buhlmann-gf', state, 40, AIR, [AIR], { gfLow: 0.5, gfHigh: 0.8 });
+        const direct = generateDecoSchedule(state, 40, AIR, 0.5, 0.8, [AIR]);
+        expect(viaRegistry.totalTime).toBe(direct.totalTime);
+        expect(viaRegistry.stops).toEqual(direct.stops);
+    });
+
+    test('compareAscentSchedules starts both ascents at the end of the bottom', () => {
+        const comparison = compareAscentSchedules(DECO_SETUP);
+        expect(comparison.startTime).toBe(25);
+        expect(comparison.startDepth).toBe(40);
+        expect(comparison.schedules).toHaveLength(2);
+        comparison.schedules.forEach(entry => {
+            expect(entry.points[0]).toEqual({ time: 25, depth: 40 });
+            expect(entry.points[entry.points.length - 1].depth).toBe(0);
+        });
+        expect(comparison.schedules[0].label).toBe('Bühlmann GF 50/80');
+    });
+
+    test('scheduleToPoints spans the schedule total time', () => {
+        const schedule = { stops: [{ depth: 6, time: 2 }, { depth: 3, time: 5 }], totalTime: 10 };
+        const points = scheduleToPoints(schedule, 20, 30);
+        expect(points[points.length - 1].time).toBeCloseTo(30, 6);
+    });
+
+    test('scheduleToPoints marks gas switches on the way', () => {
+        const schedule = {
+            stops: [{ depth: 6, time: 2 }, { depth: 3, time: 5 }],
+            gasSwitches: [{ depth: 21, gas: 'EAN50', gasId: 'ean50' }, { depth: 6, gas: 'O2', gasId: 'o2' }],
+            totalTime: 10
+        };
+        const points = scheduleToPoints(schedule, 20, 30);
+        expect(points[1]).toEqual({ time: 20.9, depth: 21, gasId: 'ean50' });
+        expect(points[2].gasId).toBe('o2');
+        expect(points[points.length - 1].time).toBeCloseTo(30, 6);
+    });
+
+    test('generateDecoProfile plans with VPM-B when selected', () => {
+        const gases = [AIR];
+        const vpm = generateDecoProfile(40, 25, gases, 50, 80, { algorithm: 'vpm-b' });
+        const gf = generateDecoProfile(40, 25, gases, 50, 80);
+        expect(vpm.requiresDeco).toBe(true);
+        expect(vpm.decoStops[0].depth).toBeGreaterThan(gf.decoStops[0].depth);
+        expect(vpm.waypoints[vpm.waypoints.length - 1].depth).toBe(0);
+    });
+
+    test('sweepGradientFactors matches the schedule of each GF pair', () => {
+        const sweep = sweepGradientFactors(DECO_SETUP, { gfLows: [30, 50, 90], gfHighs: [70, 80] });
+        expect(sweep.startTime).toBe(25);
+        expect(sweep.cells).toHaveLength(3);
+        expect(sweep.cells[2][0]).toBe(null);
+        const cell = sweep.cells[1][1];
+        const direct = compareAscentSchedules(DECO_SETUP).schedules[0].schedule;
+        expect(cell.runtime).toBeCloseTo(25 + direct.totalTime, 6);
+        expect(cell.firstStopDepth).toBe(direct.stops[0].depth);
+        // Lower GF High surfaces earlier and less loaded; lower GF Low starts deeper
+        expect(sweep.cells[1][0].runtime).toBeGreaterThan(cell.runtime);
+        expect(sweep.cells[0][1].firstStopDepth).toBeGreaterThan(cell.firstStopDepth);
+        expect(sweep.cells[1][0].maxGF99).toBeLessThan(cell.maxGF99);
+        expect(cell.maxGF99).toBeGreaterThan(70);
+        expect(cell.maxGF99).toBeLessThan(85);
+        expect(sweepGradientFactors({ gases: [AIR], dives: [] })).toBe(null);
+    });
+});
+
+describe('CCR (constant ppO2 loop)', () => {
+    const AIR = { id: 'dil', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const TX = { id: 'tx', name: 'Trimix 21/35', o2: 0.21, n2: 0.44, he: 0.35 };
+    const EAN50 = { id: 'ean50', name: 'Nitrox 50', o2: 0.50, n2: 0.50, he: 0 };
+    const CCR = { diluentId: 'dil', setpointLow: 0.7, setpointHigh: 1.3, setpointSwitchDepth: 20 };
+    const PROFILE = [
+        { time: 0, depth: 0 },
+        { time: 2, depth: 40, gasId: 'dil' },
+        { time: 30, depth: 40 },
+        { time: 34, depth: 0 }
+    ];
+    // First time index at or after a time (10 s steps accumulate rounding)
+    const indexAt = (results, time) => results.timePoints.findIndex(t => t >= time - 1e-9);
+
+    test('loop splits the non-oxygen part in the diluent N2:He ratio', () => {
+        const fractions = getBreathingFractions(createLoopGas(TX, 1.3), 5.0);
+        expect(fractions.o2).toBeCloseTo(0.26, 6);
+        expect(fractions.n2).toBeCloseTo(0.74 * 0.44 / 0.79, 6);
+        expect(fractions.he).toBeCloseTo(0.74 * 0.35 / 0.79, 6);
+    });
+
+    test('open-circuit gases breathe their own fractions', () => {
+        const fractions = getBreathingFractions(AIR, 5.0);
+        expect(fractions.n2).toBe(0.79);
+        expect(fractions.o2).toBeCloseTo(0.21, 6);
+    });
+
+    test('loop ppO2 is capped by ambient pressure and floored by the diluent', () => {
+        expect(getLoopPpO2(1.0, createLoopGas(AIR, 1.3))).toBe(1.0);
+        expect(getLoopPpO2(3.0, createLoopGas(AIR, 1.3))).toBe(1.3);
+        expect(getLoopPpO2(9.0, createLoopGas(AIR, 0.7))).toBeCloseTo(1.89, 6);
+    });
+
+    test('setpoint switches when the profile first reaches the switch depth', () => {
+        expect(getSetpointSwitchTime(PROFILE, 20)).toBe(1);
+        expect(getSetpointSwitchTime(PROFILE, 50)).toBe(Infinity);
+    });
+
+    test('tissue loading follows the setpoints', () => {
+        const results = calculateTissueLoading(PROFILE, 0, { gases: [AIR], ccr: CCR });
+        const bottom = indexAt(results, 20);
+        expect(results.ppO2Pressures[0]).toBeCloseTo(0.7, 6);
+        expect(results.ppO2Pressures[bottom]).toBeCloseTo(1.3, 6);
+        expect(results.setpoints[bottom]).toBe(1.3);
+        expect(results.n2Fractions[bottom]).toBeCloseTo(1 - 1.3 / 5.0, 6);
+    });
+
+    test('loop at 1.3 bar loads less nitrogen than open-circuit air', () => {
+        const oc = calculateTissueLoading(PROFILE, 0, { gases: [AIR] });
+        const cc = calculateTissueLoading(PROFILE, 0, { gases: [AIR], ccr: CCR });
+        const bottom = indexAt(oc, 30);
+        expect(cc.compartments[1].pressures[bottom]).toBeLessThan(oc.compartments[1].pressures[bottom]);
+    });
+
+    test('non-diluent gases are breathed open circuit', () => {
+        const profile = [...PROFILE.slice(0, 3), { time: 31, depth: 30, gasId: 'tx' }, { time: 34, depth: 0 }];
+        const results = calculateTissueLoading(profile, 0, { gases: [AIR, TX], ccr: CCR });
+        const onTrimix = indexAt(results, 32);
+        expect(results.setpoints[onTrimix]).toBeNull();
+        expect(results.heFractions[onTrimix]).toBe(0.35);
+    });
+
+    test('CCR deco profile needs less deco than open-circuit air', () => {
+        const oc = generateDecoProfile(40, 30, [AIR], 50, 80);
+        const cc = generateDecoProfile(40, 30, [AIR], 50, 80, { ccr: CCR });
+        expect(cc.requiresDeco).toBe(true);
+        expect(cc.totalDecoTime).toBeLessThan(oc.totalDecoTime);
+        expect(cc.ndl).toBeGreaterThan(oc.ndl);
+    });
+
+    test('oxygen exposure integrates the breathed ppO2', () => {
+        const exposure = calculateOxygenExposure({ timePoints: [0, 60], ppO2Pressures: [1.3, 1.3] });
+        expect(exposure.cns).toBeCloseTo(100 / 3, 6);
+        expect(exposure.otu).toBeCloseTo(60 * Math.pow(1.6, 0.83), 6);
+        expect(exposure.maxPpO2).toBe(1.3);
+    });
+
+    test('getCCRSettings is null on open circuit and fills defaults on CCR', () => {
+        expect(getCCRSettings({ gases: [AIR] })).toBeNull();
+        const ccr = getCCRSettings({ breathingMode: 'ccr', ccr: { diluentId: 'dil' } });
+        expect(ccr.setpointHigh).toBe(1.3);
+        expect(ccr.bailoutTime).toBeNull();
+    });
+
+    test('bailout starts on a breathable gas and switches to deco gas at its MOD', () => {
+        const bo = { ...AIR, id: 'bo' };
+        const setup = { breathingMode: 'ccr', ccr: CCR, gases: [AIR, bo, EAN50], gfLow: 50, gfHigh: 80, dives: [{ waypoints: PROFILE }] };
+        const bailout = planBailout(setup, 20);
+        expect(bailout.depth).toBe(40);
+        expect(bailout.gas.id).toBe('bo');
+        expect(bailout.schedule.gasSwitches[0].gasId).toBe('ean50');
+        expect(bailout.points[0].depth).toBe(40);
+        expect(planBailout({ ...setup, breathingMode: 'oc' }, 20)).toBeNull();
+    });
+});
+
+// ============================================================================
+// GF99 / SURFACE GF
+// ============================================================================
+
+describe('GF99 and Surface GF', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const PROFILE = [
+        { time: 0, depth: 0, gasId: 'air' },
+        { time: 2, depth: 40 },
+        { time: 25, depth: 40 },
+        { time: 29, depth: 0 }
+    ];
+    const results = calculateTissueLoading(PROFILE, 10, { gases: [AIR] });
+    const series = calculateGF99TimeSeries(results);
+    const stateAt = i => {
+        const state = { n2: {}, he: {} };
+        Object.entries(results.compartments).forEach(([id, comp]) => {
+            state.n2[id] = comp.pressures[i];
+            state.he[id] = comp.hePressures ? comp.hePressures[i] : 0;
+        });
+        return state;
+    };
+
+    test('GF is the fraction of the raw M-value gradient in use', () => {
+        const state = { n2: {}, he: {} };
+        COMPARTMENTS.forEach(c => { state.n2[c.id] = 2.0; state.he[c.id] = 0; });
+        const gfs = COMPARTMENTS.map(c => (2.0 - 1.0) / (getMValue(1.0, c.aN2, c.bN2) - 1.0) * 100);
+        const expected = Math.max(...gfs);
+        const { gf, compartment } = getSupersaturationGF(state, 1.0);
+        expect(gf).toBeCloseTo(expected, 6);
+        expect(compartment).toBe(COMPARTMENTS[gfs.indexOf(expected)].id);
+    });
+
+    test('saturated tissues read 0% with no leading compartment', () => {
+        expect(series.gf99[0]).toBe(0);
+        expect(series.gf99Compartments[0]).toBeNull();
+        expect(series.surfaceGF[0]).toBe(0);
+    });
+
+    test('GF99 is 0 while on-gassing at depth but Surface GF is not', () => {
+        const i = results.timePoints.findIndex(t => t >= 20);
+        expect(series.gf99[i]).toBe(0);
+        expect(series.surfaceGF[i]).toBeGreaterThan(0);
+        expect(series.surfaceGFCompartments[i]).toBeDefined();
+    });
+
+    test('Surface GF is never below GF99 and equals it at the surface', () => {
+        series.gf99.forEach((gf, i) => expect(series.surfaceGF[i]).toBeGreaterThanOrEqual(gf - 1e-9));
+        const last = results.timePoints.length - 1;
+        expect(series.gf99[last]).toBeCloseTo(series.surfaceGF[last], 9);
+    });
+
+    test('Surface GF is the GF at which the ceiling reaches the surface', () => {
+        const i = results.timePoints.findIndex(t => t >= 25);
+        const surfaceGF = series.surfaceGF[i] / 100;
+        expect(getDiveCeiling(stateAt(i), surfaceGF + 0.01).ceilingDepth).toBe(0);
+        expect(getDiveCeiling(stateAt(i), surfaceGF - 0.01).ceilingDepth).toBeGreaterThan(0);
+    });
+});
+
+// ============================================================================
+// TIME TO SURFACE
+// ============================================================================
+
+describe('TTS time series', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const EAN50 = { id: 'ean50', name: 'Nitrox 50', o2: 0.50, n2: 0.50, he: 0 };
+    const PROFILE = [
+        { time: 0, depth: 0, gasId: 'air' },
+        { time: 2, depth: 40 },
+        { time: 35, depth: 40 },
+        { time: 39, depth: 0 }
+    ];
+    const results = calculateTissueLoading(PROFILE, 5, { gases: [AIR, EAN50] });
+    const params = { gfLow: 0.3, gfHigh: 0.85 };
+    const series = calculateTTSTimeSeries(results, [AIR, EAN50], params);
+    const indexAt = time => results.timePoints.findIndex(t => t >= time - 1e-9);
+
+    test('TTS is zero at the surface', () => {
+        expect(series.tts[0]).toBe(0);
+        expect(series.tts[series.tts.length - 1]).toBe(0);
+        expect(series.extraTime).toBe(5);
+    });
+
+    test('TTS matches a schedule from the tissue state at that sample', () => {
+        const i = indexAt(30);
+        const tissues = { n2: {}, he: {} };
+        Object.entries(results.compartments).forEach(([id, comp]) => {
+            tissues.n2[id] = comp.pressures[i];
+            tissues.he[id] = comp.hePressures[i];
+        });
+        const schedule = generateDecoSchedule(tissues, 40, AIR, 0.3, 0.85, [AIR, EAN50]);
+        expect(series.tts[i]).toBeCloseTo(schedule.totalTime, 6);
+    });
+
+    test('deco obligation grows during the bottom phase', () => {
+        expect(series.tts[indexAt(30)]).toBeGreaterThan(series.tts[indexAt(10)]);
+        expect(series.ttsPlus[indexAt(30)]).toBeGreaterThan(series.tts[indexAt(30)]);
+    });
+
+    test('values are held between computed samples', () => {
+        const coarse = calculateTTSTimeSeries(results, [AIR, EAN50], params, { interval: 5 });
+        expect(coarse.tts[indexAt(31)]).toBe(coarse.tts[indexAt(30)]);
+        expect(coarse.tts[indexAt(30)]).toBeCloseTo(series.tts[indexAt(30)], 6);
+    });
+});
+
+// ============================================================================
+// REPETITIVE-DIVE NDL
+// ============================================================================
+
+describe('NDL from a residual tissue state', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const DIVE1 = [
+        { time: 0, depth: 0 },
+        { time: 2, depth: 30 },
+        { time: 20, depth: 30 },
+        { time: 23, depth: 5 },
+        { time: 26, depth: 5 },
+        { time: 27, depth: 0 }
+    ];
+    const DIVE2 = [{ time: 0, depth: 0 }, { time: 2, depth: 18 }, { time: 30, depth: 18 }, { time: 32, depth: 0 }];
+    const setupWithSI = si => ({ gases: [AIR], dives: [{ waypoints: DIVE1 }, { surfaceIntervalBefore: si, waypoints: DIVE2 }] });
+
+    test('first dive has no residual state', () => {
+        expect(getResidualTissueState(setupWithSI(60), 0)).toBeNull();
+        expect(getResidualTissueState({ gases: [AIR], dives: [{ waypoints: DIVE1 }] }, 1)).toBeNull();
+    });
+
+    test('residual loading shortens the NDL of the second dive', () => {
+        const tissues = getResidualTissueState(setupWithSI(60), 1);
+        const fresh = calculateNDL(18, 0.79, 0.8).ndlExact;
+        const repetitive = calculateNDL(18, 0.79, 0.8, 0, { tissues }).ndlExact;
+        expect(repetitive).toBeLessThan(fresh - 1);
+        expect(getNDLForDepth(18, AIR, 80, null, null, null, tissues).ndlExact).toBe(repetitive);
+    });
+
+    test('a longer surface interval gives back NDL', () => {
+        const short = calculateNDL(18, 0.79, 0.5, 0, { tissues: getResidualTissueState(setupWithSI(30), 1) }).ndl;
+        const long = calculateNDL(18, 0.79, 0.5, 0, { tissues: getResidualTissueState(setupWithSI(360), 1) }).ndl;
+        expect(long).toBeGreaterThan(short);
+    });
+
+    test('surface-saturated start state matches the default NDL', () => {
+        const ndl = calculateNDL(30, 0.79, 0.7, 0, { tissues: createTissueState(0.79) }).ndlExact;
+        expect(ndl).toBeCloseTo(calculateNDL(30, 0.79, 0.7).ndlExact, 6);
+    });
+
+    test('generated repetitive profile starts from the residual loading', () => {
+        const tissues = getResidualTissueState(setupWithSI(30), 1);
+        const fresh = generateDecoProfile(30, 25, [AIR], 50, 80);
+        const repetitive = generateDecoProfile(30, 25, [AIR], 50, 80, { tissues });
+        expect(repetitive.ndl).toBeLessThan(fresh.ndl);
+        expect(repetitive.totalDecoTime).toBeGreaterThan(fresh.totalDecoTime);
+    });
+});
+
+// ============================================================================
+// MULTI-DIVE TIMELINE
+// ============================================================================
+
+describe('Multi-dive timeline', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const O2 = { id: 'o2', name: 'Oxygen', o2: 1.0, n2: 0, he: 0 };
+    const DIVE1 = [
+        { time: 0, depth: 0 },
+        { time: 2, depth: 30 },
+        { time: 25, depth: 30 },
+        { time: 29, depth: 6, gasId: 'o2' },
+        { time: 37, depth: 6 },
+        { time: 38, depth: 0 }
+    ];
+    const DIVE2 = [{ time: 0, depth: 0 }, { time: 2, depth: 18 }, { time: 30, depth: 18 }, { time: 32, depth: 0 }];
+    const setup = {
+        gases: [AIR, O2],
+        dives: [{ waypoints: DIVE1 }, { surfaceIntervalBefore: 60, waypoints: DIVE2 }]
+    };
+    const indexAt = (results, time) => results.timePoints.findIndex(t => t >= time - 1e-9);
+
+    test('timeline places dives and surface intervals', () => {
+        const timeline = getDiveSetupTimeline(setup);
+        expect(timeline.dives.length).toBe(2);
+        expect(timeline.dives[0]).toEqual({ index: 0, label: 'Dive 1', startTime: 0, endTime: 38, maxDepth: 30 });
+        expect(timeline.dives[1]).toEqual({ index: 1, label: 'Dive 2', startTime: 98, endTime: 130, maxDepth: 18 });
+        expect(timeline.surfaceIntervals).toEqual([{ startTime: 38, endTime: 98, duration: 60, beforeDive: 1 }]);
+        expect(timeline.waypoints[timeline.waypoints.length - 1].time).toBe(130);
+    });
+
+    test('merged waypoints flag the surface interval and restart on the first gas', () => {
+        const waypoints = getDiveSetupWaypoints(setup);
+        expect(waypoints[5].surfaceInterval).toBe(true);
+        expect(waypoints[6].gasId).toBe('air');
+        expect(waypoints.filter(wp => wp.surfaceInterval).length).toBe(1);
+    });
+
+    test('surface interval is breathed as air and dive 2 starts on its bottom gas', () => {
+        const results = calculateTissueLoading(getDiveSetupWaypoints(setup), 0, { gases: setup.gases });
+        expect(results.n2Fractions[indexAt(results, 33)]).toBe(0);
+        expect(results.n2Fractions[indexAt(results, 60)]).toBeCloseTo(0.79, 6);
+        expect(results.gasNames[indexAt(results, 60)]).toBe('Air');
+        expect(results.n2Fractions[indexAt(results, 110)]).toBeCloseTo(0.79, 6);
+        // The only switch is the one onto oxygen in dive 1
+        expect(results.gasSwitches.length).toBe(1);
+        expect(results.gasSwitches[0].gasId).toBe('o2');
+    });
+
+    test('tissues at the start of dive 2 carry the residual loading', () => {
+        const results = calculateTissueLoading(getDiveSetupWaypoints(setup), 0, { gases: setup.gases });
+        const residual = getResidualTissueState(setup, 1);
+        const start = indexAt(results, 98);
+        expect(results.compartments[5].pressures[start]).toBeCloseTo(residual.n2[5], 2);
+        expect(results.compartments[5].pressures[start]).toBeGreaterThan(results.compartments[5].pressures[0]);
+    });
+
+    test('chart consumption charges dive 2 to its own bottom gas', () => {
+        const normalized = normalizeDiveSetup({ ...setup, sacRate: 20 });
+        const { results, gasConsumption } = calculateProfileChartData(normalized, { showGasConsumption: true });
+        const start = indexAt(results, 98);
+        const end = results.timePoints.length - 1;
+        const waypoints = getDiveSetupWaypoints(normalized);
+        const dive2 = calculateGasUsage(waypoints.slice(6), normalized.gases, getSegmentSacRates(waypoints.slice(6), normalized));
+        expect(gasConsumption.air.consumption[end] - gasConsumption.air.consumption[start]).toBeCloseTo(dive2.air, 0);
+        expect(gasConsumption.o2.consumption[end]).toBeCloseTo(gasConsumption.o2.consumption[start], 6);
+        const direct = calculateGasUsage(waypoints, normalized.gases, getSegmentSacRates(waypoints, normalized));
+        const total = gasData => gasData.consumption[end];
+        expect(total(gasConsumption.air) + total(gasConsumption.o2)).toBeCloseTo(direct.air + direct.o2, 6);
+    });
+
+    test('single dive timeline has no surface intervals', () => {
+        const timeline = getDiveSetupTimeline({ gases: [AIR], dives: [{ waypoints: DIVE2 }] });
+        expect(timeline.dives.length).toBe(1);
+        expect(timeline.surfaceIntervals).toEqual([]);
+        expect(timeline.waypoints.some(wp => wp.surfaceInterval)).toBe(false);
+    });
+});
+
+// ============================================================================
+// POST-DIVE ALTITUDE & NO-FLY
+// ============================================================================
+
+describe('Post-dive altitude and no-fly', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const DIVE = [
+        { time: 0, depth: 0 },
+        { time: 2, depth: 30 },
+        { time: 25, depth: 30 },
+        { time: 29, depth: 6 },
+        { time: 37, depth: 6 },
+        { time: 38, depth: 0 }
+    ];
+    const tissuesAt = (results, index) => {
+        const tissues = { n2: {}, he: {} };
+        Object.entries(results.compartments).forEach(([id, comp]) => {
+            tissues.n2[id] = comp.pressures[index];
+            tissues.he[id] = comp.hePressures[index];
+        });
+        return tissues;
+    };
+    const surfacingState = () => {
+        const results = calculateTissueLoading(DIVE, 0, { gases: [AIR] });
+        return tissuesAt(results, results.timePoints.length - 1);
+    };
+
+    test('resolvePostDive drops empty exposures and sorts by start', () => {
+        expect(resolvePostDive()).toEqual({ exposures: [], noFlyAltitude: CABIN_ALTITUDE });
+        const resolved = resolvePostDive({
+            exposures: [{ start: 120, duration: 60, altitude: 2400 }, { start: 30, duration: 0, altitude: 900 }, { start: 10, duration: 20, altitude: 1500 }],
+            noFlyAltitude: 3000
+        });
+        expect(resolved.exposures.map(e => e.start)).toEqual([10, 120]);
+        expect(resolved.noFlyAltitude).toBe(3000);
+        expect(getAltitudeExposureAt(resolved.exposures, 15).altitude).toBe(1500);
+        expect(getAltitudeExposureAt(resolved.exposures, 30)).toBeNull();
+        expect(getPostDiveSettings({}).noFlyAltitude).toBe(CABIN_ALTITUDE);
+    });
+
+    test('altitude exposures lower the ambient pressure and extend the timeline', () => {
+        const exposure = { start: 30, duration: 60, altitude: 2400 };
+        const results = calculateTissueLoading(DIVE, 10, { gases: [AIR], altitudeExposures: [exposure] });
+        const during = results.timePoints.findIndex(t => t >= 38 + 45);
+        expect(results.ambientPressures[during]).toBeCloseTo(getAltitudePressure(2400), 6);
+        expect(results.depthPoints[during]).toBe(0);
+        expect(results.timePoints[results.timePoints.length - 1]).toBeGreaterThan(38 + 89);
+        expect(results.altitudeExposures).toEqual([exposure]);
+        // Fast tissues off-gas further at the lower pressure
+        const seaLevel = calculateTissueLoading(DIVE, 90, { gases: [AIR] });
+        expect(results.compartments[1].pressures[during]).toBeLessThan(seaLevel.compartments[1].pressures[during]);
+    });
+
+    test('no-fly time is zero for saturated tissues and positive after a dive', () => {
+        expect(calculateNoFlyTime(createTissueState(0.79), 0.85).time).toBe(0);
+        const noFly = calculateNoFlyTime(surfacingState(), 0.85);
+        expect(noFly.time).toBeGreaterThan(0);
+        expect(noFly.altitude).toBe(CABIN_ALTITUDE);
+        expect(noFly.controllingCompartment).toBeGreaterThan(0);
+    });
+
+    test('higher altitude and lower GF High mean a longer no-fly wait', () => {
+        const tissues = surfacingState();
+        const cabin = calculateNoFlyTime(tissues, 0.85).time;
+        expect(calculateNoFlyTime(tissues, 0.85, { altitude: 4000 }).time).toBeGreaterThan(cabin);
+        expect(calculateNoFlyTime(tissues, 0.6).time).toBeGreaterThan(cabin);
+        expect(calculateNoFlyTime(tissues, 0.85, { altitude: 0 }).time).toBeLessThan(cabin);
+    });
+
+    test('desaturation takes longer than the no-fly wait', () => {
+        expect(calculateDesaturationTime(createTissueState(0.79)).time).toBe(0);
+        const tissues = surfacingState();
+        const desat = calculateDesaturationTime(tissues);
+        expect(desat.time).toBeGreaterThan(calculateNoFlyTime(tissues, 0.85).time);
+        expect(calculateDesaturationTime(tissues, null, { maxTime: 10 }).time).toBeNull();
+    });
+
+    test('getPostDiveTimes uses the setup GF High and no-fly altitude', () => {
+        const setup = { gases: [AIR], gfLow: 50, gfHigh: 85, dives: [{ waypoints: DIVE }], postDive: { noFlyAltitude: 3000 } };
+        const times = getPostDiveTimes(setup);
+        expect(times.surfacingTime).toBe(38);
+        expect(times.noFly.altitude).toBe(3000);
+        expect(times.noFly.time).toBe(calculateNoFlyTime(surfacingState(), 0.85, { altitude: 3000 }).time);
+        expect(getPostDiveTimes({ gases: [AIR], dives: [] })).toBeNull();
+    });
+
+    test('an altitude exposure before its no-fly wait is unsafe and shows a ceiling', () => {
+        const { waypoints } = generateDecoProfile(40, 25, [AIR], 30, 80);
+        const surfacing = waypoints[waypoints.length - 1].time;
+        const early = { start: 5, duration: 120, altitude: 2400 };
+        const setup = { gases: [AIR], gfLow: 30, gfHigh: 80, dives: [{ waypoints }], postDive: { exposures: [early] } };
+        const [exposure] = getPostDiveTimes(setup).exposures;
+        expect(exposure.safeStart).toBe(getPostDiveTimes({ ...setup, postDive: {} }).noFly.time);
+        expect(exposure.safeStart).toBeGreaterThan(early.start);
+        expect(exposure.safe).toBe(false);
+        const late = { ...early, start: exposure.safeStart };
+        expect(getPostDiveTimes({ ...setup, postDive: { exposures: [late] } }).exposures[0].safe).toBe(true);
+        // The ceiling is measured from the exposure's surface, not the dive site's
+        const results = calculateTissueLoading(waypoints, 0, { gases: [AIR], altitudeExposures: [early] });
+        const during = results.timePoints.findIndex(t => t >= surfacing + 30);
+        const ceilingDepth = calculateCeilingTimeSeries(results, 0.3, 0.8)[during];
+        expect(ceilingDepth).toBeGreaterThan(0);
+        expect(ceilingDepth).toBeCloseTo(getDiveCeiling(tissuesAt(results, during), 0.8, null, { altitude: 2400 }).ceilingDepth, 6);
+        expect(calculateCeilingTimeSeries(calculateTissueLoading(waypoints, 150, { gases: [AIR] }), 0.3, 0.8)[during]).toBe(0);
+    });
+});
+
+// ============================================================================
+// PLANNER SETTINGS
+// ============================================================================
+
+describe('Planner settings', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    // 40m / 30min on air, tissues at the start of the ascent
+    const bottomTissues = () => {
+        const descended = simulateDepthChange(createTissueState(0.79), 0, 40, 2, AIR);
+        return simulateDepthTime(descended, 40, 28, AIR);
+    };
+    const schedule = planner => generateDecoSchedule(bottomTissues(), 40, AIR, 0.3, 0.85, [AIR], { planner });
+
+    test('resolvePlanner fills defaults and ignores invalid values', () => {
+        expect(resolvePlanner()).toEqual(DEFAULT_PLANNER);
+        const planner = resolvePlanner({ ascentRate: 9, stopIncrement: 0, lastStopDepth: 6 });
+        expect(planner.ascentRate).toBe(9);
+        expect(planner.stopIncrement).toBe(3);
+        expect(planner.lastStopDepth).toBe(6);
+        expect(getPlannerSettings({}).descentRate).toBe(20);
+    });
+
+    test('stops shallower than the last stop go straight to the surface', () => {
+        const planner = resolvePlanner({ lastStopDepth: 6 });
+        expect(getNextStopDepth(9, planner)).toBe(6);
+        expect(getNextStopDepth(6, planner)).toBe(0);
+        expect(getNextStopDepth(6, DEFAULT_PLANNER)).toBe(3);
+    });
+
+    test('default planner keeps the original schedule', () => {
+        expect(schedule(null)).toEqual(schedule({ ...DEFAULT_PLANNER }));
+        expect(schedule(null).stops[schedule(null).stops.length - 1].depth).toBe(3);
+    });
+
+    test('a 6 m last stop replaces the 3 m stop', () => {
+        const stops = schedule({ lastStopDepth: 6 }).stops;
+        expect(stops.some(s => s.depth === 3)).toBe(false);
+        expect(stops[stops.length - 1].depth).toBe(6);
+        const default6m = schedule(null).stops.find(s => s.depth === 6).time;
+        expect(stops[stops.length - 1].time).toBeGreaterThan(default6m);
+    });
+
+    test('30 s rounding gives half-minute stops and no longer deco', () => {
+        const half = schedule({ stopRounding: 0.5 });
+        half.stops.forEach(s => expect(Number.isInteger(s.time * 2)).toBe(true));
+        expect(half.totalTime).toBeLessThanOrEqual(schedule(null).totalTime);
+    });
+
+    test('slower ascent rates lengthen the ascent', () => {
+        const slow = schedule({ ascentRate: 9, decoAscentRate: 3 });
+        const normal = schedule(null);
+        expect(slow.totalAscentTime).toBeGreaterThan(normal.totalAscentTime);
+        // At least the travel from the first recorded stop at 3 m/min
+        expect(slow.totalAscentTime).toBeGreaterThanOrEqual((40 - slow.stops[0].depth) / 9 + slow.stops[0].depth / 3);
+    });
+
+    test('VPM-B follows the last stop depth', () => {
+        const stops = generateVPMBSchedule(bottomTissues(), 40, AIR, [AIR], { planner: { lastStopDepth: 6 } }).stops;
+        expect(stops.some(s => s.depth === 3)).toBe(false);
+        expect(stops[stops.length - 1].depth).toBe(6);
+    });
+
+    test('NDL and generated profiles use the descent rate', () => {
+        expect(calculateNDL(30, 0.79, 1.0, 0, { planner: { descentRate: 10 } }).descentTime).toBe(3);
+        const profile = generateDecoProfile(30, 15, [AIR], 100, 100, { planner: { descentRate: 10 } });
+        expect(profile.waypoints[1].time).toBe(3);
+        expect(generateSimpleProfile(30, 15, { descentRate: 10 })[1].time).toBe(3);
+    });
+
+    test('generated deco profile uses the deco ascent rate after the first stop', () => {
+        const planner = { ascentRate: 9, decoAscentRate: 3, lastStopDepth: 6 };
+        const result = generateDecoProfile(40, 30, [AIR], 30, 85, { planner });
+        const last = result.waypoints[result.waypoints.length - 1];
+        const beforeLast = result.waypoints[result.waypoints.length - 2];
+        expect(beforeLast.depth).toBe(6);
+        expect(last.time - beforeLast.time).toBe(2);
+    });
+
+    test('scheduleToPoints draws travel at the planner rates', () => {
+        const points = scheduleToPoints({ stops: [{ depth: 6, time: 2 }] }, 30, 42, { ascentRate: 9, decoAscentRate: 3 });
+        expect(points[1].time).toBeCloseTo(34, 6);
+        expect(points[3].time).toBeCloseTo(38, 6);
+    });
+
+    test('ceiling GF interpolation starts from the first stop at the stop increment', () => {
+        const { waypoints } = generateDecoProfile(40, 30, [AIR], 30, 85);
+        const gfAtStop = stopIncrement => {
+            const results = calculateTissueLoading(waypoints, 0, { gases: [AIR], planner: { stopIncrement } });
+            expect(results.planner.stopIncrement).toBe(stopIncrement);
+            const index = results.depthPoints.findIndex((depth, i) => i > 0 && depth === 15);
+            const { gfValues } = calculateCeilingTimeSeriesDetailed(results, 0.3, 0.85);
+            return { gf: gfValues[index], ambient: results.ambientPressures[index] };
+        };
+        // The ceiling at the start of the ascent rounds to a 21 m first stop in 3 m steps, 20 m in 10 m steps
+        const tenMeter = gfAtStop(10);
+        expect(tenMeter.gf).toBeCloseTo(interpolateGF(tenMeter.ambient, getAmbientPressure(20), 0.3, 0.85), 6);
+        expect(gfAtStop(3).gf).toBeCloseTo(interpolateGF(tenMeter.ambient, getAmbientPressure(21), 0.3, 0.85), 6);
+        expect(calculateTissueLoading(waypoints, 0, { gases: [AIR] }).planner).toEqual(DEFAULT_PLANNER);
+    });
+});
+
+// ============================================================================
+// CALCULATION SERVICE
+// ============================================================================
+
+describe('Calculation service', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const setup = {
+        gases: [AIR],
+        gfLow: 50,
+        gfHigh: 80,
+        dives: [{ waypoints: [{ time: 0, depth: 0 }, { time: 2, depth: 30 }, { time: 25, depth: 30 }, { time: 29, depth: 0 }] }]
+    };
+    const options = { showCeiling: true, showGF99: true };
+
+    test('runs tasks by name and rejects unknown ones', () => {
+        const direct = getNDLForDepth(30, AIR, 50).ndl;
+        const { ndl } = runCalcTask('quickSetupProfile', [30, 20, [AIR], 50, 80]);
+        expect(ndl).toBe(direct);
+        let message = '';
+        try {
+            runCalcTask('noSuchTask');
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).toContain('Unknown calculation task');
+    });
+
+    test('chart data survives structured cloning', () => {
+        const data = calculateProfileChartData(setup, options);
+        const cloned = structuredClone(data);
+        expect(cloned.results.timePoints.length).toBe(data.results.timePoints.length);
+        expect(cloned.ceilingDepths).toEqual(data.ceilingDepths);
+        expect(structuredClone(calculateMValueChartData(setup)).timeline.dives.length).toBe(1);
+    });
+
+    test('falls back to the main thread and matches direct calculation', async () => {
+        const service = new CalcService({ useWorker: false });
+        expect(service.usesWorker).toBe(false);
+        const data = await service.run('profileChartData', [setup, options]);
+        const direct = calculateProfileChartData(setup, options);
+        expect(data.results.compartments[5].pressures).toEqual(direct.results.compartments[5].pressures);
+        expect(data.gfSeries.gf99).toEqual(direct.gfSeries.gf99);
+    });
+
+    test('a newer request on a channel cancels the pending one', async () => {
+        const service = new CalcService({ useWorker: false });
+        const channel = {};
+        const first = service.run('mValueChartData', [setup], { channel });
+        const second = service.run('mValueChartData', [{ ...setup, gases: [{ ...AIR }] }], { channel });
+        const other = service.run('mValueChartData', [setup], { channel: {} });
+        let cancelled = null;
+        await first.catch(error => { cancelled = error; });
+        expect(cancelled instanceof CalcCancelledError).toBe(true);
+        expect((await second).timeline.dives.length).toBe(1);
+        expect((await other).results.timePoints.length).toBeGreaterThan(0);
+    });
+
+    test('runs the GF sweep', async () => {
+        const service = new CalcService({ useWorker: false });
+        const sweep = await service.run('gfSweep', [setup, { gfLows: [50], gfHighs: [80] }]);
+        expect(sweep.cells[0][0].runtime).toBeGreaterThan(29);
+    });
+
+    test('task errors reject the request', async () => {
+        const service = new CalcService({ useWorker: false });
+        let message = '';
+        await service.run('noSuchTask').catch(error => { message = error.message; });
+        expect(message).toContain('Unknown calculation task');
+    });
+});
+
+// ============================================================================
+// PLAN COMPARISON
+// ============================================================================
+
+describe('Plan comparison', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0, cylinderVolume: 12, startPressure: 200 };
+    const EAN50 = { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0, cylinderVolume: 7, startPressure: 200 };
+    const plan = (name, waypoints, gases = [AIR]) => normalizeDiveSetup({ name, gases, gfLow: 50, gfHigh: 80, dives: [{ waypoints }] });
+    const pinned = plan('30m', [
+        { time: 0, depth: 0 }, { time: 2, depth: 30 }, { time: 25, depth: 30 },
+        { time: 28, depth: 6 }, { time: 31, depth: 6 }, { time: 32, depth: 0 }
+    ]);
+    const current = plan('30m EAN50', [
+        { time: 0, depth: 0 }, { time: 2, depth: 30 }, { time: 25, depth: 30 },
+        { time: 27, depth: 21, gasId: 'ean50' }, { time: 28, depth: 6 }, { time: 30, depth: 6 }, { time: 31, depth: 0 }
+    ], [AIR, EAN50]);
+
+    test('summarizes runtime, ascent, stops and gas', () => {
+        const summary = calculatePlanSummary(pinned);
+        expect(summary.runtime).toBe(32);
+        expect(summary.ascentTime).toBe(7);
+        expect(summary.decoTime).toBe(3);
+        expect(summary.maxDepth).toBe(30);
+        expect(summary.gases.length).toBe(1);
+        expect(summary.totalGas).toBeCloseTo(summary.gases[0].used, 6);
+        expect(summary.cns).toBeGreaterThan(0);
+        expect(calculatePlanSummary({ dives: [] })).toBe(null);
+    });
+
+    test('diff rows are current minus pinned, per gas by name', () => {
+        const comparison = calculatePlanComparison(pinned, current);
+        const byKey = Object.fromEntries(comparison.rows.map(row => [row.key, row]));
+        expect(byKey.runtime.delta).toBe(-1);
+        expect(byKey.decoTime.delta).toBe(-1);
+        expect(byKey.maxPpO2.delta).toBeGreaterThan(0);
+        expect(byKey['gas:EAN50'].pinned).toBe(null);
+        expect(byKey['gas:EAN50'].current).toBeGreaterThan(0);
+        expect(byKey['gas:Air'].delta).toBeLessThan(0);
+    });
+
+    test('profile chart data carries the pinned overlay', async () => {
+        const data = calculateProfileChartData(current, { showCeiling: true }, null, pinned);
+        expect(data.pinned.name).toBe('30m');
+        expect(data.pinned.waypoints.length).toBe(pinned.dives[0].waypoints.length);
+        expect(data.pinned.ceilingDepths.length).toBe(data.pinned.timePoints.length);
+        expect(calculateProfileChartData(current, {}).pinned).toBe(null);
+        const service = new CalcService({ useWorker: false });
+        const comparison = await service.run('planComparison', [pinned, current]);
+        expect(comparison.rows[0].key).toBe('runtime');
+    });
+});
+
+// ============================================================================
+// CONTINGENCY SCHEDULES
+// ============================================================================
+
+describe('Contingency schedules', () => {
+    const BOTTOM = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0, cylinderVolume: 24, startPressure: 200 };
+    const EAN50 = { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0, cylinderVolume: 7, startPressure: 200 };
+    const O2 = { id: 'o2', name: 'O2', o2: 1.0, n2: 0, he: 0, cylinderVolume: 7, startPressure: 200 };
+    const setup = {
+        gases: [BOTTOM, EAN50, O2],
+        gfLow: 30,
+        gfHigh: 80,
+        reservePressure: 50,
+        dives: [{ waypoints: [{ time: 0, depth: 0 }, { time: 2, depth: 40 }, { time: 30, depth: 40 }, { time: 60, depth: 0 }] }]
+    };
+    const byId = plan => Object.fromEntries(plan.contingencies.map(c => [c.id, c]));
+
+    test('covers deeper/longer, each lost deco gas and all deco gas lost', () => {
+        const plan = planContingencies(setup);
+        expect(plan.bottomGas.id).toBe('air');
+        expect(plan.contingencies.map(c => c.id)).toEqual(['planned', 'deeper-longer', 'lost-ean50', 'lost-o2', 'lost-all']);
+        const { planned, 'deeper-longer': deeper } = byId(plan);
+        expect(deeper.depth).toBe(40 + DEFAULT_CONTINGENCY.extraDepth);
+        expect(deeper.bottomTime).toBe(30 + DEFAULT_CONTINGENCY.extraTime);
+        expect(deeper.runtime).toBeGreaterThan(planned.runtime);
+    });
+
+    test('lost gases lengthen the ascent and are not breathed', () => {
+        const contingencies = byId(planContingencies(setup));
+        const planned = contingencies.planned;
+        const planned50 = generateDecoSchedule(
+            simulateBottomPhase(40, 30, BOTTOM).state, 40, BOTTOM, 0.3, 0.8, [BOTTOM, EAN50, O2]
+        );
+        expect(planned.schedule.totalTime).toBeCloseTo(planned50.totalTime, 1);
+        ['lost-ean50', 'lost-o2', 'lost-all'].forEach(id => {
+            expect(contingencies[id].runtime).toBeGreaterThan(planned.runtime);
+        });
+        expect(contingencies['lost-ean50'].gasRequirements.map(req => req.gasId)).toEqual(['air', 'o2']);
+        expect(contingencies['lost-all'].gasRequirements.map(req => req.gasId)).toEqual(['air']);
+    });
+
+    test('checks gas requirements against the cylinders and reserve', () => {
+        const contingencies = byId(planContingencies(setup));
+        const air = contingencies.planned.gasRequirements[0];
+        expect(air.usable).toBe(24 * 150);
+        expect(air.endPressure).toBeCloseTo(200 - air.required / 24, 6);
+        expect(contingencies.planned.sufficient).toBe(true);
+        expect(contingencies['lost-all'].sufficient).toBe(false);
+    });
+
+    test('skips CCR setups and a single deco gas has no lost-all row', () => {
+        expect(planContingencies({ ...setup, breathingMode: 'ccr' })).toBe(null);
+        const ids = planContingencies({ ...setup, gases: [BOTTOM, EAN50] }).contingencies.map(c => c.id);
+        expect(ids).toEqual(['planned', 'deeper-longer', 'lost-ean50']);
+    });
+});
+
+// ============================================================================
+// GAS PLANNING
+// ============================================================================
+
+describe('Gas planning', () => {
+    const BOTTOM = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0, cylinderVolume: 24, startPressure: 200 };
+    const EAN50 = { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0, cylinderVolume: 7, startPressure: 200 };
+    const O2 = { id: 'o2', name: 'O2', o2: 1.0, n2: 0, he: 0, cylinderVolume: 7, startPressure: 200 };
+    const waypoints = [
+        { time: 0, depth: 0 }, { time: 2, depth: 40 }, { time: 25, depth: 40 },
+        { time: 27, depth: 21, gasId: 'ean50' }, { time: 40, depth: 6 }, { time: 60, depth: 0 }
+    ];
+    const setup = { gases: [BOTTOM, EAN50, O2], sacRate: 20, reservePressure: 50, dives: [{ waypoints }] };
+    const byId = plan => Object.fromEntries(plan.cylinders.map(c => [c.gasId, c]));
+
+    test('rock bottom shares the bottom gas from the end of the bottom phase', () => {
+        const plan = planGas(setup);
+        expect(plan.bottomGas.id).toBe('air');
+        expect(plan.worstPoint).toEqual({ time: 25, depth: 40 });
+        expect(plan.stressedSacRate).toBe(20 * DEFAULT_GAS_PLANNING.stressFactor);
+        // Two divers at 30 L/min: a minute at 40 m, then 40 → 21 m in 2 min until the switch
+        const team = 2 * 30;
+        const expected = team * getAmbientPressure(40) + team * (getAmbientPressure(40) + getAmbientPressure(21)) / 2 * 2;
+        const air = byId(plan).air;
+        expect(air.role).toBe('bottom');
+        expect(air.required).toBeCloseTo(expected, 6);
+        // Below the reserve pressure the reserve wins
+        expect(air.minimumPressure).toBe(50);
+        expect(air.turnPressure).toBe(50);
+        expect(air.sufficient).toBe(true);
+    });
+
+    test('deco gas reserve scales the planned use by a factor or the team', () => {
+        // EAN50 from the switch at 21 m to the surface
+        const use = 20 * (getAmbientPressure(21) + getAmbientPressure(6)) / 2 * 13
+            + 20 * (getAmbientPressure(6) + getAmbientPressure(0)) / 2 * 20;
+        const factor = byId(planGas(setup));
+        expect(factor.ean50.role).toBe('deco');
+        expect(factor.ean50.required).toBeCloseTo(use * 1.5, 6);
+        expect(factor.ean50.minimumPressure).toBeCloseTo(use * 1.5 / 7, 6);
+        expect(factor.o2.role).toBe('unused');
+        expect(factor.o2.required).toBe(0);
+        const buddy = byId(planGas({ ...setup, gasPlanning: { decoReserve: 'buddy', divers: 3 } }));
+        expect(buddy.ean50.required).toBeCloseTo(use * 3, 6);
+        expect(buddy.ean50.sufficient).toBe(false);
+    });
+
+    test('turn pressure keeps the rock bottom and marks where the plan reaches it', () => {
+        const plan = planGas({ ...setup, gases: [{ ...BOTTOM, cylinderVolume: 15 }, EAN50], gasPlanning: { turnFraction: 1 / 3 } });
+        const air = byId(plan).air;
+        expect(air.minimumPressure).toBeCloseTo(air.required / 15, 6);
+        expect(air.turnPressure).toBeCloseTo(200 - (200 - air.minimumPressure) / 3, 6);
+        expect(air.turnTime).toBeGreaterThan(2);
+        expect(air.turnTime).toBeLessThan(25);
+        const used = calculateGasUsage([{ time: 0, depth: 0 }, { time: 2, depth: 40 }, { time: air.turnTime, depth: 40 }], [BOTTOM], 20);
+        expect(used.air).toBeCloseTo((200 - air.turnPressure) * 15, 6);
+        // Still on the bottom past the turn pressure
+        expect(air.pressureAtWorstPoint).toBeLessThan(air.turnPressure);
+        expect(air.sufficient).toBe(false);
+    });
+
+    test('skips CCR setups and feeds the profile chart', () => {
+        expect(planGas({ ...setup, breathingMode: 'ccr' })).toBe(null);
+        const normalized = normalizeDiveSetup(setup);
+        expect(normalized.gasPlanning).toEqual({ ...DEFAULT_GAS_PLANNING });
+        expect(validateDiveSetup({ ...setup, gasPlanning: { turnFraction: 2 } }).valid).toBe(false);
+        const data = calculateProfileChartData(normalized, { showGasConsumption: true });
+        expect(data.gasPlan.cylinders.map(c => c.gasId)).toEqual(['air', 'ean50', 'o2']);
+    });
+});
+
+// ============================================================================
+// SAC RATES PER DIVE PHASE
+// ============================================================================
+
+describe('SAC rates per dive phase', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0, cylinderVolume: 24, startPressure: 200 };
+    const EAN50 = { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0, cylinderVolume: 7, startPressure: 200 };
+    const waypoints = [
+        { time: 0, depth: 0 }, { time: 2, depth: 40 }, { time: 25, depth: 40 },
+        { time: 27, depth: 21, gasId: 'ean50' }, { time: 30, depth: 21 }, { time: 35, depth: 6 },
+        { time: 45, depth: 6, sacRate: 30 }, { time: 46, depth: 0 }
+    ];
+    const sacRates = { descent: 25, bottom: 18, ascent: 15, deco: 12 };
+    const setup = { gases: [AIR, EAN50], sacRate: 20, sacRates, dives: [{ waypoints }] };
+
+    test('segments are classified by phase, dive by dive', () => {
+        expect(getSegmentPhases(waypoints)).toEqual(['descent', 'bottom', 'ascent', 'deco', 'ascent', 'deco', 'ascent']);
+        const repetitive = getDiveSetupWaypoints({ ...setup, dives: [{ waypoints }, { waypoints, surfaceIntervalBefore: 60 }] });
+        const phases = getSegmentPhases(repetitive);
+        expect(phases[7]).toBe('surface');
+        expect(phases.slice(8)).toEqual(phases.slice(0, 7));
+    });
+
+    test('phase rates fall back to sacRate and waypoints override their segment', () => {
+        expect(getSacRates({ sacRate: 16, sacRates: { deco: 12 } })).toEqual({ base: 16, stressed: null, descent: 16, bottom: 16, ascent: 16, deco: 12 });
+        expect(getSegmentSacRates(waypoints, setup)).toEqual([25, 18, 15, 12, 15, 30, 15]);
+        // The override is carried onto the merged timeline
+        expect(getDiveSetupWaypoints(setup)[6].sacRate).toBe(30);
+        const usage = calculateGasUsage(waypoints, [AIR, EAN50], getSegmentSacRates(waypoints, setup));
+        const expected = 25 * (getAmbientPressure(0) + getAmbientPressure(40)) / 2 * 2
+            + 18 * getAmbientPressure(40) * 23
+            + 15 * (getAmbientPressure(40) + getAmbientPressure(21)) / 2 * 2;
+        expect(usage.air).toBeCloseTo(expected, 6);
+    });
+
+    test('chart consumption and plan summary use the phase rates', () => {
+        const normalized = normalizeDiveSetup(setup);
+        const direct = calculateGasUsage(waypoints, [AIR, EAN50], getSegmentSacRates(waypoints, setup));
+        // The surface tail after the dive (normalized surfaceInterval 60) breathes no cylinder gas
+        const { gasConsumption } = calculateProfileChartData(normalized, { showGasConsumption: true });
+        const total = gasData => gasData.consumption[gasData.consumption.length - 1];
+        expect(total(gasConsumption.air) + total(gasConsumption.ean50)).toBeCloseTo(direct.air + direct.ean50, 6);
+        const summary = calculatePlanSummary(normalized);
+        expect(summary.totalGas).toBeCloseTo(direct.air + direct.ean50, 6);
+    });
+
+    test('surface intervals between dives use no cylinder gas', () => {
+        const O2 = { id: 'o2', name: 'O2', o2: 1, n2: 0, he: 0, cylinderVolume: 7, startPressure: 200 };
+        const dive = [
+            { time: 0, depth: 0, gasId: 'air' }, { time: 2, depth: 20 }, { time: 20, depth: 20 },
+            { time: 22, depth: 6, gasId: 'o2' }, { time: 27, depth: 6 }, { time: 28, depth: 0 }
+        ];
+        const repetitive = { gases: [AIR, O2], sacRate: 20, dives: [{ waypoints: dive }, { surfaceIntervalBefore: 60, waypoints: dive }] };
+        const single = calculateGasUsage(dive, [AIR, O2], 20);
+        const timeline = getDiveSetupWaypoints(repetitive);
+        expect(getSegmentSacRates(timeline, repetitive)[5]).toBe(0);
+        const usage = calculateGasUsage(timeline, [AIR, O2], getSegmentSacRates(timeline, repetitive));
+        expect(usage.air).toBeCloseTo(2 * single.air, 6);
+        expect(usage.o2).toBeCloseTo(2 * single.o2, 6);
+        // Nothing charged past the last waypoint either
+        expect(createSacRateLookup(timeline, repetitive)(200, 201)).toBe(0);
+    });
+
+    test('rock bottom uses the stressed rate', () => {
+        expect(planGas(setup).stressedSacRate).toBe(18 * DEFAULT_GAS_PLANNING.stressFactor);
+        expect(planGas({ ...setup, sacRates: { ...sacRates, stressed: 40 } }).stressedSacRate).toBe(40);
+        expect(validateDiveSetup({ ...setup, sacRates: { cruise: 20 } }).valid).toBe(false);
+    });
+});
+
+// ============================================================================
+// REAL GAS COMPRESSIBILITY
+// ============================================================================
+
+describe('Real gas compressibility', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0, cylinderVolume: 12, startPressure: 232 };
+    const TX = { id: 'tx', name: 'Tx 18/45', o2: 0.18, n2: 0.37, he: 0.45, cylinderVolume: 12, startPressure: 232 };
+    const waypoints = [{ time: 0, depth: 0 }, { time: 2, depth: 30 }, { time: 25, depth: 30 }, { time: 30, depth: 0 }];
+    const setup = { gases: [AIR], sacRate: 20, reservePressure: 50, surfaceInterval: 0, dives: [{ waypoints }] };
+
+    test('compressibility rises above 1 at filling pressures, more with helium', () => {
+        expect(getCompressibilityFactor(AIR, 1)).toBeCloseTo(1, 3);
+        expect(getCompressibilityFactor(AIR, 200)).toBeCloseTo(1.036, 2);
+        expect(getCompressibilityFactor(AIR, 300)).toBeCloseTo(1.11, 2);
+        expect(getCompressibilityFactor(TX, 200)).toBeGreaterThan(getCompressibilityFactor(AIR, 200));
+    });
+
+    test('contents and pressure invert each other', () => {
+        expect(getCylinderContents(AIR, 12, 232)).toBe(12 * 232);
+        const real = getCylinderContents(AIR, 12, 232, 'real');
+        expect(real).toBeLessThan(12 * 232);
+        expect(getCylinderPressure(AIR, 12, real, 'real')).toBeCloseTo(232, 6);
+        expect(getCylinderPressure(TX, 12, getCylinderContents(TX, 12, 100, 'real'), 'real')).toBeCloseTo(100, 6);
+        // Overdrawn cylinders go negative like the ideal count
+        expect(getCylinderPressure(AIR, 12, -120, 'real')).toBe(-10);
+    });
+
+    test('the same use leaves a real-gas cylinder lower', () => {
+        const ideal = calculateProfileChartData(normalizeDiveSetup(setup), { showGasConsumption: true }).gasConsumption.air;
+        const real = calculateProfileChartData(normalizeDiveSetup({ ...setup, gasModel: 'real' }), { showGasConsumption: true }).gasConsumption.air;
+        const last = data => data.pressures[data.pressures.length - 1];
+        expect(real.totalGas).toBeLessThan(ideal.totalGas);
+        expect(last(real)).toBeLessThan(last(ideal));
+        expect(validateDiveSetup({ ...setup, gasModel: 'van-der-waals' }).valid).toBe(false);
+        expect(normalizeDiveSetup(setup).gasModel).toBe('ideal');
+    });
+
+    test('gas planning converts through the gas model', () => {
+        const ideal = planGas(setup).cylinders[0];
+        const real = planGas({ ...setup, gasModel: 'real' }).cylinders[0];
+        expect(real.planned).toBeCloseTo(ideal.planned, 6);
+        expect(real.endPressure).toBeLessThan(ideal.endPressure);
+        const contents = getCylinderContents(AIR, 12, 232, 'real');
+        expect(getCylinderContents(AIR, 12, real.endPressure, 'real')).toBeCloseTo(contents - real.planned, 6);
+    });
+});
+
+// ============================================================================
+// GAS BLENDING
+// ============================================================================
+
+describe('Gas blending', () => {
+    const TX18_45 = { o2: 0.18, he: 0.45 };
+    const EAN32 = { o2: 0.32, he: 0 };
+    const pressureOf = (plan, gas) => plan.steps.find(step => step.gas === gas)?.pressure || 0;
+
+    test('partial-pressure fill adds helium, oxygen, then air', () => {
+        const plan = planPartialPressureBlend({ target: TX18_45, pressure: 200, cylinderVolume: 12 });
+        expect(plan.feasible).toBe(true);
+        expect(plan.name).toBe('Trimix 18/45');
+        expect(plan.steps.map(step => step.gas)).toEqual(['he', 'o2', 'top']);
+        const [he, o2, air] = ['he', 'o2', 'top'].map(gas => pressureOf(plan, gas));
+        expect(he).toBeCloseTo(90, 6);
+        expect(air).toBeCloseTo(200 * 0.37 / 0.79, 6);
+        expect(o2 + 0.21 * air).toBeCloseTo(36, 6);
+        expect(plan.steps[2].to).toBeCloseTo(200, 6);
+        expect(plan.cost.total).toBeCloseTo((he * 12 * DEFAULT_GAS_PRICES.he + o2 * 12 * DEFAULT_GAS_PRICES.o2 + air * 12 * DEFAULT_GAS_PRICES.air) / 1000, 6);
+        // Pure oxygen goes into the cylinder
+        expect(plan.warnings.map(w => w.id)).toEqual(['o2-clean']);
+    });
+
+    test('residual gas is used, or drained when it holds too much', () => {
+        const topUp = planPartialPressureBlend({ target: EAN32, pressure: 200, startMix: EAN32, startPressure: 50 });
+        expect(topUp.drainTo).toBe(50);
+        expect(pressureOf(topUp, 'o2') + 0.21 * pressureOf(topUp, 'top')).toBeCloseTo(150 * 0.32, 6);
+        // Trimix residual in a nitrox fill: all its helium must go
+        const drained = planPartialPressureBlend({ target: EAN32, pressure: 200, startMix: TX18_45, startPressure: 100 });
+        expect(drained.drainTo).toBe(0);
+        expect(drained.warnings[0].id).toBe('drain');
+        // Rich nitrox residual: drained until air tops off to the target
+        const rich = planPartialPressureBlend({ target: EAN32, pressure: 200, startMix: { o2: 0.8 }, startPressure: 100 });
+        expect(rich.drainTo).toBeGreaterThan(0);
+        expect(rich.drainTo).toBeLessThan(100);
+        expect(pressureOf(rich, 'o2')).toBeCloseTo(0, 6);
+        expect((rich.drainTo * 0.8 + pressureOf(rich, 'top') * 0.21) / 200).toBeCloseTo(0.32, 6);
+    });
+
+    test('hypoxic nitrox and over-full mixes cannot be blended', () => {
+        expect(planPartialPressureBlend({ target: { o2: 0.18 }, pressure: 200 }).feasible).toBe(false);
+        expect(planPartialPressureBlend({ target: { o2: 0.6, he: 0.5 }, pressure: 200 }).warnings[0].id).toBe('infeasible');
+        // Topping off with EAN32 can't make air
+        expect(planPartialPressureBlend({ target: { o2: 0.21 }, pressure: 200, topGas: EAN32 }).feasible).toBe(false);
+    });
+
+    test('continuous blend targets the stream mix and checks oxygen service on it', () => {
+        const nitrox = planContinuousBlend({ target: EAN32, pressure: 200 });
+        expect(nitrox.stream.o2).toBeCloseTo(0.32, 6);
+        expect(nitrox.intake.o2 + nitrox.intake.air).toBeCloseTo(1, 6);
+        expect(nitrox.warnings).toEqual([]);
+        // Residual air: the stream must be richer than the target
+        const topped = planContinuousBlend({ target: EAN32, pressure: 200, startPressure: 100 });
+        expect(topped.stream.o2).toBeCloseTo(0.43, 6);
+        expect(topped.warnings.map(w => w.id)).toEqual(['o2-clean']);
+        const trimix = planContinuousBlend({ target: TX18_45, pressure: 200 });
+        expect(trimix.intake.he).toBeCloseTo(0.45, 6);
+        expect(trimix.liters).toEqual(planPartialPressureBlend({ target: TX18_45, pressure: 200 }).liters);
+    });
+
+    test('topping off mixes the residual with the top gas', () => {
+        const result = planTopOff({ startMix: TX18_45, startPressure: 100, topGas: EAN32, pressure: 200, cylinderVolume: 12 });
+        expect(result.mix.o2).toBeCloseTo(0.25, 6);
+        expect(result.mix.he).toBeCloseTo(0.225, 6);
+        expect(result.liters).toBe(1200);
+        expect(result.name).toBe('Trimix 25/23');
+        expect(getMixName({ o2: 0.32, he: 0 })).toBe('Nitrox 32 (EAN32)');
+        expect(planTopOff({ startMix: { o2: 1 }, startPressure: 50, topGas: EAN32, pressure: 100 }).warnings[0].id).toBe('o2-clean');
+    });
+});
+
+// ============================================================================
+// BEST MIX
+// ============================================================================
+
+describe('Best mix', () => {
+    test('EAD and END with or without narcotic oxygen', () => {
+        // (30 + 10) * 0.68 / 0.79 - 10 = 24.4 -> 24
+        expect(calculateEAD(30, 0.32)).toBe(24);
+        expect(calculateEAD(30, 0.21)).toBe(30);
+        // N2 only: (40 + 10) * 0.37 / 0.79 - 10 = 13.4 -> 13
+        expect(calculateEND(40, 0.45, null, 0.18)).toBe(13);
+        expect(calculateEND(40, 0.45)).toBe(18);
+    });
+
+    test('gas density scales with ambient pressure', () => {
+        // Air: 1.2884 g/L at 1 atm, the model's surface is 1 bar
+        expect(calculateGasDensity({ o2: 0.21 }, 0)).toBeCloseTo(1.2884 / 1.01325, 3);
+        expect(calculateGasDensity({ o2: 0.21 }, 30)).toBeCloseTo(calculateGasDensity({ o2: 0.21 }, 0) * 4, 6);
+        expect(calculateGasDensity({ o2: 0.18, he: 0.45 }, 60)).toBeLessThan(calculateGasDensity({ o2: 0.21 }, 40));
+        expect(analyzeGasAtDepth({ o2: 0.21 }, 30).densityStatus).toBe('ok');
+        expect(analyzeGasAtDepth({ o2: 0.21 }, 35).densityStatus).toBe('high');
+        expect(analyzeGasAtDepth({ o2: 0.21 }, 45).densityStatus).toBe('over');
+        expect(analyzeGasAtDepth({ o2: 0.32 }, 30).ead).toBe(24);
+        expect(analyzeGasAtDepth({ o2: 0.21, he: 0.35 }, 45).ead).toBe(null);
+    });
+
+    test('45 m at ppO2 1.4 and END 30 m', () => {
+        const result = solveBestMix({ depth: 45 });
+        expect(result.feasible).toBe(true);
+        expect(result.ideal.o2).toBeCloseTo(1.4 / 5.5, 6);
+        expect(result.ideal.he).toBeCloseTo(1 - 4 / 5.5, 6);
+        // Oxygen down to a whole percent, helium up to 5%
+        expect(result.mix.o2).toBe(0.25);
+        expect(result.mix.he).toBe(0.3);
+        expect(result.analysis.ppO2).toBeLessThanOrEqual(1.4);
+        expect(result.analysis.end).toBeLessThanOrEqual(30);
+        expect(result.preset.id).toBe('tx21_35');
+        // Oxygen not narcotic: less helium
+        expect(solveBestMix({ depth: 45, o2Narcotic: false }).mix.he).toBe(0.2);
+    });
+
+    test('shallow targets get nitrox or oxygen, impossible ENDs are flagged', () => {
+        const nitrox = solveBestMix({ depth: 30 });
+        expect(nitrox.mix).toEqual({ o2: 0.35, he: 0, n2: 0.65 });
+        expect(nitrox.preset.id).toBe('ean32');
+        expect(solveBestMix({ depth: 6, maxPpO2: 1.6 }).preset.id).toBe('o2');
+        expect(solveBestMix({ depth: 120, maxEND: 0 }).feasible).toBe(false);
+    });
+});
+
+// ============================================================================
+// DIVE TABLE BOOK
+// ============================================================================
+
+describe('Dive table book', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const EAN50 = { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0 };
+    const book = generateTableBook({ depths: [30, 18], bottomTimes: [1, 20, 40], gases: [AIR, EAN50], gfLow: 30, gfHigh: 80 });
+
+    test('one table per depth, shallowest first, from generateDecoProfile', () => {
+        expect(book.tables.map(t => t.depth)).toEqual([18, 30]);
+        // Listed from leaving the surface, like the bottom times
+        const { ndl, descentTime } = getNDLForDepth(18, AIR, 30);
+        expect(book.tables[0].ndl).toBe(ndl + descentTime);
+        // A bottom time inside the descent is left out
+        expect(book.tables[1].rows.map(r => r.bottomTime)).toEqual([20, 40]);
+        const row = book.tables[1].rows[1];
+        const profile = generateDecoProfile(30, 40, [AIR, EAN50], 30, 80);
+        expect(row.stops).toEqual(profile.decoStops);
+        expect(row.runtime).toBe(profile.waypoints[profile.waypoints.length - 1].time);
+        expect(row.ascentTime).toBe(row.runtime - 40);
+        expect(row.withinNDL).toBe(false);
+    });
+
+    test('a bottom time at the listed NDL is within NDL', () => {
+        const listed = book.tables[1].ndl;
+        const rows = generateTableBook({ depths: [30], bottomTimes: [listed, listed + 1], gases: [AIR], gfLow: 30, gfHigh: 80 }).tables[0].rows;
+        expect(rows.map(r => r.bottomTime)).toEqual([listed, listed + 1]);
+        expect(rows[0].withinNDL).toBe(true);
+        expect(rows[0].stops).toEqual([]);
+        expect(rows[1].withinNDL).toBe(false);
+    });
+
+    test('gas use follows the gas switches of the profile', () => {
+        const row = book.tables[1].rows[1];
+        expect(row.gasUsed.air).toBeGreaterThan(0);
+        expect(row.gasUsed.ean50).toBeGreaterThan(0);
+        const shallow = generateTableBook({ depths: [18], bottomTimes: [20], gases: [AIR] }).tables[0].rows[0];
+        expect(Object.keys(shallow.gasUsed)).toEqual(['air']);
+        // 20 min at ~2.8 bar on 20 L/min, plus the ascent
+        expect(shallow.gasUsed.air).toBeGreaterThan(1000);
+        expect(shallow.gasUsed.air).toBeLessThan(1400);
+    });
+
+    test('calculateGasUsage adds SAC × mean ambient pressure per segment', () => {
+        const usage = calculateGasUsage(
+            [{ time: 0, depth: 0 }, { time: 1, depth: 10, gasId: 'air' }, { time: 11, depth: 10, gasId: 'ean50' }, { time: 12, depth: 0 }],
+            [AIR, EAN50], 20
+        );
+        const surface = getAmbientPressure(0);
+        const at10 = getAmbientPressure(10);
+        expect(usage.air).toBeCloseTo(20 * (surface + at10) / 2 + 20 * at10 * 10, 6);
+        expect(usage.ean50).toBeCloseTo(20 * (surface + at10) / 2, 6);
+    });
+
+    test('exports CSV with one line per entry', () => {
+        const lines = tableBookToCSV(book).trim().split('\n');
+        expect(lines).toHaveLength(1 + 2 + 2);
+        expect(lines[0]).toContain('Air used (L)');
+        expect(lines[0]).toContain('EAN50 used (L)');
+        expect(lines[4].startsWith('30,40,')).toBe(true);
+        // Stop times with seconds are quoted (1'40" notation)
+        expect(tableBookToCSV({ ...book, tables: [{ depth: 9, ndl: 0, rows: [{ ...book.tables[1].rows[1], stops: [{ depth: 3, time: 5 / 3 }] }] }] }))
+            .toContain('"3m 1\'40"""');
+    });
+
+    test('unlimited NDLs are listed as beyond the longest NDL searched', () => {
+        const shallow = generateTableBook({ gases: [AIR], depths: [3, 6], bottomTimes: [10] });
+        expect(shallow.tables[0].ndl).toBe(Infinity);
+        expect(formatTableNDL(Infinity)).toBe(`>${NDL_MAX_TIME}`);
+        expect(formatTableNDL(shallow.tables[1].ndl)).toBe(String(shallow.tables[1].ndl));
+        const lines = tableBookToCSV(shallow).trim().split('\n');
+        expect(lines[1].startsWith(`3,10,>${NDL_MAX_TIME},`)).toBe(true);
+        expect(lines.some(line => line.includes('Infinity'))).toBe(false);
+    });
+});
+
+// ============================================================================
+// PRESSURE GROUPS
+// ============================================================================
+
+describe('Pressure groups', () => {
+    const system = createPressureGroupSystem();
+
+    test('groups follow the slowest NDL-controlling compartment', () => {
+        // 12 m is controlled by the 54.3 min compartment at GF 100
+        expect(system.compartment.id).toBe(7);
+        expect(system.saturation).toBeCloseTo(getInitialTissueN2(0.79), 9);
+        expect(getGroupPressure(system, 26)).toBeCloseTo(system.limit, 9);
+        expect(getPressureGroup(system, system.saturation)).toBe(0);
+        expect(getPressureGroup(system, getGroupPressure(system, 3))).toBe(3);
+        expect(getPressureGroup(system, system.limit + 0.01)).toBe(BEYOND_TABLE_GROUP);
+        expect([0, 1, 26, BEYOND_TABLE_GROUP].map(formatPressureGroup)).toEqual(['–', 'A', 'Z', '>Z']);
+    });
+
+    test('surface interval credit and RNT invert the Haldane equation', () => {
+        const si = calculateSurfaceIntervalTable(system);
+        expect(si[0].intervals).toHaveLength(0);
+        const minutes = si[9].intervals[3];
+        // J to D: just reaches D, a minute short stays in E
+        expect(getGroupAfterSurfaceInterval(system, 10, minutes + 1e-6)).toBe(4);
+        expect(getGroupAfterSurfaceInterval(system, 10, minutes - 1)).toBe(5);
+
+        const rnt = getResidualNitrogenTime(system, 8, 18);
+        expect(getGroupAfterDive(system, 0, 18, rnt)).toBe(8);
+        expect(getResidualNitrogenTime(system, 0, 18)).toBe(0);
+        // 10 m never loads the compartment to the surfacing limit
+        expect(getResidualNitrogenTime(system, 26, 10)).toBeNull();
+    });
+
+    test('RNT table counts NDL from leaving the surface', () => {
+        const row = calculateResidualNitrogenTable(system).find(r => r.depth === 18);
+        const { ndl, descentTime } = calculateNDL(18, 0.79, 1.0);
+        expect(row.ndl).toBe(ndl + descentTime);
+        const group = row.groups[4];
+        expect(group.adjustedNDL).toBeCloseTo(row.ndl - group.rnt, 9);
+        expect(row.groups[25].adjustedNDL).toBeNull();
+    });
+
+    test('repetitive plan is cross-checked against the full model', () => {
+        const plan = planRepetitiveDives(system, [
+            { depth: 18, bottomTime: 40 },
+            { depth: 15, bottomTime: 30, surfaceInterval: 60 }
+        ]);
+        expect(plan[0].startGroup).toBe(0);
+        expect(plan[0].adjustedNDL).toBe(plan[0].ndl);
+        expect(plan[0].model.ndl).toBe(plan[0].ndl);
+        expect(plan[1].startGroup).toBe(getGroupAfterSurfaceInterval(system, plan[0].endGroup, 60));
+        expect(plan[1].withinTable).toBe(true);
+        // The table tracks one compartment; faster ones still loaded shorten the model NDL
+        expect(plan[1].model.ndl).toBeLessThan(plan[1].adjustedNDL + plan[1].rnt);
+        expect(plan[1].model.ndl).toBeLessThan(plan[1].ndl);
+        expect(plan[0].model.surfaceGF).toBeGreaterThan(plan[1].model.surfaceGF);
+    });
+});
+
+// ============================================================================
+// TISSUE LOADING SERIES
+// ============================================================================
+
+describe('Tissue loading series', () => {
+    const gases = [
+        { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 },
+        { id: 'ean50', name: 'EAN50', o2: 0.50, n2: 0.50, he: 0 }
+    ];
+    const profile = [
+        { time: 0, depth: 0 },
+        { time: 3, depth: 40 },
+        { time: 25, depth: 40 },
+        { time: 29, depth: 21, gasId: 'ean50' },
+        { time: 36, depth: 3 },
+        { time: 37, depth: 3.0001 }
+    ];
+
+    test('stores the time series in typed arrays', () => {
+        const series = calculateTissueLoadingSeries(profile, 30, { gases });
+        expect(series.timePoints instanceof Float64Array).toBe(true);
+        expect(series.tissueN2.length).toBe(16);
+        expect(series.tissueN2[0].length).toBe(series.length);
+        expect(series.timePoints[series.length - 1]).toBeCloseTo(67, 9);
+        expect(series.gasLabels[series.gasIndices[series.timePoints.indexOf(30)]]).toBe('EAN50');
+    });
+
+    test('samples fall exactly on every waypoint', () => {
+        const series = calculateTissueLoadingSeries(profile, 30, { gases });
+        profile.forEach(wp => expect(series.timePoints.indexOf(wp.time)).toBeGreaterThan(-1));
+        // No sliver steps next to a waypoint
+        for (let i = 1; i < series.length; i++) {
+            expect(series.timePoints[i] - series.timePoints[i - 1]).toBeGreaterThan(1e-6);
+        }
+    });
+
+    test('results keep the calculateTissueLoading shape', () => {
+        const series = calculateTissueLoadingSeries(profile, 30, { gases });
+        const results = toTissueLoadingResults(series);
+        expect(Array.isArray(results.timePoints)).toBe(true);
+        expect(results.timePoints.length).toBe(series.length);
+        expect(results.compartments[5].pressures[100]).toBe(series.tissueN2[4][100]);
+        expect(results.setpoints[0]).toBeNull();
+        expect(results.gasSwitches.length).toBe(1);
+        expect(calculateTissueLoading(profile, 30, { gases }).gasNames).toEqual(results.gasNames);
+    });
+
+    test('final tissue state matches the last time point', () => {
+        const series = calculateTissueLoadingSeries(profile, 30, { gases });
+        const results = toTissueLoadingResults(series);
+        const state = getSeriesTissueState(series);
+        const last = results.timePoints.length - 1;
+        expect(state.n2[16]).toBe(results.compartments[16].pressures[last]);
+        expect(state.he[1]).toBe(0);
+    });
+
+    test('constant segments match the Haldane equation', () => {
+        const series = calculateTissueLoadingSeries([{ time: 0, depth: 30 }, { time: 20, depth: 30 }], 0, { gases });
+        const alveolar = getAlveolarN2Pressure(getAmbientPressure(30), 0.79);
+        const expected = haldaneEquation(series.tissueN2[3][0], alveolar, 20, 18.5);
+        expect(series.tissueN2[3][series.length - 1]).toBeCloseTo(expected, 9);
+    });
+});
+
+// ============================================================================
+// STOP TIME SOLVER
+// ============================================================================
+
+describe('Stop time solver', () => {
+    const AIR = { id: 'air', name: 'Air', o2: 0.21, n2: 0.79, he: 0 };
+    const bottomTissues = () => {
+        const descended = simulateDepthChange(createTissueState(0.79), 0, 40, 2, AIR);
+        return simulateDepthTime(descended, 40, 28, AIR);
+    };
+    // Leave the 6 m stop once the ceiling at GF 0.85 is no deeper than 3 m
+    const arrivedAt6m = () => simulateDepthChange(bottomTissues(), 40, 6, 3.4, AIR);
+    const clearsTo3m = state => getDiveCeiling(state, 0.85).ceilingDepth <= 3;
+
+    test('matches waiting minute by minute', () => {
+        let state = arrivedAt6m();
+        let minutes = 0;
+        while (!clearsTo3m(state)) {
+            state = simulateDepthTime(state, 6, 1, AIR);
+            minutes++;
+        }
+        const stop = solveStopTime(arrivedAt6m(), 6, AIR, clearsTo3m);
+        expect(minutes).toBeGreaterThan(0);
+        expect(stop.time).toBe(minutes);
+        expect(stop.tissues.n2[16]).toBeCloseTo(state.n2[16], 9);
+    });
+
+    test('unrounded stop times are fractional and no longer than rounded ones', () => {
+        const exact = solveStopTime(arrivedAt6m(), 6, AIR, clearsTo3m, { rounding: 0 }).time;
+        const rounded = solveStopTime(arrivedAt6m(), 6, AIR, clearsTo3m).time;
+        expect(exact).toBeLessThanOrEqual(rounded);
+        expect(exact).toBeGreaterThan(rounded - 1);
+        expect(Number.isInteger(exact)).toBe(false);
+        expect(clearsTo3m(simulateDepthTime(arrivedAt6m(), 6, exact, AIR))).toBe(true);
+    });
+
+    test('a clear stop needs no wait', () => {
+        const surface = createTissueState(0.79);
+        expect(solveStopTime(surface, 6, AIR, clearsTo3m).time).toBe(0);
+    });
+
+    test('throws DecoStopError when a stop can never clear', () => {
+        // Breathing 99% nitrogen at the stop with GF 5/5
+        const gas = { n2: 0.99, he: 0 };
+        const tissues = simulateDepthTime(createTissueState(0.79), 30, 30, gas);
+        let error = null;
+        try {
+            generateDecoSchedule(tissues, 30, gas, 0.05, 0.05);
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof DecoStopError).toBe(true);
+        expect(error.message).toContain('never clears');
+    });
+
+    test('unrounded schedules from both algorithms', () => {
+        const buhlmann = generateDecoSchedule(bottomTissues(), 40, AIR, 0.3, 0.85, [AIR], { planner: { stopRounding: 0 } });
+        const vpm = generateVPMBSchedule(bottomTissues(), 40, AIR, [AIR], { planner: { stopRounding: 0 } });
+        expect(buhlmann.stops.some(s => !Number.isInteger(s.time))).toBe(true);
+        expect(vpm.stops.length).toBeGreaterThan(0);
+        expect(formatStopTime(2)).toBe("2'");
+        expect(formatStopTime(1 + 40 / 60)).toBe('1\'40"');
+    });
 });
 
 // ============================================================================
@@ -1721,6 +3646,8 @@ describe('Full Deco Dive Integration', () => {
 // SUMMARY
 // ============================================================================
 
+await Promise.all(pendingTests);
+
 console.log('\n' + '='.repeat(50));
 console.log(`📊 Test Results: ${passedTests}/${totalTests} passed`);
 if (failedTests > 0) {